@@ -1,33 +1,215 @@
-import { UserRole } from '../enums.js'
+import { AuthenticationMethod } from '../enums.js'
+import { Organisation } from '../models/organisation.js'
+import { User } from '../models/user.js'
+import {
+  createToken,
+  getNextPath,
+  needsReauthentication,
+  verifyPassword
+} from '../utils/authentication.js'
+import { today } from '../utils/date.js'
 
 export const accountController = {
-  changeRole(request, response) {
-    request.session.data.token.role = request.body.role
+  cis2(request, response) {
+    response.redirect('/account/cis2/smartcard')
+  },
+
+  smartcard(request, response) {
+    const { data } = request.session
 
-    response.redirect(request.query.referrer || '/home')
+    response.locals.userItems = User.findAll(data)
+      .filter((user) => user.active)
+      .filter((user) => user.organisation_codes.length > 0)
+      .sort((a, b) => a.fullName.localeCompare(b.fullName))
+      .map((user) => ({
+        text: user.fullName,
+        hint: { text: user.email },
+        value: user.uid
+      }))
+
+    response.render('account/smartcard')
   },
 
-  cis2(request, response) {
+  readSmartcard(request, response, next) {
     const { data } = request.session
+    const { __ } = response.locals
+
+    const user = User.findOne(request.body.uid, data)
+    if (!user?.active) {
+      response.locals.errors = {
+        uid: __('account.smartcard.errors.missing')
+      }
 
-    const user = Object.values(data.users).at(-1)
-    user.role = UserRole.Nurse
+      return accountController.smartcard(request, response)
+    }
 
-    request.session.data.token = user
+    response.locals.user = user
+    response.locals.method = AuthenticationMethod.CIS2
 
-    response.redirect('/account/change-role')
+    next()
   },
 
   login(request, response) {
+    response.render('account/sign-in')
+  },
+
+  readLogin(request, response, next) {
     const { data } = request.session
-    const { role } = request.query
+    const { __ } = response.locals
+    const { email, password } = request.body
+
+    const errors = {}
+    if (!email) {
+      errors.email = __('account.sign-in.email.errors.missing')
+    }
+
+    if (!password) {
+      errors.password = __('account.sign-in.password.errors.missing')
+    }
+
+    const user = User.findAll(data).find(
+      (user) => user.email?.toLowerCase() === email?.trim().toLowerCase()
+    )
+
+    if (
+      Object.keys(errors).length === 0 &&
+      !verifyPassword(password, user?.passwordHash)
+    ) {
+      errors.email = __('account.sign-in.errors.invalid')
+    } else if (Object.keys(errors).length === 0 && !user.active) {
+      errors.email = __('account.sign-in.errors.deactivated')
+    }
+
+    if (Object.keys(errors).length > 0) {
+      response.locals.errors = errors
+      response.locals.email = email
+
+      return response.render('account/sign-in')
+    }
+
+    response.locals.user = user
+    response.locals.method = AuthenticationMethod.Password
+
+    next()
+  },
+
+  authenticate(request, response) {
+    const { data } = request.session
+    const { next } = request.query
+    const { method, user } = response.locals
+
+    if (user.organisation_codes.length === 0) {
+      return response.render('account/permissions')
+    }
+
+    // Continue in current organisation, if user belongs to it
+    const organisation_code = user.organisation_codes.includes(
+      data.organisation?.code
+    )
+      ? data.organisation.code
+      : user.organisation_codes[0]
+
+    data.organisation = data.organisations[organisation_code]
+    data.token = createToken(user, organisation_code, method)
+
+    // Invited users become active when they first sign in
+    User.update(user.uid, { signedInAt: today() }, data)
+
+    // Ask users that belong to more than one organisation which to use
+    if (user.organisation_codes.length > 1) {
+      const path = getNextPath(next)
+
+      return response.redirect(
+        `/account/organisation?next=${encodeURIComponent(path)}`
+      )
+    }
+
+    response.redirect(getNextPath(next))
+  },
+
+  organisation(request, response) {
+    const { data } = request.session
+
+    const user = new User(data.token)
+
+    response.locals.organisationItems = user.organisation_codes
+      .map((code) => Organisation.findOne(code, data))
+      .filter(Boolean)
+      .map((organisation) => ({
+        text: organisation.name,
+        hint: { text: user.getRole(organisation.code) },
+        value: organisation.code,
+        checked: organisation.code === data.token.organisation_code
+      }))
+
+    response.render('account/organisation')
+  },
+
+  changeOrganisation(request, response) {
+    const { data } = request.session
+    const { __ } = response.locals
+    const { organisation_code } = request.body
+
+    const user = new User(data.token)
+    if (!user.organisation_codes.includes(organisation_code)) {
+      response.locals.errors = {
+        organisation_code: __('account.organisation.errors.missing')
+      }
+
+      return accountController.organisation(request, response)
+    }
+
+    data.organisation = data.organisations[organisation_code]
+    data.token.organisation_code = organisation_code
+    data.token.role = user.getRole(organisation_code)
+
+    request.flash(
+      'success',
+      __('account.organisation.success', { organisation: data.organisation })
+    )
+
+    response.redirect(getNextPath(request.query.next))
+  },
+
+  confirm(request, response) {
+    const { data } = request.session
+
+    if (!data.token) {
+      return response.redirect('/start')
+    }
+
+    // Already confirmed identity recently
+    if (!needsReauthentication(data.token)) {
+      return response.redirect(getNextPath(request.query.next))
+    }
+
+    response.render('account/confirm')
+  },
+
+  reauthenticate(request, response) {
+    const { data } = request.session
+    const { __ } = response.locals
+
+    if (!data.token) {
+      return response.redirect('/start')
+    }
+
+    // Users with a Care Identity present their smartcard again
+    if (data.token.method === AuthenticationMethod.Password) {
+      const user = User.findOne(data.token.uid, data)
+
+      if (!verifyPassword(request.body.password, user?.passwordHash)) {
+        response.locals.errors = {
+          password: __('account.confirm.password.errors.invalid')
+        }
 
-    const user = Object.values(data.users).at(-1)
-    user.role = role || UserRole.Nurse
+        return response.render('account/confirm')
+      }
+    }
 
-    request.session.data.token = user
+    data.token.authenticatedAt = new Date()
 
-    response.redirect('/home')
+    response.redirect(getNextPath(request.query.next))
   },
 
   logout(request, response) {
@@ -0,0 +1,150 @@
+import { AuditAction } from '../enums.js'
+import { AuditEntry } from '../models/audit-entry.js'
+import { User } from '../models/user.js'
+import { getDateValueDifference } from '../utils/date.js'
+import { getResults, getPagination } from '../utils/pagination.js'
+
+/**
+ * Namespaces of records with an audit log
+ */
+const RECORD_NAMESPACES = [
+  'patient',
+  'patientSession',
+  'reply',
+  'vaccination',
+  'session',
+  'batch',
+  'organisation'
+]
+
+export const auditController = {
+  readAll(request, response, next) {
+    const { data } = request.session
+
+    // Only show changes made in the current organisation
+    response.locals.auditEntries = AuditEntry.findAll(data)
+      .filter(
+        ({ organisation_code }) => organisation_code === data.organisation.code
+      )
+      .sort((a, b) => getDateValueDifference(b.createdAt, a.createdAt))
+
+    next()
+  },
+
+  list(request, response) {
+    const { createdBy_uid, q } = request.query
+    const { data } = request.session
+    const { __, auditEntries } = response.locals
+
+    let results = auditEntries
+
+    // Query
+    if (q) {
+      results = results.filter((auditEntry) =>
+        auditEntry.tokenized.includes(String(q).toLowerCase())
+      )
+    }
+
+    // Filter defaults
+    const filters = {
+      action: request.query?.action || 'none',
+      record_ns: request.query?.record_ns || 'none'
+    }
+
+    // Filter by action and record type
+    for (const key of ['action', 'record_ns']) {
+      if (filters[key] !== 'none') {
+        results = results.filter(
+          (auditEntry) => auditEntry[key] === filters[key]
+        )
+      }
+    }
+
+    // Filter by user
+    if (createdBy_uid) {
+      results = results.filter(
+        (auditEntry) => auditEntry.createdBy_uid === createdBy_uid
+      )
+    }
+
+    // Results
+    response.locals.results = getResults(results, request.query)
+    response.locals.pages = getPagination(results, request.query)
+
+    // Action filter options
+    response.locals.actionItems = [
+      { text: 'Any', value: 'none', checked: filters.action === 'none' },
+      ...Object.values(AuditAction).map((value) => ({
+        text: value,
+        value,
+        checked: filters.action === value
+      }))
+    ]
+
+    // Record type filter options
+    response.locals.recordItems = [
+      { text: 'Any', value: 'none', checked: filters.record_ns === 'none' },
+      ...RECORD_NAMESPACES.map((value) => ({
+        text: __(`auditEntry.record_ns.${value}`),
+        value,
+        checked: filters.record_ns === value
+      }))
+    ]
+
+    // User filter options
+    response.locals.userItems = [
+      { text: 'Any user', value: '' },
+      ...User.findAll(data)
+        .filter((user) => user.getRole(data.organisation.code))
+        .sort((a, b) => a.fullName.localeCompare(b.fullName))
+        .map((user) => ({
+          text: user.fullName,
+          value: user.uid,
+          selected: user.uid === createdBy_uid
+        }))
+    ]
+
+    // Clean up session data
+    delete data.q
+    delete data.action
+    delete data.createdBy_uid
+    delete data.record_ns
+
+    response.render('audit/list')
+  },
+
+  filter(request, response) {
+    const params = new URLSearchParams()
+
+    // Radios, selects and text inputs
+    for (const key of ['action', 'createdBy_uid', 'q', 'record_ns']) {
+      const value = request.body[key]
+      if (value) {
+        params.append(key, String(value))
+      }
+    }
+
+    response.redirect(`/audit?${params}`)
+  },
+
+  readRecord(request, response, next) {
+    const { record_id, record_ns } = request.params
+    const { data } = request.session
+
+    const auditEntries = AuditEntry.findAll(data)
+      .filter((auditEntry) => auditEntry.record_ns === record_ns)
+      .filter((auditEntry) => auditEntry.record_id === record_id)
+      .sort((a, b) => getDateValueDifference(b.createdAt, a.createdAt))
+
+    response.locals.auditEntries = auditEntries
+    response.locals.record_ns = record_ns
+    response.locals.record = auditEntries[0]?.record
+    response.locals.recordName = auditEntries[0]?.recordName
+
+    next()
+  },
+
+  show(request, response) {
+    response.render('audit/show')
+  }
+}
@@ -1,5 +1,11 @@
+import _ from 'lodash'
+
+import { NoticeType } from '../enums.js'
 import { Batch } from '../models/batch.js'
 import { DefaultBatch } from '../models/default-batch.js'
+import { Notice } from '../models/notice.js'
+import { Vaccine } from '../models/vaccine.js'
+import { getTemplateSession, notifyParents } from '../utils/notify.js'
 
 export const batchController = {
   read(request, response, next, batch_id) {
@@ -14,6 +20,20 @@ export const batchController = {
     next()
   },
 
+  readAll(request, response, next) {
+    const { vaccine_snomed } = request.params
+    const vaccine = Vaccine.findOne(vaccine_snomed, request.session.data)
+
+    response.locals.vaccine = vaccine
+    response.locals.batches = vaccine.batches
+
+    next()
+  },
+
+  list(request, response) {
+    response.render('batch/list')
+  },
+
   form(type) {
     return (request, response) => {
       response.render('batch/form', { type })
@@ -60,6 +80,113 @@ export const batchController = {
     response.redirect(paths.next)
   },
 
+  wastage(request, response) {
+    response.render('batch/wastage')
+  },
+
+  waste(request, response) {
+    const { batch_id, vaccine_snomed } = request.params
+    const { data } = request.session
+    const { __, account, batch } = response.locals
+    const { quantity, reason } = request.body.wastage || {}
+
+    const errors = {}
+    if (!quantity) {
+      errors['wastage-quantity'] = __('batch.wastage.quantity.errors.missing')
+    } else if (!Number.isInteger(Number(quantity)) || Number(quantity) < 1) {
+      errors['wastage-quantity'] = __('batch.wastage.quantity.errors.invalid')
+    } else if (!batch.canWaste(quantity)) {
+      errors['wastage-quantity'] = __('batch.wastage.quantity.errors.tooMany', {
+        batch
+      })
+    }
+
+    if (Object.keys(errors).length > 0) {
+      response.locals.errors = errors
+
+      return batchController.wastage(request, response)
+    }
+
+    // Clean up session data
+    delete data.wastage
+
+    Batch.waste(
+      batch_id,
+      { quantity, reason, createdBy_uid: account.uid },
+      data
+    )
+
+    request.flash('success', __(`batch.wastage.success`, { batch }))
+
+    response.redirect(`/vaccines/${vaccine_snomed}/batches`)
+  },
+
+  recall(request, response) {
+    const { batch_id, vaccine_snomed } = request.params
+    const { data } = request.session
+    const { __mf, account } = response.locals
+
+    // Get vaccinations given with batch
+    const vaccinations = _.uniqBy(
+      Batch.findOne(batch_id, data).vaccinations,
+      'patient.uuid'
+    )
+
+    // Remove from default batches
+    DefaultBatch.delete(batch_id, data)
+
+    // Recall batch
+    const batch = Batch.recall(batch_id, { recalledBy_uid: account.uid }, data)
+
+    const templateSessions = {}
+    for (const vaccination of vaccinations) {
+      const { patient, patientSession } = vaccination
+
+      if (!patient) {
+        continue
+      }
+
+      // Flag patient record
+      const notice = Notice.create(
+        { type: NoticeType.Recall, patient_uuid: patient.uuid, batch_id },
+        data
+      )
+      patient.addNotice(notice)
+
+      // Historical vaccinations may not have a patient session to send from
+      if (patientSession) {
+        const { session } = patientSession
+        templateSessions[session.id] =
+          templateSessions[session.id] || getTemplateSession(session)
+
+        notifyParents(request, response, 'record-batch-recall', {
+          batch,
+          patientSession,
+          session: templateSessions[session.id]
+        })
+      }
+    }
+
+    request.flash(
+      'success',
+      __mf(`batch.recall.success`, { id: batch.id, count: vaccinations.length })
+    )
+
+    response.redirect(`/vaccines/${vaccine_snomed}/batches`)
+  },
+
+  release(request, response) {
+    const { batch_id, vaccine_snomed } = request.params
+    const { data } = request.session
+    const { __, account } = response.locals
+
+    const batch = Batch.release(batch_id, { releasedBy_uid: account.uid }, data)
+
+    request.flash('success', __(`batch.release.success`, { batch }))
+
+    response.redirect(`/vaccines/${vaccine_snomed}/batches`)
+  },
+
   archive(request, response) {
     const { batch_id } = request.params
     const { data } = request.session
@@ -10,10 +10,11 @@ export const defaultBatchController = {
 
     response.locals.batchItems = Batch.findAll(data)
       .filter((batch) => batch.vaccine_snomed === vaccine_snomed)
-      .filter((batch) => !batch.archivedAt)
+      .filter((batch) => batch.usable)
 
     response.locals.defaultBatch = DefaultBatch.findAll(data)
       .filter((batch) => batch.vaccine_snomed === vaccine_snomed)
+      .filter((batch) => batch.batch?.usable)
       .find((batch) => batch.session_id === session_id)
 
     response.locals.session = Session.findOne(session_id, data)
@@ -36,12 +37,20 @@ export const defaultBatchController = {
     const { data } = request.session
     const { __, defaultBatch, session, paths } = response.locals
 
+    // Check batch can be used
+    const batch_id = request.body.defaultBatch.id
+    if (!Batch.findOne(batch_id, data)?.usable) {
+      request.flash('message', __('batch.errors.unusable', { batch_id }))
+
+      return response.redirect(request.originalUrl)
+    }
+
     if (defaultBatch) {
       DefaultBatch.delete(defaultBatch.id, data)
     }
 
     // Add default batch to session
-    DefaultBatch.addToSession(request.body.defaultBatch.id, session.id, data)
+    DefaultBatch.addToSession(batch_id, session.id, data)
 
     request.flash('success', __(`defaultBatch.edit.success`))
 
@@ -1,13 +1,14 @@
 import wizard from '@x-govuk/govuk-prototype-wizard'
 
-import { UserRole } from '../enums.js'
+import { AccessReason, UserRole } from '../enums.js'
 import { Download } from '../models/download.js'
 import { Organisation } from '../models/organisation.js'
 import { Programme } from '../models/programme.js'
+import { RecordAccess } from '../models/record-access.js'
 
 export const downloadController = {
   readForm(request, response, next, download_id) {
-    const { account } = request.app.locals
+    const { account } = response.locals
     const { data } = request.session
 
     const journey = {
@@ -49,7 +50,7 @@ export const downloadController = {
   },
 
   new(request, response) {
-    const { account } = request.app.locals
+    const { account } = response.locals
     const { programme_id } = request.params
     const { data } = request.session
 
@@ -88,6 +89,13 @@ export const downloadController = {
 
     const { buffer, fileName, mimetype } = download.createFile(data)
 
+    // Log download of any sensitive records
+    RecordAccess.logDownload(
+      download.vaccinations.map(({ patient }) => patient),
+      { reason: AccessReason.Reporting, uri: request.originalUrl },
+      data
+    )
+
     response.header('Content-Type', mimetype)
     response.header('Content-disposition', `attachment; filename=${fileName}`)
 
@@ -1,11 +1,13 @@
-import { UserRole } from '../enums.js'
+import { UserPermission } from '../enums.js'
 import { Notice } from '../models/notice.js'
+import { Programme } from '../models/programme.js'
+import { can } from '../utils/policy.js'
 
 export const homeController = {
   redirect(request, response, next) {
-    const { account } = request.app.locals
+    const { account } = response.locals
 
-    if (account.role === UserRole.DataConsumer) {
+    if (!can(account, UserPermission.ViewRecords)) {
       response.redirect('/reports')
     } else {
       response.redirect('/dashboard')
@@ -13,15 +15,25 @@ export const homeController = {
   },
 
   dashboard(request, response) {
-    const { account } = request.app.locals
+    const { account } = response.locals
     const { data } = request.session
 
-    if (account.role === UserRole.Nurse) {
+    if (can(account, UserPermission.ReviewNotices)) {
       response.locals.notices = Notice.findAll(data).filter(
         ({ archivedAt }) => !archivedAt
       )
     }
 
+    // Show progress of programmes in the latest academic year
+    const programmes = Programme.findAll(data)
+    const latestYear = programmes
+      .map(({ year }) => year)
+      .sort()
+      .at(-1)
+    response.locals.programmes = programmes
+      .filter(({ year }) => year === latestYear)
+      .sort((a, b) => a.name.localeCompare(b.name))
+
     response.render('views/dashboard')
   },
 
@@ -0,0 +1,31 @@
+import { Notification } from '../models/notification.js'
+import { getResults, getPagination } from '../utils/pagination.js'
+
+export const notificationController = {
+  read(request, response, next, notification_uuid) {
+    response.locals.notification = Notification.findOne(
+      notification_uuid,
+      request.session.data
+    )
+
+    next()
+  },
+
+  readAll(request, response, next) {
+    const notifications = Notification.findAll(request.session.data)
+
+    response.locals.notifications = notifications
+    response.locals.results = getResults(notifications, request.query)
+    response.locals.pages = getPagination(notifications, request.query)
+
+    next()
+  },
+
+  show(request, response) {
+    response.render('notification/show')
+  },
+
+  list(request, response) {
+    response.render('notification/list')
+  }
+}
@@ -1,9 +1,11 @@
+import { UserPermission } from '../enums.js'
 import { Organisation } from '../models/organisation.js'
+import { can } from '../utils/policy.js'
 
 export const organisationController = {
   read(request, response, next, organisation_code) {
     const { view } = request.params
-    const { __ } = response.locals
+    const { __, account } = response.locals
 
     const organisation = Organisation.findOne(
       organisation_code,
@@ -12,15 +14,24 @@ export const organisationController = {
     response.locals.organisation = organisation
 
     response.locals.navigationItems = [
-      'contact',
-      'clinics',
-      'schools',
-      'sessions'
-    ].map((item) => ({
-      text: __(`organisation.${item}.title`),
-      href: `${organisation.uri}/${item}`,
-      current: view?.includes(item)
-    }))
+      ...['contact', 'clinics', 'schools', 'sessions'].map((item) => ({
+        text: __(`organisation.${item}.title`),
+        href: `${organisation.uri}/${item}`,
+        current: view?.includes(item)
+      })),
+      {
+        text: __('user.list.title'),
+        href: '/users'
+      },
+      can(account, UserPermission.ViewAuditLog) && {
+        text: __('auditEntry.list.title'),
+        href: '/audit'
+      },
+      can(account, UserPermission.ReviewRecordAccess) && {
+        text: __('recordAccess.list.title'),
+        href: '/access'
+      }
+    ].filter(Boolean)
 
     next()
   },
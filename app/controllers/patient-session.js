@@ -3,13 +3,13 @@ import {
   AuditEventType,
   ConsentOutcome,
   ConsentWindow,
-  InstructionOutcome,
   PreScreenQuestion,
   ProgrammeOutcome,
   ProgrammeType,
   RegistrationOutcome,
   ScreenOutcome,
   TriageOutcome,
+  UserPermission,
   UserRole,
   VaccinationOutcome,
   VaccinationSite,
@@ -21,14 +21,21 @@ import { PatientSession } from '../models/patient-session.js'
 import { Programme } from '../models/programme.js'
 import { Vaccination } from '../models/vaccination.js'
 import { today } from '../utils/date.js'
+import {
+  getNotVaccinatedReason,
+  getTriageTemplate,
+  getVaccinationTemplate,
+  notifyParents
+} from '../utils/notify.js'
+import { getFormFields } from '../utils/object.js'
+import { can, getUserRole, getVaccineMethods } from '../utils/policy.js'
 import { stringToBoolean } from '../utils/string.js'
 
 export const patientSessionController = {
   read(request, response, next, nhsn) {
-    const { account } = request.app.locals
     const { programme_id } = request.params
     const { activity } = request.query
-    const { __ } = response.locals
+    const { __, account } = response.locals
 
     const patientSession = PatientSession.findAll(request.session.data)
       .filter(({ programme }) => programme.id === programme_id)
@@ -55,25 +62,10 @@ export const patientSessionController = {
       ({ outcome }) => outcome === ProgrammeOutcome.Due
     )
 
-    // National protocol
-    // Nurses can record all vaccines
-    // HCAs can record injected flu vaccine, with supplier
-    if (session.nationalProtocol) {
-      // Upgrade permissions for HCAs
-      account.vaccineMethods.push(VaccineMethod.Injection)
-    }
-
-    // PSD protocol
-    // Nurses can record all vaccines
-    // HCAs can record nasal sprays for children with a PSD
-    const userIsHCA = account.role === UserRole.HCA
-    const patientHasPsd = patientSession.instruct === InstructionOutcome.Given
-    if (session.psdProtocol && userIsHCA && patientHasPsd === false) {
-      // Downgrade permissions for HCAs as patient doesn’t have a PSD
-      account.vaccineMethods = account.vaccineMethods.filter(
-        (method) => method !== VaccineMethod.Intranasal
-      )
-    }
+    // Vaccine methods user can record, according to session delegation
+    // settings and whether the patient has a PSD
+    const vaccineMethods = getVaccineMethods(account, patientSession)
+    const userIsHCA = getUserRole(account) === UserRole.HCA
 
     const userHasSupplier =
       // Injected vaccine using national protocol
@@ -86,28 +78,34 @@ export const patientSessionController = {
       // Show outstanding vaccinations
       showOutstandingVaccinations: vaccinated.length > 0 && due.length > 0,
       // Invite to session
-      canInvite: consent === ConsentOutcome.NoRequest,
+      canInvite:
+        can(account, UserPermission.RecordConsent) &&
+        consent === ConsentOutcome.NoRequest &&
+        report !== ProgrammeOutcome.Vaccinated,
       // Send a reminder to give consent
       canRemind:
+        can(account, UserPermission.RecordConsent) &&
         session.consentWindow === ConsentWindow.Open &&
         !session.isActive &&
-        consent === ConsentOutcome.NoResponse,
+        consent === ConsentOutcome.NoResponse &&
+        report !== ProgrammeOutcome.Vaccinated,
       // Get verbal consent
-      canRespond: !consentGiven,
+      canRespond: can(account, UserPermission.RecordConsent) && !consentGiven,
       // Perform Gillick assessment
       canGillick:
+        can(account, UserPermission.Triage) &&
         programme.type !== ProgrammeType.Flu &&
         session.isActive &&
         !consentGiven,
       // Patient can be triaged
-      canTriage: consentGiven,
+      canTriage: can(account, UserPermission.Triage) && consentGiven,
       // Patient needs triage
       needsTriage: triage === TriageOutcome.Needed,
       // Patient already triaged
       hasTriage: triageNotes.length > 0,
       hasSupplier: userIsHCA && userHasSupplier,
       canRecord:
-        account.vaccineMethods?.includes(patientSession.vaccine?.method) &&
+        vaccineMethods.includes(patientSession.vaccine?.method) &&
         record === Activity.Record,
       canReport:
         report === ProgrammeOutcome.Vaccinated &&
@@ -130,7 +128,7 @@ export const patientSessionController = {
     // Vaccinator has permission to record using the alternative vaccine
     // and patient has consent to vaccinate using the alternative vaccine
     response.locals.canRecordAlternativeVaccine =
-      account.vaccineMethods?.includes(programme.alternativeVaccine?.method) &&
+      vaccineMethods.includes(programme.alternativeVaccine?.method) &&
       patientSession.canRecordAlternativeVaccine
 
     const view = request.path.split('/').at(-1)
@@ -200,6 +198,25 @@ export const patientSessionController = {
     next()
   },
 
+  checkVersion(request, response, next) {
+    const { version } = request.body
+    const { patientSession } = response.locals
+
+    // Record changed since user loaded the form, or form has no version
+    if (version !== patientSession.version) {
+      return response.render('conflict', {
+        changes: patientSession.getChangesSince(version),
+        fields: getFormFields({
+          ...request.body,
+          version: patientSession.version
+        }),
+        record: patientSession
+      })
+    }
+
+    next()
+  },
+
   showForm(type) {
     return (request, response) => {
       const { view } = request.params
@@ -209,10 +226,9 @@ export const patientSessionController = {
   },
 
   register(request, response) {
-    const { account } = request.app.locals
     const { register } = request.body.patientSession
     const { data } = request.session
-    const { __, patientSession, session, back } = response.locals
+    const { __, account, patientSession, session, back } = response.locals
 
     patientSession.registerAttendance(
       {
@@ -243,6 +259,11 @@ export const patientSessionController = {
       )
 
       patientSession.patient.recordVaccination(vaccination)
+
+      notifyParents(request, response, getVaccinationTemplate(vaccination), {
+        patientSession,
+        reason: getNotVaccinatedReason(vaccination)
+      })
     }
 
     // Clean up session data
@@ -260,10 +281,9 @@ export const patientSessionController = {
 
   gillick(type) {
     return (request, response) => {
-      const { account } = request.app.locals
       const { gillick } = request.body.patientSession
       const { data } = request.session
-      const { __, back, patientSession } = response.locals
+      const { __, account, back, patientSession } = response.locals
 
       if (type === 'edit') {
         gillick.updatedAt = today()
@@ -288,10 +308,9 @@ export const patientSessionController = {
   },
 
   preScreen(request, response) {
-    const { account } = request.app.locals
     const { preScreen } = request.body.patientSession
     const { data } = request.session
-    const { patientSession, programme } = response.locals
+    const { account, patientSession, programme } = response.locals
 
     // Pre-screen interview
     patientSession.preScreen({
@@ -311,9 +330,8 @@ export const patientSessionController = {
   },
 
   vaccination(request, response) {
-    const { account } = request.app.locals
     const { data } = request.session
-    const { patientSession, session, programme } = response.locals
+    const { account, patientSession, session, programme } = response.locals
 
     // Vaccination
     const vaccination = Vaccination.create(
@@ -336,14 +354,15 @@ export const patientSessionController = {
   },
 
   invite(request, response) {
-    const { account } = request.app.locals
-    const { __, back, patient, patientSession } = response.locals
+    const { __, account, back, patient, patientSession } = response.locals
 
     patient.inviteToSession({
       session: patientSession.session,
       createdBy_uid: account.uid
     })
 
+    notifyParents(request, response, 'invite', { patientSession })
+
     request.flash(
       'success',
       __('patientSession.invite.success', { parent: patient.parent1 })
@@ -353,8 +372,7 @@ export const patientSessionController = {
   },
 
   remind(request, response) {
-    const { account } = request.app.locals
-    const { back, patient, patientSession } = response.locals
+    const { account, back, patient, patientSession } = response.locals
 
     patientSession.sendReminder(
       {
@@ -363,14 +381,15 @@ export const patientSessionController = {
       patient.parent1
     )
 
+    notifyParents(request, response, 'invite-reminder', { patientSession })
+
     response.redirect(back)
   },
 
   triage(request, response) {
-    const { account } = request.app.locals
     const { triage } = request.body
     const { data } = request.session
-    const { __, back, patientSession } = response.locals
+    const { __, account, back, patientSession } = response.locals
 
     if (triage.psd) {
       const instruction = Instruction.create(
@@ -398,6 +417,10 @@ export const patientSessionController = {
     // Update patient session
     PatientSession.update(patientSession.uuid, patientSession, data)
 
+    notifyParents(request, response, getTriageTemplate(triage.outcome), {
+      patientSession
+    })
+
     // Clean up session data
     delete data.triage
 
@@ -407,10 +430,9 @@ export const patientSessionController = {
   },
 
   note(request, response) {
-    const { account } = request.app.locals
     let { note, pinned } = request.body
     const { data } = request.session
-    const { __, back, patientSession } = response.locals
+    const { __, account, back, patientSession } = response.locals
 
     pinned = stringToBoolean(pinned)
 
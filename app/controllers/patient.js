@@ -1,8 +1,9 @@
 import _ from 'lodash'
 
-import { AcademicYear, ArchiveRecordReason } from '../enums.js'
+import { ArchiveRecordReason } from '../enums.js'
 import { Patient } from '../models/patient.js'
 import { Programme } from '../models/programme.js'
+import { getAcademicYears } from '../utils/date.js'
 import { getResults, getPagination } from '../utils/pagination.js'
 import { formatYearGroup } from '../utils/string.js'
 
@@ -35,7 +36,7 @@ export const patientController = {
     let { options, programme_ids, q, yearGroup } = request.query
     const { data } = request.session
 
-    const latestAcademicYear = Object.values(AcademicYear).at(-1)
+    const latestAcademicYear = getAcademicYears(data).at(-1)
     const programmes = Programme.findAll(data)
       .filter((programme) => programme.year === latestAcademicYear)
       .sort((a, b) => a.name.localeCompare(b.name))
@@ -251,10 +252,9 @@ export const patientController = {
   },
 
   archive(request, response) {
-    const { account } = request.app.locals
     const { patient_uuid } = request.params
     const { data } = request.session
-    const { __ } = response.locals
+    const { __, account } = response.locals
 
     const patient = Patient.archive(
       patient_uuid,
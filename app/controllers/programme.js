@@ -1,11 +1,24 @@
 import { Programme } from '../models/programme.js'
+import { Report } from '../models/report.js'
+import { formatDate } from '../utils/date.js'
+import {
+  getDailyProgress,
+  getSchoolUptake,
+  getSessionsWithLowResponse
+} from '../utils/progress.js'
 
 export const programmeController = {
   read(request, response, next, programme_id) {
-    response.locals.programme = Programme.findOne(
-      programme_id,
-      request.session.data
-    )
+    const { data } = request.session
+
+    response.locals.programme = Programme.findOne(programme_id, data)
+
+    // Saved reports can be run against any of the organisation’s programmes
+    response.locals.reports = Report.findAll(data)
+      .filter(
+        ({ organisation_code }) => organisation_code === data.organisation?.code
+      )
+      .map((report) => Object.assign(report, { programme_id }))
 
     next()
   },
@@ -22,6 +35,49 @@ export const programmeController = {
     response.render(`programme/${view}`)
   },
 
+  dashboard(request, response) {
+    const { __ } = response.locals
+    const { programme } = response.locals
+
+    const { cohort, days } = getDailyProgress(programme)
+    const latest = days.at(-1)
+
+    response.locals.cohort = cohort
+    response.locals.progress = {
+      days,
+      responses: latest?.responses || 0,
+      vaccinated: latest?.vaccinated || 0
+    }
+
+    response.locals.progressChart = days.length > 1 && {
+      max: cohort,
+      maxLabel: `${__('programme.dashboard.cohort.label')} (${cohort})`,
+      startLabel: formatDate(days[0].date, { dateStyle: 'medium' }),
+      endLabel: formatDate(latest.date, { dateStyle: 'medium' }),
+      series: [
+        {
+          label: __('programme.dashboard.responses.label'),
+          colour: 'blue',
+          values: days.map(({ responses }) => responses)
+        },
+        {
+          label: __('programme.dashboard.vaccinated.label'),
+          colour: 'green',
+          values: days.map(({ vaccinated }) => vaccinated)
+        }
+      ]
+    }
+
+    response.locals.previousProgramme = programme.previousProgramme
+    response.locals.schoolUptake = getSchoolUptake(
+      programme,
+      programme.previousProgramme
+    )
+    response.locals.lowResponseSessions = getSessionsWithLowResponse(programme)
+
+    response.render('programme/dashboard')
+  },
+
   list(request, response) {
     response.render('programme/list')
   }
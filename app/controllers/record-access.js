@@ -0,0 +1,109 @@
+import { AccessReason } from '../enums.js'
+import { Patient } from '../models/patient.js'
+import { RecordAccess } from '../models/record-access.js'
+import { getNextPath } from '../utils/authentication.js'
+import { getDateValueDifference } from '../utils/date.js'
+
+export const recordAccessController = {
+  read(request, response, next, patient_uuid) {
+    const { data } = request.session
+
+    const patient = Patient.findOne(patient_uuid, data)
+
+    response.locals.patient = patient
+    response.locals.paths = {
+      back: '/access',
+      next: getNextPath(request.query.next, patient.uri)
+    }
+
+    next()
+  },
+
+  readAll(request, response, next) {
+    const { data } = request.session
+
+    // Only show access by users signed in to the current organisation
+    response.locals.recordAccesses = RecordAccess.findAll(data)
+      .filter(
+        ({ organisation_code }) => organisation_code === data.organisation.code
+      )
+      .sort((a, b) => getDateValueDifference(b.createdAt, a.createdAt))
+
+    next()
+  },
+
+  list(request, response) {
+    const { recordAccesses } = response.locals
+
+    // Group access by patient, most recently accessed first
+    const patients = new Map()
+    for (const recordAccess of recordAccesses) {
+      const { patient, patient_uuid } = recordAccess
+      if (!patient) {
+        continue
+      }
+
+      if (!patients.has(patient_uuid)) {
+        patients.set(patient_uuid, {
+          patient,
+          lastAccess: recordAccess,
+          users: new Set(),
+          count: 0
+        })
+      }
+
+      const accessedPatient = patients.get(patient_uuid)
+      accessedPatient.users.add(recordAccess.createdBy_uid)
+      accessedPatient.count++
+    }
+
+    response.locals.accessedPatients = [...patients.values()]
+
+    response.render('record-access/list')
+  },
+
+  show(request, response) {
+    const { patient, recordAccesses } = response.locals
+
+    response.locals.recordAccesses = recordAccesses.filter(
+      ({ patient_uuid }) => patient_uuid === patient.uuid
+    )
+
+    response.render('record-access/show')
+  },
+
+  reason(request, response) {
+    response.render('record-access/reason')
+  },
+
+  updateReason(request, response) {
+    const { data } = request.session
+    const { __, paths, patient } = response.locals
+    const { reason, reasonOther } = request.body
+
+    // Clean up session data
+    delete data.reason
+    delete data.reasonOther
+
+    const errors = {}
+    if (!reason) {
+      errors.reason = __('recordAccess.reason.errors.missing')
+    } else if (reason === AccessReason.Other && !reasonOther) {
+      errors.reasonOther = __('recordAccess.reasonOther.errors.missing')
+    }
+
+    if (Object.keys(errors).length > 0) {
+      response.locals.errors = errors
+
+      return recordAccessController.reason(request, response)
+    }
+
+    // Reason is kept until the user signs out
+    data.token.accessReasons = {
+      ...data.token.accessReasons,
+      [patient.uuid]: { reason, reasonOther }
+    }
+
+    response.redirect(paths.next)
+  }
+}
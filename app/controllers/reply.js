@@ -13,6 +13,11 @@ import { Programme } from '../models/programme.js'
 import { Reply } from '../models/reply.js'
 import { Vaccination } from '../models/vaccination.js'
 import { today } from '../utils/date.js'
+import {
+  getReplyTemplate,
+  getTriageTemplate,
+  notifyParents
+} from '../utils/notify.js'
 import { hasAnswersNeedingTriage } from '../utils/reply.js'
 import { formatParent } from '../utils/string.js'
 import {
@@ -47,7 +52,7 @@ export const replyController = {
   },
 
   new(request, response) {
-    const { account } = request.app.locals
+    const { account } = response.locals
     const { programme_id, nhsn } = request.params
     const { data } = request.session
 
@@ -74,10 +79,10 @@ export const replyController = {
 
   update(type) {
     return (request, response) => {
-      const { account, invalidUuid } = request.app.locals
+      const { invalidUuid } = request.app.locals
       const { reply_uuid } = request.params
       const { data } = request.session
-      const { __, activity, patientSession, triage } = response.locals
+      const { __, account, activity, patientSession, triage } = response.locals
 
       let reply
       let next
@@ -115,6 +120,22 @@ export const replyController = {
 
         // Update session data
         Reply.update(reply_uuid, reply, data)
+
+        // Confirm response with parent, and let them know triage outcome
+        if (reply.parent) {
+          notifyParents(request, response, getReplyTemplate(reply), {
+            patientSession,
+            parents: [reply.parent]
+          })
+        }
+
+        if (triage?.outcome) {
+          const { outcome } = { ...triage, ...data?.wizard?.triage }
+
+          notifyParents(request, response, getTriageTemplate(outcome), {
+            patientSession
+          })
+        }
       }
 
       // Clean up session data
@@ -292,11 +313,10 @@ export const replyController = {
   },
 
   updateForm(request, response) {
-    const { account } = request.app.locals
     const { respondent } = request.body
     const { reply_uuid } = request.params
     const { data } = request.session
-    const { paths, patientSession, reply, triage } = response.locals
+    const { account, paths, patientSession, reply, triage } = response.locals
 
     Reply.update(reply_uuid, request.body.reply, data.wizard)
 
@@ -410,11 +430,10 @@ export const replyController = {
   },
 
   withdraw(request, response) {
-    const { account } = request.app.locals
     const { refusalReason, refusalReasonOther, note } = request.body.reply
     const { reply_uuid } = request.params
     const { data } = request.session
-    const { __, activity, patientSession, reply } = response.locals
+    const { __, account, activity, patientSession, reply } = response.locals
 
     // Create a new reply
     const newReply = Reply.create(
@@ -433,6 +452,13 @@ export const replyController = {
 
     patientSession.patient.addReply(newReply)
 
+    if (newReply.parent) {
+      notifyParents(request, response, getReplyTemplate(newReply), {
+        patientSession,
+        parents: [newReply.parent]
+      })
+    }
+
     // Add vaccination if refusal reason is already given
     if (refusalReason === ReplyRefusal.AlreadyGiven) {
       const vaccination = Vaccination.create(
@@ -0,0 +1,147 @@
+import { ReportDimension, ReportMeasure } from '../enums.js'
+import { Report } from '../models/report.js'
+
+export const reportController = {
+  read(request, response, next, report_id) {
+    const { programme_id } = request.params
+    const report = Report.findOne(report_id, request.session.data)
+
+    // Run saved report against the programme being viewed
+    report.programme_id = programme_id
+
+    response.locals.report = report
+    response.locals.paths = {
+      back: report.uri,
+      next: `/reports/${programme_id}`
+    }
+
+    next()
+  },
+
+  show(request, response) {
+    response.render('report/show')
+  },
+
+  form(type) {
+    return (request, response) => {
+      const { programme_id } = request.params
+      const { data } = request.session
+
+      response.locals.report = new Report(
+        {
+          ...response.locals.report,
+          ...request.body?.report,
+          programme_id,
+          organisation_code: data.organisation.code
+        },
+        data
+      )
+
+      response.locals.dimensionItems = Object.values(ReportDimension).map(
+        (dimension) => ({ text: dimension, value: dimension })
+      )
+
+      response.locals.measureItems = Object.values(ReportMeasure).map(
+        (measure) => ({ text: measure, value: measure })
+      )
+
+      response.render('report/form', { type })
+    }
+  },
+
+  action(type) {
+    return (request, response) => {
+      response.render('report/action', { type })
+    }
+  },
+
+  validate(type) {
+    return (request, response, next) => {
+      const { __ } = response.locals
+      const report = new Report(request.body.report)
+
+      const errors = {}
+      if (!report.name) {
+        errors['report-name'] = __('report.name.errors.missing')
+      }
+
+      if (report.tooManyDimensions) {
+        errors['report-dimensions'] = __('report.dimensions.errors.tooMany')
+      }
+
+      if (report.measures.length === 0) {
+        errors['report-measures'] = __('report.measures.errors.missing')
+      }
+
+      if (Object.keys(errors).length > 0) {
+        response.locals.errors = errors
+
+        return reportController.form(type)(request, response)
+      }
+
+      next()
+    }
+  },
+
+  create(request, response) {
+    const { programme_id } = request.params
+    const { data } = request.session
+    const { __, account } = response.locals
+
+    // Clean up session data
+    delete data.report
+
+    const report = Report.create(
+      {
+        ...request.body.report,
+        createdBy_uid: account.uid,
+        organisation_code: data.organisation.code
+      },
+      data
+    )
+
+    request.flash('success', __(`report.new.success`, { report }))
+
+    response.redirect(`/reports/${programme_id}/custom/${report.id}`)
+  },
+
+  update(request, response) {
+    const { report_id } = request.params
+    const { data } = request.session
+    const { __, paths } = response.locals
+
+    // Clean up session data
+    delete data.report
+
+    const report = Report.update(report_id, request.body.report, data)
+
+    request.flash('success', __(`report.edit.success`, { report }))
+
+    response.redirect(paths.back)
+  },
+
+  delete(request, response) {
+    const { report_id } = request.params
+    const { data } = request.session
+    const { __, paths } = response.locals
+
+    Report.delete(report_id, data)
+
+    request.flash('success', __(`report.delete.success`))
+
+    response.redirect(paths.next)
+  },
+
+  download(request, response) {
+    const { report } = response.locals
+
+    const { buffer, fileName, mimetype } = report.createFile(
+      request.query.format
+    )
+
+    response.header('Content-Type', mimetype)
+    response.header('Content-disposition', `attachment; filename=${fileName}`)
+
+    response.end(buffer)
+  }
+}
@@ -1,6 +1,7 @@
 import { Notice } from '../models/notice.js'
 import { Patient } from '../models/patient.js'
 import { Upload } from '../models/upload.js'
+import { Vaccination } from '../models/vaccination.js'
 import { getDateValueDifference } from '../utils/date.js'
 
 export const reviewController = {
@@ -16,6 +17,8 @@ export const reviewController = {
 
     response.locals.patient = new Patient(patient, data)
 
+    response.locals.match = upload.matches[patient?.uuid]
+
     response.locals.upload = upload
 
     response.locals.duplicatePatient = new Patient(
@@ -26,6 +29,12 @@ export const reviewController = {
       data
     )
 
+    // Uploaded vaccination is held until the match is confirmed
+    response.locals.vaccination = response.locals.patient.vaccinations[0]
+    response.locals.duplicateVaccination =
+      patient?.pendingChanges?.vaccination &&
+      new Vaccination(patient.pendingChanges.vaccination, data)
+
     next()
   },
 
@@ -59,13 +68,46 @@ export const reviewController = {
 
   update(request, response) {
     const { decision } = request.body
-    const { __, back } = response.locals
+    const { data } = request.session
+    const { __, back, patient, upload } = response.locals
 
-    // Doesn’t change any values, but shows a confirmation message
+    // Update record with values from uploaded record
     if (decision === 'duplicate') {
+      const { vaccination, ...changes } = patient.pendingChanges
+
+      Patient.update(patient.uuid, { ...changes, pendingChanges: {} }, data)
+
+      // Record vaccination held until the match was confirmed
+      if (vaccination) {
+        const createdVaccination = Vaccination.create(vaccination, data)
+
+        Patient.findOne(patient.uuid, data).recordVaccination(
+          createdVaccination
+        )
+
+        Upload.update(
+          upload.id,
+          {
+            vaccination_uuids: [
+              ...upload.vaccination_uuids,
+              createdVaccination.uuid
+            ]
+          },
+          data
+        )
+      }
+
       request.flash('success', __('review.duplicate.success'))
     }
 
+    // Keep existing record, discarding values (and any vaccination) from
+    // uploaded record
+    if (decision === 'original') {
+      Patient.update(patient.uuid, { pendingChanges: {} }, data)
+
+      request.flash('success', __('review.original.success'))
+    }
+
     // Doesn’t change any values, but shows a confirmation message
     if (decision === 'restore') {
       request.flash('success', __('review.archived.success'))
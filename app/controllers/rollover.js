@@ -0,0 +1,31 @@
+import { canRollover, getRolloverChanges, rollover } from '../utils/rollover.js'
+
+export const rolloverController = {
+  read(request, response, next) {
+    const { data } = request.session
+
+    response.locals.canRollover = canRollover(data)
+    response.locals.changes = getRolloverChanges(data)
+
+    next()
+  },
+
+  show(request, response) {
+    response.render('rollover/show')
+  },
+
+  update(request, response) {
+    const { data } = request.session
+    const { __, account, changes } = response.locals
+
+    if (!response.locals.canRollover) {
+      return response.redirect('/rollover')
+    }
+
+    rollover(changes, data, account?.uid)
+
+    request.flash('success', __('rollover.success', { changes }))
+
+    response.redirect('/reports')
+  }
+}
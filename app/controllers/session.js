@@ -2,7 +2,7 @@ import wizard from '@x-govuk/govuk-prototype-wizard'
 import _ from 'lodash'
 
 import {
-  AcademicYear,
+  AccessReason,
   Activity,
   ConsentOutcome,
   InstructionOutcome,
@@ -10,18 +10,23 @@ import {
   RegistrationOutcome,
   ScreenOutcome,
   SessionType,
-  VaccineCriteria,
-  VaccineMethod
+  VaccineCriteria
 } from '../enums.js'
+import { Batch } from '../models/batch.js'
 import { Clinic } from '../models/clinic.js'
 import { DefaultBatch } from '../models/default-batch.js'
 import { Instruction } from '../models/instruction.js'
 import { Organisation } from '../models/organisation.js'
 import { PatientSession } from '../models/patient-session.js'
 import { Patient } from '../models/patient.js'
+import { RecordAccess } from '../models/record-access.js'
 import { Session } from '../models/session.js'
-import { getDateValueDifference } from '../utils/date.js'
+import { TemperatureReading } from '../models/temperature-reading.js'
+import { getAcademicYears, getDateValueDifference } from '../utils/date.js'
+import { getSender } from '../utils/notify.js'
 import { getResults, getPagination } from '../utils/pagination.js'
+import { getVaccineMethods } from '../utils/policy.js'
+import { sendConsentReminders } from '../utils/schedule.js'
 import { formatYearGroup } from '../utils/string.js'
 
 export const sessionController = {
@@ -31,9 +36,9 @@ export const sessionController = {
     const session = Session.findOne(session_id, data)
     response.locals.session = session
 
-    response.locals.defaultBatches = DefaultBatch.findAll(data).filter(
-      (defaultBatch) => defaultBatch.session_id === session_id
-    )
+    response.locals.defaultBatches = DefaultBatch.findAll(data)
+      .filter((defaultBatch) => defaultBatch.session_id === session_id)
+      .filter((defaultBatch) => defaultBatch.batch?.usable)
 
     next()
   },
@@ -66,7 +71,7 @@ export const sessionController = {
   },
 
   new(request, response) {
-    const { account } = request.app.locals
+    const { account } = response.locals
     const { data } = request.session
 
     const session = Session.create(
@@ -137,7 +142,7 @@ export const sessionController = {
     // Academic year options
     response.locals.academicYearItems =
       isRollover &&
-      Object.values(AcademicYear)
+      getAcademicYears(data)
         .slice(-2)
         .map((value) => ({
           text: value,
@@ -238,7 +243,7 @@ export const sessionController = {
   },
 
   readPatientSessions(request, response, next) {
-    const { account } = request.app.locals
+    const { account } = response.locals
     const { view } = request.params
     let {
       options,
@@ -257,11 +262,6 @@ export const sessionController = {
 
     let results = session.patientSessions
 
-    // Upgrade permissions according to session delegation settings
-    if (session.nationalProtocol) {
-      account.vaccineMethods.push(VaccineMethod.Injection)
-    }
-
     // Convert year groups query into an array of numbers
     let yearGroups
     if (yearGroup) {
@@ -369,10 +369,12 @@ export const sessionController = {
     // Only show patients ready to vaccinate, and that a user can vaccinate
     if (view === 'record') {
       results = results.filter(
-        ({ nextActivity, register, vaccine }) =>
-          nextActivity === Activity.Record &&
-          register !== RegistrationOutcome.Pending &&
-          account.vaccineMethods?.includes(vaccine?.method)
+        (patientSession) =>
+          patientSession.nextActivity === Activity.Record &&
+          patientSession.register !== RegistrationOutcome.Pending &&
+          getVaccineMethods(account, patientSession).includes(
+            patientSession.vaccine?.method
+          )
       )
     }
 
@@ -635,10 +637,21 @@ export const sessionController = {
   },
 
   downloadFile(request, response) {
+    const { firstName, lastName } = request.body
     const { data } = request.session
     const { session } = response.locals
 
-    const { buffer, fileName, mimetype } = session.createFile(data)
+    const { buffer, fileName, mimetype } = session.createFile(data, {
+      firstName,
+      lastName
+    })
+
+    // Log download of any sensitive records
+    RecordAccess.logDownload(
+      session.patientSessions.map(({ patient }) => patient),
+      { reason: AccessReason.DirectCare, uri: request.originalUrl },
+      data
+    )
 
     response.header('Content-Type', mimetype)
     response.header('Content-disposition', `attachment; filename=${fileName}`)
@@ -647,8 +660,7 @@ export const sessionController = {
   },
 
   giveInstructions(request, response) {
-    const { account } = request.app.locals
-    const { __, session } = response.locals
+    const { __, account, session } = response.locals
     const { data } = request.session
 
     const patientsToInstruct = session.patientSessions
@@ -678,16 +690,76 @@ export const sessionController = {
   sendReminders(request, response) {
     const { __, session } = response.locals
 
+    sendConsentReminders(getSender(request, response), session)
+
     request.flash('success', __(`session.reminders.success`, { session }))
 
     response.redirect(session.uri)
   },
 
+  recordTemperature(request, response) {
+    const { data } = request.session
+    const { __, __mf, account, session } = response.locals
+    const { min, max } = request.body.temperatureReading
+
+    // Check minimum and maximum temperatures are numbers, in the right order
+    if (
+      !Number.isFinite(Number.parseFloat(min)) ||
+      !Number.isFinite(Number.parseFloat(max)) ||
+      Number(min) > Number(max)
+    ) {
+      response.locals.errors = {
+        'temperatureReading-min': __('temperatureReading.errors.range')
+      }
+
+      return response.render('session/temperatures')
+    }
+
+    const reading = new TemperatureReading({
+      ...request.body.temperatureReading,
+      createdBy_uid: account.uid
+    })
+
+    // Remove reading context
+    delete reading.context
+
+    // Clean up session data
+    delete data.temperatureReading
+
+    Session.update(
+      session.id,
+      { temperatureLog: [...session.temperatureLog, { ...reading }] },
+      data
+    )
+
+    if (reading.excursion) {
+      // Quarantine batches used in session
+      const batches = session.batches.filter(
+        (batch) => !batch.archivedAt && !batch.quarantined
+      )
+
+      for (const batch of batches) {
+        Batch.quarantine(batch.id, { session_id: session.id }, data)
+      }
+
+      request.flash(
+        'message',
+        __mf('temperatureReading.excursion.message', {
+          count: batches.length,
+          ids: batches.map(({ id }) => id).join(', ')
+        })
+      )
+    } else {
+      request.flash('success', __('temperatureReading.new.success'))
+    }
+
+    response.redirect(`${session.uri}/temperatures`)
+  },
+
   close(request, response) {
-    const { account } = request.app.locals
     const { session_id } = request.params
     const { data } = request.session
-    const { __ } = response.locals
+    const { __, account } = response.locals
 
     // Update session as closed
     const session = Session.update(session_id, { closed: true }, data)
@@ -0,0 +1,91 @@
+import schoolTerms from '../datasets/school-terms.js'
+import { SchoolTerm } from '../enums.js'
+import { getNextPath } from '../utils/authentication.js'
+import {
+  addDays,
+  convertObjectToIsoDate,
+  formatDate,
+  setToday,
+  today
+} from '../utils/date.js'
+
+export const todayController = {
+  read(request, response, next) {
+    const { __ } = response.locals
+
+    // Presets use dates in the latest academic year
+    const academicYears = Object.keys(schoolTerms)
+    const academicYear = academicYears.at(-1)
+    const previousAcademicYear = academicYears.at(-2)
+
+    const presets = {
+      rollover: addDays(
+        new Date(schoolTerms[previousAcademicYear][SchoolTerm.Summer].to),
+        1
+      ),
+      autumn: new Date(schoolTerms[academicYear][SchoolTerm.Autumn].from),
+      spring: new Date(schoolTerms[academicYear][SchoolTerm.Spring].from),
+      summer: new Date(schoolTerms[academicYear][SchoolTerm.Summer].from),
+      nextRollover: addDays(
+        new Date(schoolTerms[academicYear][SchoolTerm.Summer].to),
+        1
+      )
+    }
+
+    response.locals.presets = presets
+    response.locals.presetItems = Object.entries(presets).map(
+      ([value, date]) => ({
+        text: __(`today.preset.${value}`, { academicYear }),
+        hint: { text: formatDate(date, { dateStyle: 'full' }) },
+        value
+      })
+    )
+
+    next()
+  },
+
+  edit(request, response) {
+    response.render('today/edit')
+  },
+
+  update(request, response) {
+    const { preset, date_ } = request.body.today || {}
+    const { data } = request.session
+    const { __, presets } = response.locals
+
+    let date
+    if (preset === 'custom') {
+      date = convertObjectToIsoDate(date_)
+    } else if (presets[preset]) {
+      date = presets[preset]
+    }
+
+    const errors = {}
+    if (preset === 'custom' && (!date || isNaN(date.valueOf()))) {
+      errors['today-date_'] = __('today.date.errors.invalid')
+    } else if (!date && preset !== 'reset') {
+      errors['today-preset'] = __('today.preset.errors.missing')
+    }
+
+    if (Object.keys(errors).length > 0) {
+      response.locals.errors = errors
+
+      return todayController.edit(request, response)
+    }
+
+    // Without a date, use the real date
+    setToday(date)
+
+    // Clean up session data
+    delete data.today
+
+    request.flash(
+      'success',
+      __('today.edit.success', {
+        today: formatDate(today(), { dateStyle: 'long' })
+      })
+    )
+
+    response.redirect(getNextPath(request.query.referrer, '/'))
+  }
+}
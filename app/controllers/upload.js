@@ -5,6 +5,7 @@ import { Notice } from '../models/notice.js'
 import { Upload } from '../models/upload.js'
 import { getDateValueDifference } from '../utils/date.js'
 import { formatYearGroup } from '../utils/string.js'
+import { parseUploadFile } from '../utils/upload.js'
 
 export const uploadController = {
   read(request, response, next, upload_id) {
@@ -68,7 +69,7 @@ export const uploadController = {
   },
 
   new(request, response) {
-    const { account } = request.app.locals
+    const { account } = response.locals
     const { programme_id } = request.params
     const { type, urn } = request.query
     const { data } = request.session
@@ -80,7 +81,6 @@ export const uploadController = {
         type,
         status: UploadStatus.Processing,
         progress: 1,
-        fileName: 'example.csv',
         ...(type === UploadType.School &&
           urn && {
             school_urn: urn
@@ -102,7 +102,22 @@ export const uploadController = {
   update(request, response) {
     const { upload_id } = request.params
     const { data, referrer } = request.session
+    const { file } = request
     const { __ } = response.locals
+    const { type } = data.wizard.uploads[upload_id]
+
+    // Only accept CSV files (or XLSX files for offline session spreadsheets)
+    const rows = file && parseUploadFile(file, type)
+    if (!rows) {
+      response.locals.errors = {
+        upload:
+          type === UploadType.Offline
+            ? __('upload.file.errors.invalidOffline')
+            : __('upload.file.errors.invalid')
+      }
+
+      return response.status(422).render('upload/form/file')
+    }
 
     // Update session data
     let upload = Upload.update(
@@ -113,6 +128,16 @@ export const uploadController = {
 
     upload = Upload.create(upload, data)
 
+    // Process records in uploaded file
+    upload = Upload.update(
+      upload.id,
+      {
+        fileName: file.originalname,
+        ...upload.processFile(rows, data)
+      },
+      data
+    )
+
     // Clean up session data
     delete data.upload
     delete data.wizard
@@ -210,10 +235,9 @@ export const uploadController = {
   },
 
   approve(request, response) {
-    const { account } = request.app.locals
     const { upload_id } = request.params
     const { data } = request.session
-    const { __ } = response.locals
+    const { __, account } = response.locals
 
     Upload.update(
       upload_id,
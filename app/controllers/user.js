@@ -1,14 +1,27 @@
+import { UserRole } from '../enums.js'
 import { User } from '../models/user.js'
+import { today } from '../utils/date.js'
+import { stringToBoolean } from '../utils/string.js'
 
 export const userController = {
   read(request, response, next, user_uid) {
-    response.locals.user = User.findOne(user_uid, request.session.data)
+    const user = User.findOne(user_uid, request.session.data)
+
+    response.locals.user = user
+    response.locals.paths = {
+      back: user.uri,
+      next: user.uri
+    }
 
     next()
   },
 
   readAll(request, response, next) {
-    response.locals.users = User.findAll(request.session.data)
+    const { data } = request.session
+
+    response.locals.users = User.findAll(data)
+      .filter((user) => user.getRole(data.organisation.code))
+      .sort((a, b) => a.fullName.localeCompare(b.fullName))
 
     next()
   },
@@ -19,5 +32,168 @@ export const userController = {
 
   list(request, response) {
     response.render('user/list')
+  },
+
+  readForm(request, response, next) {
+    const { data } = request.session
+    const { user } = response.locals
+
+    // Role is set for the current organisation only
+    const role =
+      request.body?.user?.role || user?.getRole(data.organisation.code)
+
+    response.locals.roleItems = Object.values(UserRole).map((value) => ({
+      text: value,
+      value,
+      checked: value === role
+    }))
+
+    response.locals.paths = {
+      back: user?.uri || '/users',
+      next: user?.uri || '/users'
+    }
+
+    next()
+  },
+
+  form(type) {
+    return (request, response) => {
+      response.render('user/form', { type })
+    }
+  },
+
+  action(type) {
+    return (request, response) => {
+      response.render('user/action', { type })
+    }
+  },
+
+  validate(type) {
+    return (request, response, next) => {
+      const { data } = request.session
+      const { __ } = response.locals
+      const { user_uid } = request.params
+      const { firstName, lastName, email, role } = request.body.user
+
+      const errors = {}
+      if (!firstName) {
+        errors['user-firstName'] = __('user.firstName.errors.missing')
+      }
+
+      if (!lastName) {
+        errors['user-lastName'] = __('user.lastName.errors.missing')
+      }
+
+      if (!email) {
+        errors['user-email'] = __('user.email.errors.missing')
+      } else if (
+        User.findAll(data).some(
+          (user) =>
+            user.uid !== user_uid &&
+            user.email?.toLowerCase() === email.trim().toLowerCase()
+        )
+      ) {
+        errors['user-email'] = __('user.email.errors.duplicate')
+      }
+
+      if (!role) {
+        errors['user-role'] = __('user.role.errors.missing')
+      }
+
+      if (Object.keys(errors).length > 0) {
+        response.locals.errors = errors
+
+        return response.render('user/form', { type })
+      }
+
+      next()
+    }
+  },
+
+  create(request, response) {
+    const { data } = request.session
+    const { __, account } = response.locals
+    const { role, ...user } = request.body.user
+
+    // Clean up session data
+    delete data.user
+
+    const createdUser = User.create(
+      {
+        ...user,
+        email: user.email.trim(),
+        prescriber: stringToBoolean(user.prescriber) || false,
+        role,
+        roles: { [data.organisation.code]: role },
+        invitedAt: today(),
+        invitedBy_uid: account.uid
+      },
+      data
+    )
+
+    request.flash('success', __('user.new.success', { user: createdUser }))
+
+    response.redirect('/users')
+  },
+
+  update(request, response) {
+    const { user_uid } = request.params
+    const { data } = request.session
+    const { __, paths, user } = response.locals
+    const { role, ...updates } = request.body.user
+
+    // Clean up session data
+    delete data.user
+
+    const updatedUser = User.update(
+      user_uid,
+      {
+        ...updates,
+        email: updates.email.trim(),
+        prescriber: stringToBoolean(updates.prescriber) || false,
+        role,
+        roles: { ...user.roles, [data.organisation.code]: role }
+      },
+      data
+    )
+
+    request.flash('success', __('user.edit.success', { user: updatedUser }))
+
+    response.redirect(paths.next)
+  },
+
+  deactivate(request, response) {
+    const { user_uid } = request.params
+    const { data } = request.session
+    const { __, account, paths } = response.locals
+
+    // Users cannot lock themselves out
+    if (user_uid === account.uid) {
+      request.flash('message', __('user.deactivate.self'))
+
+      return response.redirect(paths.next)
+    }
+
+    const user = User.deactivate(
+      user_uid,
+      { deactivatedBy_uid: account.uid },
+      data
+    )
+
+    request.flash('success', __('user.deactivate.success', { user }))
+
+    response.redirect(paths.next)
+  },
+
+  reactivate(request, response) {
+    const { user_uid } = request.params
+    const { data } = request.session
+    const { __, paths } = response.locals
+
+    const user = User.reactivate(user_uid, data)
+
+    request.flash('success', __('user.reactivate.success', { user }))
+
+    response.redirect(paths.next)
   }
 }
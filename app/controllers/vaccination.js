@@ -1,6 +1,5 @@
-import prototypeFilters from '@x-govuk/govuk-prototype-filters'
 import wizard from '@x-govuk/govuk-prototype-wizard'
-import _ from 'lodash'
+import { isBefore } from 'date-fns'
 
 import {
   VaccinationMethod,
@@ -17,7 +16,18 @@ import { Programme } from '../models/programme.js'
 import { User } from '../models/user.js'
 import { Vaccination } from '../models/vaccination.js'
 import { Vaccine } from '../models/vaccine.js'
-import { today } from '../utils/date.js'
+import { formatDate, today } from '../utils/date.js'
+import {
+  getNotVaccinatedReason,
+  getVaccinationTemplate,
+  notifyParents
+} from '../utils/notify.js'
+import { getFormFields } from '../utils/object.js'
+import {
+  getUserRole,
+  getVaccineMethodPermission,
+  getVaccineMethods
+} from '../utils/policy.js'
 
 export const vaccinationController = {
   read(request, response, next, vaccination_uuid) {
@@ -54,6 +64,7 @@ export const vaccinationController = {
     let vaccination = Vaccination.findOne(vaccination_uuid, data.wizard)
     if (!vaccination) {
       vaccination = Vaccination.create(response.locals.vaccination, data.wizard)
+      data.vaccination_version = response.locals.vaccination.version
     }
 
     // TODO: Use presenter
@@ -66,21 +77,42 @@ export const vaccinationController = {
   },
 
   new(request, response) {
-    const { account } = request.app.locals
     const { patientSession_uuid } = request.query
     const { data } = request.session
+    const { __, account } = response.locals
 
     const patientSession = PatientSession.findOne(patientSession_uuid, data)
     const { session, programme, vaccine, instruction } = patientSession
     const { identifiedBy, injectionSite, ready, selfId, suppliedBy_uid } =
       data.patientSession.preScreen
 
-    // Check for default batch
+    // Check for default batch (that can still be used)
     const defaultBatch = DefaultBatch.findAll(data)
       .filter((batch) => batch.vaccine_snomed === vaccine?.snomed)
+      .filter((batch) => batch.batch?.usable)
       .find((batch) => batch.session_id === session?.id)
 
     const readyToVaccine = ['true', 'alternative'].includes(ready)
+
+    // User must be able to record the vaccine being given
+    const method =
+      ready === 'alternative'
+        ? programme.alternativeVaccine?.method
+        : vaccine?.method
+    if (
+      readyToVaccine &&
+      method &&
+      !getVaccineMethods(account, patientSession).includes(method)
+    ) {
+      request.flash(
+        'message',
+        __('account.permissions.forbidden', {
+          permission: getVaccineMethodPermission(method).toLowerCase()
+        })
+      )
+
+      return response.redirect(patientSession.uri)
+    }
     const injectionSiteGiven = [
       VaccinationSite.ArmLeftUpper,
       VaccinationSite.ArmRightUpper
@@ -107,10 +139,11 @@ export const vaccinationController = {
       data.defaultBatchId = defaultBatch.id
     }
     data.patientSession_uuid = patientSession_uuid
+    data.patientSession_version = patientSession.version
 
     // Used logged in user as vaccinator, or default to example user
     const createdBy_uid = account.uid || '000123456789'
-    const role = account.role || UserRole.Nurse
+    const role = getUserRole(account)
 
     // Nurses always use PGD protocol
     let protocol = VaccinationProtocol.PGD
@@ -154,7 +187,8 @@ export const vaccinationController = {
           outcome: VaccinationOutcome.Vaccinated
         }),
         ...(programme.sequence && {
-          sequence: programme.sequenceDefault
+          sequence:
+            patientSession.nextDose?.sequence || programme.sequenceDefault
         }),
         ...(defaultBatch && {
           batch_id: defaultBatch.id
@@ -178,6 +212,72 @@ export const vaccinationController = {
         ...request.body?.vaccination
       }
 
+      // Check record hasn’t changed since user started recording
+      const patientSession = PatientSession.findOne(
+        updates.patientSession_uuid,
+        data
+      )
+      const savedVaccination = Vaccination.findOne(vaccination_uuid, data)
+      const record = type === 'new' ? patientSession : savedVaccination
+      const version =
+        request.body?.version ||
+        (type === 'new'
+          ? data.patientSession_version
+          : data.vaccination_version)
+
+      if (record && version !== record.version) {
+        return response.render('conflict', {
+          changes:
+            (type === 'new' && patientSession?.getChangesSince(version)) || [],
+          fields: getFormFields({ ...request.body, version: record.version }),
+          record: patientSession || record
+        })
+      }
+
+      // Check batch can still be used, if it has been set or changed
+      const batch = Batch.findOne(updates.batch_id, data)
+      if (
+        updates.batch_id &&
+        updates.batch_id !== savedVaccination?.batch_id &&
+        !batch?.usable
+      ) {
+        delete data.defaultBatchId
+
+        request.flash(
+          'message',
+          __('batch.errors.unusable', { batch_id: updates.batch_id })
+        )
+
+        return response.redirect(
+          `${response.locals.vaccination.uri}/${type}/batch-id`
+        )
+      }
+
+      // Check minimum interval since previous dose has passed
+      const newVaccination = new Vaccination(updates, data)
+      const nextDose = newVaccination.programme?.getNextDose(
+        newVaccination.patient?.vaccinations || [],
+        newVaccination
+      )
+      if (
+        nextDose?.dueFrom &&
+        newVaccination.given &&
+        isBefore(newVaccination.createdAt, nextDose.dueFrom)
+      ) {
+        request.flash(
+          'message',
+          __('vaccination.new.doseNotDue.description', {
+            dueFrom: formatDate(nextDose.dueFrom, { dateStyle: 'long' })
+          })
+        )
+
+        return response.redirect(
+          type === 'new'
+            ? `${response.locals.vaccination.uri}/new/check-answers`
+            : `${response.locals.vaccination.uri}/edit`
+        )
+      }
+
       if (type === 'new') {
         Vaccination.create(updates, data)
       } else {
@@ -187,11 +287,6 @@ export const vaccinationController = {
       // TODO: Use presenter
       const vaccination = Vaccination.findOne(vaccination_uuid, data)
 
-      const patientSession = PatientSession.findOne(
-        vaccination.patientSession_uuid,
-        data
-      )
-
       // Update number of vaccinations given
       if (type === 'new') {
         if (data?.token?.vaccinations?.[vaccination.vaccine.snomed]) {
@@ -209,13 +304,22 @@ export const vaccinationController = {
       delete data.batch_id
       delete data.defaultBatch
       delete data.patientSession_uuid
+      delete data.patientSession_version
       delete data.startPath
       delete data.vaccination
+      delete data.vaccination_version
       delete data.wizard
 
       // Update session data
       patientSession.patient.recordVaccination(vaccination)
 
+      if (type === 'new') {
+        notifyParents(request, response, getVaccinationTemplate(vaccination), {
+          patientSession,
+          reason: getNotVaccinatedReason(vaccination)
+        })
+      }
+
       let next = referrer || vaccination.uri
       if (type === 'new') {
         next =
@@ -289,11 +393,15 @@ export const vaccinationController = {
         response.locals.paths.back = referrer || vaccination.uri
       }
 
+      // Saved vaccination can keep its batch, even if no longer usable
+      const savedVaccination = Vaccination.findOne(vaccination_uuid, data)
       response.locals.batchItems = Batch.findAll(data)
         .filter(
           (batch) => batch.vaccine.snomed === patientSession?.vaccine.snomed
         )
-        .filter((batch) => !batch.archivedAt)
+        .filter(
+          (batch) => batch.usable || batch.id === savedVaccination?.batch_id
+        )
 
       response.locals.injectionMethodItems = Object.entries(VaccinationMethod)
         .filter(([, value]) => value !== VaccinationMethod.Intranasal)
@@ -310,17 +418,23 @@ export const vaccinationController = {
           value
         }))
 
+      const nextDose = vaccination.programme?.getNextDose(
+        vaccination.patient?.vaccinations || [],
+        vaccination
+      )
+      response.locals.nextDose = nextDose
       response.locals.sequenceItems =
         programme.sequence &&
-        Object.entries(programme.sequence).map(([index, value]) => {
-          const ordinal = prototypeFilters.ordinal(Number(index) + 1)
-          return {
-            text: `${_.startCase(ordinal)} dose`,
-            value
-          }
-        })
+        programme.sequence.map((value) => ({
+          text: programme.getDoseName(value),
+          value,
+          ...(value === nextDose?.sequence && {
+            hint: { text: __('vaccination.sequence.next') }
+          })
+        }))
 
       response.locals.userItems = User.findAll(data)
+        .filter((user) => user.active)
         .map((user) => ({
           text: user.fullName,
           value: user.uid
@@ -362,8 +476,22 @@ export const vaccinationController = {
   updateForm(request, response) {
     const { data } = request.session
     const { vaccination_uuid } = request.params
+    const { __ } = response.locals
     let { paths, patientSession, vaccination } = response.locals
 
+    // Check batch can be used, unless kept from saved vaccination
+    const { batch_id } = request.body.vaccination
+    const savedVaccination = Vaccination.findOne(vaccination_uuid, data)
+    if (
+      batch_id &&
+      batch_id !== savedVaccination?.batch_id &&
+      !Batch.findOne(batch_id, data)?.usable
+    ) {
+      request.flash('message', __('batch.errors.unusable', { batch_id }))
+
+      return response.redirect(request.originalUrl)
+    }
+
     // Add dose amount and vaccination outcome based on dosage answer
     const { dosage } = request.body.vaccination
     if (dosage) {
@@ -21,6 +21,7 @@ import { Move } from './models/move.js'
 import { Notice } from './models/notice.js'
 import { Session } from './models/session.js'
 import { Upload } from './models/upload.js'
+import { hashPasswords } from './utils/authentication.js'
 
 // Use Coventry and Warwickshire as organisation
 const organisation = organisations.RYG
@@ -34,6 +35,7 @@ const organisation = organisations.RYG
  * existing application.
  */
 const data = {
+  auditEntries: {},
   batches,
   clinics,
   cohorts,
@@ -48,11 +50,12 @@ const data = {
   patients,
   patientSessions,
   programmes,
+  recordAccesses: {},
   replies,
   schools,
   sessions,
   uploads,
-  users,
+  users: hashPasswords(users),
   vaccinations,
   vaccines,
   wizard: {}
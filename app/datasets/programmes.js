@@ -18,6 +18,8 @@ export default {
       hint: 'including in other languages and alternative formats, including BSL and Braille'
     },
     yearGroups: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    // Flu vaccination is given every year
+    seasonal: true,
     vaccine_smomeds: ['43208811000001106', '40085011000001101'],
     nhseSyncable: true
   },
@@ -39,6 +41,9 @@ export default {
     },
     sequence: ['1P', '2P', '3P'],
     sequenceDefault: '1P',
+    // Most young people only need 1 dose
+    courseDoses: 1,
+    minimumIntervals: { '2P': 28, '3P': 84 },
     yearGroups: [8],
     catchupYearGroups: [9, 10, 11],
     vaccine_smomeds: ['33493111000001108'],
@@ -62,6 +67,7 @@ export default {
     },
     sequence: ['1P', '2P', '3P', '1B', '2B'],
     sequenceDefault: '2B',
+    minimumIntervals: { '2P': 28, '3P': 28, '1B': 365, '2B': 365 },
     yearGroups: [9],
     catchupYearGroups: [10, 11],
     vaccine_smomeds: ['7374311000001101'],
@@ -110,6 +116,7 @@ export default {
     },
     sequence: ['1P', '2P'],
     sequenceDefault: '1P',
+    minimumIntervals: { '2P': 28 },
     catchupYearGroups: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
     vaccine_smomeds: ['13968211000001108', '34925111000001104'],
     nhseSyncable: true
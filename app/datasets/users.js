@@ -6,6 +6,10 @@ export default [
     firstName: 'Jane',
     lastName: 'Joy',
     email: 'nurse.joy@example.com',
-    role: UserRole.Nurse
+    password: 'password',
+    role: UserRole.Nurse,
+    roles: {
+      RYG: UserRole.Nurse
+    }
   }
 ]
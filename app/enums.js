@@ -1,3 +1,26 @@
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const AccessReason = {
+  DirectCare: 'Providing direct care',
+  Safeguarding: 'Safeguarding',
+  Administration: 'Updating or correcting the record',
+  Reporting: 'Reporting',
+  Other: 'Other'
+}
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const AccessType = {
+  Patient: 'Viewed child record',
+  PatientSession: 'Viewed child in session',
+  Vaccination: 'Viewed vaccination record',
+  Download: 'Downloaded'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -33,6 +56,17 @@ export const ArchiveRecordReason = {
   Other: 'Other'
 }
 
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const AuditAction = {
+  Create: 'Created',
+  Update: 'Updated',
+  Archive: 'Archived',
+  Delete: 'Deleted'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -44,6 +78,15 @@ export const AuditEventType = {
   Reminder: 'Reminder'
 }
 
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const AuthenticationMethod = {
+  CIS2: 'Care Identity',
+  Password: 'Email and password'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -88,7 +131,8 @@ export const ConsentWindow = {
 export const DownloadFormat = {
   CSV: 'CSV',
   CarePlus: 'XLSX for CarePlus (System C)',
-  SystmOne: 'XLSX for SystmOne (TPP)'
+  SystmOne: 'XLSX for SystmOne (TPP)',
+  FHIR: 'JSON for FHIR R4 (Bundle)'
 }
 
 /**
@@ -190,6 +234,17 @@ export const InstructionOutcome = {
   Needed: 'PSD not added'
 }
 
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const MatchConfidence = {
+  Exact: 'Exact match',
+  High: 'Likely match',
+  Low: 'Possible match',
+  None: 'No match'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -209,9 +264,19 @@ export const NoticeType = {
   Deceased: 'Deceased',
   Invalid: 'Invalid',
   NoNotify: 'Do not notify parents',
+  Recall: 'Vaccinated with recalled batch',
   Sensitive: 'Sensitive'
 }
 
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const NotifyChannel = {
+  Email: 'Email',
+  Sms: 'Text message'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -408,6 +473,42 @@ export const ReplyRefusal = {
   Other: 'Other'
 }
 
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const ReportDimension = {
+  School: 'School',
+  YearGroup: 'Year group',
+  Gender: 'Gender',
+  EthnicGroup: 'Ethnic group',
+  RefusalReason: 'Consent refusal reason',
+  Week: 'Week vaccinated'
+}
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const ReportFormat = {
+  CSV: 'CSV',
+  XLSX: 'XLSX'
+}
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const ReportMeasure = {
+  Cohort: 'Children',
+  ConsentGiven: 'Consent given',
+  ConsentRefused: 'Consent refused',
+  NoResponse: 'No response',
+  Vaccinated: 'Vaccinated',
+  Vaccinations: 'Vaccinations given',
+  Uptake: 'Uptake'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -462,6 +563,17 @@ export const SessionType = {
   Clinic: 'Community clinic'
 }
 
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const StockStatus = {
+  InStock: 'In stock',
+  Low: 'Running low',
+  Exhausted: 'No doses left',
+  Quarantined: 'Quarantined'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -479,7 +591,8 @@ export const TriageOutcome = {
 export const UploadType = {
   Cohort: 'Child records',
   School: 'Class list records',
-  Report: 'Vaccination records'
+  Report: 'Vaccination records',
+  Offline: 'Offline session records'
 }
 
 /**
@@ -495,6 +608,30 @@ export const UploadStatus = {
   Review: 'Needs review'
 }
 
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const UserPermission = {
+  ViewRecords: 'View patient records',
+  EditRecords: 'Edit patient records',
+  RecordConsent: 'Record consent responses',
+  Triage: 'Triage health answers',
+  Instruct: 'Give PSD instructions',
+  RecordInjection: 'Record injected vaccinations',
+  RecordIntranasal: 'Record nasal spray vaccinations',
+  ManageSessions: 'Manage sessions',
+  ManageBatches: 'Manage vaccine batches',
+  ReleaseBatches: 'Release batches from quarantine',
+  ApproveUploads: 'Upload and approve records',
+  ReviewNotices: 'Review important notices',
+  EditOrganisation: 'Edit organisation',
+  ManageUsers: 'Manage users',
+  ViewAuditLog: 'View audit log',
+  ReviewRecordAccess: 'Review access to sensitive records',
+  DownloadReports: 'Download reports'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -508,6 +645,16 @@ export const UserRole = {
   DataConsumer: 'Data consumer'
 }
 
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const UserStatus = {
+  Invited: 'Invited',
+  Active: 'Active',
+  Deactivated: 'Deactivated'
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -611,3 +758,15 @@ export const VaccineSideEffect = {
   TemperatureShiver: 'a high temperature, or feeling hot and shivery',
   Unwell: 'generally feeling unwell'
 }
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const WastageReason = {
+  Broken: 'Vial or syringe broken',
+  Contaminated: 'Dose contaminated',
+  Drawn: 'Dose drawn up but not given',
+  Temperature: 'Stored outside recommended temperature',
+  Other: 'Other'
+}
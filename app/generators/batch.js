@@ -24,6 +24,7 @@ export function generateBatch() {
     createdAt,
     ...(isArchived && { archivedAt }),
     expiry,
+    quantity: faker.number.int({ min: 20, max: 50 }) * 10,
     vaccine_snomed
   })
 }
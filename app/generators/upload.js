@@ -1,7 +1,7 @@
 import { fakerEN_GB as faker } from '@faker-js/faker'
 import prototypeFilters from '@x-govuk/govuk-prototype-filters'
 
-import { UploadStatus, UploadType } from '../enums.js'
+import { MatchConfidence, UploadStatus, UploadType } from '../enums.js'
 import { Upload } from '../models/upload.js'
 import { today } from '../utils/date.js'
 
@@ -54,11 +54,21 @@ export function generateUpload(
           '‘QQ 12 34 56 A’ should be a valid NHS number, like 485 777 3456'
       },
       8: {
-        CHILD_DOB: '‘Simon’ should be formatted as YYYY-MM-DD'
+        CHILD_DATE_OF_BIRTH: '‘Simon’ should be formatted as YYYY-MM-DD'
       }
     }
   }
 
+  // Matches with existing records
+  // Records with pending changes are shown as ambiguous matches to review
+  const matches = {}
+  for (const uuid of patient_uuids) {
+    const hasMatch = faker.datatype.boolean(0.5)
+    matches[uuid] = hasMatch
+      ? { score: 100, confidence: MatchConfidence.Exact }
+      : { score: 0, confidence: MatchConfidence.None }
+  }
+
   // Approved upload
   let updatedAt
   let updatedBy_uid
@@ -78,6 +88,7 @@ export function generateUpload(
     progress,
     validations,
     patient_uuids,
+    matches,
     ...(school && {
       yearGroups: school.yearGroups,
       school_urn: school.urn
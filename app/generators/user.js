@@ -2,6 +2,7 @@ import { fakerEN_GB as faker } from '@faker-js/faker'
 
 import { UserRole } from '../enums.js'
 import { User } from '../models/user.js'
+import { hashPassword } from '../utils/authentication.js'
 
 /**
  * Generate fake user
@@ -22,6 +23,12 @@ export function generateUser() {
         provider: 'example.nhs.net'
       })
       .toLowerCase(),
+    passwordHash: hashPassword(
+      faker.internet.password({
+        memorable: true,
+        length: 12
+      })
+    ),
     role: faker.helpers.arrayElement(Object.values(UserRole))
   })
 }
@@ -67,6 +67,7 @@ export function generateVaccination(patientSession, programme, batch, users) {
     createdAt: patientSession.session.firstDate,
     createdBy_uid: user.uid,
     nhseSyncedAt,
+    ...(nhseSyncedAt && { nhseId: faker.string.uuid() }),
     outcome,
     location: patientSession.session.location.name,
     selfId: true,
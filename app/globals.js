@@ -6,10 +6,12 @@ import {
   Activity,
   ConsentOutcome,
   InstructionOutcome,
-  ScreenOutcome
+  ScreenOutcome,
+  UserPermission
 } from './enums.js'
 import { School } from './models/school.js'
 import { User } from './models/user.js'
+import { can } from './utils/policy.js'
 import { getSessionActivityCount } from './utils/session.js'
 import {
   formatHealthAnswer,
@@ -113,6 +115,7 @@ export default () => {
       },
       ...Object.values(users)
         .map((user) => new User(user))
+        .filter((user) => user.active)
         .sort((a, b) => a.fullName.localeCompare(b.fullName))
         .map((user) => ({
           text: user.fullName,
@@ -297,6 +300,17 @@ export default () => {
     return filters.safe(`<pre>${json}</pre>`)
   }
 
+  /**
+   * Logged in user can perform an action
+   *
+   * @param {import('./enums.js').UserPermission} permission - Permission
+   * @param {object} [resource] - Session or patient session action applies to
+   * @returns {boolean} User can perform action
+   */
+  globals.can = function (permission, resource) {
+    return can(this.ctx.account, permission, resource)
+  }
+
   /**
    * Format link
    *
@@ -322,7 +336,10 @@ export default () => {
       getConsent: {
         key: 'consent',
         value: ConsentOutcome.NoResponse,
-        ...(!session.isCompleted && { action: 'reminders' })
+        ...(!session.isCompleted &&
+          can(account, UserPermission.RecordConsent) && {
+            action: 'reminders'
+          })
       },
       followUp: {
         key: 'consent',
@@ -339,7 +356,9 @@ export default () => {
       instruct: {
         key: 'instruct',
         value: InstructionOutcome.Needed,
-        ...(account.canPrescribe && { action: 'instructions' })
+        ...(can(account, UserPermission.Instruct) && {
+          action: 'instructions'
+        })
       },
       record: {
         key: 'record',
@@ -57,13 +57,63 @@ export const en = {
     title: 'There is a problem'
   },
   account: {
-    'change-role': {
-      title: 'Select a role',
-      label: 'Change role'
-    },
     'sign-in': {
       title: 'Log in',
-      confirm: 'Log in'
+      confirm: 'Log in',
+      label: 'Log in with email address and password',
+      email: {
+        label: 'Email address',
+        errors: {
+          missing: 'Enter your email address'
+        }
+      },
+      password: {
+        label: 'Password',
+        errors: {
+          missing: 'Enter your password'
+        }
+      },
+      errors: {
+        invalid: 'Enter a valid email address and password',
+        deactivated:
+          'Your account has been deactivated. Contact your lead nurse if you need access.'
+      }
+    },
+    smartcard: {
+      title: 'Select your smartcard',
+      hint: 'This prototype uses a list of users in place of a smartcard reader.',
+      errors: {
+        missing: 'Select your smartcard'
+      }
+    },
+    organisation: {
+      title: 'Select an organisation',
+      label: 'Change organisation',
+      success: 'You are now working for {{organisation.name}}',
+      errors: {
+        missing: 'Select an organisation'
+      }
+    },
+    confirm: {
+      title: 'Confirm it’s you',
+      confirm: 'Continue',
+      cis2: {
+        description: 'Insert your smartcard to continue.'
+      },
+      password: {
+        description: 'Enter your password to continue.',
+        errors: {
+          invalid: 'Enter the correct password'
+        }
+      }
+    },
+    timeout: {
+      message:
+        'You were logged out because you have not used the service for 30 minutes'
+    },
+    deactivated: {
+      message:
+        'You were logged out because your account has been deactivated. Contact your lead nurse if you need access.'
     },
     'sign-out': {
       title: 'Log out'
@@ -97,10 +147,71 @@ export const en = {
       },
       user: {
         title: 'You do not have permission to use this service'
+      },
+      forbidden: 'You do not have permission to {{permission}}'
+    }
+  },
+  auditEntry: {
+    list: {
+      title: 'Audit log',
+      introduction:
+        'Changes made to records by users signed in to this organisation. Use this to review who changed a record, and what they changed.'
+    },
+    show: {
+      title: 'Audit log',
+      heading: '{{action}} by {{createdBy}}'
+    },
+    search: {
+      title: 'Find changes',
+      label: 'Search by name, record ID or user'
+    },
+    count:
+      '{count, plural, =0 {No changes recorded} one {1 change} other {# changes}}',
+    results:
+      '{count, plural, =0 {No changes matching your search criteria were found} one {Showing <b>{from}</b> to <b>{to}</b> of <b>{count}</b> change} other {Showing <b>{from}</b> to <b>{to}</b> of <b>{count}</b> changes}}',
+    label: 'View audit log',
+    createdAt: {
+      label: 'Date'
+    },
+    createdBy: {
+      label: 'User'
+    },
+    action: {
+      label: 'Action'
+    },
+    record: {
+      label: 'Record'
+    },
+    record_ns: {
+      label: 'Record type',
+      batch: 'Vaccine batch',
+      organisation: 'Organisation',
+      patient: 'Child record',
+      patientSession: 'Child in session',
+      reply: 'Consent response',
+      session: 'Session',
+      vaccination: 'Vaccination record'
+    },
+    changes: {
+      count:
+        '{count, plural, =0 {No fields changed} one {1 field changed} other {# fields changed}}',
+      path: {
+        label: 'Field'
+      },
+      from: {
+        label: 'Previous value'
+      },
+      to: {
+        label: 'New value'
       }
     }
   },
   batch: {
+    list: {
+      label: 'View stock',
+      title: 'Stock',
+      empty: 'No batches added.'
+    },
     new: {
       label: 'Add a new batch',
       title: 'Add batch',
@@ -115,12 +226,43 @@ export const en = {
     action: {
       title: 'Are you sure you want to %s this batch?',
       description: 'This cannot be undone.',
-      cancel: 'No, return to vaccines',
+      cancel: 'No, return to stock',
       confirm: 'Yes, %s this batch'
     },
     archive: {
       success: 'Batch {{batch.id}} archived'
     },
+    release: {
+      label: 'Release',
+      success: 'Batch {{batch.id}} released from quarantine'
+    },
+    recall: {
+      label: 'Recall',
+      description:
+        '{count, plural, =0 {No children have been vaccinated with this batch.} one {1 child has been vaccinated with this batch. Their record will be flagged and their parents will be sent a message about the recall.} other {# children have been vaccinated with this batch. Their records will be flagged and their parents will be sent a message about the recall.}}',
+      count:
+        '{count, plural, one {1 vaccination given} other {# vaccinations given}}',
+      success:
+        '{count, plural, =0 {Batch {id} recalled} one {Batch {id} recalled. 1 child’s record has been flagged} other {Batch {id} recalled. # children’s records have been flagged}}'
+    },
+    wastage: {
+      label: 'Record wasted doses',
+      title: 'Record wasted doses for batch {{batch.id}}',
+      confirm: 'Record wasted doses',
+      success: 'Wasted doses recorded for batch {{batch.id}}',
+      quantity: {
+        label: 'How many doses were wasted?',
+        errors: {
+          missing: 'Enter how many doses were wasted',
+          invalid: 'Number of doses must be a whole number, 1 or more',
+          tooMany:
+            'Number of doses must be {{batch.remaining}} or fewer, the number remaining'
+        }
+      },
+      reason: {
+        label: 'Why were the doses wasted?'
+      }
+    },
     createdAt: {
       label: 'Entered date'
     },
@@ -133,6 +275,33 @@ export const en = {
     },
     id: {
       label: 'Batch ID'
+    },
+    quantity: {
+      label: 'Doses received',
+      hint: 'The number of doses in this batch when it was delivered'
+    },
+    usedCount: {
+      label: 'Doses used'
+    },
+    wastedCount: {
+      label: 'Doses wasted'
+    },
+    remaining: {
+      label: 'Doses remaining',
+      hint: '{count, plural, =0 {no doses left} one {# dose left} other {# doses left}}'
+    },
+    stockStatus: {
+      label: 'Stock'
+    },
+    recalledAt: {
+      label: 'Recalled date'
+    },
+    quarantinedSession: {
+      label: 'Temperature excursion at {{session.location.name}}'
+    },
+    errors: {
+      unusable:
+        'Batch {{batch_id}} has expired, been archived, been recalled or is quarantined. Choose a different batch.'
     }
   },
   clinic: {
@@ -165,6 +334,17 @@ export const en = {
     },
     count: '{count, plural, =0 {No clinics} one {1 clinic} other {# clinics}}'
   },
+  conflict: {
+    title: 'This record changed since you opened it',
+    description:
+      'Someone else made changes to this record while you were working on it. Review their changes before saving yours, as saving may overwrite them.',
+    changes: {
+      title: 'Changes made since you opened this record',
+      empty: 'The changes made did not add anything to the activity log.'
+    },
+    confirm: 'Save my changes anyway',
+    cancel: 'Discard my changes and review record'
+  },
   child: {
     label: 'Child',
     nhsn: {
@@ -676,6 +856,10 @@ export const en = {
         label: 'Could not vaccinate',
         name: 'Your child did not have their {{session.vaccinationNames.sentenceCase}} today'
       },
+      'record-batch-recall': {
+        label: 'Batch recalled',
+        name: 'A vaccine batch used for your child has been recalled'
+      },
       'information-child': {
         label: 'Information for students',
         name: 'You can get an {{session.vaccinationNames.sentenceCase}} on {{session.summary.dates}}'
@@ -730,6 +914,46 @@ export const en = {
       cancel: 'No, return to notices'
     }
   },
+  notification: {
+    label: 'Message',
+    list: {
+      label: 'Outbox',
+      title: 'Outbox',
+      introduction:
+        'Emails and text messages sent to parents. Messages are not sent to real email addresses or phone numbers.'
+    },
+    show: {
+      title: 'Message sent to {{notification.formatted.parent}}'
+    },
+    count:
+      '{count, plural, =0 {No messages have been sent} one {1 message sent} other {# messages sent}}',
+    results:
+      '{count, plural, =0 {No messages matching your search criteria were found} one {Showing <b>{from}</b> to <b>{to}</b> of <b>{count}</b> message} other {Showing <b>{from}</b> to <b>{to}</b> of <b>{count}</b> messages}}',
+    createdAt: {
+      label: 'Sent'
+    },
+    createdBy: {
+      label: 'Sent by'
+    },
+    channel: {
+      label: 'Type'
+    },
+    template: {
+      label: 'Template'
+    },
+    subject: {
+      label: 'Subject'
+    },
+    to: {
+      label: 'Sent to'
+    },
+    parent: {
+      label: 'Parent'
+    },
+    status: {
+      label: 'Status'
+    }
+  },
   organisation: {
     show: {
       label: 'Your team',
@@ -868,6 +1092,10 @@ export const en = {
     events: {
       title: 'Activity log'
     },
+    notifications: {
+      title: 'Messages',
+      empty: 'No messages have been sent to this child’s parents'
+    },
     pds: {
       title: 'NHS number lookup history',
       description:
@@ -965,6 +1193,15 @@ export const en = {
     parents: {
       label: 'Parents or guardians'
     },
+    nextDoses: {
+      label: 'Next doses due',
+      sequence: {
+        label: 'Dose'
+      },
+      dueFrom: {
+        label: 'Due from'
+      }
+    },
     vaccinations: {
       label: 'Vaccinations'
     },
@@ -1193,6 +1430,50 @@ export const en = {
     show: {
       responses: 'Consent responses'
     },
+    dashboard: {
+      label: 'View progress',
+      title: 'Progress',
+      list: {
+        title: 'Programme progress'
+      },
+      children:
+        '{count, plural, =0 {No children} one {1 child} other {# children}}',
+      cohort: {
+        label: 'Eligible children'
+      },
+      responses: {
+        label: 'Consent responses'
+      },
+      vaccinated: {
+        label: 'Vaccinated'
+      },
+      date: {
+        label: 'Date'
+      },
+      school: {
+        label: 'School'
+      },
+      progress: {
+        title: 'Consent responses and vaccinations',
+        table: 'Show as a table',
+        empty: 'No consent responses or vaccinations have been recorded.'
+      },
+      uptake: {
+        title: 'Uptake by school',
+        label: 'Uptake',
+        empty: 'No children are in school sessions for this programme.'
+      },
+      previousUptake: {
+        label: 'Previous year',
+        empty: 'No data'
+      },
+      lowResponse: {
+        title: 'Low consent response',
+        description:
+          'Consent is closing soon for these sessions, but few parents have responded.',
+        item: '{{responseRate}}% responded, consent closes {{closeAt}}'
+      }
+    },
     patients: {
       label: 'Children'
     },
@@ -1203,11 +1484,127 @@ export const en = {
       label: 'Programme type'
     }
   },
+  recordAccess: {
+    label: 'View record access',
+    list: {
+      title: 'Record access',
+      introduction:
+        'Children whose records are flagged as sensitive, and who has accessed them while signed in to this organisation. Use this to check that each access was needed.'
+    },
+    show: {
+      title: 'Record access'
+    },
+    count:
+      '{count, plural, =0 {No record access} one {1 record access} other {# record accesses}}',
+    patients: {
+      count:
+        '{count, plural, =0 {No sensitive records accessed} one {1 sensitive record accessed} other {# sensitive records accessed}}'
+    },
+    lastAccess: {
+      label: 'Last accessed'
+    },
+    users: {
+      label: 'Users'
+    },
+    createdAt: {
+      label: 'Date'
+    },
+    createdBy: {
+      label: 'User'
+    },
+    type: {
+      label: 'Access'
+    },
+    reason: {
+      title: 'Why do you need to open this record?',
+      label: 'Reason for access',
+      hint: 'You only need to give a reason once while you are signed in.',
+      confirm: 'Open record',
+      warning: {
+        heading: 'This record is sensitive',
+        description:
+          'Only open this record if you need to. Your name, the reason you give and what you view will be recorded and may be reviewed by your organisation.'
+      },
+      errors: {
+        missing: 'Select why you need to open this record'
+      }
+    },
+    reasonOther: {
+      label: 'Give details',
+      errors: {
+        missing: 'Enter why you need to open this record'
+      }
+    }
+  },
   remind: {
     new: {
       title: 'Send reminder'
     }
   },
+  report: {
+    label: 'Report',
+    list: {
+      title: 'Saved reports',
+      description:
+        'Reports saved by your organisation can be run for any programme.',
+      empty: 'No reports have been saved.'
+    },
+    new: {
+      label: 'Build a report',
+      title: 'Build a report',
+      confirm: 'Save report',
+      success: '{{report.name}} saved'
+    },
+    edit: {
+      label: 'Edit report',
+      title: 'Edit report',
+      confirm: 'Save changes',
+      success: '{{report.name}} updated'
+    },
+    preview: {
+      label: 'Preview report',
+      title: 'Preview',
+      empty: 'No children match this report.'
+    },
+    action: {
+      title: 'Are you sure you want to %s this report?',
+      description: 'This cannot be undone.',
+      confirm: 'Yes, %s this report',
+      cancel: 'No, return to report'
+    },
+    delete: {
+      label: 'Delete report',
+      success: 'Report deleted'
+    },
+    download: {
+      label: 'Download %s'
+    },
+    name: {
+      label: 'Report name',
+      errors: {
+        missing: 'Enter a name for the report'
+      }
+    },
+    dimensions: {
+      label: 'Break down by',
+      hint: 'Select up to 2',
+      errors: {
+        tooMany: 'Select no more than 2 ways to break down the report'
+      }
+    },
+    measures: {
+      label: 'Measures',
+      errors: {
+        missing: 'Select at least one measure'
+      }
+    },
+    createdAt: {
+      label: 'Created'
+    },
+    createdBy: {
+      label: 'Created by'
+    }
+  },
   reply: {
     label: 'Response',
     show: {
@@ -1386,7 +1783,12 @@ export const en = {
     original: {
       label: 'Existing record',
       record: 'Existing child record',
-      vaccination: 'Existing vaccination record'
+      vaccination: 'Existing vaccination record',
+      success: 'Existing record kept'
+    },
+    match: {
+      description:
+        '{{match.confidence}} with an existing record (match score {{match.score}}%)'
     },
     decision: {
       label: 'Which record do you want to keep?',
@@ -1406,6 +1808,58 @@ export const en = {
       }
     }
   },
+  rollover: {
+    label: 'Rollover',
+    show: {
+      title: 'Roll over to the {{changes.academicYear}} academic year',
+      description:
+        'Rolling over creates programmes and cohorts for the {{changes.academicYear}} academic year. Children are added to cohorts using the year group they will be in, and children who have not been vaccinated are moved into catch-up cohorts.\n\nSessions in the {{changes.previousAcademicYear}} academic year will be closed.\n\nCheck these changes before rolling over. This cannot be undone.',
+      unavailable:
+        'You can roll over records during the summer holidays, before the {{changes.academicYear}} academic year starts.',
+      confirm: 'Roll over records'
+    },
+    summary: {
+      title: 'Summary of changes'
+    },
+    previousAcademicYear: {
+      label: 'Current academic year'
+    },
+    academicYear: {
+      label: 'New academic year'
+    },
+    movingUp: {
+      label: 'Moving up a year group',
+      count:
+        '{count, plural, =0 {No children} one {1 child} other {# children}}'
+    },
+    leaving: {
+      label: 'Leaving Year 11',
+      count:
+        '{count, plural, =0 {No children} one {1 child} other {# children}}'
+    },
+    sessions: {
+      label: 'Sessions to close',
+      count:
+        '{count, plural, =0 {No sessions} one {1 session} other {# sessions}}'
+    },
+    cohort: {
+      yearGroup: {
+        label: 'Year group'
+      },
+      type: {
+        label: 'Cohort',
+        routine: 'Routine',
+        catchup: 'Catch-up'
+      },
+      patients: {
+        label: 'Children'
+      },
+      moved: {
+        label: 'Moved from last year'
+      }
+    },
+    success: 'Records rolled over to the {{changes.academicYear}} academic year'
+  },
   school: {
     list: {
       title: 'Schools',
@@ -1569,11 +2023,18 @@ export const en = {
       cancel: 'No, return to session',
       success: 'PSDs added'
     },
+    temperatures: {
+      label: 'Temperatures',
+      title: 'Cold chain temperatures',
+      description:
+        'Record the minimum and maximum temperatures of the fridge or cool box vaccines are stored in during this session.\n\nVaccines must be stored between 2°C and 8°C. If a reading is outside this range, batches used in this session will be quarantined until a nurse releases them.',
+      empty: 'No temperatures have been recorded for this session.'
+    },
     reminders: {
       label: 'Send reminders',
       title: 'Manage consent reminders',
       description:
-        'Mavis automatically sends email and text reminders to parents who have not responded to the initial consent request.\n\nAutomatic reminders are sent 14, 7 and 3 days before a session.\n\nYou can also send reminders manually. Mavis will then skip the next automatic reminder if it’s due to be sent within 3 days.',
+        'Mavis automatically sends email and text reminders to parents who have not responded to the initial consent request.\n\nAutomatic reminders are sent {weeks, plural, one {1 week} other {# weeks}} before each session date.\n\nYou can also send reminders manually. Mavis will then skip the next automatic reminder if it’s due to be sent within 3 days.',
       activity:
         '{{activities.patientsToGetConsent}} parents out of {{session.patients.length}} have not responded yet',
       preConfirm:
@@ -1857,6 +2318,73 @@ export const en = {
         label: 'Could not vaccinate',
         name: 'Child did not get their vaccination despite having consent',
         text: '{{consent.child.firstName}} did not have their {{session.vaccinationNames.sentenceCase}} at school today. This was because {{reason}}.\n\nIf you’d still like them to be vaccinated on a different date, contact our team by calling [{{organisation.tel}}](#), or email [{{organisation.email}}](#).'
+      },
+      'record-batch-recall': {
+        label: 'Batch recalled',
+        name: 'Vaccine batch recalled',
+        text: 'The batch of vaccine used for {{consent.child.firstName}}’s {{programme.name}} vaccination ({{batch.id}}) has been recalled by the manufacturer. We’ll contact you to let you know if they need another dose.\n\nIf you have any questions, call [{{organisation.tel}}](#), or email [{{organisation.email}}](#).'
+      }
+    }
+  },
+  temperatureReading: {
+    label: 'Temperature reading',
+    new: {
+      title: 'Record a temperature reading',
+      confirm: 'Record temperature',
+      success: 'Temperature reading recorded'
+    },
+    excursion: {
+      message:
+        'Temperature reading is outside 2°C to 8°C. {count, plural, =0 {No batches needed to be quarantined.} one {Batch {ids} has been quarantined.} other {Batches {ids} have been quarantined.}}'
+    },
+    createdAt: {
+      label: 'Time'
+    },
+    createdAt_: {
+      label: 'Time of reading',
+      hint: 'For example, 09 30'
+    },
+    createdBy: {
+      label: 'Recorded by'
+    },
+    min: {
+      label: 'Minimum temperature'
+    },
+    max: {
+      label: 'Maximum temperature'
+    },
+    status: {
+      label: 'Status'
+    },
+    errors: {
+      range:
+        'Enter a minimum and maximum temperature, with the minimum not higher than the maximum'
+    }
+  },
+  today: {
+    edit: {
+      title: 'Change today’s date',
+      hint: 'Today is {{today}}. Changing the date updates consent periods, session statuses and the academic year for everyone using the prototype. Any invitations or reminders due before the new date will be sent.',
+      confirm: 'Change date',
+      success: 'Today’s date changed to {{today}}'
+    },
+    preset: {
+      rollover: 'During rollover, before the {{academicYear}} academic year',
+      autumn: 'First day of the autumn term',
+      spring: 'First day of the spring term',
+      summer: 'First day of the summer term',
+      nextRollover: 'During rollover, after the {{academicYear}} academic year',
+      custom: 'Another date',
+      reset: 'Use the real date',
+      errors: {
+        missing: 'Select a date'
+      }
+    },
+    date: {
+      label: 'Date',
+      hint: 'For example, 27 3 2025',
+      errors: {
+        invalid: 'Enter a real date'
       }
     }
   },
@@ -1970,6 +2498,14 @@ export const en = {
         count:
           '{count, plural, =0 {No imported records} one {1 imported record} other {# imported records}}'
       },
+      conflicts: {
+        title: 'Vaccinations already recorded – not imported',
+        count:
+          '{count, plural, =0 {No rows} one {1 row} other {# rows}} not imported',
+        summary:
+          'This upload includes {count, plural, =0 {no rows} one {1 row} other {# rows}} for children who already have a vaccination recorded in this session. These rows have not been imported. Check the existing vaccination record, and update it if needed.',
+        row: 'Row'
+      },
       moves: {
         title: 'School moves – will need review after import',
         count:
@@ -1988,12 +2524,16 @@ export const en = {
       description: {
         report:
           'You can import vaccination records by uploading:\n\n- a Mavis CSV file\n- a SystmOne file',
+        offline:
+          'Upload the offline spreadsheet you downloaded for a session, once you have recorded vaccinations in it. You can upload the spreadsheet as an XLSX or CSV file.\n\nOnly rows with a completed `VACCINATED` column will be imported.',
         other:
           'The file you upload should use the Mavis CSV format for {{type}}'
       },
       format: 'How to format your Mavis CSV file for {{type}}',
+      formatOffline: 'How to complete your offline session spreadsheet',
       errors: {
-        invalid: 'The selected file must be a CSV'
+        invalid: 'The selected file must be a CSV',
+        invalidOffline: 'The selected file must be an XLSX or CSV file'
       }
     },
     removeRelationships: {
@@ -2064,7 +2604,9 @@ export const en = {
           'Records of children from a CHIS, local authority or school, used to create cohorts',
         Report:
           'Records of previous vaccinations to be reported to GPs and/or NHS England',
-        School: 'Records of children from a school, used to update cohorts'
+        School: 'Records of children from a school, used to update cohorts',
+        Offline:
+          'Vaccinations recorded in an offline spreadsheet downloaded for a session'
       }
     },
     status: {
@@ -2141,6 +2683,41 @@ export const en = {
     show: {
       summary: 'User details'
     },
+    count: '{count, plural, =0 {No users} one {1 user} other {# users}}',
+    new: {
+      label: 'Invite a new user',
+      title: 'Invite user',
+      confirm: 'Send invitation',
+      success: 'Invitation sent to {{user.email}}'
+    },
+    edit: {
+      label: 'Edit user',
+      title: 'Edit {{user.fullName}}',
+      confirm: 'Save changes',
+      success: '{{user.fullName}} updated'
+    },
+    action: {
+      title: 'Are you sure you want to %s this user?',
+      cancel: 'No, return to user',
+      confirm: 'Yes, %s this user'
+    },
+    deactivate: {
+      label: 'Deactivate user',
+      description:
+        'They will no longer be able to sign in, or be selected as the person who supplied or recorded a vaccination. Records they have already made will not change.',
+      self: 'You cannot deactivate your own account',
+      success: '{{user.fullName}} deactivated'
+    },
+    reactivate: {
+      label: 'Reactivate user',
+      description:
+        'They will be able to sign in again with the same role as before.',
+      success: '{{user.fullName}} reactivated'
+    },
+    activity: {
+      empty:
+        'This user has not recorded any vaccinations, triage decisions or PSD instructions.'
+    },
     uid: {
       label: 'User ID'
     },
@@ -2148,19 +2725,68 @@ export const en = {
       label: 'Name'
     },
     email: {
-      label: 'Email address'
+      label: 'Email address',
+      hint: 'We will send an invitation to this address',
+      errors: {
+        missing: 'Enter an email address',
+        duplicate: 'A user with this email address already exists'
+      }
     },
     firstName: {
-      label: 'First name'
+      label: 'First name',
+      errors: {
+        missing: 'Enter a first name'
+      }
     },
     lastName: {
-      label: 'Last name'
+      label: 'Last name',
+      errors: {
+        missing: 'Enter a last name'
+      }
     },
     role: {
-      label: 'Role'
+      label: 'Role',
+      hint: 'Their role in {{organisation.name}}',
+      errors: {
+        missing: 'Select a role'
+      }
+    },
+    prescriber: {
+      label: 'Prescriber',
+      hint: 'Can give patient specific directions (PSDs)'
+    },
+    status: {
+      label: 'Status'
+    },
+    invitedAt: {
+      label: 'Invited'
+    },
+    signedInAt: {
+      label: 'Last signed in'
+    },
+    deactivatedAt: {
+      label: 'Deactivated'
     },
     vaccinations: {
       label: 'Administered'
+    },
+    vaccinationRecords: {
+      count:
+        '{count, plural, =0 {No vaccinations recorded} one {1 vaccination recorded} other {# vaccinations recorded}}'
+    },
+    triageDecisions: {
+      count:
+        '{count, plural, =0 {No triage decisions} one {1 triage decision} other {# triage decisions}}',
+      createdAt: {
+        label: 'Date'
+      }
+    },
+    instructions: {
+      count:
+        '{count, plural, =0 {No PSDs given} one {1 PSD given} other {# PSDs given}}',
+      createdAt: {
+        label: 'Date'
+      }
     }
   },
   vaccination: {
@@ -2184,6 +2810,21 @@ export const en = {
         summary: 'Vaccination details',
         notGiven: 'Vaccination was not given'
       },
+      doseNotDue: {
+        title: 'This dose is not due yet',
+        description:
+          'Not enough time has passed since the child’s previous dose. The next dose is due from {{dueFrom}}.'
+      },
+      batchExhausted: {
+        title: 'No doses left in this batch',
+        description:
+          'The stock recorded for batch {{batch.id}} has been used. Check the batch number, or add a new batch.'
+      },
+      batchLowStock: {
+        title: 'This batch is running low',
+        description:
+          'Batch {id} has {count, plural, one {# dose} other {# doses}} left.'
+      },
       mismatchedMethods: {
         title: 'Incorrect vaccine given',
         description:
@@ -2217,6 +2858,22 @@ export const en = {
     syncStatus: {
       label: 'Synced with NHS England?'
     },
+    nhseSyncResponses: {
+      label: 'Sync history',
+      createdAt: {
+        label: 'Date'
+      },
+      method: {
+        label: 'Request'
+      },
+      status: {
+        label: 'Response',
+        none: 'No response'
+      },
+      message: {
+        label: 'Message'
+      }
+    },
     createdBy: {
       label: 'Vaccinator',
       title: 'Who was the vaccinator?'
@@ -2308,6 +2965,7 @@ export const en = {
     },
     sequence: {
       label: 'Dose sequence',
+      next: 'Next dose due',
       title: {
         [ProgrammeType.HPV]: 'Which does of the HPV vaccination was this?',
         [ProgrammeType.TdIPV]:
@@ -0,0 +1,38 @@
+import { RecordAccess } from '../models/record-access.js'
+
+export const restrictAccess = (type) => (request, response, next) => {
+  const { data } = request.session
+  const { patient, vaccination } = response.locals
+
+  const accessedPatient = patient || vaccination?.patient
+  if (!accessedPatient?.sensitive) {
+    return next()
+  }
+
+  // Only signed in users can open a sensitive record
+  if (!data.token) {
+    return response.redirect(
+      `/account/sign-in?next=${encodeURIComponent(request.originalUrl)}`
+    )
+  }
+
+  // Ask users why they need to open a sensitive record
+  const accessReason = data.token.accessReasons?.[accessedPatient.uuid]
+  if (!accessReason) {
+    return response.redirect(
+      `/access/${accessedPatient.uuid}/reason?next=${encodeURIComponent(request.originalUrl)}`
+    )
+  }
+
+  RecordAccess.log(
+    {
+      patient: accessedPatient,
+      type,
+      ...accessReason,
+      uri: request.originalUrl
+    },
+    data
+  )
+
+  next()
+}
@@ -1,26 +1,57 @@
-import { UserRole, VaccineMethod } from '../enums.js'
 import { User } from '../models/user.js'
+import {
+  isTokenExpired,
+  needsReauthentication
+} from '../utils/authentication.js'
 
 export const authentication = (request, response, next) => {
   const { data } = request.session
+  const { __ } = response.locals
 
-  const user = data.token ? new User(data.token) : {}
+  // Sign out users who have not been active recently
+  if (data.token && isTokenExpired(data.token)) {
+    delete data.token
 
-  // Vaccine method(s)
-  if ([UserRole.Nurse, UserRole.NursePrescriber].includes(user.role)) {
-    user.vaccineMethods = [VaccineMethod.Injection, VaccineMethod.Intranasal]
-  } else if (data?.token?.role === UserRole.HCA) {
-    user.vaccineMethods = [VaccineMethod.Intranasal]
-  } else {
-    user.vaccineMethods = []
+    request.flash('message', __('account.timeout.message'))
+
+    return response.redirect('/start')
+  }
+
+  // Sign out users who have been deactivated
+  const user = data.token && User.findOne(data.token.uid, data)
+  if (user?.active === false) {
+    delete data.token
+
+    request.flash('message', __('account.deactivated.message'))
+
+    return response.redirect('/start')
+  }
+
+  if (data.token) {
+    data.token.activeAt = new Date()
   }
 
-  // Instructions
-  if ([UserRole.NursePrescriber, UserRole.Pharmacist].includes(user.role)) {
-    user.canPrescribe = true
+  // Use current roles, as these may have changed since the user signed in
+  if (user) {
+    data.token.role = user.getRole(data.token.organisation_code)
+    data.token.roles = user.roles
+    data.token.prescriber = user.prescriber
   }
 
-  request.app.locals.account = user
+  response.locals.account = data.token ? new User(data.token) : {}
+
+  next()
+}
+
+export const reauthenticate = (request, response, next) => {
+  const { data } = request.session
+
+  // Ask signed in users to confirm their identity before sensitive actions
+  if (data.token && needsReauthentication(data.token)) {
+    return response.redirect(
+      `/account/confirm?next=${encodeURIComponent(request.originalUrl)}`
+    )
+  }
 
   next()
 }
@@ -0,0 +1,29 @@
+import { can } from '../utils/policy.js'
+
+export const authorise =
+  (...permissions) =>
+  (request, response, next) => {
+    const { __, account, patientSession, session } = response.locals
+
+    // Users need one of the given permissions, which can depend on the session
+    // or patient session being viewed
+    const resource = patientSession || session
+    if (permissions.some((permission) => can(account, permission, resource))) {
+      return next()
+    }
+
+    request.flash(
+      'message',
+      __('account.permissions.forbidden', {
+        permission: permissions[0].toLowerCase()
+      })
+    )
+
+    // Return to previous page, unless that page also needs permission
+    const referrer = request.get('Referrer')
+    if (referrer && !referrer.endsWith(request.originalUrl)) {
+      return response.redirect(referrer)
+    }
+
+    response.redirect('/')
+  }
@@ -0,0 +1,6 @@
+import multer from 'multer'
+
+// Keep uploaded files in memory, as they are processed straight away
+export const fileUpload = multer({ storage: multer.memoryStorage() }).single(
+  'upload'
+)
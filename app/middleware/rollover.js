@@ -1,11 +1,7 @@
-import { getAcademicYear, isBetweenDates, today } from '../utils/date.js'
+import { getAcademicYear, isRolloverPeriod, today } from '../utils/date.js'
 
 export const rollover = (request, response, next) => {
-  response.app.locals.isRollover = isBetweenDates(
-    today(),
-    '2025-07-01',
-    '2025-08-31'
-  )
+  response.app.locals.isRollover = isRolloverPeriod(today())
 
   response.app.locals.currentAcademicYear = getAcademicYear(today())
 
@@ -0,0 +1,36 @@
+import { getSystemSender } from '../utils/notify.js'
+import { sendScheduledNotifications } from '../utils/schedule.js'
+
+import { getSystemContext } from './store.js'
+
+/**
+ * Milliseconds between checks for scheduled notifications to send
+ */
+const SCHEDULE_INTERVAL = 60 * 1000
+
+/**
+ * Timer that checks for scheduled notifications to send
+ */
+let timer
+
+export const schedule = (request, response, next) => {
+  // Start sending in the background once the application is handling requests
+  // Each user has their own records in session data, so nothing is scheduled
+  const context = !timer && getSystemContext()
+
+  if (context) {
+    const sender = getSystemSender(request.app, context)
+    const send = () => {
+      try {
+        sendScheduledNotifications(sender)
+      } catch (error) {
+        console.error('sendScheduledNotifications', error.message)
+      }
+    }
+
+    setImmediate(send)
+    timer = setInterval(send, SCHEDULE_INTERVAL).unref()
+  }
+
+  next()
+}
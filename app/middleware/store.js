@@ -0,0 +1,103 @@
+import process from 'node:process'
+
+import data from '../data.js'
+import { SYSTEM_UID } from '../models/user.js'
+import { FileStore } from '../stores/file.js'
+import { MemoryStore } from '../stores/memory.js'
+import { hashPasswords } from '../utils/authentication.js'
+
+/**
+ * Collections of records shared by all users
+ */
+const collections = [
+  'auditEntries',
+  'batches',
+  'clinics',
+  'cohorts',
+  'defaultBatches',
+  'downloads',
+  'instructions',
+  'moves',
+  'notices',
+  'notifications',
+  'organisations',
+  'patients',
+  'patientSessions',
+  'programmes',
+  'recordAccesses',
+  'replies',
+  'reports',
+  'schools',
+  'sessions',
+  'uploads',
+  'users',
+  'vaccinations',
+  'vaccines'
+]
+
+const stores = {
+  file: FileStore,
+  memory: MemoryStore
+}
+
+// Set `DATA_STORE=session` to give each user their own copy of records
+const Store = stores[process.env.DATA_STORE || 'file']
+const dataStore =
+  Store &&
+  new Store(Object.fromEntries(collections.map((name) => [name, data[name]])))
+
+// Users saved before passwords were hashed
+hashPasswords(dataStore?.get('users'))
+
+/**
+ * Read and write collections from store, not context
+ *
+ * Properties are not enumerable, so not saved in a user’s session. The store
+ * saves changes to collections, whichever request (or task) made them.
+ *
+ * @param {object} context - Context
+ */
+const useStore = (context) => {
+  for (const name of dataStore.names) {
+    Object.defineProperty(context, name, {
+      configurable: true,
+      enumerable: false,
+      get: () => dataStore.get(name),
+      set: (records) => dataStore.set(name, records)
+    })
+  }
+}
+
+/**
+ * Get context for tasks the prototype runs itself, outside of a request
+ *
+ * Changes are made by the system user, in the default organisation.
+ *
+ * @returns {object|undefined} Context, unless each user has their own records
+ */
+export const getSystemContext = () => {
+  if (!dataStore) {
+    return
+  }
+
+  const context = {
+    organisation: data.organisation,
+    token: { uid: SYSTEM_UID }
+  }
+
+  useStore(context)
+
+  return context
+}
+
+export const store = (request, response, next) => {
+  const { data } = request.session
+
+  if (!dataStore || !data) {
+    return next()
+  }
+
+  useStore(data)
+
+  next()
+}
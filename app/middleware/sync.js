@@ -0,0 +1,31 @@
+import { syncVaccinations } from '../utils/sync.js'
+
+import { getSystemContext } from './store.js'
+
+/**
+ * Milliseconds between syncs with NHS England API
+ */
+const SYNC_INTERVAL = 30 * 1000
+
+/**
+ * Timer that syncs vaccinations with NHS England API
+ */
+let timer
+
+export const sync = (request, response, next) => {
+  // Start syncing in the background once the application is handling requests
+  // Each user has their own records in session data, so nothing is synced
+  const context = !timer && getSystemContext()
+
+  if (context) {
+    const send = () =>
+      syncVaccinations(context).catch((error) =>
+        console.error('syncVaccinations', error.message)
+      )
+
+    setImmediate(send)
+    timer = setInterval(send, SYNC_INTERVAL).unref()
+  }
+
+  next()
+}
@@ -0,0 +1,307 @@
+import { fakerEN_GB as faker } from '@faker-js/faker'
+
+import { AuditAction } from '../enums.js'
+import { formatDate, today } from '../utils/date.js'
+import { getChanges, getPaths } from '../utils/object.js'
+import { formatLink } from '../utils/string.js'
+
+import { Batch } from './batch.js'
+import { Organisation } from './organisation.js'
+import { PatientSession } from './patient-session.js'
+import { Patient } from './patient.js'
+import { Reply } from './reply.js'
+import { Session } from './session.js'
+import { User } from './user.js'
+import { Vaccination } from './vaccination.js'
+
+/**
+ * Paths not shown as changes, as they change with every update
+ */
+const IGNORED_PATHS = ['updatedAt']
+
+/**
+ * Pattern matching a date saved as an ISO 8601 string
+ */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/
+
+/**
+ * Value has changed
+ *
+ * Dates entered using `dateInput` are given the current seconds each time a
+ * record is read, so dates are only compared to the minute.
+ *
+ * @param {object} change - Change
+ * @param {any} change.from - Previous value
+ * @param {any} change.to - Current value
+ * @returns {boolean} Value has changed
+ */
+const hasChanged = ({ from, to }) =>
+  !(
+    ISO_DATE_PATTERN.test(from) &&
+    ISO_DATE_PATTERN.test(to) &&
+    from.slice(0, 16) === to.slice(0, 16)
+  )
+
+/**
+ * @class Audit entry
+ * @param {object} options - Options
+ * @param {object} [context] - Context
+ * @property {object} [context] - Context
+ * @property {string} uuid - UUID
+ * @property {Date} [createdAt] - Created date
+ * @property {string} [createdBy_uid] - User who made change
+ * @property {string} [organisation_code] - Organisation user was signed in to
+ * @property {import('../enums.js').AuditAction} action - Action
+ * @property {string} record_ns - Namespace of changed record
+ * @property {string} record_id - ID of changed record
+ * @property {object} [changes] - Previous and current values, keyed by path
+ */
+export class AuditEntry {
+  constructor(options, context) {
+    this.context = context
+    this.uuid = options?.uuid || faker.string.uuid()
+    this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
+    this.createdBy_uid = options?.createdBy_uid
+    this.organisation_code = options?.organisation_code
+    this.action = options.action
+    this.record_ns = options.record_ns
+    this.record_id = options.record_id
+    this.changes = options?.changes || {}
+  }
+
+  /**
+   * Get user who made change
+   *
+   * @returns {User|undefined} User
+   */
+  get createdBy() {
+    try {
+      if (this.createdBy_uid) {
+        return User.findOne(this.createdBy_uid, this.context)
+      }
+    } catch (error) {
+      console.error('AuditEntry.createdBy', error.message)
+    }
+  }
+
+  /**
+   * Get changed record
+   *
+   * @returns {object|undefined} Record
+   */
+  get record() {
+    try {
+      switch (this.record_ns) {
+        case 'batch':
+          return Batch.findOne(this.record_id, this.context)
+        case 'organisation':
+          return Organisation.findOne(this.record_id, this.context)
+        case 'patient':
+          return Patient.findOne(this.record_id, this.context)
+        case 'patientSession':
+          return PatientSession.findOne(this.record_id, this.context)
+        case 'reply':
+          return Reply.findOne(this.record_id, this.context)
+        case 'session':
+          return Session.findOne(this.record_id, this.context)
+        case 'vaccination':
+          return Vaccination.findOne(this.record_id, this.context)
+        default:
+      }
+    } catch (error) {
+      console.error('AuditEntry.record', error.message)
+    }
+  }
+
+  /**
+   * Get name of changed record
+   *
+   * Records about a child are named after the child.
+   *
+   * @returns {string|undefined} Record name
+   */
+  get recordName() {
+    const { record } = this
+    if (!record) {
+      return
+    }
+
+    switch (this.record_ns) {
+      case 'batch':
+        return record.id
+      case 'organisation':
+      case 'session':
+        return record.name
+      default:
+        return record.patient?.fullName || record.fullName
+    }
+  }
+
+  /**
+   * Get tokenised values (to use in search queries)
+   *
+   * @returns {string} Tokens
+   */
+  get tokenized() {
+    return [this.record_id, this.recordName, this.createdBy?.fullName]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+  }
+
+  /**
+   * Get formatted values
+   *
+   * @returns {object} Formatted values
+   */
+  get formatted() {
+    return {
+      createdAt: formatDate(this.createdAt, {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      }),
+      createdBy: this.createdBy?.fullName || ''
+    }
+  }
+
+  /**
+   * Get formatted links
+   *
+   * @returns {object} Formatted links
+   */
+  get link() {
+    return {
+      recordName: formatLink(this.uri, this.recordName || this.record_id)
+    }
+  }
+
+  /**
+   * Get namespace
+   *
+   * @returns {string} Namespace
+   */
+  get ns() {
+    return 'auditEntry'
+  }
+
+  /**
+   * Get URI of audit log for changed record
+   *
+   * @returns {string} URI
+   */
+  get uri() {
+    return `/audit/${this.record_ns}/${this.record_id}`
+  }
+
+  /**
+   * Find all
+   *
+   * @param {object} context - Context
+   * @returns {Array<AuditEntry>|undefined} Audit entries
+   * @static
+   */
+  static findAll(context) {
+    return Object.values(context.auditEntries || {}).map(
+      (auditEntry) => new AuditEntry(auditEntry, context)
+    )
+  }
+
+  /**
+   * Create
+   *
+   * @param {object} auditEntry - Audit entry
+   * @param {object} context - Context
+   * @returns {AuditEntry} Created audit entry
+   * @static
+   */
+  static create(auditEntry, context) {
+    const createdAuditEntry = new AuditEntry(auditEntry)
+
+    // Remove audit entry context
+    delete createdAuditEntry.context
+
+    // Update context
+    context.auditEntries = context.auditEntries || {}
+    context.auditEntries[createdAuditEntry.uuid] = createdAuditEntry
+
+    return createdAuditEntry
+  }
+
+  /**
+   * Take snapshot of a record, to compare with after it has changed
+   *
+   * @param {object} [record] - Record, as saved in context
+   * @returns {object} Values keyed by path
+   * @static
+   */
+  static snapshot(record) {
+    return getPaths(record)
+  }
+
+  /**
+   * Log change to a record
+   *
+   * Changes are logged whoever made them, including parents and scheduled
+   * tasks, but only to records in a context with an audit log, so changes
+   * made to copies of records in a wizard, or when generating data, are not.
+   *
+   * Records saved with a new ID are logged as deleted from their previous ID.
+   *
+   * @param {object} change - Change
+   * @param {import('../enums.js').AuditAction} change.action - Action
+   * @param {object} change.record - Record, after change
+   * @param {object} [change.previous] - Snapshot of record before change
+   * @param {object} context - Context
+   * @returns {AuditEntry|undefined} Created audit entry
+   * @static
+   */
+  static log({ action, record, previous = {} }, context) {
+    if (!context?.auditEntries) {
+      return
+    }
+
+    const record_id = record.uuid || record.id || record.code
+    const previous_id = previous.uuid || previous.id || previous.code
+    const current =
+      action === AuditAction.Delete ? {} : AuditEntry.snapshot(record)
+
+    if (previous_id && previous_id !== record_id) {
+      AuditEntry.log(
+        {
+          action: AuditAction.Delete,
+          record: { ns: record.ns, uuid: previous_id },
+          previous
+        },
+        context
+      )
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(getChanges(previous, current, IGNORED_PATHS)).filter(
+        ([, change]) => hasChanged(change)
+      )
+    )
+
+    // Don’t log updates that did not change anything
+    if (Object.keys(changes).length === 0) {
+      return
+    }
+
+    return AuditEntry.create(
+      {
+        createdBy_uid: context.token?.uid,
+        organisation_code:
+          context.token?.organisation_code || context.organisation?.code,
+        action,
+        record_ns: record.ns,
+        record_id,
+        changes
+      },
+      context
+    )
+  }
+}
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import { AuditAction, NoticeType } from '../enums.js'
+
+import { AuditEntry } from './audit-entry.js'
+import { Notice } from './notice.js'
+import { Patient } from './patient.js'
+
+const getContext = () => ({
+  auditEntries: {},
+  organisation: { code: 'RYG' },
+  patients: {
+    abc: {
+      uuid: 'abc',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      invalid: false,
+      events: []
+    }
+  }
+})
+
+describe('AuditEntry.log', () => {
+  it('logs changes made without a signed in user', () => {
+    const context = getContext()
+
+    Patient.update('abc', { firstName: 'Janet' }, context)
+
+    const [auditEntry] = AuditEntry.findAll(context)
+    assert.equal(auditEntry.createdBy_uid, undefined)
+    assert.equal(auditEntry.organisation_code, 'RYG')
+    assert.deepEqual(auditEntry.changes.firstName, {
+      from: 'Jane',
+      to: 'Janet'
+    })
+  })
+
+  it('does not log changes to records in a context without an audit log', () => {
+    const { auditEntries, ...context } = getContext()
+
+    Patient.update('abc', { firstName: 'Janet' }, context)
+
+    assert.equal('auditEntries' in context, false)
+  })
+
+  it('logs records saved with a new ID as deleted', () => {
+    const context = getContext()
+
+    Patient.update('abc', { uuid: 'def' }, context)
+
+    const actions = AuditEntry.findAll(context).map(
+      ({ action, record_id }) => `${action} ${record_id}`
+    )
+    assert.deepEqual(actions, [
+      `${AuditAction.Delete} abc`,
+      `${AuditAction.Update} def`
+    ])
+  })
+})
+
+describe('Patient.change', () => {
+  it('saves and logs changes made to a patient record once', () => {
+    const context = getContext()
+    const patient = Patient.findOne('abc', context)
+
+    patient.addNotice(new Notice({ type: NoticeType.Invalid }))
+
+    const [auditEntry, ...otherEntries] = AuditEntry.findAll(context)
+    assert.equal(otherEntries.length, 0)
+    assert.equal(context.patients.abc.invalid, true)
+    assert.equal(context.patients.abc.events.length, 1)
+    assert.deepEqual(auditEntry.changes.invalid, { from: false, to: true })
+  })
+})
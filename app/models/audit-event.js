@@ -23,6 +23,7 @@ import { User } from './user.js'
  * @property {AuditEventType} [type] - Audit event type
  * @property {string} [outcome] - Outcome for activity type
  * @property {Array<string>} [programme_ids] - Programme IDs
+ * @property {number} [revision] - Revision of record event was added in
  */
 export class AuditEvent {
   constructor(options, context) {
@@ -34,6 +35,7 @@ export class AuditEvent {
     this.type = options?.type
     this.outcome = options?.outcome
     this.programme_ids = options?.programme_ids
+    this.revision = options?.revision
   }
 
   /**
@@ -1,16 +1,39 @@
 import { fakerEN_GB as faker } from '@faker-js/faker'
-import { isBefore } from 'date-fns'
+import { differenceInCalendarDays } from 'date-fns'
+import _ from 'lodash'
 
+import { AuditAction, StockStatus } from '../enums.js'
 import {
   convertIsoDateToObject,
   convertObjectToIsoDate,
   formatDate,
   today
 } from '../utils/date.js'
-import { formatMonospace } from '../utils/string.js'
+import { formatMonospace, formatTag } from '../utils/string.js'
 
+import { AuditEntry } from './audit-entry.js'
+import { Session } from './session.js'
+import { User } from './user.js'
+import { Vaccination } from './vaccination.js'
 import { Vaccine } from './vaccine.js'
 
+/**
+ * Number of doses remaining at which a batch is running low
+ */
+const LOW_STOCK_DOSES = 10
+
+/**
+ * Get given vaccinations, grouped by the batch used
+ *
+ * @param {object} context - Context
+ * @returns {object} Vaccinations, keyed by batch ID
+ */
+const getVaccinationsByBatch = (context) =>
+  _.groupBy(
+    Vaccination.findAll(context).filter(({ given }) => given),
+    'batch_id'
+  )
+
 /**
  * @class Batch
  * @param {object} options - Options
@@ -19,21 +42,47 @@ import { Vaccine } from './vaccine.js'
  * @property {string} id - Batch ID
  * @property {Date} [createdAt] - Created date
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {Date} [archivedAt] - Archived date
+ * @property {Date} [recalledAt] - Recalled date
+ * @property {string} [recalledBy_uid] - User who recalled batch
+ * @property {Date} [quarantinedAt] - Quarantined date
+ * @property {string} [quarantinedSession_id] - Session with temperature excursion
+ * @property {Date} [releasedAt] - Released from quarantine date
+ * @property {string} [releasedBy_uid] - User who released batch from quarantine
  * @property {Date} [expiry] - Expiry date
  * @property {object} [expiry_] - Expiry date (from `dateInput`)
  * @property {string} [vaccine_snomed] - Vaccine SNOMED code
+ * @property {number} [quantity] - Number of doses received
+ * @property {Array<object>} [wastage] - Doses wasted
  */
 export class Batch {
+  /**
+   * Vaccinations given using this batch, once found
+   *
+   * @type {Array<Vaccination>|undefined}
+   */
+  #vaccinations
+
   constructor(options, context) {
     this.context = context
     this.id = options?.id || faker.helpers.replaceSymbols('??####')
     this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.archivedAt = options?.archivedAt && new Date(options.archivedAt)
+    this.recalledAt = options?.recalledAt && new Date(options.recalledAt)
+    this.recalledBy_uid = options?.recalledBy_uid
+    this.quarantinedAt =
+      options?.quarantinedAt && new Date(options.quarantinedAt)
+    this.quarantinedSession_id = options?.quarantinedSession_id
+    this.releasedAt = options?.releasedAt && new Date(options.releasedAt)
+    this.releasedBy_uid = options?.releasedBy_uid
     this.expiry = options?.expiry ? new Date(options.expiry) : undefined
     this.expiry_ = options?.expiry_
     this.vaccine_snomed = options?.vaccine_snomed
+    this.quantity = options?.quantity ? Number(options.quantity) : undefined
+    this.wastage = options?.wastage || []
   }
 
   /**
@@ -71,11 +120,80 @@ export class Batch {
    * @returns {string} Name
    */
   get summary() {
-    const prefix = isBefore(this.archivedAt, today()) ? 'Expired' : 'Expires'
+    const prefix = this.expired ? 'Expired' : 'Expires'
 
     return `${this.formatted.id}<br>\n<span class="nhsuk-u-secondary-text-colour">${prefix} ${this.formatted.expiry}</span>`
   }
 
+  /**
+   * Batch has expired
+   *
+   * @returns {boolean} Batch has expired
+   */
+  get expired() {
+    return this.expiry
+      ? differenceInCalendarDays(this.expiry, today()) < 0
+      : false
+  }
+
+  /**
+   * Batch is quarantined
+   *
+   * Batches are quarantined after a temperature excursion in a session they
+   * were used in, until a nurse releases them.
+   *
+   * @returns {boolean} Batch is quarantined
+   */
+  get quarantined() {
+    return Boolean(
+      this.quarantinedAt &&
+      (!this.releasedAt || this.releasedAt < this.quarantinedAt)
+    )
+  }
+
+  /**
+   * Batch can be used to record vaccinations
+   *
+   * Expired, archived, recalled and quarantined batches cannot be used.
+   *
+   * @returns {boolean} Batch can be used
+   */
+  get usable() {
+    return (
+      !this.expired && !this.archivedAt && !this.recalledAt && !this.quarantined
+    )
+  }
+
+  /**
+   * Get user who recalled batch
+   *
+   * @returns {User|undefined} User
+   */
+  get recalledBy() {
+    try {
+      if (this.recalledBy_uid) {
+        return User.findOne(this.recalledBy_uid, this.context)
+      }
+    } catch (error) {
+      console.error('Batch.recalledBy', error.message)
+    }
+  }
+
+  /**
+   * Get session with temperature excursion that quarantined batch
+   *
+   * @returns {import('./session.js').Session|undefined} Session
+   */
+  get quarantinedSession() {
+    try {
+      if (this.quarantinedSession_id) {
+        return Session.findOne(this.quarantinedSession_id, this.context)
+      }
+    } catch (error) {
+      console.error('Batch.quarantinedSession', error.message)
+    }
+  }
+
   /**
    * Get vaccine this batch belongs to
    *
@@ -92,6 +210,148 @@ export class Batch {
     }
   }
 
+  /**
+   * Get vaccinations given using this batch
+   *
+   * @returns {Array<Vaccination>} Vaccinations
+   */
+  get vaccinations() {
+    try {
+      this.#vaccinations ??= getVaccinationsByBatch(this.context)[this.id] || []
+
+      return this.#vaccinations
+    } catch (error) {
+      console.error('Batch.vaccinations', error.message)
+    }
+  }
+
+  /**
+   * Get wastage entries, with user who recorded them
+   *
+   * @returns {Array<object>} Wastage entries
+   */
+  get wastageEntries() {
+    return this.wastage.map((entry) => ({
+      ...entry,
+      createdAt: new Date(entry.createdAt),
+      createdBy: User.findOne(entry.createdBy_uid, this.context)
+    }))
+  }
+
+  /**
+   * Get number of doses used
+   *
+   * @returns {number} Number of doses used
+   */
+  get usedCount() {
+    return this.vaccinations?.length || 0
+  }
+
+  /**
+   * Get number of doses wasted
+   *
+   * @returns {number} Number of doses wasted
+   */
+  get wastedCount() {
+    return this.wastage.reduce((count, { quantity }) => count + quantity, 0)
+  }
+
+  /**
+   * Get number of doses remaining
+   *
+   * @returns {number|undefined} Number of doses remaining
+   */
+  get remaining() {
+    if (this.quantity === undefined) return
+
+    return Math.max(this.quantity - this.usedCount - this.wastedCount, 0)
+  }
+
+  /**
+   * Doses can be recorded as wasted
+   *
+   * @param {number|string} quantity - Number of doses wasted
+   * @returns {boolean} Quantity is a whole number of doses, and no more than
+   *   the number remaining
+   */
+  canWaste(quantity) {
+    const doses = Number(quantity)
+
+    return (
+      Number.isInteger(doses) &&
+      doses > 0 &&
+      (this.remaining === undefined || doses <= this.remaining)
+    )
+  }
+
+  /**
+   * Get stock status
+   *
+   * @returns {StockStatus|undefined} Stock status
+   */
+  get stockStatus() {
+    const { remaining } = this
+
+    if (this.quarantined) {
+      return StockStatus.Quarantined
+    }
+
+    if (remaining === undefined) return
+
+    if (remaining === 0) {
+      return StockStatus.Exhausted
+    } else if (remaining <= LOW_STOCK_DOSES) {
+      return StockStatus.Low
+    }
+
+    return StockStatus.InStock
+  }
+
+  /**
+   * Batch is running low
+   *
+   * @returns {boolean} Batch is running low
+   */
+  get isLowStock() {
+    return this.stockStatus === StockStatus.Low
+  }
+
+  /**
+   * Batch has no doses remaining
+   *
+   * @returns {boolean} Batch has no doses remaining
+   */
+  get isExhausted() {
+    return this.stockStatus === StockStatus.Exhausted
+  }
+
+  /**
+   * Get status properties
+   *
+   * @returns {object|undefined} Status properties
+   */
+  get status() {
+    let colour
+    switch (this.stockStatus) {
+      case StockStatus.Quarantined:
+        colour = 'purple'
+        break
+      case StockStatus.Exhausted:
+        colour = 'red'
+        break
+      case StockStatus.Low:
+        colour = 'orange'
+        break
+      case StockStatus.InStock:
+        colour = 'green'
+        break
+      default:
+        return
+    }
+
+    return { colour, text: this.stockStatus }
+  }
+
   /**
    * Get formatted values
    *
@@ -101,9 +361,33 @@ export class Batch {
     const createdAt = formatDate(this.createdAt, { dateStyle: 'long' })
     const updatedAt = formatDate(this.updatedAt, { dateStyle: 'long' })
     const expiry = formatDate(this.expiry, { dateStyle: 'long' })
+    const recalledAt = formatDate(this.recalledAt, { dateStyle: 'long' })
+    const quarantinedAt = formatDate(this.quarantinedAt, { dateStyle: 'long' })
     const id = formatMonospace(this.id)
+    const quantity = this.quantity?.toString()
+    const remaining = this.remaining?.toString()
+    const stockStatus = this.status && formatTag(this.status)
 
-    return { createdAt, updatedAt, expiry, id }
+    return {
+      createdAt,
+      updatedAt,
+      expiry,
+      recalledAt,
+      quarantinedAt,
+      id,
+      quantity,
+      remaining,
+      stockStatus
+    }
+  }
+
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
   }
 
   /**
@@ -132,9 +416,14 @@ export class Batch {
    * @static
    */
   static findAll(context) {
-    return Object.values(context.batches).map(
-      (batch) => new Batch(batch, context)
-    )
+    const vaccinations = getVaccinationsByBatch(context)
+
+    return Object.values(context.batches).map((batch) => {
+      const foundBatch = new Batch(batch, context)
+      foundBatch.#vaccinations = vaccinations[foundBatch.id] || []
+
+      return foundBatch
+    })
   }
 
   /**
@@ -154,7 +443,7 @@ export class Batch {
   /**
    * Create
    *
-   * @param {Batch} batch - Batch
+   * @param {object} batch - Batch
    * @param {object} context - Context
    * @returns {Batch} Created batch
    * @static
@@ -166,6 +455,11 @@ export class Batch {
     context.batches = context.batches || {}
     context.batches[createdBatch.id] = createdBatch
 
+    AuditEntry.log(
+      { action: AuditAction.Create, record: createdBatch },
+      context
+    )
+
     return createdBatch
   }
 
@@ -179,8 +473,10 @@ export class Batch {
    * @static
    */
   static update(id, updates, context) {
+    const previous = AuditEntry.snapshot(context.batches[id])
     const updatedBatch = Object.assign(Batch.findOne(id, context), updates)
     updatedBatch.updatedAt = today()
+    updatedBatch.revision += 1
 
     // Remove batch context
     delete updatedBatch.context
@@ -191,9 +487,141 @@ export class Batch {
     // Update context
     context.batches[updatedBatch.id] = updatedBatch
 
+    AuditEntry.log(
+      { action: AuditAction.Update, record: updatedBatch, previous },
+      context
+    )
+
     return updatedBatch
   }
 
+  /**
+   * Record wasted doses
+   *
+   * Doses are only recorded if they can be wasted; see `canWaste`.
+   *
+   * @param {string} id - Batch ID
+   * @param {object} wastage - Wastage
+   * @param {object} context - Context
+   * @returns {Batch|undefined} Updated batch
+   * @static
+   */
+  static waste(id, wastage, context) {
+    const batch = Batch.findOne(id, context)
+    if (!batch?.canWaste(wastage.quantity)) {
+      return
+    }
+
+    return Batch.update(
+      id,
+      {
+        wastage: [
+          ...batch.wastage,
+          {
+            createdAt: today(),
+            createdBy_uid: wastage.createdBy_uid,
+            quantity: Number(wastage.quantity),
+            reason: wastage.reason
+          }
+        ]
+      },
+      context
+    )
+  }
+
+  /**
+   * Recall
+   *
+   * Recalled batches are also archived, so can no longer be used.
+   *
+   * @param {string} id - Batch ID
+   * @param {object} recall - Recall details
+   * @param {object} context - Context
+   * @returns {Batch} Recalled batch
+   * @static
+   */
+  static recall(id, recall, context) {
+    const previous = AuditEntry.snapshot(context.batches[id])
+    const recalledBatch = Batch.findOne(id, context)
+    recalledBatch.recalledAt = today()
+    recalledBatch.revision += 1
+    recalledBatch.recalledBy_uid = recall.recalledBy_uid
+    recalledBatch.archivedAt = recalledBatch.archivedAt || today()
+
+    // Remove batch context
+    delete recalledBatch.context
+
+    // Update context
+    context.batches[id] = recalledBatch
+
+    AuditEntry.log(
+      { action: AuditAction.Update, record: recalledBatch, previous },
+      context
+    )
+
+    return recalledBatch
+  }
+
+  /**
+   * Quarantine
+   *
+   * @param {string} id - Batch ID
+   * @param {object} quarantine - Quarantine details
+   * @param {object} context - Context
+   * @returns {Batch} Quarantined batch
+   * @static
+   */
+  static quarantine(id, quarantine, context) {
+    const previous = AuditEntry.snapshot(context.batches[id])
+    const quarantinedBatch = Batch.findOne(id, context)
+    quarantinedBatch.quarantinedAt = today()
+    quarantinedBatch.revision += 1
+    quarantinedBatch.quarantinedSession_id = quarantine.session_id
+
+    // Remove batch context
+    delete quarantinedBatch.context
+
+    // Update context
+    context.batches[id] = quarantinedBatch
+
+    AuditEntry.log(
+      { action: AuditAction.Update, record: quarantinedBatch, previous },
+      context
+    )
+
+    return quarantinedBatch
+  }
+
+  /**
+   * Release from quarantine
+   *
+   * @param {string} id - Batch ID
+   * @param {object} release - Release details
+   * @param {object} context - Context
+   * @returns {Batch} Released batch
+   * @static
+   */
+  static release(id, release, context) {
+    const previous = AuditEntry.snapshot(context.batches[id])
+    const releasedBatch = Batch.findOne(id, context)
+    releasedBatch.releasedAt = today()
+    releasedBatch.revision += 1
+    releasedBatch.releasedBy_uid = release.releasedBy_uid
+
+    // Remove batch context
+    delete releasedBatch.context
+
+    // Update context
+    context.batches[id] = releasedBatch
+
+    AuditEntry.log(
+      { action: AuditAction.Update, record: releasedBatch, previous },
+      context
+    )
+
+    return releasedBatch
+  }
+
   /**
    * Archive
    *
@@ -203,8 +631,10 @@ export class Batch {
    * @static
    */
   static archive(id, context) {
+    const previous = AuditEntry.snapshot(context.batches[id])
     const archivedBatch = Batch.findOne(id, context)
-    archivedBatch.archivedAt = new Date()
+    archivedBatch.archivedAt = today()
+    archivedBatch.revision += 1
 
     // Remove batch context
     delete archivedBatch.context
@@ -212,6 +642,11 @@ export class Batch {
     // Update context
     context.batches[id] = archivedBatch
 
+    AuditEntry.log(
+      { action: AuditAction.Archive, record: archivedBatch, previous },
+      context
+    )
+
     return archivedBatch
   }
 }
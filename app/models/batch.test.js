@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import { VaccinationOutcome, WastageReason } from '../enums.js'
+
+import { Batch } from './batch.js'
+
+const getContext = () => ({
+  batches: {
+    AB1234: { id: 'AB1234', quantity: 10, wastage: [] },
+    CD5678: { id: 'CD5678' }
+  },
+  vaccinations: {
+    a: {
+      uuid: 'a',
+      outcome: VaccinationOutcome.Vaccinated,
+      batch_id: 'AB1234'
+    },
+    b: {
+      uuid: 'b',
+      outcome: VaccinationOutcome.Vaccinated,
+      batch_id: 'AB1234'
+    },
+    c: { uuid: 'c', outcome: VaccinationOutcome.Refused }
+  }
+})
+
+describe('Batch.findAll', () => {
+  it('gets vaccinations given using each batch', () => {
+    const [batch, batchWithoutQuantity] = Batch.findAll(getContext())
+
+    assert.deepEqual(
+      batch.vaccinations.map(({ uuid }) => uuid),
+      ['a', 'b']
+    )
+    assert.equal(batch.remaining, 8)
+    assert.deepEqual(batchWithoutQuantity.vaccinations, [])
+  })
+})
+
+describe('Batch.canWaste', () => {
+  it('only allows a whole number of doses, 1 or more', () => {
+    const batch = Batch.findOne('AB1234', getContext())
+
+    assert.equal(batch.canWaste('1'), true)
+    assert.equal(batch.canWaste('0'), false)
+    assert.equal(batch.canWaste('-1'), false)
+    assert.equal(batch.canWaste('1.5'), false)
+    assert.equal(batch.canWaste('two'), false)
+  })
+
+  it('does not allow more doses than remain', () => {
+    const batch = Batch.findOne('AB1234', getContext())
+
+    assert.equal(batch.canWaste(8), true)
+    assert.equal(batch.canWaste(9), false)
+  })
+
+  it('allows any number of doses if the quantity received is not known', () => {
+    const batch = Batch.findOne('CD5678', getContext())
+
+    assert.equal(batch.canWaste(100), true)
+  })
+})
+
+describe('Batch.waste', () => {
+  it('records wasted doses', () => {
+    const context = getContext()
+
+    const batch = Batch.waste(
+      'AB1234',
+      { quantity: '3', reason: WastageReason.Broken, createdBy_uid: '123' },
+      context
+    )
+
+    assert.equal(batch.wastedCount, 3)
+    assert.equal(Batch.findOne('AB1234', context).remaining, 5)
+  })
+
+  it('does not record more doses than remain', () => {
+    const context = getContext()
+
+    assert.equal(Batch.waste('AB1234', { quantity: '9' }, context), undefined)
+    assert.equal(Batch.findOne('AB1234', context).wastedCount, 0)
+  })
+})
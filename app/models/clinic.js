@@ -13,6 +13,7 @@ import { Organisation } from './organisation.js'
  * @property {string} id - Organisation code
  * @property {Date} [createdAt] - Created date
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {string} [name] - Name
  * @property {Address} [address] - Address
  * @property {string} [organisation_code] - Organisation code
@@ -23,6 +24,7 @@ export class Clinic {
     this.id = options?.id || faker.helpers.replaceSymbols('?#####')
     this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.name = options?.name
     this.address = options?.address && new Address(options.address)
     this.organisation_code = options?.organisation_code
@@ -75,6 +77,15 @@ export class Clinic {
     }
   }
 
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
   /**
    * Get namespace
    *
@@ -142,6 +153,7 @@ export class Clinic {
   static update(id, updates, context) {
     const updatedClinic = Object.assign(Clinic.findOne(id, context), updates)
     updatedClinic.updatedAt = today()
+    updatedClinic.revision += 1
 
     // Remove clinic context
     delete updatedClinic.context
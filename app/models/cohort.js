@@ -103,6 +103,24 @@ export class Cohort {
     }
   }
 
+  /**
+   * Create
+   *
+   * @param {object} cohort - Cohort
+   * @param {object} context - Context
+   * @returns {Cohort} Created cohort
+   * @static
+   */
+  static create(cohort, context) {
+    const createdCohort = new Cohort(cohort)
+
+    // Update context
+    context.cohorts = context.cohorts || {}
+    context.cohorts[createdCohort.uid] = createdCohort
+
+    return createdCohort
+  }
+
   /**
    * Select patient records for cohort
    *
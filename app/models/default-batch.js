@@ -12,6 +12,22 @@ export class DefaultBatch extends Batch {
     this.session_id = options?.session_id
   }
 
+  /**
+   * Get batch this default batch points to
+   *
+   * Default batches store a copy of the batch when it was set, so get the
+   * batch as it is now, to check if it can still be used.
+   *
+   * @returns {Batch|undefined} Batch
+   */
+  get batch() {
+    try {
+      return Batch.findOne(this.id, this.context)
+    } catch (error) {
+      console.error('DefaultBatch.batch', error.message)
+    }
+  }
+
   /**
    * Get session
    *
@@ -1,19 +1,136 @@
 import { fakerEN_GB as faker } from '@faker-js/faker'
+import { endOfDay, isAfter, isBefore, startOfDay } from 'date-fns'
 import xlsx from 'json-as-xlsx'
 
-import { DownloadFormat } from '../enums.js'
+import gpSurgeries from '../datasets/clinics.js'
+import {
+  DownloadFormat,
+  EthnicBackgroundAsian,
+  EthnicBackgroundBlack,
+  EthnicBackgroundMixed,
+  EthnicBackgroundOther,
+  EthnicBackgroundWhite,
+  EthnicGroup,
+  Gender,
+  SessionType,
+  UserRole,
+  VaccinationMethod,
+  VaccinationOutcome,
+  VaccinationSite
+} from '../enums.js'
 import {
   convertIsoDateToObject,
   convertObjectToIsoDate,
   formatDate,
   today
 } from '../utils/date.js'
+import { getImmunizationBundle } from '../utils/fhir.js'
 import { formatList } from '../utils/string.js'
 
 import { Organisation } from './organisation.js'
 import { Programme } from './programme.js'
 import { Vaccination } from './vaccination.js'
 
+/**
+ * NHS ethnic category codes, by ethnic background or group
+ */
+const ETHNIC_CATEGORY_CODES = {
+  [EthnicBackgroundWhite.British]: 'A',
+  [EthnicBackgroundWhite.Irish]: 'B',
+  [EthnicBackgroundWhite.GRT]: 'C',
+  [EthnicBackgroundWhite.Other]: 'C',
+  [EthnicBackgroundMixed.WhiteBlack]: 'D',
+  [EthnicBackgroundMixed.WhiteAfrican]: 'E',
+  [EthnicBackgroundMixed.WhiteAsian]: 'F',
+  [EthnicBackgroundMixed.Other]: 'G',
+  [EthnicBackgroundAsian.Indian]: 'H',
+  [EthnicBackgroundAsian.Pakistani]: 'J',
+  [EthnicBackgroundAsian.Bangladeshi]: 'K',
+  [EthnicBackgroundAsian.Other]: 'L',
+  [EthnicBackgroundBlack.Caribbean]: 'M',
+  [EthnicBackgroundBlack.African]: 'N',
+  [EthnicBackgroundBlack.Other]: 'P',
+  [EthnicBackgroundAsian.Chinese]: 'R',
+  [EthnicBackgroundOther.Arab]: 'S',
+  [EthnicBackgroundOther.Other]: 'S',
+  [EthnicGroup.White]: 'C',
+  [EthnicGroup.Mixed]: 'G',
+  [EthnicGroup.Asian]: 'L',
+  [EthnicGroup.Black]: 'P',
+  [EthnicGroup.Other]: 'S',
+  [EthnicGroup.Withheld]: 'Z'
+}
+
+/**
+ * CarePlus staff types, by user role
+ */
+const CAREPLUS_STAFF_TYPES = {
+  [UserRole.Nurse]: 'IN',
+  [UserRole.NursePrescriber]: 'IN',
+  [UserRole.Pharmacist]: 'PH',
+  [UserRole.HCA]: 'HCA'
+}
+
+/**
+ * SystmOne gender codes
+ */
+const SYSTMONE_GENDER_CODES = {
+  [Gender.Female]: 'F',
+  [Gender.Male]: 'M',
+  [Gender.NotKnown]: 'U',
+  [Gender.NotSpecified]: 'I'
+}
+
+/**
+ * SystmOne anatomical sites
+ */
+const SYSTMONE_SITES = {
+  [VaccinationSite.Nose]: 'Nasal',
+  [VaccinationSite.ArmLeftUpper]: 'Left deltoid',
+  [VaccinationSite.ArmLeftLower]: 'Left deltoid',
+  [VaccinationSite.ArmRightUpper]: 'Right deltoid',
+  [VaccinationSite.ArmRightLower]: 'Right deltoid',
+  [VaccinationSite.ThighLeft]: 'Left lateral thigh',
+  [VaccinationSite.ThighRight]: 'Right lateral thigh'
+}
+
+/**
+ * SystmOne administration methods
+ */
+const SYSTMONE_METHODS = {
+  [VaccinationMethod.Intranasal]: 'Intranasal',
+  [VaccinationMethod.Intramuscular]: 'Intramuscular',
+  [VaccinationMethod.Subcutaneous]: 'Subcutaneous'
+}
+
+/**
+ * Get NHS ethnic category code for a patient
+ *
+ * @param {import('./patient.js').Patient} [patient] - Patient
+ * @returns {string} Ethnic category code (`Z` if not stated)
+ */
+function getEthnicCategoryCode(patient) {
+  return (
+    ETHNIC_CATEGORY_CODES[patient?.ethnicBackground] ||
+    ETHNIC_CATEGORY_CODES[patient?.ethnicGroup] ||
+    'Z'
+  )
+}
+
+/**
+ * Get ODS code for a patient’s GP practice
+ *
+ * @param {import('./patient.js').Patient} [patient] - Patient
+ * @returns {string} ODS code
+ */
+function getPracticeCode(patient) {
+  const gpSurgery = Object.values(gpSurgeries).find(
+    ({ name }) => name === patient?.gpSurgery
+  )
+
+  return gpSurgery?.id || ''
+}
+
 /**
  * @class Vaccination report download
  * @param {object} options - Options
@@ -23,6 +140,7 @@ import { Vaccination } from './vaccination.js'
  * @property {Date} [createdAt] - Created date
  * @property {string} [createdBy_uid] - User who created download
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {Date} [startAt] - Date to start report
  * @property {object} [startAt_] - Date to start report from (from `dateInput`)
  * @property {Date} [endAt] - Date to end report
@@ -39,6 +157,7 @@ export class Download {
     this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
     this.createdBy_uid = options?.createdBy_uid
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.startAt = options?.startAt && new Date(options.startAt)
     this.startAt_ = options?.startAt_
     this.endAt = options?.endAt && new Date(options.endAt)
@@ -139,12 +258,47 @@ export class Download {
   /**
    * Get vaccinations
    *
+   * Only includes vaccinations given between the start and end dates, and by
+   * the selected organisations.
+   *
    * @returns {Array<Vaccination>} Vaccinations
    */
   get vaccinations() {
-    return this.vaccination_uuids.map((uuid) =>
-      Vaccination.findOne(uuid, this.context)
-    )
+    const { organisations } = this
+
+    return this.vaccination_uuids
+      .map((uuid) => Vaccination.findOne(uuid, this.context))
+      .filter((vaccination) => {
+        const { createdAt, session } = vaccination
+        const school_urn = session?.school_urn || vaccination.school_urn
+
+        if (this.startAt && isBefore(createdAt, startOfDay(this.startAt))) {
+          return false
+        }
+
+        if (this.endAt && isAfter(createdAt, endOfDay(this.endAt))) {
+          return false
+        }
+
+        if (organisations.length > 0) {
+          return organisations.some(
+            ({ clinic_ids, school_urns }) =>
+              school_urns.includes(school_urn) ||
+              clinic_ids.includes(session?.clinic_id)
+          )
+        }
+
+        return true
+      })
+  }
+
+  /**
+   * Get FHIR Bundle
+   *
+   * @returns {object} FHIR R4 Bundle resource
+   */
+  get fhirBundle() {
+    return getImmunizationBundle(this.vaccinations, { id: this.id })
   }
 
   /**
@@ -164,7 +318,7 @@ export class Download {
             label: 'DateOfBirth',
             value: (row) =>
               formatDate(row.dob, {
-                timeStyle: 'short'
+                dateStyle: 'short'
               })
           },
           { label: 'Address_Line1', value: 'address_line1' },
@@ -204,31 +358,114 @@ export class Download {
           { label: 'Manufacture', value: 'vaccine_manufacturer' },
           { label: 'BatchNO1', value: 'batch_id' }
         ],
-        content: this.vaccinations.map((vaccination) => ({
-          nhsn: vaccination.patient?.nhsn,
-          lastName: vaccination.patient?.lastName,
-          firstName: vaccination.patient?.firstName,
-          dob: vaccination.patient?.dob,
-          address_line1: vaccination.patient?.address?.addressLine1,
-          parent: vaccination.patient?.parent1?.fullName,
-          ethnicity: '',
-          date: vaccination.createdAt,
-          time: vaccination.createdAt,
-          location_type: 'SC',
-          location_urn: vaccination.school_urn,
-          user_role: '',
-          user_code: '',
-          attended: vaccination.given ? 'Y' : 'N',
-          non_attendance: '',
-          batch_expiry: vaccination.batch?.expiry,
-          sequence: vaccination.sequence,
-          refusal: !vaccination.given ? vaccination.outcome : '',
-          batch_id: vaccination.batch_id,
-          // FIX: Resolve Getters from Vaccination model
-          site: vaccination.injectionSite,
-          vaccine_type: vaccination.vaccine?.type,
-          vaccine_manufacturer: vaccination.vaccine?.manufacturer
-        }))
+        content: this.vaccinations.map((vaccination) => {
+          const { createdBy, outcome, patient, session } = vaccination
+          const attended = outcome !== VaccinationOutcome.Absent
+
+          return {
+            nhsn: patient?.hasMissingNhsNumber ? '' : patient?.nhsn,
+            lastName: patient?.lastName,
+            firstName: patient?.firstName,
+            dob: patient?.dob,
+            address_line1: patient?.address?.addressLine1,
+            parent: patient?.parent1?.fullName,
+            ethnicity: getEthnicCategoryCode(patient),
+            date: vaccination.createdAt,
+            time: vaccination.createdAt,
+            location_type: session?.type === SessionType.Clinic ? 'CL' : 'SC',
+            location_urn: session?.school_urn || vaccination.school_urn,
+            user_role: CAREPLUS_STAFF_TYPES[createdBy?.role] || '',
+            user_code: createdBy?.uid || '',
+            attended: attended ? 'Y' : 'N',
+            non_attendance: attended ? '' : outcome,
+            batch_expiry: vaccination.batch?.expiry,
+            sequence: vaccination.sequence,
+            refusal: attended && !vaccination.given ? outcome : '',
+            batch_id: vaccination.batch_id,
+            site: vaccination.site,
+            vaccine_type: vaccination.vaccine?.type,
+            vaccine_manufacturer: vaccination.vaccine?.manufacturer
+          }
+        })
+      }
+    ]
+  }
+
+  /**
+   * Get SystmOne XLSX data
+   *
+   * SystmOne only records vaccinations that were given.
+   *
+   * @returns {Array} XLSX data
+   */
+  get systmOne() {
+    return [
+      {
+        sheet: 'Vaccinations',
+        columns: [
+          { label: 'Practice code', value: 'practice_code' },
+          { label: 'NHS number', value: 'nhsn' },
+          { label: 'Surname', value: 'lastName' },
+          { label: 'Middle name', value: 'middleName' },
+          { label: 'Forename', value: 'firstName' },
+          { label: 'Gender', value: 'gender' },
+          {
+            label: 'Date of Birth',
+            value: (row) => formatDate(row.dob, { dateStyle: 'short' })
+          },
+          { label: 'House name', value: 'address_line2' },
+          { label: 'House number and road', value: 'address_line1' },
+          { label: 'Town', value: 'address_town' },
+          { label: 'Postcode', value: 'postalCode' },
+          { label: 'Vaccination', value: 'vaccine' },
+          { label: 'Part', value: 'part' },
+          {
+            label: 'Admin date',
+            value: (row) => formatDate(row.date, { dateStyle: 'short' })
+          },
+          { label: 'Batch number', value: 'batch_id' },
+          {
+            label: 'Expiry date',
+            value: (row) => formatDate(row.batch_expiry, { dateStyle: 'short' })
+          },
+          { label: 'Dose', value: 'dose' },
+          { label: 'Reason', value: 'reason' },
+          { label: 'Site', value: 'site' },
+          { label: 'Method', value: 'method' },
+          { label: 'Notes', value: 'note' }
+        ],
+        content: this.vaccinations
+          .filter(({ given }) => given)
+          .map((vaccination) => {
+            const { patient, programme } = vaccination
+            const part = vaccination.sequence
+              ? programme?.sequence.indexOf(vaccination.sequence) + 1
+              : 1
+
+            return {
+              practice_code: getPracticeCode(patient),
+              nhsn: patient?.hasMissingNhsNumber ? '' : patient?.nhsn,
+              lastName: patient?.lastName,
+              middleName: '',
+              firstName: patient?.firstName,
+              gender: SYSTMONE_GENDER_CODES[patient?.gender] || 'U',
+              dob: patient?.dob,
+              address_line1: patient?.address?.addressLine1,
+              address_line2: patient?.address?.addressLine2,
+              address_town: patient?.address?.addressLevel1,
+              postalCode: patient?.postalCode,
+              vaccine: `${vaccination.vaccine?.brand} Part ${part}`,
+              part,
+              date: vaccination.createdAt,
+              batch_id: vaccination.batch_id,
+              batch_expiry: vaccination.batch?.expiry,
+              dose: vaccination.dose,
+              reason: 'Routine',
+              site: SYSTMONE_SITES[vaccination.site] || '',
+              method: SYSTMONE_METHODS[vaccination.method] || '',
+              note: vaccination.note
+            }
+          })
       }
     ]
   }
@@ -311,6 +548,15 @@ export class Download {
     }
   }
 
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
   /**
    * Get namespace
    *
@@ -376,6 +622,7 @@ export class Download {
       updates
     )
     updatedDownload.updatedAt = today()
+    updatedDownload.revision += 1
 
     // Remove download context
     delete updatedDownload.context
@@ -408,6 +655,17 @@ export class Download {
         extension = 'xlsx'
         mimetype = 'application/octet-stream'
         break
+      case DownloadFormat.SystmOne:
+        // @ts-ignore
+        buffer = xlsx(this.systmOne, { name, writeOptions: { type: 'buffer' } })
+        extension = 'xlsx'
+        mimetype = 'application/octet-stream'
+        break
+      case DownloadFormat.FHIR:
+        buffer = Buffer.from(JSON.stringify(this.fhirBundle, null, 2))
+        extension = 'json'
+        mimetype = 'application/fhir+json'
+        break
       default:
         buffer = Buffer.from(this.csv)
         extension = 'csv'
@@ -2,6 +2,8 @@ import { fakerEN_GB as faker } from '@faker-js/faker'
 
 import { today } from '../utils/date.js'
 
+import { PatientSession } from './patient-session.js'
+
 /**
  * @class Instruction
  * @param {object} options - Options
@@ -24,6 +26,30 @@ export class Instruction {
     this.programme_id = options?.programme_id
   }
 
+  /**
+   * Get patient session
+   *
+   * @returns {PatientSession|undefined} Patient session
+   */
+  get patientSession() {
+    if (this.patientSession_uuid) {
+      return PatientSession.findOne(this.patientSession_uuid, this.context)
+    }
+  }
+
+  /**
+   * Find all
+   *
+   * @param {object} context - Context
+   * @returns {Array<Instruction>|undefined} Instructions
+   * @static
+   */
+  static findAll(context) {
+    return Object.values(context.instructions).map(
+      (instruction) => new Instruction(instruction, context)
+    )
+  }
+
   /**
    * Find one
    *
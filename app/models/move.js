@@ -12,6 +12,7 @@ import { formatDate, getDateValueDifference, today } from '../utils/date.js'
  * @property {string} uuid - UUID
  * @property {Date} [createdAt] - Reported date
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {boolean} ignored - Reported move is ignored
  * @property {import('../enums.js').MoveSource} source - Reporting source
  * @property {string} from_urn - Current school URN (moving from)
@@ -26,6 +27,7 @@ export class Move {
     this.updatedAt = options?.updatedAt
       ? new Date(options.updatedAt)
       : undefined
+    this.revision = Number(options?.revision) || 0
     this.ignored = options?.ignored || false
     this.source = options?.source
     this.from_urn = options?.from_urn
@@ -65,6 +67,15 @@ export class Move {
     }
   }
 
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
   /**
    * Get namespace
    *
@@ -123,6 +134,7 @@ export class Move {
   static update(uuid, updates, context) {
     const updatedMove = Object.assign(this, updates)
     updatedMove.updatedAt = today()
+    updatedMove.revision += 1
 
     // Remove move context
     delete updatedMove.context
@@ -14,6 +14,7 @@ import { Patient } from './patient.js'
  * @property {Date} [archivedAt] - Archived date
  * @property {import('../enums.js').NoticeType} type - Notice type
  * @property {string} patient_uuid - Patient notice applies to
+ * @property {string} [batch_id] - Recalled batch ID
  */
 export class Notice {
   constructor(options, context) {
@@ -23,6 +24,7 @@ export class Notice {
     this.archivedAt = options?.archivedAt && new Date(options.archivedAt)
     this.type = options.type
     this.patient_uuid = options.patient_uuid
+    this.batch_id = options?.batch_id
   }
 
   /**
@@ -96,6 +98,24 @@ export class Notice {
     }
   }
 
+  /**
+   * Create
+   *
+   * @param {object} notice - Notice
+   * @param {object} context - Context
+   * @returns {Notice} Created notice
+   * @static
+   */
+  static create(notice, context) {
+    const createdNotice = new Notice(notice)
+
+    // Update context
+    context.notices = context.notices || {}
+    context.notices[createdNotice.uuid] = createdNotice
+
+    return createdNotice
+  }
+
   /**
    * Archive
    *
@@ -106,7 +126,7 @@ export class Notice {
    */
   static archive(id, context) {
     const archivedNotice = Notice.findOne(id, context)
-    archivedNotice.archivedAt = new Date()
+    archivedNotice.archivedAt = today()
 
     // Remove notice context
     delete archivedNotice.context
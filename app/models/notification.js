@@ -0,0 +1,218 @@
+import { fakerEN_GB as faker } from '@faker-js/faker'
+
+import { NotifyChannel, NotifyEmailStatus, NotifySmsStatus } from '../enums.js'
+import { formatDate, getDateValueDifference, today } from '../utils/date.js'
+import { formatLink, formatTag } from '../utils/string.js'
+
+import { Parent } from './parent.js'
+import { Patient } from './patient.js'
+import { Programme } from './programme.js'
+import { Session } from './session.js'
+import { User } from './user.js'
+
+/**
+ * @class Notification
+ * @param {object} options - Options
+ * @param {object} [context] - Context
+ * @property {object} [context] - Context
+ * @property {string} uuid - UUID
+ * @property {Date} [createdAt] - Created date
+ * @property {string} [createdBy_uid] - User who caused notification to be sent
+ * @property {NotifyChannel} channel - Channel
+ * @property {string} template - Template name
+ * @property {string} [subject] - Subject (emails only)
+ * @property {string} body - Body, as Markdown
+ * @property {string} to - Email address or phone number sent to
+ * @property {Parent} parent - Parent sent to
+ * @property {NotifyEmailStatus|NotifySmsStatus} status - Delivery status
+ * @property {string} patient_uuid - Patient UUID
+ * @property {string} [programme_id] - Programme ID
+ * @property {string} [session_id] - Session ID
+ */
+export class Notification {
+  constructor(options, context) {
+    this.context = context
+    this.uuid = options?.uuid || faker.string.uuid()
+    this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
+    this.createdBy_uid = options?.createdBy_uid
+    this.channel = options?.channel || NotifyChannel.Email
+    this.template = options?.template
+    this.subject = options?.subject
+    this.body = options?.body
+    this.to = options?.to
+    this.parent = options?.parent && new Parent(options.parent)
+    this.status =
+      options?.status ||
+      (this.channel === NotifyChannel.Sms
+        ? NotifySmsStatus.Delivered
+        : NotifyEmailStatus.Delivered)
+    this.patient_uuid = options?.patient_uuid
+    this.programme_id = options?.programme_id
+    this.session_id = options?.session_id
+  }
+
+  /**
+   * Get user who caused notification to be sent
+   *
+   * @returns {User|undefined} User
+   */
+  get createdBy() {
+    try {
+      if (this.createdBy_uid) {
+        return User.findOne(this.createdBy_uid, this.context)
+      }
+    } catch (error) {
+      console.error('Notification.createdBy', error.message)
+    }
+  }
+
+  /**
+   * Get patient
+   *
+   * @returns {Patient|undefined} Patient
+   */
+  get patient() {
+    try {
+      if (this.patient_uuid) {
+        return Patient.findOne(this.patient_uuid, this.context)
+      }
+    } catch (error) {
+      console.error('Notification.patient', error.message)
+    }
+  }
+
+  /**
+   * Get programme
+   *
+   * @returns {Programme|undefined} Programme
+   */
+  get programme() {
+    try {
+      if (this.programme_id) {
+        return Programme.findOne(this.programme_id, this.context)
+      }
+    } catch (error) {
+      console.error('Notification.programme', error.message)
+    }
+  }
+
+  /**
+   * Get session
+   *
+   * @returns {Session|undefined} Session
+   */
+  get session() {
+    try {
+      if (this.session_id) {
+        return Session.findOne(this.session_id, this.context)
+      }
+    } catch (error) {
+      console.error('Notification.session', error.message)
+    }
+  }
+
+  /**
+   * Notification was delivered
+   *
+   * @returns {boolean} Notification was delivered
+   */
+  get delivered() {
+    return [NotifyEmailStatus.Delivered, NotifySmsStatus.Delivered].includes(
+      this.status
+    )
+  }
+
+  /**
+   * Get formatted links
+   *
+   * @returns {object} Formatted links
+   */
+  get link() {
+    return {
+      createdAt: formatLink(this.uri, this.formatted.createdAt)
+    }
+  }
+
+  /**
+   * Get formatted values
+   *
+   * @returns {object} Formatted values
+   */
+  get formatted() {
+    return {
+      createdAt: formatDate(this.createdAt, {
+        dateStyle: 'long',
+        timeStyle: 'short'
+      }),
+      createdBy: this.createdBy?.fullName || 'Sent automatically',
+      parent: this.parent?.formatted.fullNameAndRelationship,
+      status: formatTag({
+        text: this.status,
+        colour: this.delivered ? 'green' : 'red'
+      })
+    }
+  }
+
+  /**
+   * Get namespace
+   *
+   * @returns {string} Namespace
+   */
+  get ns() {
+    return 'notification'
+  }
+
+  /**
+   * Get URI
+   *
+   * @returns {string} URI
+   */
+  get uri() {
+    return `/outbox/${this.uuid}`
+  }
+
+  /**
+   * Find all
+   *
+   * @param {object} context - Context
+   * @returns {Array<Notification>|undefined} Notifications
+   * @static
+   */
+  static findAll(context) {
+    return Object.values(context.notifications || {})
+      .map((notification) => new Notification(notification, context))
+      .sort((a, b) => getDateValueDifference(b.createdAt, a.createdAt))
+  }
+
+  /**
+   * Find one
+   *
+   * @param {string} uuid - Notification UUID
+   * @param {object} context - Context
+   * @returns {Notification|undefined} Notification
+   * @static
+   */
+  static findOne(uuid, context) {
+    if (context?.notifications?.[uuid]) {
+      return new Notification(context.notifications[uuid], context)
+    }
+  }
+
+  /**
+   * Create
+   *
+   * @param {object} notification - Notification
+   * @param {object} context - Context
+   * @returns {Notification} Created notification
+   * @static
+   */
+  static create(notification, context) {
+    const createdNotification = new Notification(notification)
+
+    // Update context
+    context.notifications = context.notifications || {}
+    context.notifications[createdNotification.uuid] = createdNotification
+
+    return createdNotification
+  }
+}
@@ -1,9 +1,10 @@
 import prototypeFilters from '@x-govuk/govuk-prototype-filters'
 
-import { OrganisationDefaults } from '../enums.js'
+import { AuditAction, OrganisationDefaults } from '../enums.js'
 import { today } from '../utils/date.js'
 import { stringToBoolean } from '../utils/string.js'
 
+import { AuditEntry } from './audit-entry.js'
 import { Clinic } from './clinic.js'
 import { School } from './school.js'
 
@@ -14,6 +15,7 @@ import { School } from './school.js'
  * @property {object} [context] - Context
  * @property {string} [code] - ODS code
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {string} [name] - Full name
  * @property {string} [email] - Email address
  * @property {string} [tel] - Phone number
@@ -30,6 +32,7 @@ export class Organisation {
     this.context = context
     this.code = options?.code
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.name = options?.name
     this.email = options?.email
     this.tel = options?.tel
@@ -98,6 +101,15 @@ export class Organisation {
     }
   }
 
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
   /**
    * Get namespace
    *
@@ -153,11 +165,13 @@ export class Organisation {
    * @static
    */
   static update(code, updates, context) {
+    const previous = AuditEntry.snapshot(context.organisations[code])
     const updatedOrganisation = Object.assign(
       Organisation.findOne(code, context),
       updates
     )
     updatedOrganisation.updatedAt = today()
+    updatedOrganisation.revision += 1
 
     // Remove organisation context
     delete updatedOrganisation.context
@@ -168,6 +182,11 @@ export class Organisation {
     // Update context
     context.organisations[updatedOrganisation.code] = updatedOrganisation
 
+    AuditEntry.log(
+      { action: AuditAction.Update, record: updatedOrganisation, previous },
+      context
+    )
+
     return updatedOrganisation
   }
 }
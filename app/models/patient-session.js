@@ -3,6 +3,7 @@ import filters from '@x-govuk/govuk-prototype-filters'
 
 import {
   Activity,
+  AuditAction,
   AuditEventType,
   ConsentOutcome,
   ProgrammeOutcome,
@@ -47,6 +48,7 @@ import {
   getTriageOutcome
 } from '../utils/triage.js'
 
+import { AuditEntry } from './audit-entry.js'
 import { Gillick } from './gillick.js'
 import { Instruction } from './instruction.js'
 import { Patient } from './patient.js'
@@ -62,6 +64,7 @@ import { Session } from './session.js'
  * @property {Date} [createdAt] - Created date
  * @property {string} [createdBy_uid] - User who created patient session
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {Gillick} [gillick] - Gillick assessment
  * @property {Array<AuditEvent>} [notes] - Notes
  * @property {boolean} alternative - Administer alternative vaccine
@@ -77,6 +80,7 @@ export class PatientSession {
     this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
     this.createdBy_uid = options?.createdBy_uid
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.gillick = options?.gillick && new Gillick(options.gillick)
     this.notes = options?.notes || []
     this.alternative = options?.alternative || false
@@ -145,6 +149,20 @@ export class PatientSession {
       .reverse()
   }
 
+  /**
+   * Get audit events added since a version
+   *
+   * @param {string} version - Version
+   * @returns {Array<import('./audit-event.js').AuditEvent>} Audit events
+   */
+  getChangesSince(version) {
+    const patientRevision = Number(String(version).split('.')[1])
+
+    return this.auditEventLog.filter(
+      ({ revision }) => revision > patientRevision
+    )
+  }
+
   /**
    * Get triage notes
    *
@@ -400,6 +418,33 @@ export class PatientSession {
     }
   }
 
+  /**
+   * Get next dose due, from patient’s previous vaccinations
+   *
+   * @returns {{sequence: string, dueFrom?: Date}|undefined} Next dose
+   */
+  get nextDose() {
+    try {
+      return this.programme?.getNextDose(this.patient.vaccinations)
+    } catch (error) {
+      console.error('PatientSession.nextDose', error.message)
+    }
+  }
+
+  /**
+   * Next dose is due by the session’s last date
+   *
+   * @returns {boolean} Next dose is due
+   */
+  get nextDoseDue() {
+    const dueBy = this.session?.lastDate || today()
+
+    return (
+      this.nextDose?.dueFrom !== undefined &&
+      getDateValueDifference(this.nextDose.dueFrom, dueBy) <= 0
+    )
+  }
+
   /**
    * Still to vaccinate
    *
@@ -701,6 +746,18 @@ export class PatientSession {
     }
   }
 
+  /**
+   * Get version
+   *
+   * Most changes are recorded as events on the patient record, so the
+   * patient record’s revision is also included.
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return `${this.revision}.${this.patient?.revision || 0}`
+  }
+
   /**
    * Get namespace
    *
@@ -761,6 +818,11 @@ export class PatientSession {
     context.patientSessions = context.patientSessions || {}
     context.patientSessions[createdPatientSession.uuid] = createdPatientSession
 
+    AuditEntry.log(
+      { action: AuditAction.Create, record: createdPatientSession },
+      context
+    )
+
     return createdPatientSession
   }
 
@@ -774,11 +836,13 @@ export class PatientSession {
    * @static
    */
   static update(uuid, updates, context) {
+    const previous = AuditEntry.snapshot(context.patientSessions[uuid])
     const updatedPatientSession = Object.assign(
       PatientSession.findOne(uuid, context),
       updates
     )
     updatedPatientSession.updatedAt = today()
+    updatedPatientSession.revision += 1
 
     // Remove patient context
     delete updatedPatientSession.context
@@ -789,6 +853,11 @@ export class PatientSession {
     // Update context
     context.patientSessions[updatedPatientSession.uuid] = updatedPatientSession
 
+    AuditEntry.log(
+      { action: AuditAction.Update, record: updatedPatientSession, previous },
+      context
+    )
+
     return updatedPatientSession
   }
 
@@ -905,7 +974,7 @@ export class PatientSession {
   /**
    * Record sent reminder
    *
-   * @param {import('./audit-event.js').AuditEvent} event - Event
+   * @param {object} event - Event
    * @param {import('./parent.js').Parent} parent - Parent
    */
   sendReminder(event, parent) {
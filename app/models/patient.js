@@ -2,7 +2,7 @@ import { fakerEN_GB as faker } from '@faker-js/faker'
 import _ from 'lodash'
 
 import schools from '../datasets/schools.js'
-import { AuditEventType, NoticeType } from '../enums.js'
+import { AuditAction, AuditEventType, NoticeType } from '../enums.js'
 import { getDateValueDifference, removeDays, today } from '../utils/date.js'
 import { tokenize } from '../utils/object.js'
 import { getPreferredNames } from '../utils/reply.js'
@@ -18,14 +18,22 @@ import {
   stringToBoolean
 } from '../utils/string.js'
 
+import { AuditEntry } from './audit-entry.js'
 import { AuditEvent } from './audit-event.js'
 import { Child } from './child.js'
 import { Cohort } from './cohort.js'
+import { Notification } from './notification.js'
 import { Parent } from './parent.js'
 import { PatientSession } from './patient-session.js'
 import { Reply } from './reply.js'
 import { Vaccination } from './vaccination.js'
 
+/**
+ * Patient records with a change in progress, so that a change made as part of
+ * another change is only logged once
+ */
+const changing = new WeakSet()
+
 /**
  * @class Patient record
  * @augments Child
@@ -36,6 +44,7 @@ import { Vaccination } from './vaccination.js'
  * @property {boolean} invalid - Flagged as invalid
  * @property {boolean} sensitive - Flagged as sensitive
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {import('../enums.js').Address} [address] - Address
  * @property {Parent} [parent1] - Parent 1
  * @property {Parent} [parent2] - Parent 2
@@ -60,6 +69,7 @@ export class Patient extends Child {
     this.invalid = invalid
     this.sensitive = sensitive
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.address = !sensitive && options?.address ? options.address : undefined
     this.parent1 =
       !sensitive && options?.parent1 ? new Parent(options.parent1) : undefined
@@ -82,9 +92,17 @@ export class Patient extends Child {
    * @returns {string} NHS Number
    */
   get nhsNumber() {
-    const nhsn = '999#######'.replace(/#+/g, (m) =>
-      faker.string.numeric(m.length)
-    )
+    // Use a valid check digit (numbers with a check digit of 10 are invalid)
+    let nhsn
+    do {
+      nhsn = '999######'.replace(/#+/g, (m) => faker.string.numeric(m.length))
+      const total = [...nhsn].reduce(
+        (sum, digit, index) => sum + Number(digit) * (10 - index),
+        0
+      )
+      nhsn += (11 - (total % 11)) % 11
+    } while (nhsn.length !== 10)
+
     const temporaryNhsn = faker.string.alpha(10)
 
     // 5% of records don’t have an NHS number
@@ -281,6 +299,42 @@ export class Patient extends Child {
     return []
   }
 
+  /**
+   * Get next doses due, for programmes patient has started a course in
+   *
+   * @returns {Array<{programme: import('./programme.js').Programme, sequence: string, dueFrom?: Date}>} Next doses
+   */
+  get nextDoses() {
+    const givenVaccinations = this.vaccinations.filter(
+      ({ given, programme }) => given && programme
+    )
+
+    return Object.values(_.groupBy(givenVaccinations, 'programme.type'))
+      .map((vaccinations) => {
+        const { programme } = vaccinations.at(-1)
+        return {
+          programme,
+          ...programme.getNextDose(this.vaccinations)
+        }
+      })
+      .filter(({ dueFrom }) => dueFrom)
+  }
+
+  /**
+   * Get notifications sent to parents
+   *
+   * @returns {Array<Notification>} Notifications
+   */
+  get notifications() {
+    if (this.context?.notifications) {
+      return Notification.findAll(this.context).filter(
+        ({ patient_uuid }) => patient_uuid === this.uuid
+      )
+    }
+
+    return []
+  }
+
   /**
    * Record is archived
    *
@@ -299,6 +353,22 @@ export class Patient extends Child {
     return Object.keys(this.pendingChanges).length > 0
   }
 
+  /**
+   * Get patient record with pending changes applied
+   *
+   * @returns {Patient} Patient record
+   */
+  get withPendingChanges() {
+    return new Patient(
+      {
+        ...this,
+        ...this.pendingChanges,
+        address: { ...this.address, ...this.pendingChanges.address }
+      },
+      this.context
+    )
+  }
+
   /**
    * Get formatted links
    *
@@ -365,7 +435,7 @@ export class Patient extends Child {
       nhsn: formattedNhsn,
       newUrn:
         this.pendingChanges?.school_urn &&
-        schools[this.pendingChanges.school_urn].name,
+        schools[this.pendingChanges.school_urn]?.name,
       parent1: this.parent1 && formatParent(this.parent1),
       parent2: this.parent2 && formatParent(this.parent2),
       parents: formatList(formattedParents),
@@ -376,6 +446,17 @@ export class Patient extends Child {
     }
   }
 
+  /**
+   * Get version
+   *
+   * Record changes each time it is updated or an event is added.
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
   /**
    * Get namespace
    *
@@ -436,6 +517,11 @@ export class Patient extends Child {
     context.patients = context.patients || {}
     context.patients[createdPatient.uuid] = createdPatient
 
+    AuditEntry.log(
+      { action: AuditAction.Create, record: createdPatient },
+      context
+    )
+
     return createdPatient
   }
 
@@ -449,8 +535,15 @@ export class Patient extends Child {
    * @static
    */
   static update(uuid, updates, context) {
+    const previous = AuditEntry.snapshot(context.patients[uuid])
     const updatedPatient = _.merge(Patient.findOne(uuid, context), updates)
     updatedPatient.updatedAt = today()
+    updatedPatient.revision += 1
+
+    // Pending changes are replaced, not merged, so that they can be cleared
+    if (updates.pendingChanges) {
+      updatedPatient.pendingChanges = updates.pendingChanges
+    }
 
     // Remove patient context
     delete updatedPatient.context
@@ -461,16 +554,60 @@ export class Patient extends Child {
     // Update context
     context.patients[updatedPatient.uuid] = updatedPatient
 
+    AuditEntry.log(
+      { action: AuditAction.Update, record: updatedPatient, previous },
+      context
+    )
+
     return updatedPatient
   }
 
+  /**
+   * Change patient record
+   *
+   * Records in context are saved, and the change logged in the audit log.
+   *
+   * @param {Function} change - Function that changes patient record
+   */
+  change(change) {
+    const { context, uuid } = this
+    if (changing.has(this) || !context?.patients?.[uuid]) {
+      return change()
+    }
+
+    const previous = AuditEntry.snapshot(context.patients[uuid])
+
+    changing.add(this)
+    this.revision = (context.patients[uuid].revision || 0) + 1
+    try {
+      change()
+    } finally {
+      changing.delete(this)
+    }
+
+    const changedPatient = _.clone(this)
+
+    // Remove patient context
+    delete changedPatient.context
+
+    // Update context
+    context.patients[uuid] = changedPatient
+
+    AuditEntry.log(
+      { action: AuditAction.Update, record: changedPatient, previous },
+      context
+    )
+  }
+
   /**
    * Add event to activity log
    *
    * @param {object} event - Event
    */
   addEvent(event) {
-    this.events.push(new AuditEvent(event))
+    this.change(() => {
+      this.events.push(new AuditEvent({ ...event, revision: this.revision }))
+    })
   }
 
   /**
@@ -479,12 +616,14 @@ export class Patient extends Child {
    * @param {import('./cohort.js').Cohort} cohort - Cohort
    */
   selectForCohort(cohort) {
-    this.cohort_uids.push(cohort.uid)
-    this.addEvent({
-      name: `Selected for the ${cohort.name}`,
-      createdAt: cohort.createdAt,
-      createdBy_uid: cohort.createdBy_uid,
-      programme_ids: [cohort.programme_id]
+    this.change(() => {
+      this.cohort_uids.push(cohort.uid)
+      this.addEvent({
+        name: `Selected for the ${cohort.name}`,
+        createdAt: cohort.createdAt,
+        createdBy_uid: cohort.createdBy_uid,
+        programme_ids: [cohort.programme_id]
+      })
     })
   }
 
@@ -498,7 +637,13 @@ export class Patient extends Child {
    * @static
    */
   static archive(uuid, archive, context) {
-    const archivedPatient = Patient.update(uuid, archive, context)
+    const previous = AuditEntry.snapshot(context.patients[uuid])
+    const archivedPatient = _.merge(Patient.findOne(uuid, context), archive)
+    archivedPatient.updatedAt = today()
+    archivedPatient.revision += 1
+
+    // Remove patient context
+    delete archivedPatient.context
 
     archivedPatient.addEvent({
       name: `Record archived: ${archive.archiveReason}`,
@@ -506,6 +651,14 @@ export class Patient extends Child {
       createdBy_uid: archive.createdBy_uid
     })
 
+    // Update context
+    context.patients[uuid] = archivedPatient
+
+    AuditEntry.log(
+      { action: AuditAction.Archive, record: archivedPatient, previous },
+      context
+    )
+
     return archivedPatient
   }
 
@@ -515,7 +668,9 @@ export class Patient extends Child {
    * @param {import('./patient-session.js').PatientSession} patientSession - Patient session
    */
   addToSession(patientSession) {
-    this.patientSession_uuids.push(patientSession.uuid)
+    this.change(() => {
+      this.patientSession_uuids.push(patientSession.uuid)
+    })
   }
 
   /**
@@ -556,12 +711,14 @@ export class Patient extends Child {
       name = `${decision} in updated response from ${formattedParent}`
     }
 
-    this.reply_uuids.push(reply.uuid)
-    this.addEvent({
-      name,
-      createdAt: isNew ? reply.createdAt : today(),
-      createdBy_uid: reply.createdBy_uid,
-      programme_ids: [reply.programme_id]
+    this.change(() => {
+      this.reply_uuids.push(reply.uuid)
+      this.addEvent({
+        name,
+        createdAt: isNew ? reply.createdAt : today(),
+        createdBy_uid: reply.createdBy_uid,
+        programme_ids: [reply.programme_id]
+      })
     })
   }
 
@@ -571,8 +728,6 @@ export class Patient extends Child {
    * @param {import('./vaccination.js').Vaccination} vaccination - Vaccination
    */
   recordVaccination(vaccination) {
-    this.vaccination_uuids.push(vaccination.uuid)
-
     let name
     if (vaccination.given) {
       name = vaccination.updatedAt
@@ -582,12 +737,15 @@ export class Patient extends Child {
       name = `Unable to vaccinate: ${vaccination.outcome}`
     }
 
-    this.addEvent({
-      name,
-      note: vaccination.note,
-      createdAt: vaccination.updatedAt || vaccination.createdAt,
-      createdBy_uid: vaccination.createdBy_uid,
-      programme_ids: [vaccination.programme_id]
+    this.change(() => {
+      this.vaccination_uuids.push(vaccination.uuid)
+      this.addEvent({
+        name,
+        note: vaccination.note,
+        createdAt: vaccination.updatedAt || vaccination.createdAt,
+        createdBy_uid: vaccination.createdBy_uid,
+        programme_ids: [vaccination.programme_id]
+      })
     })
   }
 
@@ -597,35 +755,41 @@ export class Patient extends Child {
    * @param {import('./notice.js').Notice} notice - Notice
    */
   addNotice(notice) {
-    let name
-    switch (notice.type) {
-      case NoticeType.Deceased:
-        // Update patient record with date of death
-        this.dod = removeDays(today(), 5)
-        name = `Record updated with child’s date of death`
-        break
-      case NoticeType.NoNotify:
-        // Notify request to not share vaccination with GP
-        this.parent1.notify = false
-        name = `Child gave consent for HPV and flu vaccinations under Gillick competence and does not want their parents to be notified.\n\nThese records are not automatically synced with GP records.\n\nYour team must let the child’s GP know they were vaccinated.`
-        break
-      case NoticeType.Invalid:
-        // Flag record as invalid
-        this.invalid = true
-        name = `Record flagged as invalid`
-        break
-      case NoticeType.Sensitive:
-        // Flag record as sensitive
-        this.sensitive = true
-        name = `Record flagged as sensitive`
-        break
-      default:
-    }
+    this.change(() => {
+      let name
+      switch (notice.type) {
+        case NoticeType.Deceased:
+          // Update patient record with date of death
+          this.dod = removeDays(today(), 5)
+          name = `Record updated with child’s date of death`
+          break
+        case NoticeType.NoNotify:
+          // Notify request to not share vaccination with GP
+          this.parent1.notify = false
+          name = `Child gave consent for HPV and flu vaccinations under Gillick competence and does not want their parents to be notified.\n\nThese records are not automatically synced with GP records.\n\nYour team must let the child’s GP know they were vaccinated.`
+          break
+        case NoticeType.Invalid:
+          // Flag record as invalid
+          this.invalid = true
+          name = `Record flagged as invalid`
+          break
+        case NoticeType.Recall:
+          // Flag record as vaccinated with a recalled batch
+          name = `Child was vaccinated with batch ${notice.batch_id}, which has been recalled.\n\nYour team must contact the child’s parents to arrange any follow-up.`
+          break
+        case NoticeType.Sensitive:
+          // Flag record as sensitive
+          this.sensitive = true
+          name = `Record flagged as sensitive`
+          break
+        default:
+      }
 
-    this.addEvent({
-      type: AuditEventType.Notice,
-      name,
-      createdAt: notice.createdAt
+      this.addEvent({
+        type: AuditEventType.Notice,
+        name,
+        createdAt: notice.createdAt
+      })
     })
   }
 }
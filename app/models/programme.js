@@ -1,10 +1,17 @@
 import prototypeFilters from '@x-govuk/govuk-prototype-filters'
-import { isAfter } from 'date-fns'
+import { isAfter, isBefore, startOfDay } from 'date-fns'
+import _ from 'lodash'
 
 import programmes from '../datasets/programmes.js'
 import vaccines from '../datasets/vaccines.js'
 import { ProgrammeStatus, VaccineCriteria } from '../enums.js'
-import { isBetweenDates, today } from '../utils/date.js'
+import {
+  addDays,
+  getAcademicYearStarting,
+  getDateValueDifference,
+  isBetweenDates,
+  today
+} from '../utils/date.js'
 import {
   formatLink,
   formatTag,
@@ -31,7 +38,7 @@ import { Vaccine } from './vaccine.js'
  * @property {object} guidance - GOV.UK guidance
  * @property {ProgrammeStatus} status - Status
  * @property {ProgrammeType} type - Programme type
- * @property {AcademicYear} year - Academic year
+ * @property {import('../enums.js').AcademicYear} year - Academic year
  * @property {Array<string>} sequence - Vaccine dose sequence
  * @property {string} sequenceDefault - Default vaccine dose sequence
  * @property {Array<number>} yearGroups - Year groups for routine vaccinations
@@ -120,7 +127,7 @@ export class Programme {
    * @returns {string} Start date
    */
   get start() {
-    const thisYear = new Date().getFullYear()
+    const thisYear = today().getFullYear()
 
     return `${thisYear}-09-01`
   }
@@ -180,6 +187,126 @@ export class Programme {
     }
   }
 
+  /**
+   * Get number of doses needed to complete a course
+   *
+   * @returns {number|undefined} Number of doses
+   */
+  get courseDoses() {
+    return programmes[this.type].courseDoses || this.sequence?.length
+  }
+
+  /**
+   * Get minimum number of days between a dose and the dose before it
+   *
+   * @returns {object} Minimum intervals, keyed by dose sequence
+   */
+  get minimumIntervals() {
+    return programmes[this.type].minimumIntervals || {}
+  }
+
+  /**
+   * Programme’s vaccination is given every year
+   *
+   * @returns {boolean} Programme is seasonal
+   */
+  get seasonal() {
+    return programmes[this.type].seasonal || false
+  }
+
+  /**
+   * Get name of dose in sequence
+   *
+   * @param {string} sequence - Dose sequence
+   * @returns {string|undefined} Dose name
+   * @example Second dose
+   */
+  getDoseName(sequence) {
+    if (sequence && this.sequence) {
+      const ordinal = prototypeFilters.ordinal(
+        this.sequence.indexOf(sequence) + 1
+      )
+
+      return `${_.startCase(ordinal)} dose`
+    }
+  }
+
+  /**
+   * Get next dose, from previous vaccinations
+   *
+   * Programmes without a dose sequence only have one dose. If no doses have
+   * been given, the next dose is the programme’s default dose. Otherwise the
+   * next dose follows the last dose given, and is due once the minimum
+   * interval since that dose has passed.
+   *
+   * If checking a vaccination that is being recorded or edited, only doses
+   * given before it count.
+   *
+   * @param {Array<import('./vaccination.js').Vaccination>} vaccinations - Previous vaccinations
+   * @param {import('./vaccination.js').Vaccination} [vaccination] - Vaccination being checked
+   * @returns {{sequence: string, dueFrom?: Date}|undefined} Next dose
+   */
+  getNextDose(vaccinations, vaccination) {
+    if (!this.sequence) return
+
+    const doses = vaccinations
+      .filter(({ given, programme }) => given && programme?.type === this.type)
+      .filter(
+        ({ uuid, createdAt }) =>
+          !vaccination ||
+          (uuid !== vaccination.uuid &&
+            isBefore(createdAt, vaccination.createdAt))
+      )
+      .sort((a, b) => getDateValueDifference(a.createdAt, b.createdAt))
+
+    if (doses.length === 0) {
+      return { sequence: this.sequenceDefault }
+    }
+
+    // Course is complete
+    if (doses.length >= this.courseDoses) return
+
+    // Historical vaccinations may not record their dose sequence
+    const lastDose = doses.at(-1)
+    const lastIndex = lastDose.sequence
+      ? this.sequence.indexOf(lastDose.sequence)
+      : this.sequence.indexOf(this.sequenceDefault) + doses.length - 1
+
+    const sequence = this.sequence[lastIndex + 1]
+    if (!sequence) return
+
+    return {
+      sequence,
+      dueFrom: startOfDay(
+        addDays(lastDose.createdAt, this.minimumIntervals[sequence] || 0)
+      )
+    }
+  }
+
+  /**
+   * Check if a patient has been fully vaccinated, from previous vaccinations
+   *
+   * Doses given in earlier academic years count towards a course, except for
+   * seasonal programmes, where only doses given this year count.
+   *
+   * @param {Array<import('./vaccination.js').Vaccination>} vaccinations - Previous vaccinations
+   * @returns {boolean} Patient has been fully vaccinated
+   */
+  isVaccinated(vaccinations) {
+    const doses = vaccinations.filter(
+      ({ given, programme }) =>
+        given &&
+        programme?.type === this.type &&
+        (!this.seasonal || programme.id === this.id)
+    )
+
+    if (doses.length === 0) {
+      return false
+    }
+
+    return !this.getNextDose(doses)
+  }
+
   /**
    * Get cohorts
    *
@@ -232,6 +359,19 @@ export class Programme {
       .sort((a, b) => a.patient?.lastName.localeCompare(b.patient?.lastName))
   }
 
+  /**
+   * Get same programme in the previous academic year
+   *
+   * @returns {Programme|undefined} Programme
+   */
+  get previousProgramme() {
+    const year = getAcademicYearStarting(Number.parseInt(this.year) - 1)
+
+    return Programme.findAll(this.context).find(
+      (programme) => programme.type === this.type && programme.year === year
+    )
+  }
+
   /**
    * Get patient session programme outcomes
    *
@@ -330,4 +470,22 @@ export class Programme {
       return new Programme(context.programmes[id], context)
     }
   }
+
+  /**
+   * Create
+   *
+   * @param {object} programme - Programme
+   * @param {object} context - Context
+   * @returns {Programme} Created programme
+   * @static
+   */
+  static create(programme, context) {
+    const createdProgramme = new Programme(programme)
+
+    // Update context
+    context.programmes = context.programmes || {}
+    context.programmes[createdProgramme.id] = createdProgramme
+
+    return createdProgramme
+  }
 }
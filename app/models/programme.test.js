@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import programmes from '../datasets/programmes.js'
+import { ProgrammeType } from '../enums.js'
+
+import { Programme } from './programme.js'
+
+const programme = new Programme(programmes[ProgrammeType.MMR])
+
+/**
+ * Get a vaccination given for a dose of the programme
+ *
+ * @param {string} uuid - Vaccination UUID
+ * @param {string} createdAt - Date vaccination given
+ * @param {string} [sequence] - Dose sequence
+ * @param {object} [options] - Other vaccination values
+ * @returns {import('./vaccination.js').Vaccination} Vaccination
+ */
+const getDose = (uuid, createdAt, sequence, options) =>
+  /** @type {import('./vaccination.js').Vaccination} */ ({
+    uuid,
+    createdAt: new Date(createdAt),
+    given: true,
+    programme,
+    sequence,
+    ...options
+  })
+
+describe('Programme.getNextDose', () => {
+  it('gets the default dose if no doses have been given', () => {
+    assert.deepEqual(programme.getNextDose([]), { sequence: '1P' })
+  })
+
+  it('gets the next dose, due once the minimum interval has passed', () => {
+    const nextDose = programme.getNextDose([
+      getDose('a', '2025-01-01T10:00', '1P')
+    ])
+
+    assert.equal(nextDose.sequence, '2P')
+    assert.equal(
+      nextDose.dueFrom.toISOString(),
+      new Date('2025-01-29T00:00').toISOString()
+    )
+  })
+
+  it('counts doses without a dose sequence', () => {
+    const nextDose = programme.getNextDose([getDose('a', '2025-01-01')])
+
+    assert.equal(nextDose.sequence, '2P')
+  })
+
+  it('does not get a dose once a course is complete', () => {
+    const nextDose = programme.getNextDose([
+      getDose('a', '2025-01-01', '1P'),
+      getDose('b', '2025-03-01', '2P')
+    ])
+
+    assert.equal(nextDose, undefined)
+  })
+
+  it('ignores doses not given or for other programmes', () => {
+    const flu = new Programme(programmes[ProgrammeType.Flu])
+
+    assert.deepEqual(
+      programme.getNextDose([
+        getDose('a', '2025-01-01', '1P', { given: false }),
+        getDose('a', '2025-01-01', '1P', { programme: flu })
+      ]),
+      { sequence: '1P' }
+    )
+  })
+
+  it('only counts doses given before a vaccination being checked', () => {
+    const firstDose = getDose('a', '2025-01-01', '1P')
+    const secondDose = getDose('b', '2025-03-01', '2P')
+
+    // Editing the second dose
+    const nextDose = programme.getNextDose(
+      [firstDose, secondDose],
+      getDose('b', '2025-01-10', '2P')
+    )
+
+    assert.equal(nextDose.sequence, '2P')
+    assert.ok(secondDose.createdAt > nextDose.dueFrom)
+    assert.ok(new Date('2025-01-10') < nextDose.dueFrom)
+
+    // Editing the first dose
+    assert.deepEqual(
+      programme.getNextDose([firstDose, secondDose], firstDose),
+      {
+        sequence: '1P'
+      }
+    )
+  })
+})
@@ -0,0 +1,191 @@
+import { fakerEN_GB as faker } from '@faker-js/faker'
+
+import { AccessReason, AccessType } from '../enums.js'
+import { formatDate, today } from '../utils/date.js'
+import { formatOther } from '../utils/string.js'
+
+import { Patient } from './patient.js'
+import { User } from './user.js'
+
+/**
+ * @class Record access
+ * @param {object} options - Options
+ * @param {object} [context] - Context
+ * @property {object} [context] - Context
+ * @property {string} uuid - UUID
+ * @property {Date} [createdAt] - Accessed date
+ * @property {string} [createdBy_uid] - User who accessed record
+ * @property {string} [organisation_code] - Organisation user was signed in to
+ * @property {string} patient_uuid - Patient record accessed
+ * @property {AccessType} type - Access type
+ * @property {AccessReason} [reason] - Reason for access
+ * @property {string} [reasonOther] - Other reason for access
+ * @property {string} [uri] - Page viewed
+ */
+export class RecordAccess {
+  constructor(options, context) {
+    this.context = context
+    this.uuid = options?.uuid || faker.string.uuid()
+    this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
+    this.createdBy_uid = options?.createdBy_uid
+    this.organisation_code = options?.organisation_code
+    this.patient_uuid = options.patient_uuid
+    this.type = options.type
+    this.reason = options?.reason
+    this.reasonOther =
+      this.reason === AccessReason.Other ? options?.reasonOther : undefined
+    this.uri = options?.uri
+  }
+
+  /**
+   * Get user who accessed record
+   *
+   * @returns {User|undefined} User
+   */
+  get createdBy() {
+    try {
+      if (this.createdBy_uid) {
+        return User.findOne(this.createdBy_uid, this.context)
+      }
+    } catch (error) {
+      console.error('RecordAccess.createdBy', error.message)
+    }
+  }
+
+  /**
+   * Get patient record accessed
+   *
+   * @returns {Patient|undefined} Patient
+   */
+  get patient() {
+    try {
+      if (this.patient_uuid) {
+        return Patient.findOne(this.patient_uuid, this.context)
+      }
+    } catch (error) {
+      console.error('RecordAccess.patient', error.message)
+    }
+  }
+
+  /**
+   * Get formatted values
+   *
+   * @returns {object} Formatted values
+   */
+  get formatted() {
+    return {
+      createdAt: formatDate(this.createdAt, {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      }),
+      createdBy: this.createdBy?.fullName || '',
+      reason: formatOther(this.reasonOther, this.reason) || this.reason
+    }
+  }
+
+  /**
+   * Get namespace
+   *
+   * @returns {string} Namespace
+   */
+  get ns() {
+    return 'recordAccess'
+  }
+
+  /**
+   * Find all
+   *
+   * @param {object} context - Context
+   * @returns {Array<RecordAccess>|undefined} Record accesses
+   * @static
+   */
+  static findAll(context) {
+    return Object.values(context.recordAccesses || {}).map(
+      (recordAccess) => new RecordAccess(recordAccess, context)
+    )
+  }
+
+  /**
+   * Create
+   *
+   * @param {object} recordAccess - Record access
+   * @param {object} context - Context
+   * @returns {RecordAccess} Created record access
+   * @static
+   */
+  static create(recordAccess, context) {
+    const createdRecordAccess = new RecordAccess(recordAccess)
+
+    // Remove record access context
+    delete createdRecordAccess.context
+
+    // Update context
+    context.recordAccesses = context.recordAccesses || {}
+    context.recordAccesses[createdRecordAccess.uuid] = createdRecordAccess
+
+    return createdRecordAccess
+  }
+
+  /**
+   * Log access to a patient record
+   *
+   * Only access to sensitive records is logged, and only in a context with an
+   * access log.
+   *
+   * @param {object} access - Access
+   * @param {Patient} access.patient - Patient record accessed
+   * @param {AccessType} access.type - Access type
+   * @param {AccessReason} [access.reason] - Reason for access
+   * @param {string} [access.reasonOther] - Other reason for access
+   * @param {string} [access.uri] - Page viewed
+   * @param {object} context - Context
+   * @returns {RecordAccess|undefined} Created record access
+   * @static
+   */
+  static log({ patient, ...access }, context) {
+    if (!context?.recordAccesses || !patient?.sensitive) {
+      return
+    }
+
+    return RecordAccess.create(
+      {
+        ...access,
+        createdBy_uid: context.token?.uid,
+        organisation_code:
+          context.token?.organisation_code || context.organisation?.code,
+        patient_uuid: patient.uuid
+      },
+      context
+    )
+  }
+
+  /**
+   * Log download of patient records
+   *
+   * @param {Array<Patient>} patients - Patient records downloaded
+   * @param {object} access - Access
+   * @param {AccessReason} access.reason - Reason for access
+   * @param {string} [access.uri] - Page file was downloaded from
+   * @param {object} context - Context
+   * @returns {Array<RecordAccess>} Created record accesses
+   * @static
+   */
+  static logDownload(patients, { reason, uri }, context) {
+    const uniquePatients = new Map(
+      patients.filter(Boolean).map((patient) => [patient.uuid, patient])
+    )
+
+    return [...uniquePatients.values()]
+      .map((patient) =>
+        RecordAccess.log(
+          { patient, type: AccessType.Download, reason, uri },
+          context
+        )
+      )
+      .filter(Boolean)
+  }
+}
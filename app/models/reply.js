@@ -3,6 +3,7 @@ import _ from 'lodash'
 
 import vaccines from '../datasets/vaccines.js'
 import {
+  AuditAction,
   ConsentVaccineCriteria,
   NotifyEmailStatus,
   NotifySmsStatus,
@@ -22,6 +23,7 @@ import {
   stringToBoolean
 } from '../utils/string.js'
 
+import { AuditEntry } from './audit-entry.js'
 import { Child } from './child.js'
 import { Parent } from './parent.js'
 import { Patient } from './patient.js'
@@ -38,6 +40,7 @@ import { User } from './user.js'
  * @property {Date} [createdAt] - Created date
  * @property {string} [createdBy_uid] - User who created reply
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {import('./child.js').Child} [child] - Child
  * @property {import('./parent.js').Parent} [parent] - Parent or guardian
  * @property {ReplyDecision} [decision] - Consent decision
@@ -66,6 +69,7 @@ export class Reply {
     this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
     this.createdBy_uid = options?.createdBy_uid
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.child = options?.child && new Child(options.child)
     this.parent = options?.parent && new Parent(options.parent)
     this.decision = options?.decision
@@ -408,6 +412,15 @@ export class Reply {
     }
   }
 
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
   /**
    * Get namespace
    *
@@ -477,6 +490,11 @@ export class Reply {
     context.replies = context.replies || {}
     context.replies[createdReply.uuid] = createdReply
 
+    AuditEntry.log(
+      { action: AuditAction.Create, record: createdReply },
+      context
+    )
+
     return createdReply
   }
 
@@ -490,8 +508,10 @@ export class Reply {
    * @static
    */
   static update(uuid, updates, context) {
+    const previous = AuditEntry.snapshot(context.replies[uuid])
     const updatedReply = _.merge(Reply.findOne(uuid, context), updates)
     updatedReply.updatedAt = today()
+    updatedReply.revision += 1
 
     // Remove reply context
     delete updatedReply.context
@@ -502,6 +522,11 @@ export class Reply {
     // Update context
     context.replies[updatedReply.uuid] = updatedReply
 
+    AuditEntry.log(
+      { action: AuditAction.Update, record: updatedReply, previous },
+      context
+    )
+
     return updatedReply
   }
 }
@@ -0,0 +1,474 @@
+import { fakerEN_GB as faker } from '@faker-js/faker'
+import xlsx from 'json-as-xlsx'
+
+import { ReportFormat, ReportMeasure } from '../enums.js'
+import { formatDate, today } from '../utils/date.js'
+import {
+  compareDimensionValues,
+  getDimensionValues,
+  getMeasureTotals
+} from '../utils/report.js'
+import { formatList } from '../utils/string.js'
+
+import { Organisation } from './organisation.js'
+import { Programme } from './programme.js'
+import { User } from './user.js'
+
+/**
+ * Most dimensions a report can be broken down by
+ */
+const MAX_DIMENSIONS = 2
+
+/**
+ * @class Report
+ * @param {object} options - Options
+ * @param {object} [context] - Context
+ * @property {object} [context] - Context
+ * @property {string} id - Report ID
+ * @property {Date} [createdAt] - Created date
+ * @property {string} [createdBy_uid] - User who created report
+ * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
+ * @property {string} [name] - Name
+ * @property {string} [organisation_code] - Organisation ODS code
+ * @property {Array<import('../enums.js').ReportDimension>} dimensions - Dimensions to break down report by
+ * @property {Array<ReportMeasure>} measures - Measures to report
+ * @property {string} [programme_id] - Programme to report on
+ */
+export class Report {
+  constructor(options, context) {
+    this.context = context
+    this.id = options?.id || faker.string.hexadecimal({ length: 8, prefix: '' })
+    this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
+    this.createdBy_uid = options?.createdBy_uid
+    this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
+    this.name = options?.name
+    this.organisation_code = options?.organisation_code
+    this.dimensions = [options?.dimensions || []]
+      .flat()
+      .filter((dimension) => dimension && dimension !== '_unchecked')
+    this.measures = [options?.measures || []]
+      .flat()
+      .filter((measure) => measure && measure !== '_unchecked')
+    this.programme_id = options?.programme_id
+  }
+
+  /**
+   * Get user who created report
+   *
+   * @returns {User|undefined} User
+   */
+  get createdBy() {
+    try {
+      if (this.createdBy_uid) {
+        return User.findOne(this.createdBy_uid, this.context)
+      }
+    } catch (error) {
+      console.error('Report.createdBy', error.message)
+    }
+  }
+
+  /**
+   * Get organisation
+   *
+   * @returns {Organisation|undefined} Organisation
+   */
+  get organisation() {
+    try {
+      const organisation = this.context?.organisations[this.organisation_code]
+      if (organisation) {
+        return new Organisation(organisation)
+      }
+    } catch (error) {
+      console.error('Report.organisation', error.message)
+    }
+  }
+
+  /**
+   * Get programme
+   *
+   * @returns {Programme|undefined} Programme
+   */
+  get programme() {
+    try {
+      const programme = this.context?.programmes[this.programme_id]
+      if (programme) {
+        return new Programme(programme, this.context)
+      }
+    } catch (error) {
+      console.error('Report.programme', error.message)
+    }
+  }
+
+  /**
+   * Report has more dimensions than can be shown in a table
+   *
+   * @returns {boolean} Report has too many dimensions
+   */
+  get tooManyDimensions() {
+    return this.dimensions.length > MAX_DIMENSIONS
+  }
+
+  /**
+   * Report can be run
+   *
+   * @returns {boolean} Report has a programme, dimensions and measures
+   */
+  get runnable() {
+    return (
+      Boolean(this.programme) &&
+      !this.tooManyDimensions &&
+      this.measures.length > 0
+    )
+  }
+
+  /**
+   * Get patient sessions
+   *
+   * Only includes children in sessions run by the organisation.
+   *
+   * @returns {Array<import('./patient-session.js').PatientSession>} Patient sessions
+   */
+  get patientSessions() {
+    if (!this.programme) {
+      return []
+    }
+
+    const { organisation } = this
+
+    return this.programme.patientSessions.filter(({ session }) => {
+      if (organisation) {
+        return (
+          organisation.school_urns.includes(session?.school_urn) ||
+          organisation.clinic_ids.includes(session?.clinic_id)
+        )
+      }
+
+      return true
+    })
+  }
+
+  /**
+   * Get results, with totals for each combination of dimension values
+   *
+   * @returns {Array<{values: Array<string>, totals: object}>} Results
+   */
+  get results() {
+    if (!this.runnable) {
+      return []
+    }
+
+    const groups = new Map()
+    for (const patientSession of this.patientSessions) {
+      // Count patient session against every combination of dimension values
+      let combinations = [[]]
+      for (const dimension of this.dimensions) {
+        const values = getDimensionValues(patientSession, dimension)
+        combinations = combinations.flatMap((combination) =>
+          values.map((value) => [...combination, value])
+        )
+      }
+
+      for (const combination of combinations) {
+        const key = combination.map(({ text }) => text).join('|')
+        if (!groups.has(key)) {
+          groups.set(key, { values: combination, patientSessions: [] })
+        }
+
+        groups.get(key).patientSessions.push(patientSession)
+      }
+    }
+
+    return [...groups.values()]
+      .sort((a, b) => {
+        for (const [index, value] of a.values.entries()) {
+          const order = compareDimensionValues(value, b.values[index])
+          if (order !== 0) {
+            return order
+          }
+        }
+
+        return 0
+      })
+      .map(({ values, patientSessions }) => ({
+        values: values.map(({ text }) => text),
+        totals: getMeasureTotals(patientSessions, this.measures)
+      }))
+  }
+
+  /**
+   * Get totals for all children in report
+   *
+   * @returns {object} Totals, keyed by measure
+   */
+  get totals() {
+    return getMeasureTotals(this.patientSessions, this.measures)
+  }
+
+  /**
+   * Get rows, with values keyed by column label
+   *
+   * @returns {Array<object>} Rows
+   */
+  get rows() {
+    const rows = this.results.map(({ values, totals }) => ({
+      ...Object.fromEntries(
+        this.dimensions.map((dimension, index) => [dimension, values[index]])
+      ),
+      ...this.formatTotals(totals)
+    }))
+
+    if (this.dimensions.length > 0) {
+      rows.push({
+        [this.dimensions[0]]: 'Total',
+        ...this.formatTotals(this.totals)
+      })
+    }
+
+    return rows
+  }
+
+  /**
+   * Get column labels
+   *
+   * @returns {Array<string>} Column labels
+   */
+  get columns() {
+    return [...this.dimensions, ...this.measures]
+  }
+
+  /**
+   * Get table, for use with `table` component
+   *
+   * @returns {object} Table head and rows
+   */
+  get table() {
+    const numeric = (column) => this.measures.includes(column)
+
+    return {
+      head: this.columns.map((column) => ({
+        text: column,
+        ...(numeric(column) && { format: 'numeric' })
+      })),
+      rows: this.rows.map((row) =>
+        this.columns.map((column) => ({
+          text: row[column],
+          ...(numeric(column) && { format: 'numeric' })
+        }))
+      )
+    }
+  }
+
+  /**
+   * Get CSV
+   *
+   * @returns {string} CSV
+   */
+  get csv() {
+    const rows = this.rows.map((row) =>
+      this.columns
+        .map((column) => {
+          const value = row[column]
+
+          return `"${(value ?? '').toString().replace(/"/g, '""')}"`
+        })
+        .join(',')
+    )
+
+    return [this.columns.join(','), ...rows].join('\n')
+  }
+
+  /**
+   * Get spreadsheet
+   *
+   * @returns {Array<object>} `json-as-xlsx` sheets
+   */
+  get spreadsheet() {
+    return [
+      {
+        sheet: 'Report',
+        columns: this.columns.map((column) => ({
+          label: column,
+          value: column
+        })),
+        content: this.rows
+      }
+    ]
+  }
+
+  /**
+   * Get formatted values
+   *
+   * @returns {object} Formatted values
+   */
+  get formatted() {
+    return {
+      createdAt: formatDate(this.createdAt, { dateStyle: 'long' }),
+      createdBy: this.createdBy?.fullName || 'Unknown',
+      dimensions:
+        this.dimensions.length > 0 ? formatList(this.dimensions) : 'None',
+      measures: formatList(this.measures)
+    }
+  }
+
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
+  /**
+   * Get namespace
+   *
+   * @returns {string} Namespace
+   */
+  get ns() {
+    return 'report'
+  }
+
+  /**
+   * Get URI
+   *
+   * @returns {string} URI
+   */
+  get uri() {
+    return `/reports/${this.programme_id}/custom/${this.id}`
+  }
+
+  /**
+   * Format totals, showing uptake as a percentage
+   *
+   * @param {object} totals - Totals, keyed by measure
+   * @returns {object} Formatted totals
+   */
+  formatTotals(totals) {
+    return Object.fromEntries(
+      this.measures.map((measure) => [
+        measure,
+        measure === ReportMeasure.Uptake
+          ? `${totals[measure]}%`
+          : totals[measure]
+      ])
+    )
+  }
+
+  /**
+   * Find all
+   *
+   * @param {object} context - Context
+   * @returns {Array<Report>} Reports
+   * @static
+   */
+  static findAll(context) {
+    return Object.values(context?.reports || {}).map(
+      (report) => new Report(report, context)
+    )
+  }
+
+  /**
+   * Find one
+   *
+   * @param {string} id - Report ID
+   * @param {object} context - Context
+   * @returns {Report|undefined} Report
+   * @static
+   */
+  static findOne(id, context) {
+    if (context?.reports?.[id]) {
+      return new Report(context.reports[id], context)
+    }
+  }
+
+  /**
+   * Create
+   *
+   * Reports can be run against any programme, so the programme is not saved.
+   *
+   * @param {object} report - Report
+   * @param {object} context - Context
+   * @returns {Report} Created report
+   * @static
+   */
+  static create(report, context) {
+    const createdReport = new Report(report)
+    delete createdReport.programme_id
+
+    // Update context
+    context.reports = context.reports || {}
+    context.reports[createdReport.id] = createdReport
+
+    return createdReport
+  }
+
+  /**
+   * Update
+   *
+   * @param {string} id - Report ID
+   * @param {object} updates - Updates
+   * @param {object} context - Context
+   * @returns {Report} Updated report
+   * @static
+   */
+  static update(id, updates, context) {
+    const updatedReport = Object.assign(Report.findOne(id, context), updates)
+    updatedReport.updatedAt = today()
+    updatedReport.revision += 1
+
+    // Remove report context and programme
+    delete updatedReport.context
+    delete updatedReport.programme_id
+
+    // Delete original report (with previous ID)
+    delete context.reports[id]
+
+    // Update context
+    context.reports[updatedReport.id] = updatedReport
+
+    return updatedReport
+  }
+
+  /**
+   * Delete
+   *
+   * @param {string} id - Report ID
+   * @param {object} context - Context
+   * @static
+   */
+  static delete(id, context) {
+    delete context.reports[id]
+  }
+
+  /**
+   * Create file
+   *
+   * @param {ReportFormat} format - File format
+   * @returns {object} File buffer, name and mime type
+   */
+  createFile(format) {
+    const name = [this.programme?.name, this.name].filter(Boolean).join(' - ')
+
+    let buffer
+    let extension
+    let mimetype
+    switch (format) {
+      case ReportFormat.XLSX:
+        // @ts-ignore
+        buffer = xlsx(this.spreadsheet, {
+          writeOptions: { type: 'buffer' }
+        })
+        extension = 'xlsx'
+        mimetype = 'application/octet-stream'
+        break
+      default:
+        buffer = Buffer.from(this.csv)
+        extension = 'csv'
+        mimetype = 'text/csv'
+    }
+
+    return { buffer, fileName: `${name}.${extension}`, mimetype }
+  }
+}
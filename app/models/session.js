@@ -1,11 +1,13 @@
 import { fakerEN_GB as faker } from '@faker-js/faker'
 import { default as filters } from '@x-govuk/govuk-prototype-filters'
 import { isAfter } from 'date-fns'
+import xlsx from 'json-as-xlsx'
 import _ from 'lodash'
 
+import { healthQuestions } from '../datasets/health-questions.js'
 import {
-  AcademicYear,
   Activity,
+  AuditAction,
   ConsentOutcome,
   ConsentWindow,
   InstructionOutcome,
@@ -24,6 +26,7 @@ import {
   formatDate,
   formatDateRange,
   getAcademicYear,
+  getAcademicYears,
   includesDate,
   setMidday,
   today
@@ -34,18 +37,27 @@ import {
   formatLink,
   formatLinkWithSecondaryText,
   formatList,
+  formatParentalRelationship,
   formatProgrammeId,
   formatTag,
   formatWithSecondaryText,
   sentenceCaseProgrammeName,
   stringToBoolean
 } from '../utils/string.js'
+import {
+  ANATOMICAL_SITES,
+  NOT_VACCINATED_REASONS,
+  formatUploadDate
+} from '../utils/upload.js'
 
+import { AuditEntry } from './audit-entry.js'
+import { Batch } from './batch.js'
 import { Clinic } from './clinic.js'
 import { Consent } from './consent.js'
 import { PatientSession } from './patient-session.js'
 import { Programme } from './programme.js'
 import { School } from './school.js'
+import { TemperatureReading } from './temperature-reading.js'
 import { Vaccine } from './vaccine.js'
 
 /**
@@ -64,16 +76,19 @@ import { Vaccine } from './vaccine.js'
  * @property {object} [openAt_] - Date consent window opens (from `dateInput`)
  * @property {boolean} [closed] - Session closed
  * @property {number} [reminderWeeks] - Weeks before session to send reminders
+ * @property {Date} [dispatchedAt] - Date scheduled invitations and reminders last sent
+ * @property {object} [dispatched] - Scheduled invitations and reminders sent, keyed by patient UUID
  * @property {boolean} [registration] - Does session have registration?
  * @property {object} [register] - Patient register
+ * @property {Array<TemperatureReading>} [temperatureLog] - Cold chain temperature readings
  * @property {string} [programmePreset] - Programme preset name
- * @property {AcademicYear} [academicYear] - Programme year
+ * @property {import('../enums.js').AcademicYear} [academicYear] - Programme year
  * @property {boolean} [nationalProtocol] - Enable national protocol
  * @property {boolean} [psdProtocol] - Enable PSD protocol
  */
 export class Session {
   constructor(options, context) {
-    const latestAcademicYear = Object.values(AcademicYear).at(-1)
+    const latestAcademicYear = getAcademicYears(context).at(-1)
 
     this.context = context
     this.id = options?.id || faker.helpers.replaceSymbols('###')
@@ -95,8 +110,13 @@ export class Session {
     this.closed = options?.closed || false
     this.reminderWeeks =
       options?.reminderWeeks || OrganisationDefaults.SessionReminderWeeks
+    this.dispatchedAt = options?.dispatchedAt
+      ? new Date(options.dispatchedAt)
+      : undefined
+    this.dispatched = options?.dispatched || {}
     this.registration = stringToBoolean(options?.registration)
     this.register = options?.register || {}
+    this.temperatureLog = options?.temperatureLog || []
     this.academicYear = options?.academicYear || latestAcademicYear
     this.programmePreset = options?.programmePreset
     this.psdProtocol = stringToBoolean(options?.psdProtocol) || false
@@ -196,7 +216,7 @@ export class Session {
   get reminderDates() {
     const reminderDates = []
     for (const date of this.dates) {
-      reminderDates.push(removeDays(date, 7))
+      reminderDates.push(removeDays(date, this.reminderWeeks * 7))
     }
 
     return reminderDates
@@ -388,6 +408,47 @@ export class Session {
     return []
   }
 
+  /**
+   * Get cold chain temperature readings, most recent first
+   *
+   * @returns {Array<TemperatureReading>} Temperature readings
+   */
+  get temperatureReadings() {
+    return this.temperatureLog
+      .map((reading) => new TemperatureReading(reading, this.context))
+      .sort((a, b) => b.createdAt - a.createdAt)
+  }
+
+  /**
+   * Get batches used in session
+   *
+   * Includes batches used to record vaccinations and default batches set for
+   * the session.
+   *
+   * @returns {Array<Batch>} Batches
+   */
+  get batches() {
+    const { defaultBatches, patientSessions, vaccinations } = this.context
+    const batch_ids = new Set()
+
+    for (const vaccination of Object.values(vaccinations || {})) {
+      const patientSession = patientSessions?.[vaccination.patientSession_uuid]
+      if (vaccination.batch_id && patientSession?.session_id === this.id) {
+        batch_ids.add(vaccination.batch_id)
+      }
+    }
+
+    for (const defaultBatch of Object.values(defaultBatches || {})) {
+      if (defaultBatch.session_id === this.id) {
+        batch_ids.add(defaultBatch.id)
+      }
+    }
+
+    return [...batch_ids]
+      .map((id) => Batch.findOne(id, this.context))
+      .filter(Boolean)
+  }
+
   /**
    * Get patients
    *
@@ -896,6 +957,139 @@ export class Session {
     }
   }
 
+  /**
+   * Get offline recording spreadsheet
+   *
+   * One row per patient session, with blank columns for recording
+   * vaccinations, and a sheet listing batches and sites that can be used.
+   *
+   * @returns {Array<object>} Sheets
+   */
+  get offline() {
+    const rows = this.patientSessions.map((patientSession) => {
+      const { patient, programme } = patientSession
+      const parents = [patient.parent1, patient.parent2]
+
+      const healthAnswers = Object.entries(
+        patientSession.consentHealthAnswers || {}
+      ).flatMap(([key, answers]) =>
+        [answers]
+          .flat()
+          .filter(({ answer }) => answer && answer !== 'No')
+          .map(({ answer, details, relationship }) => {
+            const summary = [
+              `${healthQuestions[key]?.label} ${answer}`,
+              details
+            ]
+              .filter(Boolean)
+              .join(': ')
+
+            return relationship ? `${summary} (${relationship})` : summary
+          })
+      )
+
+      return {
+        SESSION_ID: this.id,
+        PATIENT_SESSION_UUID: patientSession.uuid,
+        PROGRAMME: programme?.name,
+        SCHOOL_URN: this.school_urn,
+        SCHOOL_NAME: this.location?.name,
+        NHS_NUMBER: patient.nhsn,
+        PERSON_FORENAME: patient.firstName,
+        PERSON_SURNAME: patient.lastName,
+        PERSON_DOB: formatUploadDate(patient.dob),
+        YEAR_GROUP: patientSession.yearGroup,
+        PERSON_GENDER_CODE: patient.gender,
+        PERSON_POSTCODE: patient.postalCode,
+        CONSENT_STATUS: patientSession.consent,
+        CONSENT_DETAILS: patientSession.responses
+          .map((reply) =>
+            [formatParentalRelationship(reply.parent), reply.decision].join(
+              ': '
+            )
+          )
+          .join('\n'),
+        HEALTH_QUESTION_ANSWERS: healthAnswers.join('\n'),
+        TRIAGE_STATUS: patientSession.triage,
+        ...Object.fromEntries(
+          parents.flatMap((parent, index) => [
+            [`PARENT_${index + 1}_NAME`, parent?.fullName],
+            [`PARENT_${index + 1}_RELATIONSHIP`, parent?.relationship],
+            [`PARENT_${index + 1}_PHONE`, parent?.tel],
+            [`PARENT_${index + 1}_EMAIL`, parent?.email]
+          ])
+        )
+      }
+    })
+
+    // Columns completed by vaccinators during the session
+    const recordColumns = [
+      'VACCINATED',
+      'DATE_OF_VACCINATION',
+      'TIME_OF_VACCINATION',
+      'VACCINE_GIVEN',
+      'BATCH_NUMBER',
+      'BATCH_EXPIRY_DATE',
+      'ANATOMICAL_SITE',
+      'DOSE_SEQUENCE',
+      'REASON_NOT_VACCINATED',
+      'PERFORMING_PROFESSIONAL_FORENAME',
+      'PERFORMING_PROFESSIONAL_SURNAME',
+      'NOTES'
+    ]
+
+    const batches = Batch.findAll(this.context)
+      .filter(({ usable }) => usable)
+      .filter(({ vaccine_snomed }) =>
+        this.vaccines.some(({ snomed }) => snomed === vaccine_snomed)
+      )
+
+    const referenceColumns = {
+      VACCINE_GIVEN: this.vaccines.map(({ brand }) => brand),
+      BATCH_NUMBER: batches.map(({ id }) => id),
+      BATCH_VACCINE: batches.map(({ vaccine }) => vaccine?.brand),
+      BATCH_EXPIRY_DATE: batches.map(({ expiry }) => formatUploadDate(expiry)),
+      ANATOMICAL_SITE: Object.keys(ANATOMICAL_SITES),
+      DOSE_SEQUENCE: ['1', '2', '3'],
+      REASON_NOT_VACCINATED: NOT_VACCINATED_REASONS
+    }
+    const referenceRows = Math.max(
+      ...Object.values(referenceColumns).map((values) => values.length)
+    )
+
+    return [
+      {
+        sheet: 'Vaccinations',
+        columns: [
+          ...Object.keys(rows[0] || { SESSION_ID: '' }).map((key) => ({
+            label: key,
+            value: key
+          })),
+          ...recordColumns.map((key) => ({
+            label: key,
+            value: (row) => row[key] || ''
+          }))
+        ],
+        content: rows
+      },
+      {
+        sheet: 'Reference',
+        columns: Object.keys(referenceColumns).map((key) => ({
+          label: key,
+          value: key
+        })),
+        content: Array.from({ length: referenceRows }, (_value, index) =>
+          Object.fromEntries(
+            Object.entries(referenceColumns).map(([key, values]) => [
+              key,
+              values[index] || ''
+            ])
+          )
+        )
+      }
+    ]
+  }
+
   /**
    * Get namespace
    *
@@ -956,6 +1150,11 @@ export class Session {
     context.sessions = context.sessions || {}
     context.sessions[createdSession.id] = createdSession
 
+    AuditEntry.log(
+      { action: AuditAction.Create, record: createdSession },
+      context
+    )
+
     return createdSession
   }
 
@@ -963,16 +1162,29 @@ export class Session {
    * Create file
    *
    * @param {object} context - Context
+   * @param {object} [vaccinator] - Vaccinator recording offline
+   * @param {string} [vaccinator.firstName] - Vaccinator first name
+   * @param {string} [vaccinator.lastName] - Vaccinator last name
    * @returns {object} File buffer, name and mime type
-   * @todo Create download using Mavis offline XLSX schema
    */
-  createFile(context) {
-    const { name } = new Session(this, context)
+  createFile(context, vaccinator) {
+    const { name, offline } = new Session(this, context)
+
+    // Pre-fill vaccinator name
+    const [vaccinations] = offline
+    vaccinations.content = vaccinations.content.map((row) => ({
+      ...row,
+      PERFORMING_PROFESSIONAL_FORENAME: vaccinator?.firstName,
+      PERFORMING_PROFESSIONAL_SURNAME: vaccinator?.lastName
+    }))
+
+    // @ts-ignore
+    const buffer = xlsx(offline, { name, writeOptions: { type: 'buffer' } })
 
     return {
-      buffer: Buffer.from(''),
-      fileName: `${name}.csv`,
-      mimetype: 'text/csv'
+      buffer,
+      fileName: `${name}.xlsx`,
+      mimetype: 'application/octet-stream'
     }
   }
 
@@ -986,6 +1198,7 @@ export class Session {
    * @static
    */
   static update(id, updates, context) {
+    const previous = AuditEntry.snapshot(context.sessions[id])
     const updatedSession = _.merge(Session.findOne(id, context), updates)
     updatedSession.updatedAt = today()
 
@@ -998,6 +1211,11 @@ export class Session {
     // Update context
     context.sessions[updatedSession.id] = updatedSession
 
+    AuditEntry.log(
+      { action: AuditAction.Update, record: updatedSession, previous },
+      context
+    )
+
     // TODO: Use presenter?
     return new Session(updatedSession, context)
   }
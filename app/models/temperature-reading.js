@@ -0,0 +1,135 @@
+import { fakerEN_GB as faker } from '@faker-js/faker'
+
+import {
+  convertIsoDateToObject,
+  convertObjectToIsoDate,
+  formatDate,
+  today
+} from '../utils/date.js'
+import { formatTag } from '../utils/string.js'
+
+import { User } from './user.js'
+
+/**
+ * Lowest temperature vaccines can be stored at (°C)
+ */
+const MIN_TEMPERATURE = 2
+
+/**
+ * Highest temperature vaccines can be stored at (°C)
+ */
+const MAX_TEMPERATURE = 8
+
+/**
+ * @class Temperature reading
+ * @param {object} options - Options
+ * @param {object} [context] - Context
+ * @property {object} [context] - Context
+ * @property {string} uuid - UUID
+ * @property {Date} [createdAt] - Reading time
+ * @property {object} [createdAt_] - Reading time (from `dateInput`)
+ * @property {string} [createdBy_uid] - User who recorded reading
+ * @property {number} min - Minimum temperature (°C)
+ * @property {number} max - Maximum temperature (°C)
+ */
+export class TemperatureReading {
+  constructor(options, context) {
+    this.context = context
+    this.uuid = options?.uuid || faker.string.uuid()
+    this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
+    this.createdAt_ = options?.createdAt_
+    this.createdBy_uid = options?.createdBy_uid
+    this.min = Number(options?.min)
+    this.max = Number(options?.max)
+  }
+
+  /**
+   * Get reading time for `dateInput`
+   *
+   * @returns {object|undefined} `dateInput` object
+   */
+  get createdAt_() {
+    return convertIsoDateToObject(this.createdAt)
+  }
+
+  /**
+   * Set reading time from `dateInput`
+   *
+   * Only the hour and minute are entered, so keep the date of the reading.
+   * If no time is entered, the reading is recorded at the current time.
+   *
+   * @param {object} object - dateInput object
+   */
+  set createdAt_(object) {
+    if (object?.hour) {
+      this.createdAt = convertObjectToIsoDate({
+        ...convertIsoDateToObject(this.createdAt),
+        hour: object.hour,
+        minute: object.minute
+      })
+    }
+  }
+
+  /**
+   * Get user who recorded reading
+   *
+   * @returns {User|undefined} User
+   */
+  get createdBy() {
+    try {
+      if (this.createdBy_uid) {
+        return User.findOne(this.createdBy_uid, this.context)
+      }
+    } catch (error) {
+      console.error('TemperatureReading.createdBy', error.message)
+    }
+  }
+
+  /**
+   * Reading is outside the range vaccines can be stored at
+   *
+   * @returns {boolean} Reading is an excursion
+   */
+  get excursion() {
+    return this.min < MIN_TEMPERATURE || this.max > MAX_TEMPERATURE
+  }
+
+  /**
+   * Get status properties
+   *
+   * @returns {object} Status properties
+   */
+  get status() {
+    return {
+      colour: this.excursion ? 'red' : 'green',
+      text: this.excursion ? 'Out of range' : 'In range'
+    }
+  }
+
+  /**
+   * Get formatted values
+   *
+   * @returns {object} Formatted values
+   */
+  get formatted() {
+    return {
+      createdAt: formatDate(this.createdAt, {
+        dateStyle: 'long',
+        timeStyle: 'short'
+      }),
+      createdBy: this.createdBy?.fullName || 'Unknown',
+      min: `${this.min}°C`,
+      max: `${this.max}°C`,
+      status: formatTag(this.status)
+    }
+  }
+
+  /**
+   * Get namespace
+   *
+   * @returns {string} Namespace
+   */
+  get ns() {
+    return 'temperatureReading'
+  }
+}
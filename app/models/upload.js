@@ -1,18 +1,33 @@
 import { fakerEN_GB as faker } from '@faker-js/faker'
 import prototypeFilters from '@x-govuk/govuk-prototype-filters'
 
-import { UploadStatus, UploadType } from '../enums.js'
-import { formatDate, today } from '../utils/date.js'
+import { MatchConfidence, UploadStatus, UploadType } from '../enums.js'
+import { formatDate, getAcademicYear, today } from '../utils/date.js'
+import { getMatchChanges, getPatientMatch } from '../utils/match.js'
 import {
+  formatProgrammeId,
   formatLink,
   formatWithSecondaryText,
   formatYearGroup
 } from '../utils/string.js'
-
+import {
+  getPatientFromUploadRow,
+  getUploadRowValidations,
+  getVaccinationFromUploadRow,
+  getVaccineFromBrand,
+  isVaccinatedRow,
+  parseUploadDate
+} from '../utils/upload.js'
+
+import { Batch } from './batch.js'
 import { Move } from './move.js'
+import { PatientSession } from './patient-session.js'
 import { Patient } from './patient.js'
+import { Programme } from './programme.js'
 import { School } from './school.js'
 import { User } from './user.js'
+import { Vaccination } from './vaccination.js'
+import { Vaccine } from './vaccine.js'
 
 /**
  * @class Upload
@@ -25,10 +40,14 @@ import { User } from './user.js'
  * @property {Date} [createdAt] - Created date
  * @property {string} [createdBy_uid] - User who created upload
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {string} [fileName] - Original file name
  * @property {number} [progress] - Upload import progress
  * @property {object} [validations] - File validations
  * @property {Array<string>} [patient_uuids] - Patient record UUIDs
+ * @property {Array<string>} [vaccination_uuids] - Vaccination record UUIDs
+ * @property {object} [matches] - Match score and confidence, by patient UUID
+ * @property {object} [conflicts] - Patient session UUIDs with an existing vaccination, by row
  */
 export class Upload {
   constructor(options, context) {
@@ -39,11 +58,15 @@ export class Upload {
     this.createdAt = options?.createdAt ? new Date(options.createdAt) : today()
     this.createdBy_uid = options?.createdBy_uid
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.updatedBy_uid = options?.updatedBy_uid
     this.fileName = options?.fileName
     this.progress = options?.progress || 100
-    this.validations = options?.validations || []
+    this.validations = options?.validations || {}
     this.patient_uuids = options?.patient_uuids || []
+    this.vaccination_uuids = options?.vaccination_uuids || []
+    this.matches = options?.matches || {}
+    this.conflicts = options?.conflicts || {}
 
     if (this.type === UploadType.School) {
       this.yearGroups = options?.yearGroups
@@ -81,6 +104,15 @@ export class Upload {
     }
   }
 
+  /**
+   * Upload includes vaccination records
+   *
+   * @returns {boolean} Upload includes vaccination records
+   */
+  get hasVaccinations() {
+    return [UploadType.Report, UploadType.Offline].includes(this.type)
+  }
+
   /**
    * Get uploaded patient records
    *
@@ -92,21 +124,35 @@ export class Upload {
         Patient.findOne(uuid, this.context)
       )
 
-      if (this.type === UploadType.Report) {
+      if (this.hasVaccinations) {
         patients = patients
-          .filter((patient) => patient.vaccinations.length > 0)
+          .filter(
+            (patient) =>
+              patient.vaccinations.length > 0 ||
+              patient.pendingChanges.vaccination
+          )
           .map((patient) => {
-            patient.vaccination = patient.vaccinations[0]
+            patient.vaccination = patient.pendingChanges.vaccination
+              ? new Vaccination(
+                  patient.pendingChanges.vaccination,
+                  this.context
+                )
+              : patient.vaccinations.find(({ uuid }) =>
+                  this.vaccination_uuids.includes(uuid)
+                ) || patient.vaccinations[0]
             return patient
           })
       }
 
-      // Simulate a subset of patient records being new
-      // Use the existence of a second parent as a proxy for this
+      // Ambiguous matches are shown as records with pending changes
       patients = patients.map((patient) => {
+        patient.match = this.matches[patient.uuid]
         patient.isNew =
-          patient.parent2 !== undefined && !patient.hasPendingChanges
-        patient.hasMatch = !patient.parent2 && !patient.hasPendingChanges
+          patient.match?.confidence === MatchConfidence.None &&
+          !patient.hasPendingChanges
+        patient.hasMatch =
+          patient.match?.confidence === MatchConfidence.Exact &&
+          !patient.hasPendingChanges
         return patient
       })
 
@@ -122,14 +168,15 @@ export class Upload {
    * @returns {Array<Patient>} Invalid patient records
    */
   get invalid() {
-    if (
-      this.status === UploadStatus.Review &&
-      this.type === UploadType.Report
-    ) {
+    if (this.status === UploadStatus.Review && this.hasVaccinations) {
       if (this.context?.patients && this.patient_uuids) {
         return this.patient_uuids
           .map((uuid) => Patient.findOne(uuid, this.context))
-          .filter((patient) => patient.vaccinations.length === 0)
+          .filter(
+            (patient) =>
+              patient.vaccinations.length === 0 &&
+              !patient.pendingChanges.vaccination
+          )
       }
 
       return []
@@ -153,6 +200,18 @@ export class Upload {
     }
   }
 
+  /**
+   * Get rows not imported as a vaccination was already recorded
+   *
+   * @returns {Array<object>} Row numbers and patient sessions
+   */
+  get conflictingRows() {
+    return Object.entries(this.conflicts).map(([row, uuid]) => ({
+      row,
+      patientSession: PatientSession.findOne(uuid, this.context)
+    }))
+  }
+
   /**
    * Get patient school movements
    *
@@ -284,6 +343,15 @@ export class Upload {
     }
   }
 
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
   /**
    * Get namespace
    *
@@ -359,6 +427,7 @@ export class Upload {
   static update(id, updates, context) {
     const updatedUpload = Object.assign(Upload.findOne(id, context), updates)
     updatedUpload.updatedAt = today()
+    updatedUpload.revision += 1
 
     // Remove upload context
     delete updatedUpload.context
@@ -372,6 +441,280 @@ export class Upload {
     return updatedUpload
   }
 
+  /**
+   * Process rows in uploaded file
+   *
+   * Validates each row, and if every row is valid, matches each row against
+   * existing patient records. Exact matches are merged, ambiguous matches are
+   * added as pending changes to review, and rows without a match create a new
+   * record. For vaccination record uploads, a vaccination is also recorded;
+   * for ambiguous matches, this is held with the pending changes until the
+   * match is confirmed.
+   *
+   * @param {Array<object>} rows - Rows, keyed by column header
+   * @param {object} context - Context
+   * @returns {object} Upload updates
+   */
+  processFile(rows, context) {
+    if (this.type === UploadType.Offline) {
+      return this.processOfflineFile(rows, context)
+    }
+
+    if (rows.length === 0) {
+      return { status: UploadStatus.Devoid, progress: 100 }
+    }
+
+    // Header does not count as a row
+    const validations = {}
+    for (const [index, row] of rows.entries()) {
+      const rowValidations = getUploadRowValidations(row, this.type)
+      if (Object.keys(rowValidations).length > 0) {
+        validations[index + 1] = rowValidations
+      }
+    }
+
+    if (Object.keys(validations).length > 0) {
+      return { status: UploadStatus.Invalid, progress: 100, validations }
+    }
+
+    // Match against existing records, including those added by this upload
+    const patients = Patient.findAll(context)
+    const patient_uuids = []
+    const vaccination_uuids = []
+    const matches = {}
+    for (const row of rows) {
+      const record = getPatientFromUploadRow(row, this.type, this.school_urn)
+      const match = getPatientMatch(record, patients)
+
+      let vaccination
+      if (this.type === UploadType.Report) {
+        const uploadedVaccination = getVaccinationFromUploadRow(row, this.type)
+        const vaccine = Vaccine.findOne(
+          uploadedVaccination.vaccine_snomed,
+          context
+        )
+        const programme = Programme.findOne(
+          formatProgrammeId(
+            vaccine.type,
+            getAcademicYear(uploadedVaccination.createdAt)
+          ),
+          context
+        )
+
+        // Create batch if not already known
+        if (uploadedVaccination.batch_id) {
+          if (!Batch.findOne(uploadedVaccination.batch_id, context)) {
+            Batch.create(
+              {
+                id: uploadedVaccination.batch_id,
+                vaccine_snomed: uploadedVaccination.vaccine_snomed,
+                expiry: parseUploadDate(row.BATCH_EXPIRY_DATE, 'YYYYMMDD')
+              },
+              context
+            )
+          }
+        }
+
+        vaccination = {
+          ...uploadedVaccination,
+          createdBy_uid: this.createdBy_uid,
+          programme_id: programme?.id,
+          ...(programme?.sequence &&
+            row.DOSE_SEQUENCE && {
+              sequence: programme.sequence[Number(row.DOSE_SEQUENCE) - 1]
+            })
+        }
+      }
+
+      let patient
+      if (match.confidence === MatchConfidence.None) {
+        // No match, so create a new record
+        patient = Patient.create(record, context)
+        patients.push(patient)
+      } else {
+        const changes = getMatchChanges(record, match.patient)
+
+        if (match.confidence === MatchConfidence.Exact) {
+          // Exact match, so merge values into existing record
+          patient = Patient.update(
+            match.patient.uuid,
+            {
+              ...changes,
+              ...(!match.patient.parent1 && { parent1: record.parent1 }),
+              ...(!match.patient.parent2 && { parent2: record.parent2 })
+            },
+            context
+          )
+        } else {
+          // Ambiguous match, so changes need to be reviewed
+          patient = Patient.update(
+            match.patient.uuid,
+            {
+              pendingChanges: {
+                ...changes,
+                ...(vaccination && {
+                  vaccination: {
+                    ...vaccination,
+                    patient_uuid: match.patient.uuid
+                  }
+                })
+              }
+            },
+            context
+          )
+        }
+      }
+
+      matches[patient.uuid] = {
+        score: match.score,
+        confidence: match.confidence
+      }
+
+      // Vaccination for an ambiguous match is recorded once confirmed
+      if (vaccination && !patient.pendingChanges.vaccination) {
+        const createdVaccination = Vaccination.create(
+          { ...vaccination, patient_uuid: patient.uuid },
+          context
+        )
+
+        patient.recordVaccination(createdVaccination)
+        vaccination_uuids.push(createdVaccination.uuid)
+      }
+
+      if (!patient_uuids.includes(patient.uuid)) {
+        patient_uuids.push(patient.uuid)
+      }
+    }
+
+    return {
+      status: UploadStatus.Review,
+      progress: 100,
+      validations: {},
+      patient_uuids,
+      vaccination_uuids,
+      matches
+    }
+  }
+
+  /**
+   * Process rows in uploaded offline session spreadsheet
+   *
+   * Only rows with a completed `VACCINATED` column are imported. Rows for
+   * patient sessions that already have a recorded vaccination are not
+   * imported, and are instead shown as conflicts.
+   *
+   * @param {Array<object>} rows - Rows, keyed by column header
+   * @param {object} context - Context
+   * @returns {object} Upload updates
+   */
+  processOfflineFile(rows, context) {
+    // Header does not count as a row
+    const completedRows = [...rows.entries()]
+      .map(([index, row]) => ({ number: index + 1, row }))
+      .filter(({ row }) => row.VACCINATED)
+
+    if (completedRows.length === 0) {
+      return { status: UploadStatus.Devoid, progress: 100 }
+    }
+
+    const batches = Batch.findAll(context)
+    const validations = {}
+    for (const { number, row } of completedRows) {
+      const rowValidations = getUploadRowValidations(row, this.type)
+      const patientSession = PatientSession.findOne(
+        row.PATIENT_SESSION_UUID,
+        context
+      )
+      const vaccine = getVaccineFromBrand(row.VACCINE_GIVEN)
+
+      if (row.PATIENT_SESSION_UUID && !patientSession) {
+        rowValidations.PATIENT_SESSION_UUID = `‘${row.PATIENT_SESSION_UUID}’ does not match a child in a session`
+      }
+
+      if (
+        patientSession?.programme &&
+        vaccine &&
+        !patientSession.programme.vaccine_smomeds.includes(vaccine.snomed)
+      ) {
+        rowValidations.VACCINE_GIVEN = `‘${row.VACCINE_GIVEN}’ is not a vaccine used in the ${patientSession.programme.name} programme`
+      }
+
+      if (isVaccinatedRow(row, this.type) && row.BATCH_NUMBER) {
+        const batch = batches.find(({ id }) => id === row.BATCH_NUMBER)
+
+        if (!batch || batch.archivedAt) {
+          rowValidations.BATCH_NUMBER = `‘${row.BATCH_NUMBER}’ is not a batch used by your team`
+        } else if (!batch.usable) {
+          rowValidations.BATCH_NUMBER = `‘${row.BATCH_NUMBER}’ has expired, been recalled or is quarantined`
+        } else if (vaccine && batch.vaccine_snomed !== vaccine.snomed) {
+          rowValidations.BATCH_NUMBER = `‘${row.BATCH_NUMBER}’ is not a batch of ${vaccine.brand}`
+        }
+      }
+
+      if (Object.keys(rowValidations).length > 0) {
+        validations[number] = rowValidations
+      }
+    }
+
+    if (Object.keys(validations).length > 0) {
+      return { status: UploadStatus.Invalid, progress: 100, validations }
+    }
+
+    const patient_uuids = []
+    const vaccination_uuids = []
+    const matches = {}
+    const conflicts = {}
+    for (const { number, row } of completedRows) {
+      const patientSession = PatientSession.findOne(
+        row.PATIENT_SESSION_UUID,
+        context
+      )
+
+      // Vaccination already recorded (including earlier in this file)
+      if (patientSession.vaccinations?.length > 0) {
+        conflicts[number] = patientSession.uuid
+        continue
+      }
+
+      const { patient, programme, session } = patientSession
+      const vaccination = Vaccination.create(
+        {
+          ...getVaccinationFromUploadRow(row, this.type),
+          location: session.formatted.location,
+          school_urn: session.school_urn,
+          createdBy_uid: this.createdBy_uid,
+          patientSession_uuid: patientSession.uuid,
+          programme_id: programme.id,
+          ...(programme.sequence &&
+            row.DOSE_SEQUENCE && {
+              sequence: programme.sequence[Number(row.DOSE_SEQUENCE) - 1]
+            })
+        },
+        context
+      )
+
+      patient.recordVaccination(vaccination)
+      vaccination_uuids.push(vaccination.uuid)
+
+      if (!patient_uuids.includes(patient.uuid)) {
+        patient_uuids.push(patient.uuid)
+      }
+
+      // Rows are matched to existing records using patient session UUID
+      matches[patient.uuid] = { score: 100, confidence: MatchConfidence.Exact }
+    }
+
+    return {
+      status: UploadStatus.Review,
+      progress: 100,
+      validations: {},
+      patient_uuids,
+      vaccination_uuids,
+      matches,
+      conflicts
+    }
+  }
+
   /**
    * Delete
    *
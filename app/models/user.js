@@ -1,27 +1,61 @@
 import { fakerEN_GB as faker } from '@faker-js/faker'
 
-import { formatLink, formatMonospace } from '../utils/string.js'
+import { UserStatus } from '../enums.js'
+import { formatDate, today } from '../utils/date.js'
+import {
+  formatLink,
+  formatMonospace,
+  formatTag,
+  stringToBoolean
+} from '../utils/string.js'
+
+import { Instruction } from './instruction.js'
+import { Patient } from './patient.js'
+import { Vaccination } from './vaccination.js'
+
+/**
+ * User ID given to changes made by the prototype itself, such as sending
+ * scheduled reminders
+ */
+export const SYSTEM_UID = 'system'
 
 /**
  * @class User
+ * @param {object} options - Options
+ * @param {object} [context] - Context
+ * @property {object} [context] - Context
  * @property {string} uid - User ID
  * @property {string} [firstName] - First/given name
  * @property {string} [lastName] - Last/family name
  * @property {string} [email] - Email address
+ * @property {string} [passwordHash] - Password hash, for users without a Care Identity
  * @property {import('../enums.js').UserRole} [role] - User role
- * @property {boolean} [canPrescribe] - Can provide PSD instruction
- * @property {Array<import('../enums.js').VaccineMethod>} - Vaccine methods
+ * @property {object} [roles] - Roles, keyed by organisation code
+ * @property {boolean} [prescriber] - Can give PSD instructions
+ * @property {Date} [invitedAt] - Invited date
+ * @property {string} [invitedBy_uid] - User who sent invitation
+ * @property {Date} [signedInAt] - Last signed in date
+ * @property {Date} [deactivatedAt] - Deactivated date
+ * @property {string} [deactivatedBy_uid] - User who deactivated user
  * @property {object} [vaccinations] - Vaccination count
  */
 export class User {
-  constructor(options) {
+  constructor(options, context) {
+    this.context = context
     this.uid = options?.uid || faker.string.numeric(12)
     this.firstName = options?.firstName
     this.lastName = options?.lastName
     this.email = options?.email
+    this.passwordHash = options?.passwordHash
     this.role = options?.role
-    this.canPrescribe = options?.canPrescribe || false
-    this.vaccineMethods = options?.vaccineMethods || []
+    this.roles = options?.roles || {}
+    this.prescriber = stringToBoolean(options?.prescriber) || false
+    this.invitedAt = options?.invitedAt && new Date(options.invitedAt)
+    this.invitedBy_uid = options?.invitedBy_uid
+    this.signedInAt = options?.signedInAt && new Date(options.signedInAt)
+    this.deactivatedAt =
+      options?.deactivatedAt && new Date(options.deactivatedAt)
+    this.deactivatedBy_uid = options?.deactivatedBy_uid
     this.vaccinations = options?.vaccinations || {}
   }
 
@@ -31,7 +65,9 @@ export class User {
    * @returns {string} Full name
    */
   get fullName() {
-    return [this.lastName.toUpperCase(), this.firstName].join(', ')
+    return [this.lastName.toUpperCase(), this.firstName]
+      .filter(Boolean)
+      .join(', ')
   }
 
   /**
@@ -43,14 +79,111 @@ export class User {
     return `${this.fullName} (${this.role})`
   }
 
+  /**
+   * Get codes of organisations user belongs to
+   *
+   * @returns {Array<string>} Organisation codes
+   */
+  get organisation_codes() {
+    return Object.keys(this.roles)
+  }
+
+  /**
+   * User can sign in and be picked as a member of staff
+   *
+   * @returns {boolean} User is active
+   */
+  get active() {
+    return !this.deactivatedAt
+  }
+
+  /**
+   * Get user status
+   *
+   * @returns {UserStatus} User status
+   */
+  get status() {
+    if (this.deactivatedAt) {
+      return UserStatus.Deactivated
+    } else if (this.invitedAt && !this.signedInAt) {
+      return UserStatus.Invited
+    }
+
+    return UserStatus.Active
+  }
+
+  /**
+   * Get vaccinations recorded by user
+   *
+   * @returns {Array<Vaccination>} Vaccinations
+   */
+  get vaccinationRecords() {
+    if (!this.context?.vaccinations) {
+      return []
+    }
+
+    return Vaccination.findAll(this.context).filter(
+      ({ createdBy_uid }) => createdBy_uid === this.uid
+    )
+  }
+
+  /**
+   * Get triage decisions made by user
+   *
+   * @returns {Array<{patient: Patient, auditEvent: import('./audit-event.js').AuditEvent}>} Triage decisions
+   */
+  get triageDecisions() {
+    if (!this.context?.patients) {
+      return []
+    }
+
+    return Patient.findAll(this.context).flatMap((patient) =>
+      patient.auditEvents
+        .filter(({ outcome }) => outcome)
+        .filter(({ createdBy_uid }) => createdBy_uid === this.uid)
+        .map((auditEvent) => ({ patient, auditEvent }))
+    )
+  }
+
+  /**
+   * Get PSD instructions given by user
+   *
+   * @returns {Array<Instruction>} Instructions
+   */
+  get instructions() {
+    if (!this.context?.instructions) {
+      return []
+    }
+
+    return Instruction.findAll(this.context).filter(
+      ({ createdBy_uid }) => createdBy_uid === this.uid
+    )
+  }
+
   /**
    * Get formatted values
    *
    * @returns {object} Formatted values
    */
   get formatted() {
+    let colour
+    switch (this.status) {
+      case UserStatus.Invited:
+        colour = 'blue'
+        break
+      case UserStatus.Deactivated:
+        colour = 'grey'
+        break
+      default:
+        colour = 'green'
+    }
+
     return {
-      uid: formatMonospace(this.uid)
+      uid: formatMonospace(this.uid),
+      invitedAt: formatDate(this.invitedAt, { dateStyle: 'long' }),
+      signedInAt: formatDate(this.signedInAt, { dateStyle: 'long' }),
+      deactivatedAt: formatDate(this.deactivatedAt, { dateStyle: 'long' }),
+      status: formatTag({ colour, text: this.status })
     }
   }
 
@@ -84,6 +217,16 @@ export class User {
     return `/users/${this.uid}`
   }
 
+  /**
+   * Get role in an organisation
+   *
+   * @param {string} organisation_code - Organisation ODS code
+   * @returns {import('../enums.js').UserRole|undefined} User role
+   */
+  getRole(organisation_code) {
+    return this.roles[organisation_code]
+  }
+
   /**
    * Find all
    *
@@ -92,7 +235,7 @@ export class User {
    * @static
    */
   static findAll(context) {
-    return Object.values(context.users).map((user) => new User(user))
+    return Object.values(context.users).map((user) => new User(user, context))
   }
 
   /**
@@ -104,8 +247,92 @@ export class User {
    * @static
    */
   static findOne(uid, context) {
+    // System user is not saved with other users
+    if (uid === SYSTEM_UID) {
+      return new User({ uid, lastName: 'System' }, context)
+    }
+
     if (context?.users?.[uid]) {
-      return new User(context.users[uid])
+      return new User(context.users[uid], context)
     }
   }
+
+  /**
+   * Create
+   *
+   * @param {User} user - User
+   * @param {object} context - Context
+   * @returns {User} Created user
+   * @static
+   */
+  static create(user, context) {
+    const createdUser = new User(user)
+
+    // Remove user context
+    delete createdUser.context
+
+    // Update context
+    context.users = context.users || {}
+    context.users[createdUser.uid] = createdUser
+
+    return createdUser
+  }
+
+  /**
+   * Update
+   *
+   * @param {string} uid - User UID
+   * @param {object} updates - Updates
+   * @param {object} context - Context
+   * @returns {User} Updated user
+   * @static
+   */
+  static update(uid, updates, context) {
+    const updatedUser = Object.assign(User.findOne(uid, context), updates)
+
+    // Remove user context
+    delete updatedUser.context
+
+    // Update context
+    context.users[uid] = updatedUser
+
+    return updatedUser
+  }
+
+  /**
+   * Deactivate
+   *
+   * @param {string} uid - User UID
+   * @param {object} deactivation - Deactivation
+   * @param {string} deactivation.deactivatedBy_uid - User deactivating user
+   * @param {object} context - Context
+   * @returns {User} Deactivated user
+   * @static
+   */
+  static deactivate(uid, deactivation, context) {
+    return User.update(
+      uid,
+      {
+        deactivatedAt: today(),
+        deactivatedBy_uid: deactivation.deactivatedBy_uid
+      },
+      context
+    )
+  }
+
+  /**
+   * Reactivate
+   *
+   * @param {string} uid - User UID
+   * @param {object} context - Context
+   * @returns {User} Reactivated user
+   * @static
+   */
+  static reactivate(uid, context) {
+    return User.update(
+      uid,
+      { deactivatedAt: undefined, deactivatedBy_uid: undefined },
+      context
+    )
+  }
 }
@@ -1,11 +1,10 @@
 import { fakerEN_GB as faker } from '@faker-js/faker'
-import prototypeFilters from '@x-govuk/govuk-prototype-filters'
-import { isBefore } from 'date-fns'
-import _ from 'lodash'
+import { addSeconds, isBefore } from 'date-fns'
 
 import schools from '../datasets/schools.js'
 import vaccines from '../datasets/vaccines.js'
 import {
+  AuditAction,
   VaccinationMethod,
   VaccinationOutcome,
   VaccinationProtocol,
@@ -31,13 +30,25 @@ import {
   formatWithSecondaryText
 } from '../utils/string.js'
 
+import { AuditEntry } from './audit-entry.js'
 import { Batch } from './batch.js'
 import { PatientSession } from './patient-session.js'
+import { Patient } from './patient.js'
 import { Programme } from './programme.js'
 import { School } from './school.js'
 import { User } from './user.js'
 import { Vaccine } from './vaccine.js'
 
+/**
+ * Number of attempts to sync a vaccination before giving up
+ */
+const MAX_SYNC_ATTEMPTS = 5
+
+/**
+ * Seconds to wait before retrying a failed sync, doubled after each attempt
+ */
+const SYNC_RETRY_DELAY = 60
+
 /**
  * @class Vaccination
  * @param {object} options - Options
@@ -49,7 +60,13 @@ import { Vaccine } from './vaccine.js'
  * @property {string} [createdBy_uid] - User who performed vaccination
  * @property {string} [suppliedBy_uid] - Who supplied the vaccine
  * @property {Date} [updatedAt] - Updated date
+ * @property {number} [revision] - Number of times record has changed
  * @property {Date} [nhseSyncedAt] - Date synced with NHS England API
+ * @property {string} [nhseId] - Immunisation ID on NHS England API
+ * @property {Date} [nhseSyncQueuedAt] - Date queued for sync with NHS England API
+ * @property {number} [nhseSyncAttempts] - Failed attempts to sync since queued
+ * @property {Date} [nhseSyncRetryAt] - Date to next try to sync
+ * @property {Array<object>} [nhseSyncResponses] - Responses from NHS England API
  * @property {string} [location] - Location
  * @property {boolean} [selfId] - Child confirmed their identity?
  * @property {object} [identifiedBy] - Who identified child
@@ -64,6 +81,7 @@ import { Vaccine } from './vaccine.js'
  * @property {string} [note] - Note
  * @property {string} [school_urn] - School URN
  * @property {string} [patientSession_uuid] - Patient session UUID
+ * @property {string} [patient_uuid] - Patient UUID (if not given in a session)
  * @property {string} [programme_id] - Programme ID
  * @property {string} [batch_id] - Batch ID
  * @property {string} [vaccine_snomed] - Vaccine SNOMED code
@@ -77,9 +95,17 @@ export class Vaccination {
     this.nhseSyncedAt = options?.nhseSyncedAt
       ? new Date(options.nhseSyncedAt)
       : undefined
+    this.nhseId = options?.nhseId
+    this.nhseSyncQueuedAt =
+      options?.nhseSyncQueuedAt && new Date(options.nhseSyncQueuedAt)
+    this.nhseSyncAttempts = Number(options?.nhseSyncAttempts) || 0
+    this.nhseSyncRetryAt =
+      options?.nhseSyncRetryAt && new Date(options.nhseSyncRetryAt)
+    this.nhseSyncResponses = options?.nhseSyncResponses || []
     this.createdBy_uid = options?.createdBy_uid
     this.suppliedBy_uid = options?.suppliedBy_uid
     this.updatedAt = options?.updatedAt && new Date(options.updatedAt)
+    this.revision = Number(options?.revision) || 0
     this.location = options?.location || 'Unknown location'
     this.selfId = options?.selfId && stringToBoolean(options.selfId)
     this.identifiedBy = this.selfId !== true && options?.identifiedBy
@@ -99,6 +125,7 @@ export class Vaccination {
     this.note = options?.note || ''
     this.school_urn = options?.school_urn
     this.patientSession_uuid = options?.patientSession_uuid
+    this.patient_uuid = options?.patient_uuid
     this.programme_id = options?.programme_id
     this.batch_id = this.given ? options?.batch_id || '' : undefined
     this.vaccine_snomed = options?.vaccine_snomed
@@ -132,7 +159,7 @@ export class Vaccination {
   get batch() {
     try {
       if (this.batch_id) {
-        return new Batch(this.batch_id, this.context)
+        return Batch.findOne(this.batch_id, this.context)
       }
     } catch (error) {
       console.error('Vaccination.batch', error.message)
@@ -145,7 +172,7 @@ export class Vaccination {
    * @returns {object|undefined} `dateInput` object
    */
   get batch_expiry_() {
-    return convertIsoDateToObject(this.batch.expiry)
+    return convertIsoDateToObject(this.batch?.expiry)
   }
 
   /**
@@ -237,7 +264,14 @@ export class Vaccination {
    * @returns {import('../models/patient.js').Patient} Patient
    */
   get patient() {
-    return this.patientSession.patient
+    if (this.patientSession) {
+      return this.patientSession.patient
+    }
+
+    // Vaccinations imported from a file may not have a patient session
+    if (this.patient_uuid) {
+      return Patient.findOne(this.patient_uuid, this.context)
+    }
   }
 
   /**
@@ -246,7 +280,7 @@ export class Vaccination {
    * @returns {import('../models/session.js').Session} Session
    */
   get session() {
-    return this.patientSession.session
+    return this.patientSession?.session
   }
 
   /**
@@ -298,7 +332,7 @@ export class Vaccination {
    * @returns {School|undefined} School
    */
   get school() {
-    if (this.school_urn) {
+    if (schools[this.school_urn]) {
       return new School(schools[this.school_urn])
     }
   }
@@ -326,15 +360,48 @@ export class Vaccination {
     }
   }
 
+  /**
+   * Vaccination can be synced with NHS England API
+   *
+   * @returns {boolean} Vaccination can be synced
+   */
+  get syncable() {
+    return Boolean(
+      this.programme?.nhseSyncable && !this.patient?.hasMissingNhsNumber
+    )
+  }
+
+  /**
+   * Vaccination is waiting to be synced with NHS England API
+   *
+   * Failed syncs are tried again once the real clock reaches the retry date.
+   *
+   * @returns {boolean} Sync is due
+   */
+  get syncDue() {
+    return Boolean(
+      this.nhseSyncQueuedAt &&
+      this.nhseSyncAttempts < MAX_SYNC_ATTEMPTS &&
+      (!this.nhseSyncRetryAt || !isBefore(new Date(), this.nhseSyncRetryAt)) &&
+      this.syncable
+    )
+  }
+
+  /**
+   * Get last response from NHS England API
+   *
+   * @returns {object|undefined} Response
+   */
+  get lastSyncResponse() {
+    return this.nhseSyncResponses.at(-1)
+  }
+
   /**
    * Get status of sync with NHS England API
    *
    * @returns {object} Sync status properties
    */
   get syncStatus() {
-    const updatedAt = this.updatedAt || this.createdAt
-    const oneMinuteAgo = new Date(new Date().getTime() - 1000 * 60)
-
     const nhseSyncedAt = formatDate(this.nhseSyncedAt, {
       day: 'numeric',
       month: 'long',
@@ -353,36 +420,45 @@ export class Vaccination {
           text: VaccinationSyncStatus.CannotSync,
           description: `Records are currently not synced for this programme<br>${lastSynced}`
         }
-      case !this.given:
+      case !this.given && !this.nhseId:
         return {
           colour: 'grey',
           text: VaccinationSyncStatus.NotSynced,
           description: `Records are not synced if the vaccination was not given<br>${lastSynced}`
         }
-      case this.patient.hasMissingNhsNumber:
+      case this.patient?.hasMissingNhsNumber:
         return {
           colour: 'orange',
           text: VaccinationSyncStatus.CannotSync,
           description: `You must add an NHS number to the child's record before this record will sync<br>${lastSynced}`
         }
-      case this.nhseSyncedAt > updatedAt:
-        return {
-          colour: 'green',
-          text: VaccinationSyncStatus.Synced,
-          description: lastSynced
-        }
-      case isBefore(updatedAt, oneMinuteAgo):
+      case this.nhseSyncQueuedAt && this.nhseSyncAttempts >= MAX_SYNC_ATTEMPTS:
         return {
           colour: 'red',
           text: VaccinationSyncStatus.Failed,
           description: `The Mavis team is aware of the issue and is working to resolve it<br>${lastSynced}`
         }
-      default:
+      case Boolean(this.nhseSyncQueuedAt):
         return {
           colour: 'blue',
           text: VaccinationSyncStatus.Pending,
+          description:
+            this.nhseSyncAttempts > 0
+              ? `Trying again after ${this.nhseSyncAttempts} failed attempts<br>${lastSynced}`
+              : lastSynced
+        }
+      case Boolean(this.nhseSyncedAt):
+        return {
+          colour: 'green',
+          text: VaccinationSyncStatus.Synced,
           description: lastSynced
         }
+      default:
+        return {
+          colour: 'red',
+          text: VaccinationSyncStatus.Failed,
+          description: `The Mavis team is aware of the issue and is working to resolve it<br>${lastSynced}`
+        }
     }
   }
 
@@ -392,12 +468,7 @@ export class Vaccination {
    * @returns {object} Formatted values
    */
   get formatted() {
-    let sequence
-    if (this.sequence && this.programme?.sequence) {
-      sequence = this.programme.sequence.indexOf(this.sequence)
-      sequence = prototypeFilters.ordinal(Number(sequence) + 1)
-      sequence = `${_.startCase(sequence)} dose`
-    }
+    const sequence = this.programme?.getDoseName(this.sequence)
 
     const syncStatus = this.syncStatus
 
@@ -462,6 +533,15 @@ export class Vaccination {
     }
   }
 
+  /**
+   * Get version
+   *
+   * @returns {string} Version
+   */
+  get version() {
+    return String(this.revision)
+  }
+
   /**
    * Get namespace
    *
@@ -518,10 +598,20 @@ export class Vaccination {
   static create(vaccination, context) {
     const createdVaccination = new Vaccination(vaccination)
 
+    // Queue sync with NHS England API
+    if (createdVaccination.given) {
+      createdVaccination.nhseSyncQueuedAt = today()
+    }
+
     // Update context
     context.vaccinations = context.vaccinations || {}
     context.vaccinations[createdVaccination.uuid] = createdVaccination
 
+    AuditEntry.log(
+      { action: AuditAction.Create, record: createdVaccination },
+      context
+    )
+
     return createdVaccination
   }
 
@@ -535,16 +625,19 @@ export class Vaccination {
    * @static
    */
   static update(uuid, updates, context) {
+    const previous = AuditEntry.snapshot(context.vaccinations[uuid])
     const updatedVaccination = Object.assign(
       Vaccination.findOne(uuid, context),
       updates
     )
     updatedVaccination.updatedAt = today()
+    updatedVaccination.revision += 1
 
-    // Make sure sync isn’t always successful
-    const syncSuccess = Math.random() > 0.3
-    if (syncSuccess && updatedVaccination.given) {
-      updatedVaccination.nhseSyncedAt = today(Math.random() * 60 * 5)
+    // Queue sync with NHS England API, deleting the record if not given
+    if (updatedVaccination.given || updatedVaccination.nhseId) {
+      updatedVaccination.nhseSyncQueuedAt = today()
+      updatedVaccination.nhseSyncAttempts = 0
+      updatedVaccination.nhseSyncRetryAt = undefined
     }
 
     // Remove patient context
@@ -556,6 +649,85 @@ export class Vaccination {
     // Update context
     context.vaccinations[updatedVaccination.uuid] = updatedVaccination
 
+    AuditEntry.log(
+      { action: AuditAction.Update, record: updatedVaccination, previous },
+      context
+    )
+
     return updatedVaccination
   }
+
+  /**
+   * Record response from NHS England API
+   *
+   * Successful syncs remove the vaccination from the queue. Failed syncs are
+   * tried again later, waiting longer after each attempt, unless the request
+   * was rejected, in which case trying again will not help.
+   *
+   * @param {string} uuid - Vaccination UUID
+   * @param {object} response - Response
+   * @param {string} response.method - Request method
+   * @param {number} [response.status] - Response status code
+   * @param {string} [response.message] - Response message
+   * @param {string} [response.id] - Immunisation ID on NHS England API
+   * @param {Date} [response.updatedAt] - Updated date of vaccination synced
+   * @param {object} context - Context
+   * @returns {Vaccination} Synced vaccination
+   * @static
+   */
+  static recordSync(uuid, response, context) {
+    const previous = AuditEntry.snapshot(context.vaccinations[uuid])
+    const syncedVaccination = Vaccination.findOne(uuid, context)
+    const { id, message, method, status, updatedAt } = response
+    const changed =
+      syncedVaccination.updatedAt?.getTime() !== updatedAt?.getTime()
+
+    syncedVaccination.nhseSyncResponses.push({
+      createdAt: today(),
+      method,
+      status,
+      message
+    })
+
+    const succeeded = status >= 200 && status < 300
+    if (succeeded) {
+      syncedVaccination.nhseId = method === 'DELETE' ? undefined : id
+      syncedVaccination.nhseSyncedAt = today()
+    }
+
+    // Changed vaccinations stay in the queue, as the change queued these again
+    if (!changed) {
+      if (succeeded) {
+        syncedVaccination.nhseSyncQueuedAt = undefined
+        syncedVaccination.nhseSyncAttempts = 0
+        syncedVaccination.nhseSyncRetryAt = undefined
+      } else if (
+        status >= 400 &&
+        status < 500 &&
+        ![408, 429].includes(status)
+      ) {
+        syncedVaccination.nhseSyncAttempts = MAX_SYNC_ATTEMPTS
+      } else {
+        // Retries wait using the real clock, not today’s date in the prototype
+        syncedVaccination.nhseSyncAttempts += 1
+        syncedVaccination.nhseSyncRetryAt = addSeconds(
+          new Date(),
+          SYNC_RETRY_DELAY * 2 ** (syncedVaccination.nhseSyncAttempts - 1)
+        )
+      }
+    }
+
+    // Remove vaccination context
+    delete syncedVaccination.context
+
+    // Update context
+    context.vaccinations[uuid] = syncedVaccination
+
+    AuditEntry.log(
+      { action: AuditAction.Update, record: syncedVaccination, previous },
+      context
+    )
+
+    return syncedVaccination
+  }
 }
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict'
+import process from 'node:process'
+import { afterEach, describe, it } from 'node:test'
+
+import { Vaccination } from './vaccination.js'
+
+const getContext = (updatedAt) => ({
+  vaccinations: {
+    abc: {
+      uuid: 'abc',
+      nhseSyncQueuedAt: '2025-01-01T09:00:00.000Z',
+      updatedAt
+    }
+  }
+})
+
+describe('Vaccination.recordSync', () => {
+  afterEach(() => {
+    delete process.env.TODAY
+  })
+
+  it('removes a synced vaccination from the queue', () => {
+    const context = getContext()
+
+    const vaccination = Vaccination.recordSync(
+      'abc',
+      { method: 'POST', status: 201, id: 'nhse-1' },
+      context
+    )
+
+    assert.equal(vaccination.nhseId, 'nhse-1')
+    assert.equal(vaccination.nhseSyncQueuedAt, undefined)
+  })
+
+  it('keeps a vaccination changed during a sync in the queue', () => {
+    const context = getContext('2025-01-01T09:01:00.000Z')
+
+    const vaccination = Vaccination.recordSync(
+      'abc',
+      { method: 'POST', status: 201, id: 'nhse-1', updatedAt: undefined },
+      context
+    )
+
+    assert.equal(vaccination.nhseId, 'nhse-1')
+    assert.ok(vaccination.nhseSyncQueuedAt)
+    assert.equal(vaccination.nhseSyncAttempts, 0)
+  })
+
+  it('tries a failed sync again later', () => {
+    const context = getContext('2025-01-01T09:01:00.000Z')
+
+    const vaccination = Vaccination.recordSync(
+      'abc',
+      {
+        method: 'POST',
+        status: 503,
+        updatedAt: new Date('2025-01-01T09:01:00.000Z')
+      },
+      context
+    )
+
+    assert.ok(vaccination.nhseSyncQueuedAt)
+    assert.equal(vaccination.nhseSyncAttempts, 1)
+    assert.ok(vaccination.nhseSyncRetryAt)
+  })
+
+  it('waits to try again using the real clock', () => {
+    const context = getContext('2025-01-01T09:01:00.000Z')
+
+    process.env.TODAY = '2000-01-01'
+    const vaccination = Vaccination.recordSync(
+      'abc',
+      {
+        method: 'POST',
+        status: 503,
+        updatedAt: new Date('2025-01-01T09:01:00.000Z')
+      },
+      context
+    )
+
+    assert.ok(vaccination.nhseSyncRetryAt > new Date())
+  })
+})
+
+describe('Vaccination.update', () => {
+  afterEach(() => {
+    delete process.env.TODAY
+  })
+
+  it('advances version when updated, even if today’s date moves back', () => {
+    const context = getContext()
+
+    process.env.TODAY = '2025-01-02'
+    const first = Vaccination.update('abc', { note: 'First' }, context)
+
+    process.env.TODAY = '2025-01-01'
+    const second = Vaccination.update('abc', { note: 'Second' }, context)
+
+    assert.equal(first.version, '1')
+    assert.equal(second.version, '2')
+  })
+})
@@ -61,9 +61,8 @@ export class Vaccine {
    */
   get batches() {
     try {
-      return Object.values(this.context.batches)
+      return Batch.findAll(this.context)
         .filter((batch) => batch.vaccine_snomed === this.snomed)
-        .map((batch) => new Batch(batch))
         .sort((a, b) => getDateValueDifference(a.expiry, b.expiry))
     } catch (error) {
       console.error('Vaccine.batches', error.message)
@@ -1,7 +1,9 @@
 import express from 'express'
 import flash from 'express-flash'
 
+import { UserPermission } from './enums.js'
 import { authentication } from './middleware/authentication.js'
+import { authorise } from './middleware/authorisation.js'
 import { enumeration } from './middleware/enumeration.js'
 import { environment } from './middleware/environment.js'
 import { internationalisation } from './middleware/internationalisation.js'
@@ -11,7 +13,11 @@ import { organisation } from './middleware/organisation.js'
 import { performance } from './middleware/performance.js'
 import { referrer } from './middleware/referrer.js'
 import { rollover } from './middleware/rollover.js'
+import { schedule } from './middleware/schedule.js'
+import { store } from './middleware/store.js'
+import { sync } from './middleware/sync.js'
 import { accountRoutes } from './routes/account.js'
+import { auditRoutes } from './routes/audit.js'
 import { batchRoutes } from './routes/batch.js'
 import { clinicRoutes } from './routes/clinic.js'
 import { consentRoutes } from './routes/consent.js'
@@ -20,15 +26,20 @@ import { downloadRoutes } from './routes/download.js'
 import { homeRoutes } from './routes/home.js'
 import { moveRoutes } from './routes/move.js'
 import { noticeRoutes } from './routes/notice.js'
+import { notificationRoutes } from './routes/notification.js'
 import { organisationRoutes } from './routes/organisation.js'
 import { parentRoutes } from './routes/parent.js'
 import { patientSessionRoutes } from './routes/patient-session.js'
 import { patientRoutes } from './routes/patient.js'
 import { programmeRoutes } from './routes/programme.js'
+import { recordAccessRoutes } from './routes/record-access.js'
 import { replyRoutes } from './routes/reply.js'
+import { reportRoutes } from './routes/report.js'
 import { reviewRoutes } from './routes/review.js'
+import { rolloverRoutes } from './routes/rollover.js'
 import { schoolRoutes } from './routes/school.js'
 import { sessionRoutes } from './routes/session.js'
+import { todayRoutes } from './routes/today.js'
 import { uploadRoutes } from './routes/upload.js'
 import { userRoutes } from './routes/user.js'
 import { vaccinationRoutes } from './routes/vaccination.js'
@@ -37,6 +48,7 @@ import { vaccineRoutes } from './routes/vaccine.js'
 const router = express.Router({ strict: true })
 
 router.use(performance)
+router.use(store)
 router.use(enumeration)
 router.use(environment)
 router.use(internationalisation)
@@ -46,41 +58,66 @@ router.use(
   navigation,
   notification,
   rollover,
-  organisation
+  organisation,
+  schedule,
+  sync
 )
 router.use(referrer)
 
+const viewRecords = authorise(UserPermission.ViewRecords)
+const downloadReports = authorise(UserPermission.DownloadReports)
+
 router.use('/', homeRoutes)
+router.use('/access', viewRecords, recordAccessRoutes)
 router.use('/account', accountRoutes)
-router.use('/consents', consentRoutes)
+router.use('/audit', authorise(UserPermission.ViewAuditLog), auditRoutes)
+router.use('/consents', viewRecords, consentRoutes)
 router.use('/give-or-refuse-consent', parentRoutes)
-router.use('/moves', moveRoutes)
-router.use('/organisations', organisationRoutes)
-router.use('/organisations/:organisation_code/clinics', clinicRoutes)
-router.use('/patients', patientRoutes)
+router.use('/moves', viewRecords, moveRoutes)
+router.use('/organisations', viewRecords, organisationRoutes)
+router.use('/outbox', viewRecords, notificationRoutes)
+router.use(
+  '/organisations/:organisation_code/clinics',
+  viewRecords,
+  clinicRoutes
+)
+router.use('/patients', viewRecords, patientRoutes)
 router.use('/reports', programmeRoutes)
-router.use('/reports/:programme_id/download', downloadRoutes)
-router.use('/reports/:programme_id/vaccinations', vaccinationRoutes)
+router.use('/reports/:programme_id/custom', downloadReports, reportRoutes)
+router.use('/reports/:programme_id/download', downloadReports, downloadRoutes)
+router.use(
+  '/reports/:programme_id/vaccinations',
+  viewRecords,
+  vaccinationRoutes
+)
 router.use(
   '/reports/:programme_id/vaccinations/:vaccination_uuid/patients',
+  viewRecords,
   patientRoutes
 )
-router.use('/schools', schoolRoutes)
-router.use('/sessions/:session_id/consents', consentRoutes)
-router.use('/sessions/:session_id/default-batch', defaultBatchRoutes)
-router.use('/sessions/:session_id/patients', patientSessionRoutes)
+router.use('/rollover', viewRecords, rolloverRoutes)
+router.use('/schools', viewRecords, schoolRoutes)
+router.use('/sessions/:session_id/consents', viewRecords, consentRoutes)
+router.use(
+  '/sessions/:session_id/default-batch',
+  viewRecords,
+  defaultBatchRoutes
+)
+router.use('/sessions/:session_id/patients', viewRecords, patientSessionRoutes)
 router.use(
   '/sessions/:session_id/patients/:nhsn/:programme_id/replies',
+  viewRecords,
   replyRoutes
 )
-router.use('/sessions', sessionRoutes)
-router.use('/uploads/notices', noticeRoutes)
-router.use('/uploads/reviews', reviewRoutes)
-router.use('/uploads', uploadRoutes)
-router.use('/uploads/:upload_id/vaccinations', vaccinationRoutes)
-router.use('/uploads/:upload_id/patients', patientRoutes)
-router.use('/users', userRoutes)
-router.use('/vaccines', vaccineRoutes)
-router.use('/vaccines/:vaccine_snomed/batches', batchRoutes)
+router.use('/sessions', viewRecords, sessionRoutes)
+router.use('/today', authorise(UserPermission.EditOrganisation), todayRoutes)
+router.use('/uploads/notices', viewRecords, noticeRoutes)
+router.use('/uploads/reviews', viewRecords, reviewRoutes)
+router.use('/uploads', viewRecords, uploadRoutes)
+router.use('/uploads/:upload_id/vaccinations', viewRecords, vaccinationRoutes)
+router.use('/uploads/:upload_id/patients', viewRecords, patientRoutes)
+router.use('/users', viewRecords, userRoutes)
+router.use('/vaccines', viewRecords, vaccineRoutes)
+router.use('/vaccines/:vaccine_snomed/batches', viewRecords, batchRoutes)
 
 export default router
@@ -5,10 +5,17 @@ import { accountController as account } from '../controllers/account.js'
 const router = express.Router({ strict: true })
 
 router.get('/sign-in', account.login)
+router.post('/sign-in', account.readLogin, account.authenticate)
 
 router.post('/cis2', account.cis2)
+router.get('/cis2/smartcard', account.smartcard)
+router.post('/cis2/smartcard', account.readSmartcard, account.authenticate)
 
-router.post('/change-role', account.changeRole)
+router.get('/organisation', account.organisation)
+router.post('/organisation', account.changeOrganisation)
+
+router.get('/confirm', account.confirm)
+router.post('/confirm', account.reauthenticate)
 
 router.get('/sign-out', account.logout)
 
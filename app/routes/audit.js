@@ -0,0 +1,12 @@
+import express from 'express'
+
+import { auditController as audit } from '../controllers/audit.js'
+
+const router = express.Router({ strict: true })
+
+router.get('/', audit.readAll, audit.list)
+router.post('/', audit.filter)
+
+router.get('/:record_ns/:record_id', audit.readRecord, audit.show)
+
+export const auditRoutes = router
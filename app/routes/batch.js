@@ -1,18 +1,71 @@
 import express from 'express'
 
 import { batchController as batch } from '../controllers/batch.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
-router.get('/new', batch.form('new'))
-router.post('/new', batch.create)
+router.get('/', batch.readAll, batch.list)
+
+router.get('/new', authorise(UserPermission.ManageBatches), batch.form('new'))
+router.post('/new', authorise(UserPermission.ManageBatches), batch.create)
 
 router.param('batch_id', batch.read)
 
-router.get('/:batch_id/edit', batch.form('edit'))
-router.post('/:batch_id/edit', batch.update)
+router.get(
+  '/:batch_id/edit',
+  authorise(UserPermission.ManageBatches),
+  batch.form('edit')
+)
+router.post(
+  '/:batch_id/edit',
+  authorise(UserPermission.ManageBatches),
+  batch.update
+)
+
+router.get(
+  '/:batch_id/wastage',
+  authorise(UserPermission.ManageBatches),
+  batch.wastage
+)
+router.post(
+  '/:batch_id/wastage',
+  authorise(UserPermission.ManageBatches),
+  batch.waste
+)
+
+router.get(
+  '/:batch_id/recall',
+  authorise(UserPermission.ManageBatches),
+  batch.action('recall')
+)
+router.post(
+  '/:batch_id/recall',
+  authorise(UserPermission.ManageBatches),
+  batch.recall
+)
+
+router.get(
+  '/:batch_id/release',
+  authorise(UserPermission.ReleaseBatches),
+  batch.action('release')
+)
+router.post(
+  '/:batch_id/release',
+  authorise(UserPermission.ReleaseBatches),
+  batch.release
+)
 
-router.get('/:batch_id/archive', batch.action('archive'))
-router.post('/:batch_id/archive', batch.archive)
+router.get(
+  '/:batch_id/archive',
+  authorise(UserPermission.ManageBatches),
+  batch.action('archive')
+)
+router.post(
+  '/:batch_id/archive',
+  authorise(UserPermission.ManageBatches),
+  batch.archive
+)
 
 export const batchRoutes = router
@@ -1,18 +1,40 @@
 import express from 'express'
 
 import { clinicController as clinic } from '../controllers/clinic.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
-router.get('/new', clinic.form('new'))
-router.post('/new', clinic.create)
+router.get(
+  '/new',
+  authorise(UserPermission.EditOrganisation),
+  clinic.form('new')
+)
+router.post('/new', authorise(UserPermission.EditOrganisation), clinic.create)
 
 router.param('clinic_id', clinic.read)
 
-router.get('/:clinic_id/edit', clinic.form('edit'))
-router.post('/:clinic_id/edit', clinic.update)
+router.get(
+  '/:clinic_id/edit',
+  authorise(UserPermission.EditOrganisation),
+  clinic.form('edit')
+)
+router.post(
+  '/:clinic_id/edit',
+  authorise(UserPermission.EditOrganisation),
+  clinic.update
+)
 
-router.get('/:clinic_id/delete', clinic.action('delete'))
-router.post('/:clinic_id/delete', clinic.delete)
+router.get(
+  '/:clinic_id/delete',
+  authorise(UserPermission.EditOrganisation),
+  clinic.action('delete')
+)
+router.post(
+  '/:clinic_id/delete',
+  authorise(UserPermission.EditOrganisation),
+  clinic.delete
+)
 
 export const clinicRoutes = router
@@ -1,6 +1,8 @@
 import express from 'express'
 
 import { consentController as consent } from '../controllers/consent.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
@@ -8,12 +10,28 @@ router.get('/', consent.readAll, consent.list)
 
 router.param('consent_uuid', consent.read)
 
-router.all('/:consent_uuid/match', consent.readMatches)
+router.all(
+  '/:consent_uuid/match',
+  authorise(UserPermission.RecordConsent),
+  consent.readMatches
+)
 router.post('/:consent_uuid/match', consent.filterMatches)
 
-router.post('/:consent_uuid/invalidate', consent.invalidate)
-router.post('/:consent_uuid/link', consent.link)
-router.post('/:consent_uuid/add', consent.add)
+router.post(
+  '/:consent_uuid/invalidate',
+  authorise(UserPermission.RecordConsent),
+  consent.invalidate
+)
+router.post(
+  '/:consent_uuid/link',
+  authorise(UserPermission.RecordConsent),
+  consent.link
+)
+router.post(
+  '/:consent_uuid/add',
+  authorise(UserPermission.RecordConsent),
+  consent.add
+)
 
 router.get('/:consent_uuid{/:view}', consent.show)
 
@@ -1,11 +1,17 @@
 import express from 'express'
 
 import { defaultBatchController as defaultBatch } from '../controllers/default-batch.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
 router.all('/:vaccine_snomed', defaultBatch.read)
 router.get('/:vaccine_snomed', defaultBatch.show)
-router.post('/:vaccine_snomed', defaultBatch.update)
+router.post(
+  '/:vaccine_snomed',
+  authorise(UserPermission.RecordInjection, UserPermission.RecordIntranasal),
+  defaultBatch.update
+)
 
 export const defaultBatchRoutes = router
@@ -1,6 +1,8 @@
 import express from 'express'
 
 import { moveController as move } from '../controllers/move.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
@@ -9,6 +11,10 @@ router.get('/', move.readAll, move.list)
 router.param('move_uuid', move.read)
 
 router.get('/:move_uuid', move.show)
-router.post('/:move_uuid', move.update)
+router.post(
+  '/:move_uuid',
+  authorise(UserPermission.ApproveUploads),
+  move.update
+)
 
 export const moveRoutes = router
@@ -1,14 +1,29 @@
 import express from 'express'
 
 import { noticeController as notice } from '../controllers/notice.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true })
 
-router.get('/', notice.readAll, notice.list)
+router.get(
+  '/',
+  authorise(UserPermission.ReviewNotices),
+  notice.readAll,
+  notice.list
+)
 
 router.param('notice_uuid', notice.read)
 
-router.get('/:notice_uuid/archive', notice.action('archive'))
-router.post('/:notice_uuid/archive', notice.archive)
+router.get(
+  '/:notice_uuid/archive',
+  authorise(UserPermission.ReviewNotices),
+  notice.action('archive')
+)
+router.post(
+  '/:notice_uuid/archive',
+  authorise(UserPermission.ReviewNotices),
+  notice.archive
+)
 
 export const noticeRoutes = router
@@ -0,0 +1,13 @@
+import express from 'express'
+
+import { notificationController as notification } from '../controllers/notification.js'
+
+const router = express.Router({ strict: true })
+
+router.get('/', notification.readAll, notification.list)
+
+router.param('notification_uuid', notification.read)
+
+router.get('/:notification_uuid', notification.show)
+
+export const notificationRoutes = router
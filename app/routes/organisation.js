@@ -1,6 +1,8 @@
 import express from 'express'
 
 import { organisationController as organisation } from '../controllers/organisation.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true })
 
@@ -8,7 +10,11 @@ router.param('organisation_code', organisation.read)
 
 router.get('/:organisation_code', organisation.redirect)
 
-router.all('/:organisation_code/edit/:view', organisation.readForm)
+router.all(
+  '/:organisation_code/edit/:view',
+  authorise(UserPermission.EditOrganisation),
+  organisation.readForm
+)
 router.get('/:organisation_code/edit/:view', organisation.showForm)
 router.post('/:organisation_code/edit/:view', organisation.updateForm)
 
@@ -1,15 +1,60 @@
 import express from 'express'
 
 import { patientSessionController as patientSession } from '../controllers/patient-session.js'
+import { AccessType, UserPermission } from '../enums.js'
+import { restrictAccess } from '../middleware/access.js'
+import { reauthenticate } from '../middleware/authentication.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
 router.param('nhsn', patientSession.read)
 
+const recordVaccinations = authorise(
+  UserPermission.RecordInjection,
+  UserPermission.RecordIntranasal
+)
+
+router.all('/:nhsn/:programme_id/new/gillick', authorise(UserPermission.Triage))
+router.all(
+  '/:nhsn/:programme_id/new/invite',
+  authorise(UserPermission.RecordConsent)
+)
+router.all(
+  '/:nhsn/:programme_id/new/remind',
+  authorise(UserPermission.RecordConsent)
+)
+router.all('/:nhsn/:programme_id/new/triage', authorise(UserPermission.Triage))
+router.all('/:nhsn/:programme_id/new/pre-screen', recordVaccinations)
+router.all('/:nhsn/:programme_id/new/vaccination', recordVaccinations)
+router.all(
+  '/:nhsn/:programme_id/new/note',
+  authorise(
+    UserPermission.Triage,
+    UserPermission.RecordInjection,
+    UserPermission.RecordIntranasal
+  )
+)
+router.all(
+  '/:nhsn/:programme_id/edit/gillick',
+  authorise(UserPermission.Triage)
+)
+router.all('/:nhsn/:programme_id/edit/triage', authorise(UserPermission.Triage))
+
+router.all(
+  '/:nhsn/:programme_id{/*path}',
+  restrictAccess(AccessType.PatientSession)
+)
+
 router.all('/:nhsn/:programme_id/new/:view', patientSession.readForm)
-router.get('/:nhsn/:programme_id/new/vaccination', patientSession.vaccination)
+router.get(
+  '/:nhsn/:programme_id/new/vaccination',
+  reauthenticate,
+  patientSession.vaccination
+)
 router.get('/:nhsn/:programme_id/new/:view', patientSession.showForm('new'))
 
+router.post('/:nhsn/:programme_id/new/:view', patientSession.checkVersion)
 router.post('/:nhsn/:programme_id/new/gillick', patientSession.gillick('new'))
 router.post('/:nhsn/:programme_id/new/pre-screen', patientSession.preScreen)
 router.post('/:nhsn/:programme_id/new/invite', patientSession.invite)
@@ -20,6 +65,7 @@ router.post('/:nhsn/:programme_id/new/note', patientSession.note)
 router.all('/:nhsn/:programme_id/edit/:view', patientSession.readForm)
 router.get('/:nhsn/:programme_id/edit/:view', patientSession.showForm('edit'))
 
+router.post('/:nhsn/:programme_id/edit/:view', patientSession.checkVersion)
 router.post('/:nhsn/:programme_id/edit/gillick', patientSession.gillick('edit'))
 router.post('/:nhsn/:programme_id/edit/registration', patientSession.register)
 router.post('/:nhsn/:programme_id/edit/triage', patientSession.triage)
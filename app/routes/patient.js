@@ -1,6 +1,9 @@
 import express from 'express'
 
 import { patientController as patient } from '../controllers/patient.js'
+import { AccessType, UserPermission } from '../enums.js'
+import { restrictAccess } from '../middleware/access.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
@@ -9,6 +12,11 @@ router.post('/', patient.filterList)
 
 router.param('patient_uuid', patient.read)
 
+router.all(
+  ['/:patient_uuid/edit', '/:patient_uuid/edit/:view'],
+  authorise(UserPermission.EditRecords)
+)
+
 router.get('/:patient_uuid/edit', patient.edit)
 router.post('/:patient_uuid/edit', patient.update)
 
@@ -16,6 +24,9 @@ router.all('/:patient_uuid/edit/:view', patient.readForm)
 router.get('/:patient_uuid/edit/:view', patient.showForm)
 router.post('/:patient_uuid/edit/:view', patient.updateForm)
 
+router.all('/:patient_uuid/archive', authorise(UserPermission.EditRecords))
+
+router.all('/:patient_uuid{/*path}', restrictAccess(AccessType.Patient))
 router.post('/:patient_uuid/archive', patient.archive)
 
 router.get('/:patient_uuid{/:view}', patient.show)
@@ -8,6 +8,7 @@ router.get('/', programme.readAll, programme.list)
 
 router.param('programme_id', programme.read)
 
+router.get('/:programme_id/dashboard', programme.dashboard)
 router.get('/:programme_id{/:view}', programme.show)
 
 export const programmeRoutes = router
@@ -0,0 +1,28 @@
+import express from 'express'
+
+import { recordAccessController as recordAccess } from '../controllers/record-access.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
+
+const router = express.Router({ strict: true })
+
+router.get(
+  '/',
+  authorise(UserPermission.ReviewRecordAccess),
+  recordAccess.readAll,
+  recordAccess.list
+)
+
+router.param('patient_uuid', recordAccess.read)
+
+router.get('/:patient_uuid/reason', recordAccess.reason)
+router.post('/:patient_uuid/reason', recordAccess.updateReason)
+
+router.get(
+  '/:patient_uuid',
+  authorise(UserPermission.ReviewRecordAccess),
+  recordAccess.readAll,
+  recordAccess.show
+)
+
+export const recordAccessRoutes = router
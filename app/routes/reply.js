@@ -1,21 +1,31 @@
 import express from 'express'
 
 import { replyController as reply } from '../controllers/reply.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
 router.get('/', reply.redirect)
 
-router.get('/new', reply.new)
+router.get('/new', authorise(UserPermission.RecordConsent), reply.new)
 
 router.param('reply_uuid', reply.read)
 
-router.all('/:reply_uuid/new/:view', reply.readForm('new'))
+router.all(
+  '/:reply_uuid/new/:view',
+  authorise(UserPermission.RecordConsent),
+  reply.readForm('new')
+)
 router.get('/:reply_uuid/new/:view', reply.showForm)
 router.post('/:reply_uuid/new/check-answers', reply.update('new'))
 router.post('/:reply_uuid/new/:view', reply.updateForm)
 
-router.all('/:reply_uuid/edit/:view', reply.readForm('edit'))
+router.all(
+  '/:reply_uuid/edit/:view',
+  authorise(UserPermission.RecordConsent),
+  reply.readForm('edit')
+)
 router.get('/:reply_uuid/edit/:view', reply.showForm)
 router.post('/:reply_uuid/edit/follow-up', reply.followUp)
 router.post('/:reply_uuid/edit/invalidate', reply.invalidate)
@@ -0,0 +1,23 @@
+import express from 'express'
+
+import { reportController as report } from '../controllers/report.js'
+
+const router = express.Router({ strict: true, mergeParams: true })
+
+router.get('/new', report.form('new'))
+router.post('/new/preview', report.form('new'))
+router.post('/new', report.validate('new'), report.create)
+
+router.param('report_id', report.read)
+
+router.get('/:report_id', report.show)
+router.get('/:report_id/download', report.download)
+
+router.get('/:report_id/edit', report.form('edit'))
+router.post('/:report_id/edit/preview', report.form('edit'))
+router.post('/:report_id/edit', report.validate('edit'), report.update)
+
+router.get('/:report_id/delete', report.action('delete'))
+router.post('/:report_id/delete', report.delete)
+
+export const reportRoutes = router
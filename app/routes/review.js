@@ -1,6 +1,9 @@
 import express from 'express'
 
 import { reviewController as review } from '../controllers/review.js'
+import { AccessType, UserPermission } from '../enums.js'
+import { restrictAccess } from '../middleware/access.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true })
 
@@ -8,9 +11,19 @@ router.get('/', review.readAll, review.list)
 
 router.param('upload_id', review.read)
 
+router.all('/:upload_id/:nhsn{/*path}', restrictAccess(AccessType.Patient))
+
 router.get('/:upload_id/:nhsn{/:view}', review.show)
-router.post('/:upload_id/:nhsn', review.update)
+router.post(
+  '/:upload_id/:nhsn',
+  authorise(UserPermission.ApproveUploads),
+  review.update
+)
 
-router.post('/:upload_id/:nhsn/archived', review.update)
+router.post(
+  '/:upload_id/:nhsn/archived',
+  authorise(UserPermission.ApproveUploads),
+  review.update
+)
 
 export const reviewRoutes = router
@@ -0,0 +1,14 @@
+import express from 'express'
+
+import { rolloverController as rollover } from '../controllers/rollover.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
+
+const router = express.Router({ strict: true })
+
+router.all('/', authorise(UserPermission.EditOrganisation), rollover.read)
+
+router.get('/', rollover.show)
+router.post('/', rollover.update)
+
+export const rolloverRoutes = router
@@ -1,32 +1,67 @@
 import express from 'express'
 
 import { sessionController as session } from '../controllers/session.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true })
 
 router.get('/', session.readAll, session.list)
 router.post('/', session.filter)
 
-router.get('/new', session.new)
+router.get('/new', authorise(UserPermission.ManageSessions), session.new)
 
 router.param('session_id', session.read)
 
-router.all('/:session_id/new/:view', session.readForm('new'))
+router.all(
+  '/:session_id/new/:view',
+  authorise(UserPermission.ManageSessions),
+  session.readForm('new')
+)
 router.get('/:session_id/new/:view', session.showForm)
 router.post('/:session_id/new/check-answers', session.update('new'))
 router.post('/:session_id/new/:view', session.updateForm)
 
-router.get('/:session_id/edit', session.edit)
-router.post('/:session_id/edit', session.update('edit'))
+router.get(
+  '/:session_id/edit',
+  authorise(UserPermission.ManageSessions),
+  session.edit
+)
+router.post(
+  '/:session_id/edit',
+  authorise(UserPermission.ManageSessions),
+  session.update('edit')
+)
 
-router.all('/:session_id/edit/:view', session.readForm('edit'))
+router.all(
+  '/:session_id/edit/:view',
+  authorise(UserPermission.ManageSessions),
+  session.readForm('edit')
+)
 router.get('/:session_id/edit/:view', session.showForm)
 router.post('/:session_id/edit/:view', session.updateForm)
 
-router.post('/:session_id/close', session.close)
-router.post('/:session_id/instructions', session.giveInstructions)
+router.post(
+  '/:session_id/close',
+  authorise(UserPermission.ManageSessions),
+  session.close
+)
+router.post(
+  '/:session_id/instructions',
+  authorise(UserPermission.Instruct),
+  session.giveInstructions
+)
 router.post('/:session_id/offline', session.downloadFile)
-router.post('/:session_id/reminders', session.sendReminders)
+router.post(
+  '/:session_id/reminders',
+  authorise(UserPermission.ManageSessions),
+  session.sendReminders
+)
+router.post(
+  '/:session_id/temperatures',
+  authorise(UserPermission.ManageBatches),
+  session.recordTemperature
+)
 
 router.all('/:session_id/:view', session.readPatientSessions)
 router.post('/:session_id/:view', session.filterPatientSessions)
@@ -0,0 +1,12 @@
+import express from 'express'
+
+import { todayController as today } from '../controllers/today.js'
+
+const router = express.Router({ strict: true })
+
+router.all('/', today.read)
+
+router.get('/', today.edit)
+router.post('/', today.update)
+
+export const todayRoutes = router
@@ -1,31 +1,57 @@
 import express from 'express'
 
 import { uploadController as upload } from '../controllers/upload.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
+import { fileUpload } from '../middleware/file-upload.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
 router.get('/', upload.readAll, upload.list)
 router.get('/imported', upload.readAll, upload.imported)
 
-router.get('/new', upload.new)
+router.get('/new', authorise(UserPermission.ApproveUploads), upload.new)
 
 router.param('upload_id', upload.read)
 
-router.post('/:upload_id/new/file', upload.update)
+router.post(
+  '/:upload_id/new/file',
+  authorise(UserPermission.ApproveUploads),
+  fileUpload,
+  upload.readForm,
+  upload.update
+)
 
-router.all('/:upload_id/new/:view', upload.readForm)
+router.all(
+  '/:upload_id/new/:view',
+  authorise(UserPermission.ApproveUploads),
+  upload.readForm
+)
 router.get('/:upload_id/new/:view', upload.showForm)
 router.post('/:upload_id/new/:view', upload.updateForm)
 
 router.get(
   '/:upload_id/remove-relationships',
+  authorise(UserPermission.ApproveUploads),
   upload.action('bulk remove relationships')
 )
-router.post('/:upload_id/remove-relationships', upload.removeRelationships)
+router.post(
+  '/:upload_id/remove-relationships',
+  authorise(UserPermission.ApproveUploads),
+  upload.removeRelationships
+)
 
-router.post('/:upload_id/approve', upload.approve)
+router.post(
+  '/:upload_id/approve',
+  authorise(UserPermission.ApproveUploads),
+  upload.approve
+)
 
-router.post('/:upload_id/delete', upload.delete)
+router.post(
+  '/:upload_id/delete',
+  authorise(UserPermission.ApproveUploads),
+  upload.delete
+)
 
 router.get('/:upload_id{/:view}', upload.show)
 
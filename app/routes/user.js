@@ -1,13 +1,49 @@
 import express from 'express'
 
 import { userController as user } from '../controllers/user.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true })
 
 router.get('/', user.readAll, user.list)
 
+router.all('/new', authorise(UserPermission.ManageUsers), user.readForm)
+router.get('/new', user.form('new'))
+router.post('/new', user.validate('new'), user.create)
+
 router.param('user_uid', user.read)
 
+router.all(
+  '/:user_uid/edit',
+  authorise(UserPermission.ManageUsers),
+  user.readForm
+)
+router.get('/:user_uid/edit', user.form('edit'))
+router.post('/:user_uid/edit', user.validate('edit'), user.update)
+
+router.get(
+  '/:user_uid/deactivate',
+  authorise(UserPermission.ManageUsers),
+  user.action('deactivate')
+)
+router.post(
+  '/:user_uid/deactivate',
+  authorise(UserPermission.ManageUsers),
+  user.deactivate
+)
+
+router.get(
+  '/:user_uid/reactivate',
+  authorise(UserPermission.ManageUsers),
+  user.action('reactivate')
+)
+router.post(
+  '/:user_uid/reactivate',
+  authorise(UserPermission.ManageUsers),
+  user.reactivate
+)
+
 router.get('/:user_uid{/:view}', user.show)
 
 export const userRoutes = router
@@ -1,15 +1,30 @@
 import express from 'express'
 
 import { vaccinationController as vaccination } from '../controllers/vaccination.js'
+import { AccessType, UserPermission } from '../enums.js'
+import { restrictAccess } from '../middleware/access.js'
+import { reauthenticate } from '../middleware/authentication.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true, mergeParams: true })
 
+const recordVaccinations = authorise(
+  UserPermission.RecordInjection,
+  UserPermission.RecordIntranasal
+)
+
 router.get('/', vaccination.redirect)
 
-router.get('/new', vaccination.new)
+router.get('/new', recordVaccinations, reauthenticate, vaccination.new)
 
 router.param('vaccination_uuid', vaccination.read)
 
+router.all('/:vaccination_uuid/new/:view', recordVaccinations)
+router.all('/:vaccination_uuid/edit', recordVaccinations)
+router.all('/:vaccination_uuid/edit/:view', recordVaccinations)
+
+router.all('/:vaccination_uuid{/*path}', restrictAccess(AccessType.Vaccination))
+
 router.all('/:vaccination_uuid/new/:view', vaccination.readForm('new'))
 router.get('/:vaccination_uuid/new/:view', vaccination.showForm('new'))
 router.post('/:vaccination_uuid/new/check-answers', vaccination.update('new'))
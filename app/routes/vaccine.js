@@ -1,6 +1,8 @@
 import express from 'express'
 
 import { vaccineController as vaccine } from '../controllers/vaccine.js'
+import { UserPermission } from '../enums.js'
+import { authorise } from '../middleware/authorisation.js'
 
 const router = express.Router({ strict: true })
 
@@ -8,8 +10,16 @@ router.get('/', vaccine.readAll, vaccine.list)
 
 router.param('vaccine_snomed', vaccine.read)
 
-router.get('/:vaccine_snomed/delete', vaccine.action('delete'))
-router.post('/:vaccine_snomed/delete', vaccine.delete)
+router.get(
+  '/:vaccine_snomed/delete',
+  authorise(UserPermission.ManageBatches),
+  vaccine.action('delete')
+)
+router.post(
+  '/:vaccine_snomed/delete',
+  authorise(UserPermission.ManageBatches),
+  vaccine.delete
+)
 
 router.get('/:vaccine_snomed', vaccine.show)
 
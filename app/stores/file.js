@@ -0,0 +1,103 @@
+import fs from 'node:fs'
+import path from 'node:path'
+
+import { MemoryStore } from './memory.js'
+
+/**
+ * Time to wait for further changes before writing files
+ */
+const SAVE_DELAY = 1000
+
+/**
+ * Remove model context when converting records to JSON
+ *
+ * @param {string} key - Property key
+ * @param {any} value - Property value
+ * @returns {any} Property value
+ */
+const replacer = (key, value) => (key === 'context' ? undefined : value)
+
+/**
+ * @class FileStore
+ * @augments MemoryStore
+ * @param {object} seed - Records to start with, keyed by collection name
+ * @param {string} [directory] - Directory to save collection files to
+ * @property {object} collections - Records, keyed by collection name
+ * @property {string} directory - Directory to save collection files to
+ */
+export class FileStore extends MemoryStore {
+  constructor(seed, directory = '.data/store') {
+    super(seed)
+
+    this.directory = directory
+    this.timeout = undefined
+
+    this.load()
+  }
+
+  /**
+   * Get path to file for a collection
+   *
+   * @param {string} name - Collection name
+   * @returns {string} File path
+   */
+  path(name) {
+    return path.join(this.directory, `${name}.json`)
+  }
+
+  /**
+   * Load saved records, in place of seed records
+   */
+  load() {
+    for (const name of this.names) {
+      const file = this.path(name)
+
+      if (fs.existsSync(file)) {
+        try {
+          const records = JSON.parse(fs.readFileSync(file, 'utf8'))
+          this.collections[name] = this.track(name, records)
+        } catch (error) {
+          console.error('FileStore.load', name, error.message)
+        }
+      }
+    }
+  }
+
+  /**
+   * Save changes
+   *
+   * Changes often arrive in quick succession, so wait for these to settle
+   * before writing changed collections to disk.
+   */
+  save() {
+    clearTimeout(this.timeout)
+
+    this.timeout = setTimeout(() => this.write(), SAVE_DELAY)
+  }
+
+  /**
+   * Write changed collections to disk
+   *
+   * Each file is written to a temporary file first, so that a file is never
+   * left half written if the application stops. Collections that fail to
+   * write are written again with the next save.
+   */
+  async write() {
+    const names = [...this.changed]
+    this.changed.clear()
+
+    for (const name of names) {
+      try {
+        const file = this.path(name)
+        const data = JSON.stringify(this.getRecords(name), replacer)
+
+        await fs.promises.mkdir(this.directory, { recursive: true })
+        await fs.promises.writeFile(`${file}.tmp`, data)
+        await fs.promises.rename(`${file}.tmp`, file)
+      } catch (error) {
+        console.error('FileStore.write', name, error.message)
+        this.changed.add(name)
+      }
+    }
+  }
+}
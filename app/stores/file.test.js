@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+
+import { FileStore } from './file.js'
+
+describe('FileStore', () => {
+  let directory
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('only writes collections that have changed', async () => {
+    const store = new FileStore({ patients: {}, users: {} }, directory)
+
+    store.get('patients').abc = { uuid: 'abc' }
+    clearTimeout(store.timeout)
+    await store.write()
+
+    assert.deepEqual(fs.readdirSync(directory), ['patients.json'])
+    assert.equal(store.changed.size, 0)
+  })
+
+  it('tracks records that are deleted or replaced', async () => {
+    const store = new FileStore({ patients: { abc: {} }, users: {} }, directory)
+
+    delete store.get('patients').abc
+    store.set('users', { def: { uid: 'def' } })
+    clearTimeout(store.timeout)
+
+    assert.deepEqual([...store.changed].sort(), ['patients', 'users'])
+
+    await store.write()
+
+    const store2 = new FileStore(
+      { patients: { abc: {} }, users: {} },
+      directory
+    )
+    assert.deepEqual(store2.get('patients'), {})
+    assert.deepEqual(store2.get('users'), { def: { uid: 'def' } })
+  })
+
+  it('tracks changes made to values within a record', async () => {
+    const store = new FileStore(
+      {
+        organisations: { abc: { clinic_ids: [] } },
+        patients: { def: { school_urn: '1' } }
+      },
+      directory
+    )
+
+    store.get('organisations').abc.clinic_ids.push('ghi')
+    store.get('patients').def.school_urn = '2'
+    clearTimeout(store.timeout)
+
+    assert.deepEqual([...store.changed].sort(), ['organisations', 'patients'])
+
+    await store.write()
+
+    const store2 = new FileStore({ organisations: {}, patients: {} }, directory)
+    assert.deepEqual(store2.get('organisations'), {
+      abc: { clinic_ids: ['ghi'] }
+    })
+    assert.deepEqual(store2.get('patients'), { def: { school_urn: '2' } })
+  })
+
+  it('does not track a collection assigned to itself', () => {
+    const store = new FileStore({ patients: {} }, directory)
+    const patients = store.get('patients')
+
+    store.set('patients', patients)
+
+    assert.equal(store.get('patients'), patients)
+    assert.equal(store.changed.size, 0)
+  })
+
+  it('tracks changes to collections loaded from disk', () => {
+    fs.writeFileSync(path.join(directory, 'patients.json'), '{}')
+
+    const store = new FileStore({ patients: {} }, directory)
+    store.get('patients').abc = { uuid: 'abc' }
+    clearTimeout(store.timeout)
+
+    assert.deepEqual([...store.changed], ['patients'])
+  })
+})
@@ -0,0 +1,144 @@
+/**
+ * Value can have its changes tracked
+ *
+ * @param {any} value - Value
+ * @returns {boolean} Value is an object or array, other than a date
+ */
+const isTrackable = (value) =>
+  typeof value === 'object' && value !== null && !(value instanceof Date)
+
+/**
+ * @class MemoryStore
+ * @param {object} seed - Records to start with, keyed by collection name
+ * @property {object} collections - Records, keyed by collection name
+ * @property {Set<string>} changed - Names of collections changed since save
+ * @property {WeakMap<object, object>} targets - Values, keyed by their proxy
+ */
+export class MemoryStore {
+  constructor(seed) {
+    this.collections = {}
+    this.changed = new Set()
+    this.targets = new WeakMap()
+
+    for (const [name, records] of Object.entries(seed)) {
+      this.collections[name] = this.track(name, records || {})
+    }
+  }
+
+  /**
+   * Get names of collections held in store
+   *
+   * @returns {Array<string>} Collection names
+   */
+  get names() {
+    return Object.keys(this.collections)
+  }
+
+  /**
+   * Get records in a collection
+   *
+   * @param {string} name - Collection name
+   * @returns {object} Records, keyed by ID
+   */
+  get(name) {
+    return this.collections[name]
+  }
+
+  /**
+   * Replace records in a collection
+   *
+   * @param {string} name - Collection name
+   * @param {object} records - Records, keyed by ID
+   */
+  set(name, records) {
+    // Models can assign a collection to itself, before adding a record
+    if (records === this.collections[name]) {
+      return
+    }
+
+    this.collections[name] = this.track(
+      name,
+      this.targets.get(records) || records
+    )
+    this.change(name)
+  }
+
+  /**
+   * Track changes to records in a collection
+   *
+   * Records are added, replaced or deleted whenever a model is created,
+   * updated or deleted, whichever request (or job) made the change. Some
+   * changes are made to values within a record, so these are tracked too.
+   *
+   * @param {string} name - Collection name
+   * @param {object} records - Records, keyed by ID
+   * @returns {object} Records, keyed by ID
+   */
+  track(name, records) {
+    const proxies = new WeakMap()
+
+    const handler = {
+      get: (target, key) => {
+        // Records saved from a model can hold values read from the store
+        const value = this.targets.get(target[key]) || target[key]
+
+        // Records keep a reference to the context they were created with
+        if (key === 'context' || !isTrackable(value)) {
+          return value
+        }
+
+        if (!proxies.has(value)) {
+          const proxy = new Proxy(value, handler)
+          proxies.set(value, proxy)
+          this.targets.set(proxy, value)
+        }
+
+        return proxies.get(value)
+      },
+      set: (target, key, value) => {
+        target[key] = this.targets.get(value) || value
+        this.change(name)
+        return true
+      },
+      deleteProperty: (target, key) => {
+        delete target[key]
+        this.change(name)
+        return true
+      }
+    }
+
+    const proxy = new Proxy(records, handler)
+    this.targets.set(proxy, records)
+
+    return proxy
+  }
+
+  /**
+   * Get records in a collection, without tracking changes
+   *
+   * @param {string} name - Collection name
+   * @returns {object} Records, keyed by ID
+   */
+  getRecords(name) {
+    return this.targets.get(this.collections[name])
+  }
+
+  /**
+   * Mark a collection as changed
+   *
+   * @param {string} name - Collection name
+   */
+  change(name) {
+    this.changed.add(name)
+    this.save()
+  }
+
+  /**
+   * Save changes
+   *
+   * Records held in memory are lost when the application restarts.
+   */
+  save() {
+    this.changed.clear()
+  }
+}
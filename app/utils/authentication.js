@@ -0,0 +1,132 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto'
+
+import { differenceInMinutes } from 'date-fns'
+
+/**
+ * Minutes without activity after which a user is signed out
+ */
+const SESSION_TIMEOUT_MINUTES = 30
+
+/**
+ * Minutes after signing in that a user must confirm their identity again
+ * before a sensitive action, such as recording a vaccination
+ */
+const REAUTHENTICATION_MINUTES = 15
+
+/**
+ * Length of key derived from a password, in bytes
+ */
+const PASSWORD_KEY_LENGTH = 64
+
+/**
+ * Hash a password, so that it is not saved in plain text
+ *
+ * @param {string} password - Password
+ * @returns {string} Salt and derived key, separated by a colon
+ */
+export const hashPassword = (password) => {
+  const salt = randomBytes(16).toString('hex')
+  const key = scryptSync(password, salt, PASSWORD_KEY_LENGTH).toString('hex')
+
+  return `${salt}:${key}`
+}
+
+/**
+ * Password matches hash
+ *
+ * @param {string} [password] - Password
+ * @param {string} [passwordHash] - Hash, from `hashPassword`
+ * @returns {boolean} Password matches hash
+ */
+export const verifyPassword = (password, passwordHash) => {
+  const [salt, key] = passwordHash?.split(':') || []
+  if (!password || !salt || !key) {
+    return false
+  }
+
+  const expected = Buffer.from(key, 'hex')
+  const actual = scryptSync(password, salt, expected.length)
+
+  return (
+    expected.length === PASSWORD_KEY_LENGTH && timingSafeEqual(expected, actual)
+  )
+}
+
+/**
+ * Replace passwords saved in plain text with a hash
+ *
+ * Users created before passwords were hashed have a `password` value.
+ *
+ * @param {object} [users] - Users, keyed by UID
+ * @returns {object} Users, keyed by UID
+ */
+export const hashPasswords = (users) => {
+  for (const [uid, { password, ...user }] of Object.entries(users || {})) {
+    if (password) {
+      users[uid] = { ...user, passwordHash: hashPassword(password) }
+    }
+  }
+
+  return users
+}
+
+/**
+ * Create token for a signed in user
+ *
+ * The password hash is not saved in the token. Times are taken from the real
+ * clock, not today’s date as used by the prototype, which can be changed.
+ *
+ * @param {import('../models/user.js').User} user - User
+ * @param {string} organisation_code - Organisation ODS code
+ * @param {import('../enums.js').AuthenticationMethod} method - Authentication method
+ * @returns {object} Token
+ */
+export const createToken = (user, organisation_code, method) => ({
+  uid: user.uid,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.getRole(organisation_code),
+  roles: user.roles,
+  prescriber: user.prescriber,
+  organisation_code,
+  method,
+  authenticatedAt: new Date(),
+  activeAt: new Date()
+})
+
+/**
+ * Token has expired, as user has not been active recently
+ *
+ * @param {object} token - Token
+ * @returns {boolean} Token has expired
+ */
+export const isTokenExpired = (token) =>
+  Boolean(token.activeAt) &&
+  differenceInMinutes(new Date(), new Date(token.activeAt)) >=
+    SESSION_TIMEOUT_MINUTES
+
+/**
+ * User needs to confirm their identity again
+ *
+ * @param {object} token - Token
+ * @returns {boolean} User needs to confirm their identity
+ */
+export const needsReauthentication = (token) =>
+  !token.authenticatedAt ||
+  differenceInMinutes(new Date(), new Date(token.authenticatedAt)) >=
+    REAUTHENTICATION_MINUTES
+
+/**
+ * Get path to return to after signing in
+ *
+ * Only paths within the service are returned.
+ *
+ * @param {string} [next] - Requested path
+ * @param {string} [fallback] - Path to use if requested path is not valid
+ * @returns {string} Path
+ */
+export const getNextPath = (next, fallback = '/home') =>
+  typeof next === 'string' && next.startsWith('/') && !next.startsWith('//')
+    ? next
+    : fallback
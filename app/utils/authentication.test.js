@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict'
+import process from 'node:process'
+import { afterEach, describe, it } from 'node:test'
+
+import {
+  getNextPath,
+  hashPassword,
+  hashPasswords,
+  isTokenExpired,
+  needsReauthentication,
+  verifyPassword
+} from './authentication.js'
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000)
+
+describe('isTokenExpired', () => {
+  afterEach(() => {
+    delete process.env.TODAY
+  })
+
+  it('expires tokens after 30 minutes without activity', () => {
+    assert.equal(isTokenExpired({ activeAt: minutesAgo(29) }), false)
+    assert.equal(isTokenExpired({ activeAt: minutesAgo(30) }), true)
+  })
+
+  it('uses the real clock, not today’s date in the prototype', () => {
+    process.env.TODAY = '2000-01-01'
+
+    assert.equal(isTokenExpired({ activeAt: minutesAgo(1) }), false)
+  })
+})
+
+describe('needsReauthentication', () => {
+  afterEach(() => {
+    delete process.env.TODAY
+  })
+
+  it('asks users to confirm their identity after 15 minutes', () => {
+    assert.equal(
+      needsReauthentication({ authenticatedAt: minutesAgo(14) }),
+      false
+    )
+    assert.equal(
+      needsReauthentication({ authenticatedAt: minutesAgo(15) }),
+      true
+    )
+    assert.equal(needsReauthentication({}), true)
+  })
+
+  it('uses the real clock, not today’s date in the prototype', () => {
+    process.env.TODAY = '2100-01-01'
+
+    assert.equal(
+      needsReauthentication({ authenticatedAt: minutesAgo(1) }),
+      false
+    )
+  })
+})
+
+describe('verifyPassword', () => {
+  it('verifies a password against its hash', () => {
+    const passwordHash = hashPassword('correct horse')
+
+    assert.notEqual(passwordHash, 'correct horse')
+    assert.equal(verifyPassword('correct horse', passwordHash), true)
+    assert.equal(verifyPassword('wrong horse', passwordHash), false)
+  })
+
+  it('rejects missing passwords and hashes', () => {
+    assert.equal(verifyPassword('', hashPassword('secret')), false)
+    assert.equal(verifyPassword('secret', undefined), false)
+    assert.equal(verifyPassword('secret', 'secret'), false)
+  })
+})
+
+describe('hashPasswords', () => {
+  it('replaces passwords saved in plain text', () => {
+    const users = { abc: { uid: 'abc', password: 'secret' } }
+
+    hashPasswords(users)
+
+    assert.equal(users.abc.password, undefined)
+    assert.equal(verifyPassword('secret', users.abc.passwordHash), true)
+  })
+})
+
+describe('getNextPath', () => {
+  it('only returns paths within the service', () => {
+    assert.equal(getNextPath('/sessions'), '/sessions')
+    assert.equal(getNextPath('//example.com'), '/home')
+    assert.equal(getNextPath('https://example.com'), '/home')
+    assert.equal(getNextPath(undefined, '/start'), '/start')
+  })
+})
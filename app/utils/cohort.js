@@ -1,53 +1,72 @@
-import { AcademicYear, ProgrammeType } from '../enums.js'
+import { ProgrammeType } from '../enums.js'
+
+import { getYearGroup } from './date.js'
 
 /**
- * Determines if a patient should be added to a specific cohort
+ * Check if a year group is eligible for a programme
  *
- * @param {import('../models/cohort.js').Cohort} cohort - Cohort
- * @param {import('../models/patient.js').Patient} patient - Patient record
- * @returns {boolean} Patient eligible for cohort
+ * @param {ProgrammeType} type - Programme type
+ * @param {number} yearGroup - Year group
+ * @returns {boolean} Year group is eligible for programme
  */
-export function getCohortEligibility(cohort, patient) {
-  const academicYears = Object.keys(AcademicYear).map((key) =>
-    parseInt(key.substring(1))
-  )
-  const cohortAcademicYear = parseInt(cohort.year.split(' ')[0])
-  const currentAcademicYear = academicYears.at(-1)
-
-  // Calculate year group patient was in during the cohort’s academic year
-  const yearDifference = currentAcademicYear - cohortAcademicYear
-  const patientYearGroupInCohortYear = patient.yearGroup - yearDifference
-
-  // Check if the patient was in the correct year group for this cohort
-  if (patientYearGroupInCohortYear !== cohort.yearGroup) {
-    return false
-  }
-
-  // Apply programme-specific eligibility rules
-  // TODO: Determine eligibility by vaccination record, and add to catch-up year
-  switch (cohort.programme.type) {
+function isEligibleYearGroup(type, yearGroup) {
+  switch (type) {
     case ProgrammeType.Flu:
       // Flu vaccination is available for all year groups
-      return cohort.yearGroup >= 0 && cohort.yearGroup <= 11
+      return yearGroup >= 0 && yearGroup <= 11
 
     case ProgrammeType.HPV:
-      // HPV vaccination is only for Year 8
-      return cohort.yearGroup === 8
+      // HPV vaccination is for Year 8, with catch-up in Years 9 to 11
+      return yearGroup >= 8 && yearGroup <= 11
 
     case ProgrammeType.MenACWY:
-      // MenACWY vaccination is only for Year 9
-      return cohort.yearGroup === 9
+      // MenACWY vaccination is for Year 9, with catch-up in Years 10 and 11
+      return yearGroup >= 9 && yearGroup <= 11
 
     case ProgrammeType.MMR:
       // MMR vaccination is available for all year groups
-      return cohort.yearGroup >= 0 && cohort.yearGroup <= 11
+      return yearGroup >= 0 && yearGroup <= 11
 
     case ProgrammeType.TdIPV:
-      // Td/IPV vaccination is only for Year 9
-      return cohort.yearGroup === 9
+      // Td/IPV vaccination is for Year 9, with catch-up in Years 10 and 11
+      return yearGroup >= 9 && yearGroup <= 11
 
     default:
       // Unknown programme type
       return false
   }
 }
+
+/**
+ * Determines if a patient should be added to a specific cohort
+ *
+ * Children in a programme’s catch-up year groups are only added if they have
+ * not been fully vaccinated, for example if they missed vaccination in an
+ * earlier year group.
+ *
+ * @param {import('../models/cohort.js').Cohort} cohort - Cohort
+ * @param {import('../models/patient.js').Patient} patient - Patient record
+ * @returns {boolean} Patient eligible for cohort
+ */
+export function getCohortEligibility(cohort, patient) {
+  // Calculate year group patient is in during the cohort’s academic year
+  const patientYearGroupInCohortYear = getYearGroup(patient.dob, cohort.year)
+
+  // Check if the patient is in the correct year group for this cohort
+  if (patientYearGroupInCohortYear !== cohort.yearGroup) {
+    return false
+  }
+
+  // Apply programme-specific eligibility rules
+  const { programme } = cohort
+  if (!isEligibleYearGroup(programme.type, cohort.yearGroup)) {
+    return false
+  }
+
+  // Only add unvaccinated children to catch-up cohorts
+  if (programme.catchupYearGroups.includes(cohort.yearGroup)) {
+    return !programme.isVaccinated(patient.vaccinations)
+  }
+
+  return true
+}
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import programmes from '../datasets/programmes.js'
+import { ProgrammeType } from '../enums.js'
+import { Programme } from '../models/programme.js'
+
+import { getCohortEligibility } from './cohort.js'
+
+const hpv = new Programme(programmes[ProgrammeType.HPV])
+const menACWY = new Programme(programmes[ProgrammeType.MenACWY])
+
+/**
+ * Get a patient record
+ *
+ * @param {Date} dob - Date of birth
+ * @param {Array<object>} [vaccinations] - Vaccinations given
+ * @returns {import('../models/patient.js').Patient} Patient record
+ */
+const getPatient = (dob, vaccinations = []) =>
+  /** @type {import('../models/patient.js').Patient} */ ({ dob, vaccinations })
+
+/**
+ * Get a cohort for a programme
+ *
+ * @param {Programme} programme - Programme
+ * @param {number} yearGroup - Year group
+ * @returns {import('../models/cohort.js').Cohort} Cohort
+ */
+const getCohort = (programme, yearGroup) =>
+  /** @type {import('../models/cohort.js').Cohort} */ ({
+    programme,
+    year: '2025 to 2026',
+    yearGroup
+  })
+
+// Year 8 in 2025 to 2026
+const patient = getPatient(new Date('2012-10-01'))
+
+const vaccinated = (programme, dob) =>
+  getPatient(dob, [
+    {
+      createdAt: new Date('2025-01-01'),
+      given: true,
+      programme,
+      sequence: '1P'
+    }
+  ])
+
+describe('getCohortEligibility', () => {
+  it('adds children in the cohort’s year group', () => {
+    assert.equal(getCohortEligibility(getCohort(hpv, 8), patient), true)
+  })
+
+  it('does not add children in other year groups', () => {
+    assert.equal(getCohortEligibility(getCohort(hpv, 9), patient), false)
+  })
+
+  it('applies programme rules to year groups', () => {
+    const patientInYear7 = getPatient(new Date('2013-10-01'))
+
+    assert.equal(getCohortEligibility(getCohort(hpv, 7), patientInYear7), false)
+  })
+
+  it('applies programme rules to catch-up year groups', () => {
+    const programme = new Programme({
+      ...programmes[ProgrammeType.MenACWY],
+      catchupYearGroups: [8, 10, 11]
+    })
+
+    assert.equal(getCohortEligibility(getCohort(programme, 8), patient), false)
+  })
+
+  it('adds children to catch-up cohorts if not fully vaccinated', () => {
+    const dob = new Date('2010-10-01')
+
+    assert.equal(
+      getCohortEligibility(getCohort(menACWY, 10), getPatient(dob)),
+      true
+    )
+    assert.equal(
+      getCohortEligibility(getCohort(menACWY, 10), vaccinated(menACWY, dob)),
+      false
+    )
+  })
+
+  it('only counts vaccinations for the same programme', () => {
+    const patientInYear10 = vaccinated(hpv, new Date('2010-10-01'))
+
+    assert.equal(
+      getCohortEligibility(getCohort(menACWY, 10), patientInYear10),
+      true
+    )
+  })
+})
@@ -1,6 +1,6 @@
 import process from 'node:process'
 
-import { getDayOfYear, isAfter, isBefore, isEqual } from 'date-fns'
+import { formatISO, getDayOfYear, isAfter, isBefore, isEqual } from 'date-fns'
 
 import { AcademicYear } from '../enums.js'
 
@@ -200,7 +200,49 @@ export function getAcademicYear(date) {
   const month = date.getMonth() + 1
   const startYear = month >= 9 ? year : year - 1
 
-  return AcademicYear[`Y${startYear}`]
+  return getAcademicYearStarting(startYear)
+}
+
+/**
+ * Get academic year that starts in a given year
+ *
+ * @param {number} startYear - Year academic year starts in, for example 2026
+ * @returns {AcademicYear} Academic year
+ */
+export function getAcademicYearStarting(startYear) {
+  return `${startYear} to ${startYear + 1}`
+}
+
+/**
+ * Get academic years with records
+ *
+ * Includes academic years created by rolling over records, which are not
+ * listed in `AcademicYear`.
+ *
+ * @param {object} [context] - Context
+ * @returns {Array<AcademicYear>} Academic years, earliest first
+ */
+export function getAcademicYears(context) {
+  const years = new Set(Object.values(AcademicYear))
+  for (const { year } of Object.values(context?.programmes || {})) {
+    years.add(year)
+  }
+
+  return [...years].filter(Boolean).sort()
+}
+
+/**
+ * Check if date is during rollover to a new academic year
+ *
+ * Rollover takes place over the summer holidays, in July and August.
+ *
+ * @param {Date} date - Date
+ * @returns {boolean} Date is during rollover
+ */
+export function isRolloverPeriod(date) {
+  const month = date.getMonth() + 1
+
+  return month === 7 || month === 8
 }
 
 /**
@@ -253,6 +295,21 @@ export function today(secondsToAdd) {
   return now
 }
 
+/**
+ * Set today’s date, as used by the prototype
+ *
+ * This changes the date for everyone using the prototype.
+ *
+ * @param {Date|string} [date] - Date (uses real date if not provided)
+ */
+export function setToday(date) {
+  if (date) {
+    process.env.TODAY = formatISO(new Date(date), { representation: 'date' })
+  } else {
+    delete process.env.TODAY
+  }
+}
+
 /**
  * Get school year group
  *
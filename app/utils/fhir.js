@@ -0,0 +1,343 @@
+import { fakerEN_GB as faker } from '@faker-js/faker'
+import { formatISO } from 'date-fns'
+
+import {
+  Gender,
+  ProgrammeType,
+  VaccinationMethod,
+  VaccinationSite
+} from '../enums.js'
+
+import { today } from './date.js'
+
+/**
+ * Coding systems used in FHIR resources
+ */
+const System = {
+  NhsNumber: 'https://fhir.nhs.uk/Id/nhs-number',
+  OdsCode: 'https://fhir.nhs.uk/Id/ods-organization-code',
+  Snomed: 'http://snomed.info/sct',
+  Ucum: 'http://unitsofmeasure.org',
+  Urn: 'https://fhir.hl7.org.uk/Id/urn-school-number',
+  Vaccination: 'https://manage-vaccinations-in-schools.nhs.uk/vaccinations'
+}
+
+/**
+ * SNOMED codes for vaccination procedures and the diseases they target
+ */
+const PROGRAMME_CODES = {
+  [ProgrammeType.Flu]: {
+    procedure: {
+      code: '822851000000102',
+      display: 'Seasonal influenza vaccination'
+    },
+    targetDiseases: [{ code: '6142004', display: 'Influenza' }]
+  },
+  [ProgrammeType.HPV]: {
+    procedure: {
+      code: '761841000',
+      display:
+        'Administration of vaccine product containing only Human papillomavirus antigen'
+    },
+    targetDiseases: [
+      { code: '240532009', display: 'Human papilloma virus infection' }
+    ]
+  },
+  [ProgrammeType.MenACWY]: {
+    procedure: {
+      code: '871874000',
+      display:
+        'Administration of vaccine product containing only Neisseria meningitidis serogroup A, C, W135 and Y antigens'
+    },
+    targetDiseases: [
+      { code: '23511006', display: 'Meningococcal infectious disease' }
+    ]
+  },
+  [ProgrammeType.MMR]: {
+    procedure: {
+      code: '38598009',
+      display:
+        'Administration of vaccine product containing only Measles morbillivirus and Mumps orthorubulavirus and Rubella virus antigens'
+    },
+    targetDiseases: [
+      { code: '14189004', display: 'Measles' },
+      { code: '36989005', display: 'Mumps' },
+      { code: '36653000', display: 'Rubella' }
+    ]
+  },
+  [ProgrammeType.TdIPV]: {
+    procedure: {
+      code: '866186002',
+      display:
+        'Administration of vaccine product containing only Clostridium tetani and Corynebacterium diphtheriae and inactivated Human poliovirus antigens'
+    },
+    targetDiseases: [
+      { code: '76902006', display: 'Tetanus' },
+      { code: '397430003', display: 'Diphtheria' },
+      { code: '398102009', display: 'Acute poliomyelitis' }
+    ]
+  }
+}
+
+/**
+ * SNOMED codes for routes of administration
+ */
+const ROUTE_CODES = {
+  [VaccinationMethod.Intranasal]: { code: '46713006', display: 'Nasal route' },
+  [VaccinationMethod.Intramuscular]: {
+    code: '78421000',
+    display: 'Intramuscular route'
+  },
+  [VaccinationMethod.Subcutaneous]: {
+    code: '34206005',
+    display: 'Subcutaneous route'
+  }
+}
+
+/**
+ * SNOMED codes for anatomical sites
+ */
+const SITE_CODES = {
+  [VaccinationSite.Nose]: {
+    code: '279549004',
+    display: 'Nasal cavity structure'
+  },
+  [VaccinationSite.ArmLeftUpper]: {
+    code: '368208006',
+    display: 'Left upper arm structure'
+  },
+  [VaccinationSite.ArmLeftLower]: {
+    code: '368208006',
+    display: 'Left upper arm structure'
+  },
+  [VaccinationSite.ArmRightUpper]: {
+    code: '368209003',
+    display: 'Right upper arm structure'
+  },
+  [VaccinationSite.ArmRightLower]: {
+    code: '368209003',
+    display: 'Right upper arm structure'
+  },
+  [VaccinationSite.ThighLeft]: {
+    code: '61396006',
+    display: 'Structure of left thigh'
+  },
+  [VaccinationSite.ThighRight]: {
+    code: '11207009',
+    display: 'Structure of right thigh'
+  }
+}
+
+/**
+ * FHIR administrative genders
+ */
+const GENDER_CODES = {
+  [Gender.Female]: 'female',
+  [Gender.Male]: 'male',
+  [Gender.NotKnown]: 'unknown',
+  [Gender.NotSpecified]: 'other'
+}
+
+/**
+ * Get SNOMED codeable concept
+ *
+ * @param {object} [coding] - Code and display name
+ * @returns {object|undefined} Codeable concept
+ */
+function getSnomedConcept(coding) {
+  if (coding) {
+    return { coding: [{ system: System.Snomed, ...coding }] }
+  }
+}
+
+/**
+ * Get FHIR Patient resource for a patient
+ *
+ * @param {import('../models/patient.js').Patient} patient - Patient
+ * @returns {object} FHIR Patient resource
+ */
+export function getPatientResource(patient) {
+  return {
+    resourceType: 'Patient',
+    identifier: [{ system: System.NhsNumber, value: patient?.nhsn }],
+    name: [{ family: patient?.lastName, given: [patient?.firstName] }],
+    gender: GENDER_CODES[patient?.gender] || 'unknown',
+    birthDate:
+      patient?.dob && formatISO(patient.dob, { representation: 'date' }),
+    address: [{ postalCode: patient?.postalCode }]
+  }
+}
+
+/**
+ * Get FHIR Location resource for where a vaccination was given
+ *
+ * @param {import('../models/vaccination.js').Vaccination} vaccination - Vaccination
+ * @returns {object} FHIR Location resource
+ */
+export function getLocationResource(vaccination) {
+  const { location, session } = vaccination
+  const school_urn = session?.school_urn || vaccination.school_urn
+  const address = session?.address || vaccination.school?.address
+
+  return {
+    resourceType: 'Location',
+    ...(school_urn && {
+      identifier: [{ system: System.Urn, value: school_urn }]
+    }),
+    name: session?.location?.name || location,
+    ...(address && {
+      address: {
+        line: [address.addressLine1, address.addressLine2].filter(Boolean),
+        city: address.addressLevel1,
+        postalCode: address.postalCode
+      }
+    })
+  }
+}
+
+/**
+ * Get FHIR Immunization resource for a vaccination
+ *
+ * Unless references to patient and location resources are given, patient
+ * details are included as a contained resource, as expected by the NHS England
+ * Immunisation FHIR API.
+ *
+ * @param {import('../models/vaccination.js').Vaccination} vaccination - Vaccination
+ * @param {object} [references] - References to other resources
+ * @param {string} [references.patient] - Patient reference
+ * @param {string} [references.location] - Location reference
+ * @returns {object} FHIR Immunization resource
+ * @see {@link https://digital.nhs.uk/developer/api-catalogue/immunisation-fhir-api}
+ */
+export function getImmunizationResource(vaccination, references) {
+  const { batch, createdBy, patient, programme, vaccine } = vaccination
+  const codes = PROGRAMME_CODES[programme?.type]
+  const organisation = vaccination.context?.organisation
+  const school_urn = vaccination.session?.school_urn || vaccination.school_urn
+
+  return {
+    resourceType: 'Immunization',
+    contained: [
+      ...(references?.patient
+        ? []
+        : [{ ...getPatientResource(patient), id: 'Patient1' }]),
+      {
+        resourceType: 'Practitioner',
+        id: 'Practitioner1',
+        name: [{ family: createdBy?.lastName, given: [createdBy?.firstName] }]
+      }
+    ],
+    extension: [
+      {
+        url: 'https://fhir.hl7.org.uk/StructureDefinition/Extension-UKCore-VaccinationProcedure',
+        valueCodeableConcept: getSnomedConcept(codes?.procedure)
+      }
+    ],
+    identifier: [{ system: System.Vaccination, value: vaccination.uuid }],
+    status: 'completed',
+    vaccineCode: getSnomedConcept({
+      code: vaccination.vaccine_snomed,
+      display: vaccine?.brand
+    }),
+    patient: { reference: references?.patient || '#Patient1' },
+    occurrenceDateTime: vaccination.createdAt.toISOString(),
+    recorded: (vaccination.updatedAt || vaccination.createdAt).toISOString(),
+    primarySource: true,
+    manufacturer: { display: vaccine?.manufacturer },
+    location: references?.location
+      ? { reference: references.location }
+      : { identifier: { system: System.Urn, value: school_urn } },
+    lotNumber: vaccination.batch_id,
+    expirationDate:
+      batch?.expiry && formatISO(batch.expiry, { representation: 'date' }),
+    site: getSnomedConcept(SITE_CODES[vaccination.site]),
+    route: getSnomedConcept(ROUTE_CODES[vaccination.method]),
+    doseQuantity: vaccination.dose && {
+      value: Number(vaccination.dose),
+      unit: 'milliliter',
+      system: System.Ucum,
+      code: 'ml'
+    },
+    performer: [
+      { actor: { reference: '#Practitioner1' } },
+      {
+        actor: {
+          type: 'Organization',
+          identifier: { system: System.OdsCode, value: organisation?.code }
+        }
+      }
+    ],
+    protocolApplied: [
+      {
+        targetDisease: codes?.targetDiseases.map((disease) =>
+          getSnomedConcept(disease)
+        ),
+        doseNumberPositiveInt: vaccination.sequence
+          ? programme.sequence.indexOf(vaccination.sequence) + 1
+          : 1
+      }
+    ]
+  }
+}
+
+/**
+ * Get FHIR Bundle of vaccinations
+ *
+ * Each patient and location is included once, and referenced by the
+ * Immunization resources for vaccinations given to them or at them.
+ *
+ * @param {Array<import('../models/vaccination.js').Vaccination>} vaccinations - Vaccinations
+ * @param {object} [options] - Options
+ * @param {string} [options.id] - Bundle ID
+ * @returns {object} FHIR Bundle resource
+ */
+export function getImmunizationBundle(vaccinations, options) {
+  const patientEntries = new Map()
+  const locationEntries = new Map()
+  const immunizationEntries = []
+
+  for (const vaccination of vaccinations) {
+    const { patient } = vaccination
+    const location = getLocationResource(vaccination)
+    const locationKey = location.identifier?.[0].value || location.name
+
+    if (patient && !patientEntries.has(patient.uuid)) {
+      patientEntries.set(patient.uuid, {
+        fullUrl: `urn:uuid:${patient.uuid}`,
+        resource: { ...getPatientResource(patient), id: patient.uuid }
+      })
+    }
+
+    if (!locationEntries.has(locationKey)) {
+      const id = faker.string.uuid()
+      locationEntries.set(locationKey, {
+        fullUrl: `urn:uuid:${id}`,
+        resource: { ...location, id }
+      })
+    }
+
+    immunizationEntries.push({
+      fullUrl: `urn:uuid:${vaccination.uuid}`,
+      resource: {
+        ...getImmunizationResource(vaccination, {
+          patient: patient && `urn:uuid:${patient.uuid}`,
+          location: locationEntries.get(locationKey).fullUrl
+        }),
+        id: vaccination.uuid
+      }
+    })
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: options?.id || faker.string.uuid(),
+    type: 'collection',
+    timestamp: today().toISOString(),
+    total: immunizationEntries.length,
+    entry: [
+      ...patientEntries.values(),
+      ...locationEntries.values(),
+      ...immunizationEntries
+    ]
+  }
+}
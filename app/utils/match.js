@@ -0,0 +1,303 @@
+import _ from 'lodash'
+
+import { MatchConfidence } from '../enums.js'
+
+/**
+ * Weighting given to each compared value when scoring a match
+ */
+const MATCH_WEIGHTS = {
+  nhsn: 40,
+  dob: 25,
+  lastName: 15,
+  firstName: 10,
+  postalCode: 10
+}
+
+/**
+ * Record values that can be updated by an incoming record
+ */
+const MATCH_KEYS = [
+  'nhsn',
+  'firstName',
+  'lastName',
+  'preferredFirstName',
+  'dob',
+  'gender',
+  'address',
+  'registrationGroup',
+  'school_urn'
+]
+
+/**
+ * Normalise name for comparison
+ *
+ * @param {string} [name] - Name
+ * @returns {string} Normalised name
+ */
+function normaliseName(name = '') {
+  return name
+    .normalize('NFD')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '')
+}
+
+/**
+ * Normalise postcode for comparison
+ *
+ * @param {string} [postcode] - Postcode
+ * @returns {string} Normalised postcode
+ */
+function normalisePostcode(postcode = '') {
+  return postcode.toUpperCase().replace(/\s/g, '')
+}
+
+/**
+ * Get real NHS number, ignoring temporary identifiers
+ *
+ * @param {string} [nhsn] - NHS number
+ * @returns {string|undefined} NHS number
+ */
+function getNhsNumber(nhsn) {
+  const digits = String(nhsn || '').replace(/\s/g, '')
+
+  if (/^\d{10}$/.test(digits)) {
+    return digits
+  }
+}
+
+/**
+ * Get edit distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits needed to change one string to the other
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_value, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      )
+    }
+
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Get similarity of two names
+ *
+ * @param {string} [a] - First name
+ * @param {string} [b] - Second name
+ * @returns {number} Similarity, from 0 (different) to 1 (same)
+ */
+export function getNameSimilarity(a, b) {
+  a = normaliseName(a)
+  b = normaliseName(b)
+
+  if (!a || !b) {
+    return 0
+  }
+
+  return 1 - getEditDistance(a, b) / Math.max(a.length, b.length)
+}
+
+/**
+ * Get similarity of two dates of birth
+ *
+ * Dates with transposed day and month, or with one differing part, are
+ * treated as a partial match, as these are common data entry errors.
+ *
+ * @param {Date} [a] - First date of birth
+ * @param {Date} [b] - Second date of birth
+ * @returns {number} Similarity, from 0 (different) to 1 (same)
+ */
+export function getDateOfBirthSimilarity(a, b) {
+  if (!a || !b) {
+    return 0
+  }
+
+  a = new Date(a)
+  b = new Date(b)
+
+  const aParts = [a.getFullYear(), a.getMonth() + 1, a.getDate()]
+  const bParts = [b.getFullYear(), b.getMonth() + 1, b.getDate()]
+  const sameParts = aParts.filter((part, index) => part === bParts[index])
+
+  if (sameParts.length === 3) {
+    return 1
+  }
+
+  const isTransposed =
+    aParts[0] === bParts[0] &&
+    aParts[1] === bParts[2] &&
+    aParts[2] === bParts[1]
+
+  if (isTransposed || sameParts.length === 2) {
+    return 0.5
+  }
+
+  return 0
+}
+
+/**
+ * Get similarity of two postcodes
+ *
+ * @param {string} [a] - First postcode
+ * @param {string} [b] - Second postcode
+ * @returns {number} Similarity, from 0 (different) to 1 (same)
+ */
+export function getPostcodeSimilarity(a, b) {
+  a = normalisePostcode(a)
+  b = normalisePostcode(b)
+
+  if (!a || !b) {
+    return 0
+  }
+
+  if (a === b) {
+    return 1
+  }
+
+  // Same outward code (for example, SW1A in SW1A 1AA)
+  return a.slice(0, -3) === b.slice(0, -3) ? 0.5 : 0
+}
+
+/**
+ * Get match score for an incoming record and an existing patient record
+ *
+ * NHS numbers are only compared if both records have one. If they differ,
+ * the records can’t be for the same child.
+ *
+ * @param {object} record - Incoming record values
+ * @param {import('../models/patient.js').Patient} patient - Patient record
+ * @returns {number} Score, from 0 (no match) to 100 (exact match)
+ */
+export function getMatchScore(record, patient) {
+  const recordNhsn = getNhsNumber(record.nhsn)
+  const patientNhsn = getNhsNumber(patient.nhsn)
+  const compareNhsn = recordNhsn && patientNhsn
+
+  if (compareNhsn && recordNhsn !== patientNhsn) {
+    return 0
+  }
+
+  const similarities = {
+    ...(compareNhsn && { nhsn: 1 }),
+    dob: getDateOfBirthSimilarity(record.dob, patient.dob),
+    lastName: getNameSimilarity(record.lastName, patient.lastName),
+    firstName: getNameSimilarity(record.firstName, patient.firstName),
+    postalCode: getPostcodeSimilarity(
+      record.address?.postalCode,
+      patient.address?.postalCode
+    )
+  }
+
+  let total = 0
+  let maximum = 0
+  for (const [key, similarity] of Object.entries(similarities)) {
+    total += MATCH_WEIGHTS[key] * similarity
+    maximum += MATCH_WEIGHTS[key]
+  }
+
+  return Math.round((total / maximum) * 100)
+}
+
+/**
+ * Get confidence band for a match score
+ *
+ * Only records that share the same NHS number can be an exact match, as
+ * different children can have the same name, date of birth and postcode.
+ *
+ * @param {number} score - Match score
+ * @param {boolean} [hasSameNhsn] - Records share the same NHS number
+ * @returns {MatchConfidence} Match confidence
+ */
+export function getMatchConfidence(score, hasSameNhsn = false) {
+  if (score === 100 && hasSameNhsn) {
+    return MatchConfidence.Exact
+  } else if (score >= 80) {
+    return MatchConfidence.High
+  } else if (score >= 60 || hasSameNhsn) {
+    // Records with the same NHS number always need to be reviewed
+    return MatchConfidence.Low
+  }
+
+  return MatchConfidence.None
+}
+
+/**
+ * Get best matching patient record for an incoming record
+ *
+ * @param {object} record - Incoming record values
+ * @param {Array<import('../models/patient.js').Patient>} patients - Patient records
+ * @returns {{patient: import('../models/patient.js').Patient|undefined, score: number, confidence: MatchConfidence}} Match
+ */
+export function getPatientMatch(record, patients) {
+  const recordNhsn = getNhsNumber(record.nhsn)
+
+  let match = { patient: undefined, score: 0, confidence: MatchConfidence.None }
+  for (const patient of patients) {
+    const hasSameNhsn = Boolean(
+      recordNhsn && recordNhsn === getNhsNumber(patient.nhsn)
+    )
+
+    const score = getMatchScore(record, patient)
+    const confidence = getMatchConfidence(score, hasSameNhsn)
+
+    if (confidence !== MatchConfidence.None && score > match.score) {
+      match = { patient, score, confidence }
+    }
+  }
+
+  return match
+}
+
+/**
+ * Get values in an incoming record that differ from a patient record
+ *
+ * @param {object} record - Incoming record values
+ * @param {import('../models/patient.js').Patient} patient - Patient record
+ * @returns {object} Changed values
+ */
+export function getMatchChanges(record, patient) {
+  const changes = {}
+
+  for (const key of MATCH_KEYS) {
+    let value = record[key]
+    let existingValue = patient[key]
+
+    if (value === undefined || value === '') {
+      continue
+    }
+
+    if (key === 'nhsn' && !getNhsNumber(value)) {
+      continue
+    }
+
+    if (key === 'address') {
+      value = _.omitBy(value, _.isUndefined)
+      existingValue = _.pick(existingValue, Object.keys(value))
+    }
+
+    const hasChanged =
+      key === 'dob'
+        ? getDateOfBirthSimilarity(value, existingValue) < 1
+        : !_.isEqual(value, existingValue)
+
+    if (hasChanged) {
+      changes[key] = record[key]
+    }
+  }
+
+  return changes
+}
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import { MatchConfidence } from '../enums.js'
+
+import {
+  getDateOfBirthSimilarity,
+  getMatchChanges,
+  getMatchConfidence,
+  getMatchScore,
+  getNameSimilarity,
+  getPatientMatch
+} from './match.js'
+
+const patient = /** @type {import('../models/patient.js').Patient} */ ({
+  nhsn: '9434765919',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  dob: new Date('2012-01-01'),
+  address: { postalCode: 'SW1A 1AA' }
+})
+
+describe('getNameSimilarity', () => {
+  it('ignores case, accents and punctuation', () => {
+    assert.equal(getNameSimilarity('Zoë', 'zoe'), 1)
+    assert.equal(getNameSimilarity("O'Brien", 'OBRIEN'), 1)
+  })
+
+  it('scores names with a typo as similar', () => {
+    assert.equal(getNameSimilarity('Jane', 'Jame'), 0.75)
+  })
+})
+
+describe('getDateOfBirthSimilarity', () => {
+  it('treats transposed day and month as a partial match', () => {
+    assert.equal(
+      getDateOfBirthSimilarity(new Date('2012-03-04'), new Date('2012-04-03')),
+      0.5
+    )
+  })
+})
+
+describe('getMatchScore', () => {
+  it('does not match records with different NHS numbers', () => {
+    assert.equal(getMatchScore({ ...patient, nhsn: '4857773457' }, patient), 0)
+  })
+
+  it('scores records without an NHS number on other values', () => {
+    const { nhsn, ...record } = patient
+
+    assert.equal(getMatchScore(record, patient), 100)
+  })
+})
+
+describe('getMatchConfidence', () => {
+  it('only treats records with the same NHS number as exact', () => {
+    assert.equal(getMatchConfidence(100, true), MatchConfidence.Exact)
+    assert.equal(getMatchConfidence(100, false), MatchConfidence.High)
+  })
+
+  it('always reviews records with the same NHS number', () => {
+    assert.equal(getMatchConfidence(20, true), MatchConfidence.Low)
+    assert.equal(getMatchConfidence(20, false), MatchConfidence.None)
+  })
+})
+
+describe('getPatientMatch', () => {
+  it('auto-merges records with the same NHS number', () => {
+    const match = getPatientMatch({ ...patient }, [patient])
+
+    assert.equal(match.patient, patient)
+    assert.equal(match.confidence, MatchConfidence.Exact)
+  })
+
+  it('reviews records without an NHS number', () => {
+    const { nhsn, ...existing } = patient
+    const { nhsn: _nhsn, ...record } = patient
+    const match = getPatientMatch(record, [
+      /** @type {import('../models/patient.js').Patient} */ (existing)
+    ])
+
+    assert.equal(match.score, 100)
+    assert.equal(match.confidence, MatchConfidence.High)
+  })
+
+  it('reviews records where only one has an NHS number', () => {
+    const { nhsn, ...record } = patient
+    const match = getPatientMatch(record, [patient])
+
+    assert.equal(match.confidence, MatchConfidence.High)
+  })
+
+  it('reviews records with a different year of birth', () => {
+    const { nhsn, ...record } = patient
+    const match = getPatientMatch({ ...record, dob: new Date('2013-01-01') }, [
+      patient
+    ])
+
+    assert.equal(match.patient, patient)
+    assert.equal(match.score, 79)
+    assert.equal(match.confidence, MatchConfidence.Low)
+  })
+
+  it('does not match records for different children', () => {
+    const match = getPatientMatch(
+      {
+        firstName: 'John',
+        lastName: 'Smith',
+        dob: new Date('2012-06-10'),
+        address: { postalCode: 'LS1 1AA' }
+      },
+      [patient]
+    )
+
+    assert.equal(match.patient, undefined)
+    assert.equal(match.confidence, MatchConfidence.None)
+  })
+})
+
+describe('getMatchChanges', () => {
+  it('gets values that differ from the existing record', () => {
+    const changes = getMatchChanges(
+      { ...patient, firstName: 'Janet', address: { postalCode: 'SW1A 2AA' } },
+      patient
+    )
+
+    assert.deepEqual(changes, {
+      firstName: 'Janet',
+      address: { postalCode: 'SW1A 2AA' }
+    })
+  })
+})
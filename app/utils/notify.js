@@ -0,0 +1,274 @@
+import i18n from 'i18n'
+import _ from 'lodash'
+
+import {
+  NotifyChannel,
+  ReplyDecision,
+  ScreenOutcome,
+  VaccinationOutcome
+} from '../enums.js'
+import { en } from '../locales/en.js'
+import { Consent } from '../models/consent.js'
+import { Notification } from '../models/notification.js'
+import { SYSTEM_UID } from '../models/user.js'
+
+import { hasAnswersNeedingTriage } from './reply.js'
+import { formatList } from './string.js'
+
+/**
+ * @typedef {object} Sender
+ * @property {string} [createdBy_uid] - User sending notifications
+ * @property {object} context - Context
+ * @property {object} locals - Values available to templates
+ * @property {object} nunjucksEnv - Nunjucks environment
+ * @property {Function} __ - Translate function
+ */
+
+/**
+ * Reasons given to parents when a child could not be vaccinated
+ */
+const NOT_VACCINATED_REASONS = {
+  [VaccinationOutcome.Absent]: 'they were absent from the session',
+  [VaccinationOutcome.Contraindications]:
+    'the nurse decided it was not safe to vaccinate them',
+  [VaccinationOutcome.NoConsent]: 'we were unable to contact you',
+  [VaccinationOutcome.Refused]: 'they did not want to have the vaccination',
+  [VaccinationOutcome.Unwell]: 'they were not well enough'
+}
+
+/**
+ * Get template to send after a consent response
+ *
+ * @param {import('../models/reply.js').Reply} reply - Reply
+ * @returns {string|undefined} Template name
+ */
+export function getReplyTemplate(reply) {
+  switch (reply?.decision) {
+    case ReplyDecision.Refused:
+      return 'consent-refused'
+    case ReplyDecision.Given:
+    case ReplyDecision.OnlyAlternativeInjection:
+    case ReplyDecision.OnlyMenACWY:
+    case ReplyDecision.OnlyTdIPV:
+      return hasAnswersNeedingTriage(reply.healthAnswers)
+        ? 'consent-needs-triage'
+        : 'consent-given'
+  }
+}
+
+/**
+ * Get template to send after triage
+ *
+ * @param {ScreenOutcome} outcome - Triage outcome
+ * @returns {string|undefined} Template name
+ */
+export function getTriageTemplate(outcome) {
+  switch (outcome) {
+    case ScreenOutcome.Vaccinate:
+    case ScreenOutcome.VaccinateAlternativeInjection:
+    case ScreenOutcome.VaccinateIntranasal:
+      return 'triage-vaccinate'
+    case ScreenOutcome.DelayVaccination:
+      return 'triage-delay-vaccination'
+    case ScreenOutcome.DoNotVaccinate:
+      return 'triage-do-not-vaccinate'
+  }
+}
+
+/**
+ * Get template to send after recording a vaccination
+ *
+ * @param {import('../models/vaccination.js').Vaccination} vaccination - Vaccination
+ * @returns {string|undefined} Template name
+ */
+export function getVaccinationTemplate(vaccination) {
+  if (vaccination.given) {
+    return 'record-vaccinated'
+  } else if (vaccination.outcome !== VaccinationOutcome.AlreadyVaccinated) {
+    return 'record-could-not-vaccinate'
+  }
+}
+
+/**
+ * Get reason to give parents when a child could not be vaccinated
+ *
+ * @param {import('../models/vaccination.js').Vaccination} vaccination - Vaccination
+ * @returns {string|undefined} Reason
+ */
+export function getNotVaccinatedReason(vaccination) {
+  return NOT_VACCINATED_REASONS[vaccination.outcome]
+}
+
+/**
+ * Get session to use in message templates
+ *
+ * Formatting session values is slow, so format these once for all the
+ * messages sent for a session.
+ *
+ * @param {import('../models/session.js').Session} session - Session
+ * @returns {import('../models/session.js').Session} Session with formatted values
+ */
+export function getTemplateSession(session) {
+  return Object.create(session, { formatted: { value: session.formatted } })
+}
+
+/**
+ * Get sender of notifications sent by the signed in user
+ *
+ * @param {import('express').Request} request - Request
+ * @param {import('express').Response} response - Response
+ * @returns {Sender} Sender
+ */
+export function getSender(request, response) {
+  return {
+    createdBy_uid: response.locals.account?.uid,
+    context: request.session.data,
+    locals: { ...response.app.locals, ...response.locals },
+    nunjucksEnv: response.app.locals.settings.nunjucksEnv,
+    __: response.locals.__
+  }
+}
+
+/**
+ * Get sender of notifications sent by the prototype itself
+ *
+ * Used for notifications that are not sent by a user, such as scheduled
+ * invitations and reminders.
+ *
+ * @param {import('express').Application} app - Application
+ * @param {object} context - Context
+ * @returns {Sender} Sender
+ */
+export function getSystemSender(app, context) {
+  return {
+    createdBy_uid: SYSTEM_UID,
+    context,
+    locals: app.locals,
+    nunjucksEnv: app.locals.settings.nunjucksEnv,
+    __: i18n.__
+  }
+}
+
+/**
+ * Send notifications to a child’s parents, as GOV.UK Notify would
+ *
+ * Renders the same templates shown in the email and text message previews,
+ * using the child’s record, and adds each notification sent to the outbox.
+ *
+ * @param {import('express').Request} request - Request
+ * @param {import('express').Response} response - Response
+ * @param {string} template - Template name, for example `invite-reminder`
+ * @param {object} options - Options
+ * @param {import('../models/patient-session.js').PatientSession} options.patientSession - Patient session
+ * @param {import('../models/session.js').Session} [options.session] - Session (defaults to patient session’s session)
+ * @param {Array<import('../models/parent.js').Parent>} [options.parents] - Parents to send to (defaults to all parents)
+ * @param {string} [options.reason] - Reason child was not vaccinated
+ * @param {import('../models/batch.js').Batch} [options.batch] - Recalled batch
+ * @returns {Array<Notification>} Notifications sent
+ */
+export function notifyParents(request, response, template, options) {
+  return sendNotifications(getSender(request, response), template, options)
+}
+
+/**
+ * Send notifications to a child’s parents from a sender
+ *
+ * @param {Sender} sender - Sender
+ * @param {string} template - Template name, for example `invite-reminder`
+ * @param {object} options - Options
+ * @param {import('../models/patient-session.js').PatientSession} options.patientSession - Patient session
+ * @param {import('../models/session.js').Session} [options.session] - Session (defaults to patient session’s session)
+ * @param {Array<import('../models/parent.js').Parent>} [options.parents] - Parents to send to (defaults to all parents)
+ * @param {string} [options.reason] - Reason child was not vaccinated
+ * @param {import('../models/batch.js').Batch} [options.batch] - Recalled batch
+ * @returns {Array<Notification>} Notifications sent
+ */
+export function sendNotifications(sender, template, options) {
+  const { context: data, locals, nunjucksEnv, __ } = sender
+  const { batch, patientSession, reason } = options
+
+  if (!template || !patientSession) {
+    return []
+  }
+
+  const { patient, programme } = patientSession
+  const session = options.session || patientSession.session
+  const parents = options.parents || [patient.parent1, patient.parent2]
+
+  const sideEffects = new Set()
+  for (const sessionProgramme of session.programmes) {
+    for (const sideEffect of sessionProgramme.vaccines[0].sideEffects) {
+      sideEffects.add(sideEffect)
+    }
+  }
+
+  const notifications = []
+  for (const parent of parents) {
+    // Parents can ask not to be notified
+    if (!parent || parent.notify === false) {
+      continue
+    }
+
+    const placeholders = {
+      ...locals,
+      batch,
+      data,
+      consent: new Consent(
+        { child: patient, parent, session_id: session.id },
+        data
+      ),
+      organisation: data.organisation,
+      // Email templates read some values from the preview placeholders
+      placeholders: { batch, reason },
+      programme,
+      reason,
+      session,
+      sideEffects: formatList([...sideEffects])
+    }
+
+    const notification = {
+      createdBy_uid: sender.createdBy_uid,
+      template,
+      parent,
+      patient_uuid: patient.uuid,
+      programme_id: programme.id,
+      session_id: session.id
+    }
+
+    if (parent.email && _.has(en, ['emails', 'consent', template])) {
+      notifications.push(
+        Notification.create(
+          {
+            ...notification,
+            channel: NotifyChannel.Email,
+            subject: __(`emails.consent.${template}.name`, placeholders),
+            body: nunjucksEnv.render(
+              `emails/consent/${template}.njk`,
+              placeholders
+            ),
+            to: parent.email,
+            status: parent.emailStatus
+          },
+          data
+        )
+      )
+    }
+
+    if (parent.tel && parent.sms && _.has(en, ['texts', 'consent', template])) {
+      notifications.push(
+        Notification.create(
+          {
+            ...notification,
+            channel: NotifyChannel.Sms,
+            body: __(`texts.consent.${template}.text`, placeholders),
+            to: parent.tel,
+            status: parent.smsStatus
+          },
+          data
+        )
+      )
+    }
+  }
+
+  return notifications
+}
@@ -85,3 +85,80 @@ export const sanitise = (object) => {
 
   return object
 }
+
+/**
+ * Get form fields needed to submit an object again
+ *
+ * @param {object} object - Object, for example a request body
+ * @param {string} [prefix] - Name of parent field
+ * @returns {Array<{name: string, value: string}>} Form fields
+ */
+export const getFormFields = (object, prefix) => {
+  const fields = []
+
+  for (const [key, value] of Object.entries(object || {})) {
+    const name = prefix ? `${prefix}[${key}]` : key
+
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        fields.push({ name: `${name}[]`, value: String(item) })
+      }
+    } else if (typeof value === 'object' && value !== null) {
+      fields.push(...getFormFields(value, name))
+    } else if (value !== undefined) {
+      fields.push({ name, value: String(value) })
+    }
+  }
+
+  return fields
+}
+
+/**
+ * Get values in an object, keyed by their path
+ *
+ * Values are serialised as they would be when saved, so dates become strings
+ * and undefined values are removed.
+ *
+ * @param {object} [object] - Object
+ * @returns {object} Values keyed by path, for example `parent1.tel`
+ */
+export const getPaths = (object) => {
+  const paths = {}
+
+  const addPaths = (value, path) => {
+    if (typeof value === 'object' && value !== null) {
+      for (const [key, item] of Object.entries(value)) {
+        addPaths(item, path ? `${path}.${key}` : key)
+      }
+    } else if (path) {
+      paths[path] = value
+    }
+  }
+
+  addPaths(JSON.parse(JSON.stringify(object || {})))
+
+  return paths
+}
+
+/**
+ * Get changes between two sets of values keyed by path
+ *
+ * @param {object} previous - Previous values, from `getPaths`
+ * @param {object} current - Current values, from `getPaths`
+ * @param {Array<string>} [ignore] - Paths to ignore
+ * @returns {object} Previous and current value of each changed path
+ */
+export const getChanges = (previous, current, ignore = []) => {
+  const changes = {}
+  const paths = new Set([...Object.keys(previous), ...Object.keys(current)])
+
+  for (const path of paths) {
+    if (ignore.includes(path) || previous[path] === current[path]) {
+      continue
+    }
+
+    changes[path] = { from: previous[path], to: current[path] }
+  }
+
+  return changes
+}
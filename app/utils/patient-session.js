@@ -405,8 +405,16 @@ export const getSessionOutcome = (patientSession) => {
 export const getReportOutcome = (patientSession) => {
   if (patientSession.vaccinations?.length > 0) {
     if (patientSession.vaccinations.at(-1).given) {
-      return ProgrammeOutcome.Vaccinated
+      // Children with more doses to have are due another vaccination
+      return patientSession.nextDoseDue
+        ? ProgrammeOutcome.Due
+        : ProgrammeOutcome.Vaccinated
     }
+  } else if (
+    patientSession.programme?.isVaccinated(patientSession.patient.vaccinations)
+  ) {
+    // Vaccinated before, for example in an earlier year group
+    return ProgrammeOutcome.Vaccinated
   } else if (patientSession.consentGiven) {
     return ProgrammeOutcome.Due
   }
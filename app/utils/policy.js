@@ -0,0 +1,166 @@
+import {
+  InstructionOutcome,
+  UserPermission,
+  UserRole,
+  VaccineMethod
+} from '../enums.js'
+
+/**
+ * Permissions given to each user role
+ *
+ * Some permissions also depend on the session or patient session they apply
+ * to; these rules are applied by `can()`.
+ */
+const ROLE_PERMISSIONS = {
+  [UserRole.Nurse]: [
+    UserPermission.ViewRecords,
+    UserPermission.EditRecords,
+    UserPermission.RecordConsent,
+    UserPermission.Triage,
+    UserPermission.RecordInjection,
+    UserPermission.RecordIntranasal,
+    UserPermission.ManageSessions,
+    UserPermission.ManageBatches,
+    UserPermission.ReleaseBatches,
+    UserPermission.ApproveUploads,
+    UserPermission.ReviewNotices,
+    UserPermission.EditOrganisation,
+    UserPermission.ManageUsers,
+    UserPermission.ViewAuditLog,
+    UserPermission.ReviewRecordAccess,
+    UserPermission.DownloadReports
+  ],
+  [UserRole.NursePrescriber]: [
+    UserPermission.ViewRecords,
+    UserPermission.EditRecords,
+    UserPermission.RecordConsent,
+    UserPermission.Triage,
+    UserPermission.Instruct,
+    UserPermission.RecordInjection,
+    UserPermission.RecordIntranasal,
+    UserPermission.ManageSessions,
+    UserPermission.ManageBatches,
+    UserPermission.ReleaseBatches,
+    UserPermission.ApproveUploads,
+    UserPermission.ReviewNotices,
+    UserPermission.EditOrganisation,
+    UserPermission.ManageUsers,
+    UserPermission.ViewAuditLog,
+    UserPermission.ReviewRecordAccess,
+    UserPermission.DownloadReports
+  ],
+  [UserRole.Pharmacist]: [
+    UserPermission.ViewRecords,
+    UserPermission.Triage,
+    UserPermission.Instruct,
+    UserPermission.DownloadReports
+  ],
+  [UserRole.HCA]: [
+    UserPermission.ViewRecords,
+    UserPermission.RecordConsent,
+    UserPermission.RecordIntranasal
+  ],
+  [UserRole.MedicalSecretary]: [
+    UserPermission.ViewRecords,
+    UserPermission.EditRecords,
+    UserPermission.RecordConsent,
+    UserPermission.ManageSessions,
+    UserPermission.ApproveUploads,
+    UserPermission.DownloadReports
+  ],
+  [UserRole.DataConsumer]: [UserPermission.DownloadReports]
+}
+
+/**
+ * Permission needed to record a vaccine, by vaccine method
+ */
+const VACCINE_METHOD_PERMISSIONS = {
+  [VaccineMethod.Injection]: UserPermission.RecordInjection,
+  [VaccineMethod.Intranasal]: UserPermission.RecordIntranasal
+}
+
+/**
+ * Get user role
+ *
+ * Users who are signed out, or without a role, have no role and so no
+ * permissions.
+ *
+ * @param {import('../models/user.js').User} user - User
+ * @returns {UserRole|undefined} User role
+ */
+export const getUserRole = (user) => user?.role
+
+/**
+ * Get permissions given to a user role
+ *
+ * @param {UserRole} role - User role
+ * @returns {Array<UserPermission>} Permissions
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || []
+
+/**
+ * User can perform an action
+ *
+ * - Users without a role cannot perform any action
+ * - Users marked as prescribers can give PSD instructions, whatever their role
+ * - HCAs can record injected vaccines in sessions using the national protocol
+ * - HCAs can only record nasal sprays in sessions using the PSD protocol if
+ *   the child has a PSD
+ *
+ * @param {import('../models/user.js').User} user - User
+ * @param {UserPermission} permission - Permission
+ * @param {import('../models/session.js').Session|import('../models/patient-session.js').PatientSession} [resource] - Session or patient session action applies to
+ * @returns {boolean} User can perform action
+ */
+export const can = (user, permission, resource) => {
+  const role = getUserRole(user)
+  const patientSession =
+    resource && 'session_id' in resource ? resource : undefined
+  const session =
+    resource && ('session_id' in resource ? resource.session : resource)
+
+  if (!role) {
+    return false
+  }
+
+  if (permission === UserPermission.Instruct && user?.prescriber) {
+    return true
+  }
+
+  if (role === UserRole.HCA) {
+    if (permission === UserPermission.RecordInjection) {
+      return Boolean(session?.nationalProtocol)
+    }
+
+    if (
+      permission === UserPermission.RecordIntranasal &&
+      session?.psdProtocol &&
+      patientSession
+    ) {
+      return patientSession.instruct === InstructionOutcome.Given
+    }
+  }
+
+  return getRolePermissions(role).includes(permission)
+}
+
+/**
+ * Get permission needed to record a vaccine method
+ *
+ * @param {VaccineMethod} method - Vaccine method
+ * @returns {UserPermission} Permission
+ */
+export const getVaccineMethodPermission = (method) =>
+  VACCINE_METHOD_PERMISSIONS[method]
+
+/**
+ * Get vaccine methods a user can record
+ *
+ * @param {import('../models/user.js').User} user - User
+ * @param {import('../models/session.js').Session|import('../models/patient-session.js').PatientSession} [resource] - Session or patient session
+ * @returns {Array<VaccineMethod>} Vaccine methods
+ */
+export const getVaccineMethods = (user, resource) =>
+  Object.entries(VACCINE_METHOD_PERMISSIONS)
+    .filter(([, permission]) => can(user, permission, resource))
+    .map(([method]) => method)
@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import { InstructionOutcome, UserPermission, UserRole } from '../enums.js'
+import { User } from '../models/user.js'
+
+import { can, getVaccineMethods } from './policy.js'
+
+const {
+  Nurse,
+  NursePrescriber,
+  Pharmacist,
+  HCA,
+  MedicalSecretary,
+  DataConsumer
+} = UserRole
+
+/**
+ * Get a session
+ *
+ * @param {object} options - Session options
+ * @returns {import('../models/session.js').Session} Session
+ */
+const getSession = (options) =>
+  /** @type {import('../models/session.js').Session} */ (options)
+
+/**
+ * Get a patient session
+ *
+ * @param {object} options - Patient session options
+ * @returns {import('../models/patient-session.js').PatientSession} Patient session
+ */
+const getPatientSession = (options) =>
+  /** @type {import('../models/patient-session.js').PatientSession} */ (options)
+
+/**
+ * Roles given each permission, without a session to apply rules for
+ */
+const PERMISSION_ROLES = {
+  [UserPermission.ViewRecords]: [
+    Nurse,
+    NursePrescriber,
+    Pharmacist,
+    HCA,
+    MedicalSecretary
+  ],
+  [UserPermission.EditRecords]: [Nurse, NursePrescriber, MedicalSecretary],
+  [UserPermission.RecordConsent]: [
+    Nurse,
+    NursePrescriber,
+    HCA,
+    MedicalSecretary
+  ],
+  [UserPermission.Triage]: [Nurse, NursePrescriber, Pharmacist],
+  [UserPermission.Instruct]: [NursePrescriber, Pharmacist],
+  [UserPermission.RecordInjection]: [Nurse, NursePrescriber],
+  [UserPermission.RecordIntranasal]: [Nurse, NursePrescriber, HCA],
+  [UserPermission.ManageSessions]: [Nurse, NursePrescriber, MedicalSecretary],
+  [UserPermission.ManageBatches]: [Nurse, NursePrescriber],
+  [UserPermission.ReleaseBatches]: [Nurse, NursePrescriber],
+  [UserPermission.ApproveUploads]: [Nurse, NursePrescriber, MedicalSecretary],
+  [UserPermission.ReviewNotices]: [Nurse, NursePrescriber],
+  [UserPermission.EditOrganisation]: [Nurse, NursePrescriber],
+  [UserPermission.ManageUsers]: [Nurse, NursePrescriber],
+  [UserPermission.ViewAuditLog]: [Nurse, NursePrescriber],
+  [UserPermission.ReviewRecordAccess]: [Nurse, NursePrescriber],
+  [UserPermission.DownloadReports]: [
+    Nurse,
+    NursePrescriber,
+    Pharmacist,
+    MedicalSecretary,
+    DataConsumer
+  ]
+}
+
+describe('can', () => {
+  for (const [permission, roles] of Object.entries(PERMISSION_ROLES)) {
+    for (const role of Object.values(UserRole)) {
+      const allowed = roles.includes(role)
+
+      it(`${allowed ? 'allows' : 'denies'} ${role}: ${permission}`, () => {
+        assert.equal(can(new User({ role }), permission), allowed)
+      })
+    }
+  }
+
+  it('denies users who are signed out or without a role', () => {
+    for (const permission of Object.values(UserPermission)) {
+      assert.equal(can(undefined, permission), false)
+      assert.equal(can(new User({}), permission), false)
+      assert.equal(can(new User({ prescriber: true }), permission), false)
+    }
+  })
+
+  it('allows prescribers to give PSD instructions, whatever their role', () => {
+    assert.equal(
+      can(new User({ role: HCA, prescriber: true }), UserPermission.Instruct),
+      true
+    )
+  })
+
+  it('allows HCAs to record injections using the national protocol', () => {
+    const user = new User({ role: HCA })
+
+    assert.equal(
+      can(
+        user,
+        UserPermission.RecordInjection,
+        getSession({ nationalProtocol: true })
+      ),
+      true
+    )
+    assert.equal(
+      can(user, UserPermission.RecordInjection, getSession({})),
+      false
+    )
+  })
+
+  it('only allows HCAs to record nasal sprays using a PSD if given', () => {
+    const user = new User({ role: HCA })
+    const session = getSession({ psdProtocol: true })
+    const patientSession = { session_id: 'abc', session }
+
+    assert.equal(
+      can(
+        user,
+        UserPermission.RecordIntranasal,
+        getPatientSession({
+          ...patientSession,
+          instruct: InstructionOutcome.Given
+        })
+      ),
+      true
+    )
+    assert.equal(
+      can(
+        user,
+        UserPermission.RecordIntranasal,
+        getPatientSession(patientSession)
+      ),
+      false
+    )
+  })
+})
+
+describe('getVaccineMethods', () => {
+  it('gets no vaccine methods for users who cannot record vaccinations', () => {
+    assert.deepEqual(
+      getVaccineMethods(new User({ role: MedicalSecretary })),
+      []
+    )
+    assert.deepEqual(getVaccineMethods(new User({ role: Pharmacist })), [])
+  })
+})
@@ -0,0 +1,229 @@
+import { addDays, differenceInDays, formatISO, startOfDay } from 'date-fns'
+
+import { ConsentOutcome, ProgrammeOutcome, ReplyDecision } from '../enums.js'
+
+import { getAcademicYear, getDateValueDifference, today } from './date.js'
+
+/**
+ * Days before consent closes that sessions with a low response are highlighted
+ */
+const CLOSING_SOON_DAYS = 14
+
+/**
+ * Proportion of children with a consent response, below which it is low
+ */
+const LOW_RESPONSE_RATE = 0.6
+
+/**
+ * Get percentage, rounded to the nearest whole number
+ *
+ * @param {number} number - Number
+ * @param {number} total - Total
+ * @returns {number} Percentage
+ */
+function getPercentage(number, total) {
+  return total > 0 ? Math.round((number / total) * 100) : 0
+}
+
+/**
+ * Get patient sessions for children eligible for a programme
+ *
+ * @param {import('../models/programme.js').Programme} programme - Programme
+ * @returns {Array<import('../models/patient-session.js').PatientSession>} Patient sessions
+ */
+function getEligiblePatientSessions(programme) {
+  return programme.patientSessions.filter(
+    ({ report }) => report !== ProgrammeOutcome.Ineligible
+  )
+}
+
+/**
+ * Child has a consent response
+ *
+ * @param {import('../models/patient-session.js').PatientSession} patientSession - Patient session
+ * @returns {boolean} Child has a consent response
+ */
+function hasResponse(patientSession) {
+  return ![ConsentOutcome.NoRequest, ConsentOutcome.NoResponse].includes(
+    patientSession.consent
+  )
+}
+
+/**
+ * Get cumulative consent responses and vaccinations for each day
+ *
+ * Each child is counted once, on the day of their first consent response and
+ * on the day the vaccination that completed their course was given.
+ *
+ * @param {import('../models/programme.js').Programme} programme - Programme
+ * @returns {{cohort: number, days: Array<{date: Date, responses: number, vaccinated: number}>}} Daily progress
+ */
+export function getDailyProgress(programme) {
+  const patientSessions = getEligiblePatientSessions(programme)
+  const responseDates = []
+  const vaccinationDates = []
+
+  for (const patientSession of patientSessions) {
+    const [firstResponse] = patientSession.responses
+      .filter((reply) => !reply.invalid)
+      .filter((reply) => reply.decision !== ReplyDecision.NoResponse)
+      .sort((a, b) => getDateValueDifference(a.createdAt, b.createdAt))
+    if (firstResponse) {
+      responseDates.push(startOfDay(firstResponse.createdAt))
+    }
+
+    const lastVaccination = patientSession.vaccinations
+      .filter(({ given }) => given)
+      .at(-1)
+    if (
+      lastVaccination &&
+      patientSession.report === ProgrammeOutcome.Vaccinated
+    ) {
+      vaccinationDates.push(startOfDay(lastVaccination.createdAt))
+    }
+  }
+
+  const dates = [...responseDates, ...vaccinationDates]
+  if (dates.length === 0) {
+    return { cohort: patientSessions.length, days: [] }
+  }
+
+  // Show progress up to today during the programme’s academic year
+  const times = dates.map((date) => date.getTime())
+  if (programme.year === getAcademicYear(today())) {
+    times.push(startOfDay(today()).getTime())
+  }
+
+  const firstDate = new Date(Math.min(...times))
+  const lastDate = new Date(Math.max(...times))
+
+  const countByDay = (dates) => {
+    const counts = new Map()
+    for (const date of dates) {
+      const key = formatISO(date, { representation: 'date' })
+      counts.set(key, (counts.get(key) || 0) + 1)
+    }
+
+    return counts
+  }
+  const responsesByDay = countByDay(responseDates)
+  const vaccinationsByDay = countByDay(vaccinationDates)
+
+  const days = []
+  let responses = 0
+  let vaccinated = 0
+  for (let index = 0; index <= differenceInDays(lastDate, firstDate); index++) {
+    const date = addDays(firstDate, index)
+    const key = formatISO(date, { representation: 'date' })
+
+    responses += responsesByDay.get(key) || 0
+    vaccinated += vaccinationsByDay.get(key) || 0
+
+    days.push({ date, responses, vaccinated })
+  }
+
+  return { cohort: patientSessions.length, days }
+}
+
+/**
+ * Get uptake for each school
+ *
+ * Uptake is compared with the same programme in the previous academic year.
+ *
+ * @param {import('../models/programme.js').Programme} programme - Programme
+ * @param {import('../models/programme.js').Programme} [previousProgramme] - Programme in previous academic year
+ * @returns {Array<{school_urn: string, name: string, cohort: number, vaccinated: number, uptake: number, previousUptake?: number}>} Uptake by school
+ */
+export function getSchoolUptake(programme, previousProgramme) {
+  const getUptakeBySchool = (programme) => {
+    const schools = new Map()
+    for (const patientSession of getEligiblePatientSessions(programme)) {
+      const { session } = patientSession
+      if (!session?.school_urn) {
+        continue
+      }
+
+      if (!schools.has(session.school_urn)) {
+        schools.set(session.school_urn, {
+          school_urn: session.school_urn,
+          name: session.location?.name,
+          cohort: 0,
+          vaccinated: 0
+        })
+      }
+
+      const school = schools.get(session.school_urn)
+      school.cohort += 1
+      if (patientSession.report === ProgrammeOutcome.Vaccinated) {
+        school.vaccinated += 1
+      }
+    }
+
+    return schools
+  }
+
+  const schools = getUptakeBySchool(programme)
+  const previousSchools = previousProgramme
+    ? getUptakeBySchool(previousProgramme)
+    : new Map()
+
+  return [...schools.values()]
+    .map((school) => {
+      const previousSchool = previousSchools.get(school.school_urn)
+
+      return {
+        ...school,
+        uptake: getPercentage(school.vaccinated, school.cohort),
+        ...(previousSchool && {
+          previousUptake: getPercentage(
+            previousSchool.vaccinated,
+            previousSchool.cohort
+          )
+        })
+      }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Get school sessions closing for consent soon, with a low consent response
+ *
+ * @param {import('../models/programme.js').Programme} programme - Programme
+ * @returns {Array<{session: import('../models/session.js').Session, cohort: number, responses: number, responseRate: number}>} Sessions with a low consent response
+ */
+export function getSessionsWithLowResponse(programme) {
+  const closingSoon = programme.sessions.filter(({ closeAt, school_urn }) => {
+    if (!school_urn || !closeAt) {
+      return false
+    }
+
+    const daysUntilClose = differenceInDays(closeAt, startOfDay(today()))
+
+    return daysUntilClose >= 0 && daysUntilClose <= CLOSING_SOON_DAYS
+  })
+
+  if (closingSoon.length === 0) {
+    return []
+  }
+
+  const patientSessions = getEligiblePatientSessions(programme)
+
+  return closingSoon
+    .map((session) => {
+      const sessionPatientSessions = patientSessions.filter(
+        ({ session_id }) => session_id === session.id
+      )
+      const responses = sessionPatientSessions.filter(hasResponse).length
+
+      return {
+        session,
+        cohort: sessionPatientSessions.length,
+        responses,
+        responseRate: getPercentage(responses, sessionPatientSessions.length)
+      }
+    })
+    .filter(({ responseRate }) => responseRate < LOW_RESPONSE_RATE * 100)
+    .sort((a, b) =>
+      getDateValueDifference(a.session.closeAt, b.session.closeAt)
+    )
+}
@@ -0,0 +1,187 @@
+import { startOfWeek } from 'date-fns'
+
+import {
+  ConsentOutcome,
+  ProgrammeOutcome,
+  ReportDimension,
+  ReportMeasure
+} from '../enums.js'
+
+import { formatDate } from './date.js'
+import { formatYearGroup } from './string.js'
+
+/**
+ * Get vaccinations given in a patient session
+ *
+ * @param {import('../models/patient-session.js').PatientSession} patientSession - Patient session
+ * @returns {Array<import('../models/vaccination.js').Vaccination>} Vaccinations given
+ */
+function getGivenVaccinations(patientSession) {
+  return patientSession.vaccinations.filter(({ given }) => given)
+}
+
+/**
+ * Get values of a report dimension for a patient session
+ *
+ * A patient session can have more than one value, for example if parents gave
+ * different reasons for refusing consent, and is counted against each of them.
+ * Values are used to sort rows, text is shown in the report. Children without
+ * a value (for example, not yet vaccinated) have a `null` value.
+ *
+ * @param {import('../models/patient-session.js').PatientSession} patientSession - Patient session
+ * @param {ReportDimension} dimension - Report dimension
+ * @returns {Array<{value: number|string|null, text: string}>} Dimension values
+ */
+export function getDimensionValues(patientSession, dimension) {
+  const { patient } = patientSession
+
+  switch (dimension) {
+    case ReportDimension.School: {
+      const text = patient?.schoolName || 'Unknown school'
+      return [{ value: text, text }]
+    }
+    case ReportDimension.YearGroup:
+      return [
+        {
+          value: patientSession.yearGroup,
+          text: formatYearGroup(patientSession.yearGroup)
+        }
+      ]
+    case ReportDimension.Gender: {
+      const text = patient?.gender || 'Not known'
+      return [{ value: text, text }]
+    }
+    case ReportDimension.EthnicGroup: {
+      const text = patient?.ethnicGroup || 'Not provided'
+      return [{ value: text, text }]
+    }
+    case ReportDimension.RefusalReason: {
+      const reasons = Object.values(patientSession.replies)
+        .filter((reply) => reply.refusalReason && !reply.invalid)
+        .map(({ refusalReason }) => refusalReason)
+
+      if (reasons.length === 0) {
+        return [{ value: null, text: 'No refusal reason' }]
+      }
+
+      return [...new Set(reasons)].map((reason) => ({
+        value: reason,
+        text: reason
+      }))
+    }
+    case ReportDimension.Week: {
+      const vaccination = getGivenVaccinations(patientSession).at(-1)
+      if (!vaccination) {
+        return [{ value: null, text: 'Not vaccinated' }]
+      }
+
+      const week = startOfWeek(vaccination.createdAt, { weekStartsOn: 1 })
+      return [
+        {
+          value: week.getTime(),
+          text: `Week commencing ${formatDate(week, { dateStyle: 'long' })}`
+        }
+      ]
+    }
+    default:
+      return [{ value: '', text: '' }]
+  }
+}
+
+/**
+ * Get value of a report measure for a patient session
+ *
+ * Uptake is calculated from totals, so is not counted here.
+ *
+ * @param {import('../models/patient-session.js').PatientSession} patientSession - Patient session
+ * @param {ReportMeasure} measure - Report measure
+ * @returns {number} Measure value
+ */
+export function getMeasureValue(patientSession, measure) {
+  switch (measure) {
+    case ReportMeasure.Cohort:
+      return 1
+    case ReportMeasure.ConsentGiven:
+      return patientSession.consentGiven ? 1 : 0
+    case ReportMeasure.ConsentRefused:
+      return [ConsentOutcome.Refused, ConsentOutcome.FinalRefusal].includes(
+        patientSession.consent
+      )
+        ? 1
+        : 0
+    case ReportMeasure.NoResponse:
+      return patientSession.consent === ConsentOutcome.NoResponse ? 1 : 0
+    case ReportMeasure.Vaccinated:
+      return patientSession.report === ProgrammeOutcome.Vaccinated ? 1 : 0
+    case ReportMeasure.Vaccinations:
+      return getGivenVaccinations(patientSession).length
+    default:
+      return 0
+  }
+}
+
+/**
+ * Get totals of report measures for a group of patient sessions
+ *
+ * @param {Array<import('../models/patient-session.js').PatientSession>} patientSessions - Patient sessions
+ * @param {Array<ReportMeasure>} measures - Report measures
+ * @returns {object} Totals, keyed by measure
+ */
+export function getMeasureTotals(patientSessions, measures) {
+  // Uptake needs the number of children and how many were vaccinated
+  const counted = measures.includes(ReportMeasure.Uptake)
+    ? [
+        ...new Set([
+          ...measures,
+          ReportMeasure.Cohort,
+          ReportMeasure.Vaccinated
+        ])
+      ]
+    : measures
+
+  const totals = {}
+  for (const measure of counted) {
+    totals[measure] = 0
+  }
+
+  for (const patientSession of patientSessions) {
+    for (const measure of counted) {
+      if (measure !== ReportMeasure.Uptake) {
+        totals[measure] += getMeasureValue(patientSession, measure)
+      }
+    }
+  }
+
+  if (measures.includes(ReportMeasure.Uptake)) {
+    const cohort = totals[ReportMeasure.Cohort]
+    const vaccinated = totals[ReportMeasure.Vaccinated]
+
+    totals[ReportMeasure.Uptake] =
+      cohort > 0 ? Math.round((vaccinated / cohort) * 1000) / 10 : 0
+  }
+
+  return totals
+}
+
+/**
+ * Compare dimension values, to sort report rows
+ *
+ * Rows without a value are sorted last.
+ *
+ * @param {{value: number|string|null}} a - Dimension value
+ * @param {{value: number|string|null}} b - Dimension value
+ * @returns {number} Sort order
+ */
+export function compareDimensionValues(a, b) {
+  if (a.value === null || b.value === null) {
+    return Number(a.value === null) - Number(b.value === null)
+  }
+
+  if (typeof a.value === 'number' && typeof b.value === 'number') {
+    return a.value - b.value
+  }
+
+  return String(a.value).localeCompare(String(b.value), 'en', {
+    numeric: true
+  })
+}
@@ -0,0 +1,190 @@
+import _ from 'lodash'
+
+import programmesData from '../datasets/programmes.js'
+import { ProgrammeType } from '../enums.js'
+import { Cohort } from '../models/cohort.js'
+import { Patient } from '../models/patient.js'
+import { Programme } from '../models/programme.js'
+import { Session } from '../models/session.js'
+
+import { getCohortEligibility } from './cohort.js'
+import {
+  getAcademicYears,
+  getAcademicYearStarting,
+  getYearGroup,
+  isRolloverPeriod,
+  today
+} from './date.js'
+import { formatProgrammeId } from './string.js'
+
+/**
+ * Year group children leave school-aged vaccination programmes after
+ */
+const FINAL_YEAR_GROUP = 11
+
+/**
+ * Get academic year records are rolled over to
+ *
+ * @param {object} context - Context
+ * @returns {import('../enums.js').AcademicYear} Next academic year
+ */
+export function getNextAcademicYear(context) {
+  const latestAcademicYear = getAcademicYears(context).at(-1)
+
+  return getAcademicYearStarting(Number(latestAcademicYear.split(' ')[0]) + 1)
+}
+
+/**
+ * Check if records can be rolled over to the next academic year
+ *
+ * Records can be rolled over during the summer holidays before the next
+ * academic year starts.
+ *
+ * @param {object} context - Context
+ * @returns {boolean} Records can be rolled over
+ */
+export function canRollover(context) {
+  const startYear = Number(getNextAcademicYear(context).split(' ')[0])
+
+  return isRolloverPeriod(today()) && today().getFullYear() === startYear
+}
+
+/**
+ * Get changes made by rolling over to the next academic year
+ *
+ * Children are selected for each cohort by their year group in the next
+ * academic year. Children in catch-up year groups are only selected if they
+ * have not been fully vaccinated. Catch-up cohorts count how many of these
+ * children were in last year’s cohorts for the programme.
+ *
+ * @param {object} context - Context
+ * @returns {object} Rollover changes
+ */
+export function getRolloverChanges(context) {
+  const previousAcademicYear = getAcademicYears(context).at(-1)
+  const academicYear = getNextAcademicYear(context)
+
+  const patients = Patient.findAll(context).filter(({ archived }) => !archived)
+
+  // Group children by the year group they will be in
+  const patientsByYearGroup = _.groupBy(patients, (patient) =>
+    getYearGroup(patient.dob, academicYear)
+  )
+
+  const programmes = []
+  for (const type of Object.values(ProgrammeType)) {
+    const programme = new Programme({
+      ...programmesData[type],
+      id: formatProgrammeId(type, academicYear),
+      year: academicYear
+    })
+
+    const previousProgramme = Programme.findOne(
+      formatProgrammeId(type, previousAcademicYear),
+      context
+    )
+    const previousCohortUids = previousProgramme?.cohort_uids || []
+
+    const cohorts = []
+    for (const yearGroup of [
+      ...programme.yearGroups,
+      ...programme.catchupYearGroups
+    ]) {
+      const catchup = !programme.yearGroups.includes(yearGroup)
+      const cohort = new Cohort(
+        { year: academicYear, yearGroup, programme_id: programme.id },
+        { programmes: { [programme.id]: programme } }
+      )
+
+      const candidates = patientsByYearGroup[yearGroup] || []
+
+      // Children in catch-up year groups are selected if not yet vaccinated
+      const selected = candidates.filter((patient) =>
+        getCohortEligibility(cohort, patient)
+      )
+
+      // Count children moved from last year’s cohorts
+      const inPreviousCohort = (patient) =>
+        _.intersection(patient.cohort_uids, previousCohortUids).length > 0
+
+      cohorts.push({
+        yearGroup,
+        catchup,
+        patient_uuids: selected.map(({ uuid }) => uuid),
+        movedCount: catchup ? selected.filter(inPreviousCohort).length : 0
+      })
+    }
+
+    programmes.push({
+      id: programme.id,
+      name: programme.name,
+      type,
+      cohorts
+    })
+  }
+
+  const sessions = Session.findAll(context).filter(
+    (session) =>
+      session.academicYear === previousAcademicYear && !session.closed
+  )
+
+  return {
+    academicYear,
+    previousAcademicYear,
+    patients: {
+      movingUpCount: _.range(1, FINAL_YEAR_GROUP + 1).reduce(
+        (count, yearGroup) =>
+          count + (patientsByYearGroup[yearGroup]?.length || 0),
+        0
+      ),
+      leavingCount: patientsByYearGroup[FINAL_YEAR_GROUP + 1]?.length || 0
+    },
+    programmes,
+    session_ids: sessions.map(({ id }) => id)
+  }
+}
+
+/**
+ * Roll over records to the next academic year
+ *
+ * @param {object} changes - Rollover changes, from `getRolloverChanges`
+ * @param {object} context - Context
+ * @param {string} [createdBy_uid] - User rolling over records
+ */
+export function rollover(changes, context, createdBy_uid) {
+  const { academicYear } = changes
+
+  const patients = _.keyBy(Patient.findAll(context), 'uuid')
+
+  for (const { id, type, cohorts } of changes.programmes) {
+    const programme = Programme.create(
+      { ...programmesData[type], id, year: academicYear },
+      context
+    )
+
+    for (const { yearGroup, patient_uuids } of cohorts) {
+      const { uid } = Cohort.create(
+        {
+          createdAt: today(),
+          createdBy_uid,
+          year: academicYear,
+          yearGroup,
+          programme_id: programme.id
+        },
+        context
+      )
+
+      programme.cohort_uids.push(uid)
+
+      const cohort = Cohort.findOne(uid, context)
+      for (const patient_uuid of patient_uuids) {
+        patients[patient_uuid]?.selectForCohort(cohort)
+      }
+    }
+  }
+
+  // Close last year’s sessions
+  for (const session_id of changes.session_ids) {
+    Session.update(session_id, { closed: true }, context)
+  }
+}
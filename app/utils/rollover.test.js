@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import { AcademicYear } from '../enums.js'
+
+import { getAcademicYear, getAcademicYears } from './date.js'
+import {
+  getNextAcademicYear,
+  getRolloverChanges,
+  rollover
+} from './rollover.js'
+
+describe('getAcademicYear', () => {
+  it('gets academic years not listed in AcademicYear', () => {
+    assert.equal(getAcademicYear(new Date('2031-09-01')), '2031 to 2032')
+    assert.equal(getAcademicYear(new Date('2031-08-31')), '2030 to 2031')
+  })
+})
+
+describe('getAcademicYears', () => {
+  it('includes academic years created by a previous rollover', () => {
+    const context = { programmes: { a: { year: '2026 to 2027' } } }
+
+    assert.deepEqual(getAcademicYears(context), [
+      ...Object.values(AcademicYear),
+      '2026 to 2027'
+    ])
+  })
+})
+
+describe('rollover', () => {
+  it('rolls over to the year after the latest academic year with records', () => {
+    const context = { programmes: {}, cohorts: {}, patients: {}, sessions: {} }
+    const academicYears = { ...AcademicYear }
+
+    rollover(getRolloverChanges(context), context)
+
+    assert.equal(getNextAcademicYear({}), '2026 to 2027')
+    assert.equal(getNextAcademicYear(context), '2027 to 2028')
+    assert.deepEqual(AcademicYear, academicYears)
+  })
+})
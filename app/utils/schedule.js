@@ -0,0 +1,239 @@
+import { differenceInCalendarDays } from 'date-fns'
+import _ from 'lodash'
+
+import {
+  AuditEventType,
+  ConsentOutcome,
+  ProgrammeOutcome,
+  SessionType
+} from '../enums.js'
+import { Session } from '../models/session.js'
+
+import { removeDays, today } from './date.js'
+import { getTemplateSession, sendNotifications } from './notify.js'
+
+/**
+ * Days after a manual reminder within which an automatic reminder is skipped
+ */
+const SKIP_REMINDER_DAYS = 3
+
+/**
+ * Get patient sessions for children whose parents have not responded
+ *
+ * Children in sessions with more than one programme have a patient session
+ * for each programme, so only return one patient session per child. Children
+ * who have already been vaccinated are not included.
+ *
+ * @param {Session} session - Session
+ * @returns {Array<import('../models/patient-session.js').PatientSession>} Patient sessions
+ */
+function getPatientSessionsWithoutResponse(session) {
+  return _.uniqBy(
+    session.patientSessions.filter(
+      ({ consent, report }) =>
+        consent === ConsentOutcome.NoResponse &&
+        report !== ProgrammeOutcome.Vaccinated
+    ),
+    'patient_uuid'
+  )
+}
+
+/**
+ * Get reminders to give consent already sent for a session
+ *
+ * @param {import('../models/patient.js').Patient} patient - Patient
+ * @param {Session} session - Session
+ * @returns {Array<import('../models/audit-event.js').AuditEvent>} Reminder events
+ */
+function getSessionReminders(patient, session) {
+  return patient.auditEvents.filter(
+    ({ type, programme_ids }) =>
+      type === AuditEventType.Reminder &&
+      _.intersection(programme_ids, session.programme_ids).length > 0
+  )
+}
+
+/**
+ * Date falls after one date (by calendar day) and on or before another
+ *
+ * @param {Date|undefined} date - Date to check, if set
+ * @param {Date} after - Date to check is after
+ * @param {Date} until - Date to check is on or before
+ * @returns {boolean} Date is due
+ */
+function isDue(date, after, until) {
+  return (
+    date &&
+    differenceInCalendarDays(date, after) > 0 &&
+    differenceInCalendarDays(date, until) <= 0
+  )
+}
+
+/**
+ * Get scheduled invitations and reminders sent for a session
+ *
+ * @param {Session} session - Session
+ * @param {string} patient_uuid - Patient UUID
+ * @returns {{invited: boolean, reminderDates: Array<string>}} Notices sent
+ */
+function getDispatched(session, patient_uuid) {
+  return {
+    invited: false,
+    reminderDates: [],
+    ...session.dispatched[patient_uuid]
+  }
+}
+
+/**
+ * Send invitations to give consent for a session
+ *
+ * Scheduled invitations are recorded on the session, and are only sent once
+ * to each child’s parents.
+ *
+ * @param {import('./notify.js').Sender} sender - Sender
+ * @param {Session} session - Session
+ * @param {object} [options] - Options
+ * @param {boolean} [options.scheduled] - Invitation is scheduled
+ * @returns {number} Number of children whose parents were invited
+ */
+export function sendConsentInvitations(sender, session, options) {
+  const template =
+    session.type === SessionType.Clinic ? 'invite-clinic' : 'invite'
+
+  const templateSession = getTemplateSession(session)
+
+  const patientSessions = getPatientSessionsWithoutResponse(session).filter(
+    ({ patient_uuid }) =>
+      !options?.scheduled || !getDispatched(session, patient_uuid).invited
+  )
+
+  for (const patientSession of patientSessions) {
+    const { patient, patient_uuid } = patientSession
+
+    patient.inviteToSession(session)
+
+    sendNotifications(sender, template, {
+      patientSession,
+      session: templateSession
+    })
+
+    if (options?.scheduled) {
+      session.dispatched[patient_uuid] = {
+        ...getDispatched(session, patient_uuid),
+        invited: true
+      }
+    }
+  }
+
+  return patientSessions.length
+}
+
+/**
+ * Send reminders to give consent for a session
+ *
+ * Reminders are sent to the parents of children without a consent response.
+ * Scheduled reminders are recorded on the session, and are not sent if
+ * already sent for the same reminder date, or if a reminder was sent
+ * manually within the previous 3 days.
+ *
+ * @param {import('./notify.js').Sender} sender - Sender
+ * @param {Session} session - Session
+ * @param {object} [options] - Options
+ * @param {boolean} [options.scheduled] - Reminder is scheduled
+ * @param {Date} [options.reminderDate] - Date scheduled reminder is for
+ * @returns {number} Number of children whose parents were reminded
+ */
+export function sendConsentReminders(sender, session, options) {
+  const skipAfter = removeDays(today(), SKIP_REMINDER_DAYS)
+  const templateSession = getTemplateSession(session)
+
+  let count = 0
+  for (const patientSession of getPatientSessionsWithoutResponse(session)) {
+    const { patient, patient_uuid } = patientSession
+    const reminders = getSessionReminders(patient, session)
+    const dispatched = getDispatched(session, patient_uuid)
+    const reminderDate = options?.reminderDate?.toISOString()
+
+    if (!patient.parent1) {
+      continue
+    }
+
+    if (options?.scheduled && dispatched.reminderDates.includes(reminderDate)) {
+      continue
+    }
+
+    if (
+      options?.scheduled &&
+      reminders.some(({ createdAt }) => createdAt > skipAfter)
+    ) {
+      continue
+    }
+
+    patientSession.sendReminder(
+      { createdBy_uid: sender.createdBy_uid },
+      patient.parent1
+    )
+
+    sendNotifications(
+      sender,
+      reminders.length > 0 ? 'invite-subsequent-reminder' : 'invite-reminder',
+      { patientSession, session: templateSession }
+    )
+
+    if (options?.scheduled) {
+      session.dispatched[patient_uuid] = {
+        ...dispatched,
+        reminderDates: [...dispatched.reminderDates, reminderDate]
+      }
+    }
+
+    count++
+  }
+
+  return count
+}
+
+/**
+ * Send scheduled invitations and reminders
+ *
+ * Each session records when scheduled messages were last sent. Invitations
+ * are sent if a session’s consent window opened since then, and reminders if
+ * a reminder date has passed. Sessions that have not been checked before are
+ * treated as checked up to the day before today.
+ *
+ * Sessions also record which children’s parents were sent each message, so
+ * that moving today’s date backwards and forwards does not send them again.
+ *
+ * @param {import('./notify.js').Sender} sender - Sender
+ */
+export function sendScheduledNotifications(sender) {
+  const { context: data } = sender
+  const todayAt = today()
+
+  for (const session of Session.findAll(data)) {
+    const dispatchedAt = session.dispatchedAt || removeDays(todayAt, 1)
+
+    if (differenceInCalendarDays(todayAt, dispatchedAt) === 0) {
+      continue
+    }
+
+    if (session.dates.length > 0 && !session.closed) {
+      if (isDue(session.openAt, dispatchedAt, todayAt)) {
+        sendConsentInvitations(sender, session, { scheduled: true })
+      }
+
+      const reminderDate = session.reminderDates.findLast((date) =>
+        isDue(date, dispatchedAt, todayAt)
+      )
+      if (reminderDate) {
+        sendConsentReminders(sender, session, { scheduled: true, reminderDate })
+      }
+    }
+
+    Session.update(
+      session.id,
+      { dispatchedAt: todayAt, dispatched: session.dispatched },
+      data
+    )
+  }
+}
@@ -0,0 +1,161 @@
+import process from 'node:process'
+
+import { Vaccination } from '../models/vaccination.js'
+
+import { getImmunizationResource } from './fhir.js'
+
+/**
+ * Base URL of NHS England Immunisation FHIR API
+ *
+ * Defaults to the local mock server, started using `npm run mock-nhse-api`
+ */
+const NHSE_API_URL =
+  process.env.NHSE_API_URL ||
+  'http://localhost:3001/immunisation-fhir-api/FHIR/R4'
+
+/**
+ * Most vaccinations to sync in one go
+ */
+const SYNC_BATCH_SIZE = 10
+
+/**
+ * Milliseconds to wait for a response before giving up
+ */
+const SYNC_TIMEOUT = 3000
+
+/**
+ * Sync in progress, so concurrent requests don’t sync the same records
+ */
+let syncing = false
+
+/**
+ * Get request to sync a vaccination
+ *
+ * Given vaccinations are created, or updated if already synced. Vaccinations
+ * that have since been changed to not given are deleted.
+ *
+ * @param {Vaccination} vaccination - Vaccination
+ * @returns {object|undefined} Request method, URL and body
+ */
+function getSyncRequest(vaccination) {
+  const url = `${NHSE_API_URL}/Immunization`
+
+  if (vaccination.given && vaccination.nhseId) {
+    return {
+      method: 'PUT',
+      url: `${url}/${vaccination.nhseId}`,
+      body: { id: vaccination.nhseId, ...getImmunizationResource(vaccination) }
+    }
+  } else if (vaccination.given) {
+    return {
+      method: 'POST',
+      url,
+      body: getImmunizationResource(vaccination)
+    }
+  } else if (vaccination.nhseId) {
+    return {
+      method: 'DELETE',
+      url: `${url}/${vaccination.nhseId}`
+    }
+  }
+}
+
+/**
+ * Get message from a FHIR OperationOutcome
+ *
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string|undefined>} Message
+ */
+async function getResponseMessage(response) {
+  try {
+    const { issue } = await response.json()
+    return issue?.map(({ diagnostics }) => diagnostics).join(', ')
+  } catch {
+    return response.statusText
+  }
+}
+
+/**
+ * Sync vaccination with NHS England API
+ *
+ * @param {Vaccination} vaccination - Vaccination
+ * @returns {Promise<object>} Response, to record against the vaccination
+ */
+export async function syncVaccination(vaccination) {
+  const request = getSyncRequest(vaccination)
+
+  // Nothing to sync, for example a vaccination not given was never synced
+  if (!request) {
+    return { method: 'NONE', status: 204, message: 'Nothing to sync' }
+  }
+
+  const { method, url, body } = request
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Accept': 'application/fhir+json',
+        'Content-Type': 'application/fhir+json',
+        'X-Correlation-ID': vaccination.uuid
+      },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(SYNC_TIMEOUT)
+    })
+
+    // Location of created resource includes its ID
+    const location = response.headers.get('Location')
+
+    // Treat deleting a record the API no longer has as successful
+    const status =
+      method === 'DELETE' && response.status === 404 ? 204 : response.status
+
+    return {
+      method,
+      status,
+      message: response.ok
+        ? response.statusText
+        : await getResponseMessage(response),
+      id: location ? location.split('/').at(-1) : vaccination.nhseId
+    }
+  } catch (error) {
+    return { method, message: error.message }
+  }
+}
+
+/**
+ * Sync vaccinations waiting to be sent to NHS England API
+ *
+ * @param {object} context - Context
+ * @returns {Promise<Array<Vaccination>>} Synced vaccinations
+ */
+export async function syncVaccinations(context) {
+  if (syncing || !context?.vaccinations) {
+    return []
+  }
+
+  syncing = true
+
+  const synced = []
+  try {
+    const vaccinations = Vaccination.findAll(context)
+      .filter(({ syncDue }) => syncDue)
+      .slice(0, SYNC_BATCH_SIZE)
+
+    for (const vaccination of vaccinations) {
+      const response = await syncVaccination(vaccination)
+
+      synced.push(
+        Vaccination.recordSync(
+          vaccination.uuid,
+          { ...response, updatedAt: vaccination.updatedAt },
+          context
+        )
+      )
+    }
+  } finally {
+    syncing = false
+  }
+
+  return synced
+}
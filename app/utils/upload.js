@@ -0,0 +1,642 @@
+import { read, utils } from '@e965/xlsx'
+import prototypeFilters from '@x-govuk/govuk-prototype-filters'
+
+import vaccines from '../datasets/vaccines.js'
+import {
+  Gender,
+  ParentalRelationship,
+  UploadType,
+  VaccinationMethod,
+  VaccinationOutcome,
+  VaccinationSite,
+  VaccineMethod
+} from '../enums.js'
+
+/**
+ * Anatomical sites used in vaccination record files
+ */
+export const ANATOMICAL_SITES = {
+  'left upper arm': VaccinationSite.ArmLeftUpper,
+  'right upper arm': VaccinationSite.ArmRightUpper,
+  'left thigh': VaccinationSite.ThighLeft,
+  'right thigh': VaccinationSite.ThighRight,
+  'left buttock': VaccinationSite.Other,
+  'right buttock': VaccinationSite.Other,
+  'nasal': VaccinationSite.Nose
+}
+
+/**
+ * Reasons a vaccination was not given allowed in vaccination record files
+ */
+export const NOT_VACCINATED_REASONS = [
+  VaccinationOutcome.Refused,
+  VaccinationOutcome.Unwell,
+  VaccinationOutcome.Contraindications,
+  VaccinationOutcome.AlreadyVaccinated,
+  VaccinationOutcome.Absent
+]
+
+/**
+ * Outcomes allowed when a vaccination was not given in an offline spreadsheet
+ */
+const NOT_GIVEN_OUTCOMES = Object.values(VaccinationOutcome).filter(
+  (outcome) =>
+    ![
+      VaccinationOutcome.Vaccinated,
+      VaccinationOutcome.PartVaccinated
+    ].includes(outcome)
+)
+
+/**
+ * Parental relationships allowed in child record files
+ */
+const PARENTAL_RELATIONSHIPS = [
+  ParentalRelationship.Mum,
+  ParentalRelationship.Dad,
+  ParentalRelationship.Guardian
+]
+
+/**
+ * Parse CSV string into rows, keyed by column header
+ *
+ * Supports quoted values containing commas, new lines and escaped quotes.
+ *
+ * @param {string} string - CSV string
+ * @returns {Array<object>} Rows
+ */
+export function parseCsv(string) {
+  const records = []
+  let record = []
+  let value = ''
+  let quoted = false
+
+  // Remove byte order mark added by spreadsheet applications
+  string = string.replace(/^\uFEFF/, '')
+
+  for (let index = 0; index < string.length; index++) {
+    const character = string[index]
+
+    if (quoted) {
+      if (character === '"' && string[index + 1] === '"') {
+        value += '"'
+        index++
+      } else if (character === '"') {
+        quoted = false
+      } else {
+        value += character
+      }
+    } else if (character === '"') {
+      quoted = true
+    } else if (character === ',') {
+      record.push(value)
+      value = ''
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && string[index + 1] === '\n') {
+        index++
+      }
+      record.push(value)
+      records.push(record)
+      record = []
+      value = ''
+    } else {
+      value += character
+    }
+  }
+
+  // Add final record if file doesn’t end with a new line
+  if (value || record.length > 0) {
+    record.push(value)
+    records.push(record)
+  }
+
+  const [headers, ...rows] = records.filter((record) =>
+    record.some((value) => value.trim() !== '')
+  )
+
+  if (!headers) {
+    return []
+  }
+
+  return rows.map((row) =>
+    Object.fromEntries(
+      headers.map((header, index) => [
+        header.trim().toUpperCase(),
+        row[index]?.trim() || ''
+      ])
+    )
+  )
+}
+
+/**
+ * Parse XLSX file into rows, keyed by column header
+ *
+ * Uses the first sheet in the workbook.
+ *
+ * @param {Buffer} buffer - XLSX file contents
+ * @returns {Array<object>} Rows
+ */
+export function parseXlsx(buffer) {
+  const workbook = read(buffer)
+  const sheet = workbook.Sheets[workbook.SheetNames[0]]
+
+  if (!sheet) {
+    return []
+  }
+
+  const rows = utils.sheet_to_json(sheet, { defval: '', raw: false })
+
+  return rows
+    .map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([header, value]) => [
+          header.trim().toUpperCase(),
+          String(value).trim()
+        ])
+      )
+    )
+    .filter((row) => Object.values(row).some((value) => value !== ''))
+}
+
+/**
+ * Parse uploaded file into rows, keyed by column header
+ *
+ * @param {object} file - Uploaded file
+ * @param {string} file.originalname - File name
+ * @param {Buffer} file.buffer - File contents
+ * @param {UploadType} type - Upload type
+ * @returns {Array<object>|undefined} Rows, or undefined if file type not accepted
+ */
+export function parseUploadFile(file, type) {
+  const fileName = file.originalname.toLowerCase()
+
+  if (fileName.endsWith('.csv')) {
+    return parseCsv(file.buffer.toString('utf8')).map(normaliseUploadRow)
+  }
+
+  // Offline session spreadsheets are downloaded as XLSX files
+  if (type === UploadType.Offline && fileName.endsWith('.xlsx')) {
+    return parseXlsx(file.buffer).map(normaliseUploadRow)
+  }
+}
+
+/**
+ * Normalise values in a row in an uploaded file
+ *
+ * `VACCINATED` is upper-cased so that every later check can compare it
+ * against ‘Y’ and ‘N’ exactly.
+ *
+ * @param {object} row - Row, keyed by column header
+ * @returns {object} Normalised row
+ */
+export function normaliseUploadRow(row) {
+  if (!row.VACCINATED) {
+    return row
+  }
+
+  return { ...row, VACCINATED: row.VACCINATED.toUpperCase() }
+}
+
+/**
+ * Check if a row in an uploaded file records a given vaccination
+ *
+ * `VACCINATED` is optional in vaccination record files, where a vaccination
+ * is assumed to have been given, but must be ‘Y’ in offline spreadsheets.
+ *
+ * @param {object} row - Normalised row, keyed by column header
+ * @param {UploadType} type - Upload type
+ * @returns {boolean} Vaccination was given
+ */
+export function isVaccinatedRow(row, type) {
+  if (type === UploadType.Offline) {
+    return row.VACCINATED === 'Y'
+  }
+
+  return !row.VACCINATED || row.VACCINATED === 'Y'
+}
+
+/**
+ * Check NHS number is valid, using the modulus 11 check digit
+ *
+ * @param {string} nhsn - NHS number
+ * @returns {boolean} NHS number is valid
+ */
+export function isValidNhsNumber(nhsn) {
+  const digits = String(nhsn).replace(/\s/g, '')
+
+  if (!/^\d{10}$/.test(digits)) {
+    return false
+  }
+
+  const total = [...digits.slice(0, 9)].reduce(
+    (sum, digit, index) => sum + Number(digit) * (10 - index),
+    0
+  )
+  const checkDigit = (11 - (total % 11)) % 11
+
+  return checkDigit !== 10 && checkDigit === Number(digits[9])
+}
+
+/**
+ * Check postcode is valid
+ *
+ * @param {string} postcode - Postcode
+ * @returns {boolean} Postcode is valid
+ */
+export function isValidPostcode(postcode) {
+  return /^[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}$/i.test(postcode)
+}
+
+/**
+ * Check phone number is valid
+ *
+ * @param {string} tel - Phone number
+ * @returns {boolean} Phone number is valid
+ */
+export function isValidPhone(tel) {
+  return /^(\+44|0)\d{9,10}$/.test(tel.replace(/[\s()-]/g, ''))
+}
+
+/**
+ * Check email address is valid
+ *
+ * @param {string} email - Email address
+ * @returns {boolean} Email address is valid
+ */
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+}
+
+/**
+ * Parse date string in a given format
+ *
+ * @param {string} string - Date string
+ * @param {string} format - Either YYYY-MM-DD or YYYYMMDD
+ * @returns {Date|undefined} Date
+ */
+export function parseUploadDate(string, format) {
+  const pattern =
+    format === 'YYYYMMDD'
+      ? /^(\d{4})(\d{2})(\d{2})$/
+      : /^(\d{4})-(\d{2})-(\d{2})$/
+  const match = String(string).match(pattern)
+
+  if (!match) {
+    return
+  }
+
+  const [, year, month, day] = match.map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day, 12))
+
+  // Reject dates that overflow, for example 2024-02-31
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return
+  }
+
+  return date
+}
+
+/**
+ * Format date for use in a file, using YYYYMMDD format
+ *
+ * @param {Date} [date] - Date
+ * @returns {string|undefined} Formatted date
+ */
+export function formatUploadDate(date) {
+  if (!date) {
+    return
+  }
+
+  date = new Date(date)
+
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('')
+}
+
+/**
+ * Find vaccine given its brand name in a vaccination record file
+ *
+ * @param {string} brand - Vaccine brand, for example ‘Gardasil9’
+ * @returns {object|undefined} Vaccine
+ */
+export function getVaccineFromBrand(brand) {
+  const normalise = (string) => String(string).replace(/\s/g, '').toLowerCase()
+
+  return Object.values(vaccines).find(
+    (vaccine) => normalise(vaccine.brand) === normalise(brand)
+  )
+}
+
+/**
+ * Get vaccination site from anatomical site in a file
+ *
+ * Accepts either anatomical site names used in vaccination record files, or
+ * the vaccination sites used in Mavis.
+ *
+ * @param {string} site - Anatomical site
+ * @returns {VaccinationSite|undefined} Vaccination site
+ */
+export function getAnatomicalSite(site) {
+  return (
+    ANATOMICAL_SITES[String(site).toLowerCase()] ||
+    getAllowedValue(Object.values(VaccinationSite), site)
+  )
+}
+
+/**
+ * Get matching enum value, ignoring case
+ *
+ * @param {Array<string>} values - Allowed values
+ * @param {string} value - Value to match
+ * @returns {string|undefined} Matching value
+ */
+function getAllowedValue(values, value) {
+  return values.find(
+    (allowed) => allowed.toLowerCase() === String(value).toLowerCase()
+  )
+}
+
+/**
+ * Get validation messages for a row in an uploaded file
+ *
+ * @param {object} row - Row, keyed by column header
+ * @param {UploadType} type - Upload type
+ * @returns {object} Validation messages, keyed by column header
+ */
+export function getUploadRowValidations(row, type) {
+  const validations = {}
+  const dateFormat = [UploadType.Report, UploadType.Offline].includes(type)
+    ? 'YYYYMMDD'
+    : 'YYYY-MM-DD'
+
+  const required = (key) => {
+    if (!row[key]) {
+      validations[key] = 'is required but missing'
+      return false
+    }
+
+    return true
+  }
+
+  const date = (key) => {
+    if (required(key) && !parseUploadDate(row[key], dateFormat)) {
+      validations[key] = `‘${row[key]}’ should be formatted as ${dateFormat}`
+    }
+  }
+
+  const oneOf = (key, values) => {
+    if (row[key] && !getAllowedValue(values, row[key])) {
+      validations[key] =
+        `‘${row[key]}’ should be ${prototypeFilters.formatList(values, 'disjunction')}`
+    }
+  }
+
+  const nhsn = (key) => {
+    if (row[key] && !isValidNhsNumber(row[key])) {
+      validations[key] =
+        `‘${row[key]}’ should be a valid NHS number, like 485 777 3456`
+    }
+  }
+
+  const postcode = (key) => {
+    if (row[key] && !isValidPostcode(row[key])) {
+      validations[key] = `‘${row[key]}’ should be a postcode, like SW1A 1AA`
+    }
+  }
+
+  // Compared exactly, as rows are normalised when parsed
+  const vaccinated = (key) => {
+    if (row[key] && !['Y', 'N'].includes(row[key])) {
+      validations[key] = `‘${row[key]}’ should be Y or N`
+    }
+  }
+
+  const urn = (key) => {
+    if (required(key) && !/^\d{6}$/.test(row[key])) {
+      validations[key] = `‘${row[key]}’ should be a 6 digit school URN`
+    }
+  }
+
+  if (type === UploadType.Report) {
+    required('ORGANISATION_CODE')
+    urn('SCHOOL_URN')
+    if (row.SCHOOL_URN === '888888') {
+      required('SCHOOL_NAME')
+    }
+    nhsn('NHS_NUMBER')
+    required('PERSON_FORENAME')
+    required('PERSON_SURNAME')
+    date('PERSON_DOB')
+    if (required('PERSON_GENDER_CODE')) {
+      oneOf('PERSON_GENDER_CODE', Object.values(Gender))
+    }
+    if (required('PERSON_POSTCODE')) {
+      postcode('PERSON_POSTCODE')
+    }
+    date('DATE_OF_VACCINATION')
+    if (required('VACCINE_GIVEN') && !getVaccineFromBrand(row.VACCINE_GIVEN)) {
+      validations.VACCINE_GIVEN = `‘${row.VACCINE_GIVEN}’ is not a recognised vaccine`
+    }
+    vaccinated('VACCINATED')
+
+    if (row.VACCINATED === 'N' && required('REASON_NOT_VACCINATED')) {
+      oneOf('REASON_NOT_VACCINATED', NOT_VACCINATED_REASONS)
+    }
+
+    if (isVaccinatedRow(row, type)) {
+      required('BATCH_NUMBER')
+      date('BATCH_EXPIRY_DATE')
+      if (required('ANATOMICAL_SITE')) {
+        oneOf('ANATOMICAL_SITE', [
+          'Left Buttock',
+          'Right Buttock',
+          'Left Thigh',
+          'Right Thigh',
+          'Left Upper Arm',
+          'Right Upper Arm',
+          'Nasal'
+        ])
+      }
+      if (required('DOSE_SEQUENCE')) {
+        oneOf('DOSE_SEQUENCE', ['1', '2', '3'])
+      }
+      if (required('CARE_SETTING')) {
+        oneOf('CARE_SETTING', ['1', '2'])
+      }
+      required('PERFORMING_PROFESSIONAL_FORENAME')
+      required('PERFORMING_PROFESSIONAL_SURNAME')
+    }
+  } else if (type === UploadType.Offline) {
+    required('PATIENT_SESSION_UUID')
+    date('DATE_OF_VACCINATION')
+    if (
+      row.TIME_OF_VACCINATION &&
+      !/^([01]?\d|2[0-3]):[0-5]\d$/.test(row.TIME_OF_VACCINATION)
+    ) {
+      validations.TIME_OF_VACCINATION = `‘${row.TIME_OF_VACCINATION}’ should be formatted as HH:MM`
+    }
+    vaccinated('VACCINATED')
+
+    if (row.VACCINATED === 'N' && required('REASON_NOT_VACCINATED')) {
+      oneOf('REASON_NOT_VACCINATED', NOT_GIVEN_OUTCOMES)
+    }
+
+    if (isVaccinatedRow(row, type)) {
+      if (
+        required('VACCINE_GIVEN') &&
+        !getVaccineFromBrand(row.VACCINE_GIVEN)
+      ) {
+        validations.VACCINE_GIVEN = `‘${row.VACCINE_GIVEN}’ is not a recognised vaccine`
+      }
+      required('BATCH_NUMBER')
+      if (
+        required('ANATOMICAL_SITE') &&
+        !getAnatomicalSite(row.ANATOMICAL_SITE)
+      ) {
+        validations.ANATOMICAL_SITE = `‘${row.ANATOMICAL_SITE}’ should be ${prototypeFilters.formatList(Object.values(VaccinationSite), 'disjunction')}`
+      }
+      oneOf('DOSE_SEQUENCE', ['1', '2', '3'])
+      required('PERFORMING_PROFESSIONAL_FORENAME')
+      required('PERFORMING_PROFESSIONAL_SURNAME')
+    }
+  } else {
+    required('CHILD_FIRST_NAME')
+    required('CHILD_LAST_NAME')
+    date('CHILD_DATE_OF_BIRTH')
+    nhsn('CHILD_NHS_NUMBER')
+    postcode('CHILD_POSTCODE')
+
+    if (type === UploadType.Cohort) {
+      if (required('CHILD_GENDER')) {
+        oneOf('CHILD_GENDER', Object.values(Gender))
+      }
+      urn('CHILD_SCHOOL_URN')
+    }
+
+    for (const parent of ['PARENT_1', 'PARENT_2']) {
+      oneOf(`${parent}_RELATIONSHIP`, PARENTAL_RELATIONSHIPS)
+
+      const tel = row[`${parent}_PHONE`]
+      if (tel && !isValidPhone(tel)) {
+        validations[`${parent}_PHONE`] =
+          `‘${tel}’ should be a phone number, like 01632 960 001 or 07700 900 982`
+      }
+
+      const email = row[`${parent}_EMAIL`]
+      if (email && !isValidEmail(email)) {
+        validations[`${parent}_EMAIL`] =
+          `‘${email}’ should be an email address, like name@example.com`
+      }
+    }
+  }
+
+  return validations
+}
+
+/**
+ * Get patient record values from a row in an uploaded file
+ *
+ * @param {object} row - Row, keyed by column header
+ * @param {UploadType} type - Upload type
+ * @param {string} [school_urn] - School URN (for class list uploads)
+ * @returns {object} Patient record values
+ */
+export function getPatientFromUploadRow(row, type, school_urn) {
+  if (type === UploadType.Report) {
+    return {
+      firstName: row.PERSON_FORENAME,
+      lastName: row.PERSON_SURNAME,
+      dob: parseUploadDate(row.PERSON_DOB, 'YYYYMMDD'),
+      gender: getAllowedValue(Object.values(Gender), row.PERSON_GENDER_CODE),
+      ...(row.NHS_NUMBER && { nhsn: row.NHS_NUMBER.replace(/\s/g, '') }),
+      address: { postalCode: row.PERSON_POSTCODE.toUpperCase() },
+      school_urn: row.SCHOOL_URN
+    }
+  }
+
+  const parents = {}
+  for (const [index, parent] of ['PARENT_1', 'PARENT_2'].entries()) {
+    if (row[`${parent}_NAME`]) {
+      parents[`parent${index + 1}`] = {
+        fullName: row[`${parent}_NAME`],
+        relationship: getAllowedValue(
+          PARENTAL_RELATIONSHIPS,
+          row[`${parent}_RELATIONSHIP`]
+        ),
+        tel: row[`${parent}_PHONE`],
+        email: row[`${parent}_EMAIL`],
+        notify: true
+      }
+    }
+  }
+
+  return {
+    firstName: row.CHILD_FIRST_NAME,
+    lastName: row.CHILD_LAST_NAME,
+    preferredFirstName: row.CHILD_COMMON_NAME || undefined,
+    dob: parseUploadDate(row.CHILD_DATE_OF_BIRTH, 'YYYY-MM-DD'),
+    gender: getAllowedValue(Object.values(Gender), row.CHILD_GENDER),
+    ...(row.CHILD_NHS_NUMBER && {
+      nhsn: row.CHILD_NHS_NUMBER.replace(/\s/g, '')
+    }),
+    address: {
+      addressLine1: row.CHILD_ADDRESS_LINE_1 || undefined,
+      addressLine2: row.CHILD_ADDRESS_LINE_2 || undefined,
+      addressLevel1: row.CHILD_TOWN || undefined,
+      postalCode: row.CHILD_POSTCODE?.toUpperCase() || undefined
+    },
+    registrationGroup: row.CHILD_REGISTRATION || undefined,
+    school_urn: type === UploadType.School ? school_urn : row.CHILD_SCHOOL_URN,
+    ...parents
+  }
+}
+
+/**
+ * Get vaccination values from a row in an uploaded vaccination record file
+ *
+ * @param {object} row - Row, keyed by column header
+ * @param {UploadType} type - Upload type
+ * @returns {object} Vaccination values
+ */
+export function getVaccinationFromUploadRow(row, type) {
+  const vaccine = getVaccineFromBrand(row.VACCINE_GIVEN)
+  const given = isVaccinatedRow(row, type)
+  const createdAt = parseUploadDate(row.DATE_OF_VACCINATION, 'YYYYMMDD')
+
+  // Offline session spreadsheets include time of vaccination
+  if (createdAt && row.TIME_OF_VACCINATION) {
+    const [hours, minutes] = row.TIME_OF_VACCINATION.split(':').map(Number)
+    createdAt.setHours(hours, minutes)
+  }
+
+  const notes = [
+    given &&
+      `Vaccinated by ${row.PERFORMING_PROFESSIONAL_FORENAME} ${row.PERFORMING_PROFESSIONAL_SURNAME}`,
+    row.NOTES
+  ]
+
+  return {
+    createdAt,
+    location: row.SCHOOL_NAME || undefined,
+    school_urn: row.SCHOOL_URN,
+    vaccine_snomed: vaccine?.snomed,
+    outcome: given
+      ? VaccinationOutcome.Vaccinated
+      : getAllowedValue(
+          Object.values(VaccinationOutcome),
+          row.REASON_NOT_VACCINATED
+        ),
+    note: notes.filter(Boolean).join('\n\n'),
+    ...(given && {
+      batch_id: row.BATCH_NUMBER,
+      dose: vaccine?.dose,
+      injectionMethod:
+        vaccine?.method === VaccineMethod.Intranasal
+          ? VaccinationMethod.Intranasal
+          : VaccinationMethod.Intramuscular,
+      injectionSite: getAnatomicalSite(row.ANATOMICAL_SITE)
+    })
+  }
+}
@@ -0,0 +1,264 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import { UploadType, VaccinationOutcome } from '../enums.js'
+
+import {
+  getUploadRowValidations,
+  getVaccinationFromUploadRow,
+  isValidNhsNumber,
+  isVaccinatedRow,
+  normaliseUploadRow,
+  parseCsv,
+  parseUploadDate,
+  parseUploadFile
+} from './upload.js'
+
+const offlineRow = {
+  PATIENT_SESSION_UUID: 'f1a2b3c4',
+  DATE_OF_VACCINATION: '20250101',
+  TIME_OF_VACCINATION: '09:30',
+  VACCINATED: 'Y',
+  VACCINE_GIVEN: 'Gardasil 9',
+  BATCH_NUMBER: 'AB1234',
+  ANATOMICAL_SITE: 'Left upper arm',
+  DOSE_SEQUENCE: '1',
+  PERFORMING_PROFESSIONAL_FORENAME: 'Anna',
+  PERFORMING_PROFESSIONAL_SURNAME: 'Smith'
+}
+
+const reportRow = {
+  ORGANISATION_CODE: 'RYG',
+  SCHOOL_URN: '123456',
+  NHS_NUMBER: '9434765919',
+  PERSON_FORENAME: 'Jane',
+  PERSON_SURNAME: 'Doe',
+  PERSON_DOB: '20120101',
+  PERSON_GENDER_CODE: 'Female',
+  PERSON_POSTCODE: 'SW1A 1AA',
+  DATE_OF_VACCINATION: '20250101',
+  VACCINE_GIVEN: 'Gardasil 9',
+  BATCH_NUMBER: 'AB1234',
+  BATCH_EXPIRY_DATE: '20260101',
+  ANATOMICAL_SITE: 'Left Upper Arm',
+  DOSE_SEQUENCE: '1',
+  CARE_SETTING: '1',
+  PERFORMING_PROFESSIONAL_FORENAME: 'Anna',
+  PERFORMING_PROFESSIONAL_SURNAME: 'Smith'
+}
+
+describe('parseCsv', () => {
+  it('parses rows keyed by upper-cased header', () => {
+    const rows = parseCsv('child_first_name,Child_Last_Name\r\nJane,Doe\r\n')
+
+    assert.deepEqual(rows, [
+      { CHILD_FIRST_NAME: 'Jane', CHILD_LAST_NAME: 'Doe' }
+    ])
+  })
+
+  it('supports quoted values with commas, new lines and quotes', () => {
+    const rows = parseCsv('A,B\n"one, two","say ""hi""\nthere"')
+
+    assert.deepEqual(rows, [{ A: 'one, two', B: 'say "hi"\nthere' }])
+  })
+
+  it('ignores blank lines and a byte order mark', () => {
+    assert.deepEqual(parseCsv('\uFEFFA\n\n1\n,\n'), [{ A: '1' }])
+  })
+})
+
+describe('parseUploadFile', () => {
+  it('upper-cases VACCINATED when parsing a row', () => {
+    const rows = parseUploadFile(
+      { originalname: 'file.CSV', buffer: Buffer.from('VACCINATED\ny\nn\n') },
+      UploadType.Report
+    )
+
+    assert.deepEqual(rows, [{ VACCINATED: 'Y' }, { VACCINATED: 'N' }])
+  })
+
+  it('only accepts XLSX files for offline spreadsheets', () => {
+    const file = { originalname: 'file.xlsx', buffer: Buffer.from('') }
+
+    assert.equal(parseUploadFile(file, UploadType.Cohort), undefined)
+  })
+})
+
+describe('normaliseUploadRow', () => {
+  it('leaves rows without VACCINATED unchanged', () => {
+    const row = { NHS_NUMBER: '9434765919' }
+
+    assert.equal(normaliseUploadRow(row), row)
+  })
+})
+
+describe('isValidNhsNumber', () => {
+  it('checks the modulus 11 check digit', () => {
+    assert.equal(isValidNhsNumber('943 476 5919'), true)
+    assert.equal(isValidNhsNumber('9434765918'), false)
+    assert.equal(isValidNhsNumber('94347659'), false)
+  })
+})
+
+describe('parseUploadDate', () => {
+  it('parses dates in the given format', () => {
+    assert.equal(
+      parseUploadDate('20250102', 'YYYYMMDD').toISOString(),
+      '2025-01-02T12:00:00.000Z'
+    )
+    assert.equal(parseUploadDate('2025-01-02', 'YYYYMMDD'), undefined)
+  })
+
+  it('rejects dates that overflow', () => {
+    assert.equal(parseUploadDate('2024-02-31', 'YYYY-MM-DD'), undefined)
+  })
+})
+
+describe('isVaccinatedRow', () => {
+  it('assumes a vaccination was given if VACCINATED is omitted', () => {
+    assert.equal(isVaccinatedRow({}, UploadType.Report), true)
+    assert.equal(isVaccinatedRow({ VACCINATED: 'N' }, UploadType.Report), false)
+  })
+
+  it('requires Y for offline spreadsheets', () => {
+    assert.equal(isVaccinatedRow({}, UploadType.Offline), false)
+    assert.equal(isVaccinatedRow({ VACCINATED: 'Y' }, UploadType.Offline), true)
+  })
+})
+
+describe('getUploadRowValidations', () => {
+  it('returns no validations for a valid row', () => {
+    assert.deepEqual(getUploadRowValidations(reportRow, UploadType.Report), {})
+  })
+
+  it('validates child record rows', () => {
+    const validations = getUploadRowValidations(
+      {
+        CHILD_FIRST_NAME: 'Jane',
+        CHILD_DATE_OF_BIRTH: '01/01/2012',
+        CHILD_NHS_NUMBER: '1234567890',
+        CHILD_POSTCODE: 'NOT A POSTCODE'
+      },
+      UploadType.Cohort
+    )
+
+    assert.deepEqual(Object.keys(validations).sort(), [
+      'CHILD_DATE_OF_BIRTH',
+      'CHILD_GENDER',
+      'CHILD_LAST_NAME',
+      'CHILD_NHS_NUMBER',
+      'CHILD_POSTCODE',
+      'CHILD_SCHOOL_URN'
+    ])
+  })
+
+  it('rejects a VACCINATED value that has not been normalised', () => {
+    const validations = getUploadRowValidations(
+      { ...reportRow, VACCINATED: 'n' },
+      UploadType.Report
+    )
+
+    assert.equal(validations.VACCINATED, '‘n’ should be Y or N')
+  })
+
+  it('requires a reason if a vaccination was not given', () => {
+    const validations = getUploadRowValidations(
+      normaliseUploadRow({ ...reportRow, VACCINATED: 'n' }),
+      UploadType.Report
+    )
+
+    assert.deepEqual(Object.keys(validations), ['REASON_NOT_VACCINATED'])
+  })
+
+  it('requires vaccination details if a vaccination was given', () => {
+    const { BATCH_NUMBER, ANATOMICAL_SITE, ...row } = reportRow
+    const validations = getUploadRowValidations(
+      normaliseUploadRow({ ...row, VACCINATED: 'y' }),
+      UploadType.Report
+    )
+
+    assert.deepEqual(Object.keys(validations), [
+      'BATCH_NUMBER',
+      'ANATOMICAL_SITE'
+    ])
+  })
+})
+
+describe('getUploadRowValidations for offline spreadsheets', () => {
+  it('returns no validations for a valid row', () => {
+    assert.deepEqual(
+      getUploadRowValidations(offlineRow, UploadType.Offline),
+      {}
+    )
+  })
+
+  it('validates vaccination details for a lowercase y', () => {
+    const { BATCH_NUMBER, ANATOMICAL_SITE, VACCINE_GIVEN, ...row } = offlineRow
+    const validations = getUploadRowValidations(
+      normaliseUploadRow({ ...row, VACCINATED: 'y' }),
+      UploadType.Offline
+    )
+
+    assert.deepEqual(Object.keys(validations), [
+      'VACCINE_GIVEN',
+      'BATCH_NUMBER',
+      'ANATOMICAL_SITE'
+    ])
+  })
+
+  it('only accepts outcomes that were not a vaccination', () => {
+    const validations = getUploadRowValidations(
+      { ...offlineRow, VACCINATED: 'N', REASON_NOT_VACCINATED: 'Vaccinated' },
+      UploadType.Offline
+    )
+
+    assert.ok(validations.REASON_NOT_VACCINATED)
+  })
+})
+
+describe('getVaccinationFromUploadRow', () => {
+  it('gets a given vaccination', () => {
+    const vaccination = getVaccinationFromUploadRow(
+      reportRow,
+      UploadType.Report
+    )
+
+    assert.equal(vaccination.outcome, VaccinationOutcome.Vaccinated)
+    assert.equal(vaccination.batch_id, 'AB1234')
+  })
+
+  it('gets a vaccination that was not given', () => {
+    const vaccination = getVaccinationFromUploadRow(
+      normaliseUploadRow({
+        ...reportRow,
+        VACCINATED: 'n',
+        REASON_NOT_VACCINATED: 'Child refused'
+      }),
+      UploadType.Report
+    )
+
+    assert.notEqual(vaccination.outcome, VaccinationOutcome.Vaccinated)
+    assert.equal(vaccination.batch_id, undefined)
+  })
+
+  it('adds time of vaccination from offline spreadsheets', () => {
+    const vaccination = getVaccinationFromUploadRow(
+      offlineRow,
+      UploadType.Offline
+    )
+
+    assert.equal(vaccination.outcome, VaccinationOutcome.Vaccinated)
+    assert.equal(vaccination.createdAt.getHours(), 9)
+    assert.equal(vaccination.createdAt.getMinutes(), 30)
+  })
+
+  it('only records a given vaccination in an offline spreadsheet for Y', () => {
+    const vaccination = getVaccinationFromUploadRow(
+      { ...offlineRow, VACCINATED: 'N', REASON_NOT_VACCINATED: 'Absent' },
+      UploadType.Offline
+    )
+
+    assert.notEqual(vaccination.outcome, VaccinationOutcome.Vaccinated)
+    assert.equal(vaccination.injectionSite, undefined)
+  })
+})
@@ -1,3 +1,4 @@
+import fs from 'node:fs'
 import process from 'node:process'
 
 import { faker } from '@faker-js/faker'
@@ -52,6 +53,7 @@ import { Patient } from '../app/models/patient.js'
 import { Session } from '../app/models/session.js'
 import { User } from '../app/models/user.js'
 import { Vaccination } from '../app/models/vaccination.js'
+import { hashPassword } from '../app/utils/authentication.js'
 import {
   getDateValueDifference,
   formatDate,
@@ -62,6 +64,14 @@ import { range } from '../app/utils/number.js'
 
 import { generateDataFile } from './generate-data-file.js'
 
+// Keep records saved by the file store, unless asked to reset them
+if (fs.existsSync('.data/store') && !process.argv.includes('--reset')) {
+  console.info(
+    'Saved records found in .data/store. To create new data, run `npm run create-data -- --reset`'
+  )
+  process.exit()
+}
+
 // Settings
 const totalUsers = Number(process.env.USERS) || 20
 const totalOrganisations = Number(process.env.ORGANISATIONS) || 5
@@ -79,8 +89,11 @@ Array.from([...range(0, totalUsers)]).forEach(() => {
 })
 
 // Pre-defined users
-for (const user of usersData) {
-  context.users[user.uid] = new User(user)
+for (const { password, ...user } of usersData) {
+  context.users[user.uid] = new User({
+    ...user,
+    passwordHash: hashPassword(password)
+  })
 }
 
 // Nurse users
@@ -101,6 +114,24 @@ for (const organisation of organisationsData) {
   context.organisations[organisation.code] = new Organisation(organisation)
 }
 
+// Organisation roles
+// Users work for Coventry and Warwickshire, and some for another organisation
+const otherOrganisationCodes = Object.keys(context.organisations).filter(
+  (code) => code !== 'RYG'
+)
+for (const user of Object.values(context.users)) {
+  if (Object.keys(user.roles).length > 0) {
+    continue
+  }
+
+  user.roles = { RYG: user.role }
+
+  if (faker.datatype.boolean(0.25)) {
+    const code = faker.helpers.arrayElement(otherOrganisationCodes)
+    user.roles[code] = faker.helpers.arrayElement(Object.values(UserRole))
+  }
+}
+
 // Clinics
 context.clinics = {}
 for (const clinic of Object.values(clinicsData)) {
@@ -666,6 +697,9 @@ if (vaccinatedPatient) {
   }
 }
 
+// Remove changes saved by the file store, so generated data is used
+fs.rmSync('.data/store', { force: true, recursive: true })
+
 // Generate date files
 generateDataFile('.data/batches.json', context.batches)
 generateDataFile('.data/clinics.json', context.clinics)
@@ -0,0 +1,158 @@
+import { randomUUID } from 'node:crypto'
+import http from 'node:http'
+import process from 'node:process'
+
+import 'dotenv/config'
+
+// Settings
+const port = Number(process.env.NHSE_API_PORT) || 3001
+const failureRate = Number(process.env.NHSE_API_FAILURE_RATE ?? 0.1)
+const basePath = '/immunisation-fhir-api/FHIR/R4/Immunization'
+
+// Immunisation records, keyed by ID
+const immunizations = new Map()
+
+/**
+ * Send FHIR JSON response
+ *
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - Status code
+ * @param {object} [body] - Response body
+ * @param {object} [headers] - Response headers
+ */
+const send = (response, status, body, headers = {}) => {
+  response.writeHead(status, {
+    'Content-Type': 'application/fhir+json',
+    ...headers
+  })
+  response.end(body && JSON.stringify(body))
+}
+
+/**
+ * Send FHIR OperationOutcome, describing an error
+ *
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - Status code
+ * @param {string} code - Issue type
+ * @param {string} diagnostics - Issue description
+ */
+const sendError = (response, status, code, diagnostics) => {
+  send(response, status, {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code, diagnostics }]
+  })
+}
+
+/**
+ * Get problem with an Immunization resource
+ *
+ * @param {object} resource - Immunization resource
+ * @returns {string|undefined} Problem
+ */
+const validate = (resource) => {
+  const patient = resource?.contained?.find(
+    ({ resourceType }) => resourceType === 'Patient'
+  )
+  const nhsn = patient?.identifier?.[0]?.value
+
+  if (resource?.resourceType !== 'Immunization') {
+    return 'Resource is not an Immunization'
+  } else if (!/^\d{10}$/.test(nhsn)) {
+    return 'Patient NHS number is missing or not valid'
+  } else if (!resource.vaccineCode?.coding?.[0]?.code) {
+    return 'Vaccine code is missing'
+  } else if (!resource.occurrenceDateTime) {
+    return 'Occurrence date is missing'
+  }
+}
+
+/**
+ * Read JSON request body
+ *
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<object|undefined>} Request body
+ */
+const readBody = async (request) => {
+  let body = ''
+  for await (const chunk of request) {
+    body += chunk
+  }
+
+  try {
+    return JSON.parse(body)
+  } catch {
+    return undefined
+  }
+}
+
+const server = http.createServer(async (request, response) => {
+  const { method, url } = request
+  const path = url.split('?')[0]
+
+  console.info(`${method} ${url}`)
+
+  if (!path.startsWith(basePath)) {
+    return sendError(response, 404, 'not-found', 'Resource not found')
+  }
+
+  const immunizationId = path.slice(basePath.length + 1) || undefined
+
+  // Make sure requests aren’t always successful
+  if (Math.random() < failureRate) {
+    return sendError(response, 503, 'transient', 'Service unavailable')
+  }
+
+  if (method === 'POST' && !immunizationId) {
+    const resource = await readBody(request)
+    const problem = validate(resource)
+    if (problem) {
+      return sendError(response, 400, 'invalid', problem)
+    }
+
+    const created = { ...resource, id: randomUUID(), meta: { versionId: '1' } }
+    immunizations.set(created.id, created)
+
+    return send(response, 201, undefined, {
+      'Location': `${basePath}/${created.id}`,
+      'E-Tag': created.meta.versionId
+    })
+  }
+
+  if (!immunizations.has(immunizationId)) {
+    return sendError(response, 404, 'not-found', 'Immunization not found')
+  }
+
+  const immunization = immunizations.get(immunizationId)
+
+  switch (method) {
+    case 'GET':
+      return send(response, 200, immunization)
+    case 'PUT': {
+      const resource = await readBody(request)
+      const problem = validate(resource)
+      if (problem) {
+        return sendError(response, 400, 'invalid', problem)
+      }
+
+      const versionId = String(Number(immunization.meta.versionId) + 1)
+      immunizations.set(immunizationId, {
+        ...resource,
+        id: immunizationId,
+        meta: { versionId }
+      })
+
+      return send(response, 200, undefined, { 'E-Tag': versionId })
+    }
+    case 'DELETE':
+      immunizations.delete(immunizationId)
+      return send(response, 204)
+    default:
+      return sendError(response, 405, 'not-supported', 'Method not allowed')
+  }
+})
+
+server.listen(port, () => {
+  console.info(
+    `Mock NHS England Immunisation API running at http://localhost:${port}${basePath}`
+  )
+})